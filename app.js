@@ -66,19 +66,7 @@ screen.on('keypress', async (ch, key) => {
     return;
   }
   
-  // Close current window with Ctrl+W
-  if (key && key.full === 'C-w') {
-    const currentWindow = windowService.getCurrentWindow();
-    // Make sure we don't close the last window
-    if (currentWindow && windowService.windows.length > 1) {
-      logger.info('App', 'Closing current window with Ctrl+W');
-      // Switch to next window first, then remove the current one
-      windowService.next();
-      windowService.removeWindow(currentWindow);
-      screen.render();
-      return;
-    }
-  }
+  // Ctrl+W is bound in EventController, which asks before closing a modified window
   
   await eventController.press(key);
 });
@@ -1,11 +1,20 @@
 const KeyEvent = require('../models/KeyEvent');
 const MenuService = require('../services/MenuService');
 const FileSelectModal = require('../modals/FileSelectModal');
+const FindBar = require('../modals/FindBar');
+const InputBar = require('../modals/InputBar');
+const ConfirmModal = require('../modals/ConfirmModal');
+const ListSelectModal = require('../modals/ListSelectModal');
 const FileService = require('../services/FileService');
+const DiffService = require('../services/DiffService');
+const EditFile = require('../models/EditFile');
 const FileMenu = require('../models/menus/FileMenu');
+const EditMenu = require('../models/menus/EditMenu');
 const ViewMenu = require('../models/menus/ViewMenu');
 const AIMenu = require('../models/menus/AIMenu');
 const TYPES = require('../ioc/types/TYPES');
+const logger = require('../services/LoggingService');
+const path = require('path');
 /** @typedef {import('../interfaces/IWindow')} IWindow */
 
 class EventController {
@@ -28,24 +37,42 @@ class EventController {
         this.fileService = fileService;
         /** @private */
         this.menuService = menuService;
+        /** @private */
+        this.diffService = new DiffService();
+        
+        // Swap files found when opening a file are offered for recovery here, where the modals live
+        this.windowService.recoveryHandler = async (window, swap) => await this._offerRecovery(window, swap);
         
         // Add file menu
         const fileMenu = new FileMenu(this.menuService, 'File', 'C-f');
         fileMenu.addItem('New File', async () => await this._handleNew());
         fileMenu.addItem('Open File', async () => await this._handleOpen());
         fileMenu.addItem('Save File', async () => await this._handleSave());
+        fileMenu.addItem('Save As...', async () => await this._handleSaveAs());
+        fileMenu.addItem('Line Endings...', async () => await this._handleLineEndings());
+        fileMenu.addItem('Encoding...', async () => await this._handleEncoding());
         fileMenu.addItem('Settings', async () => await this._handleSettings());
         fileMenu.addItem('Close Window', async () => await this._handleCloseWindow());
-        fileMenu.addItem('Exit', () => process.exit(0));
+        fileMenu.addItem('Exit', async () => await this._handleExit());
+        
+        // Add edit menu
+        const editMenu = new EditMenu(this.windowService);
+        editMenu.addItem('Find', async () => await this._handleFind(false));
+        editMenu.addItem('Replace', async () => await this._handleFind(true));
+        editMenu.addItem('Find in Files', async () => await this._handleFindInFiles());
+        editMenu.addItem('Go to Line...', async () => await this._handleGoToLine());
         
         // Add view menu
         const viewMenu = new ViewMenu(this.windowService);
+        viewMenu.addItem('Syntax...', async () => await this._handleSyntax());
+        viewMenu.addItem('Buffers...', async () => await this._handleBuffers());
         
         // Add AI menu
         const aiMenu = new AIMenu(this.windowService);
         
         // Register the menus with the menu service
         this.menuService.addMenu(fileMenu);
+        this.menuService.addMenu(editMenu);
         this.menuService.addMenu(viewMenu);
         this.menuService.addMenu(aiMenu);
 
@@ -56,6 +83,29 @@ class EventController {
             }
         });
         
+        // Add Alt-E to show edit menu
+        this.screen.key(['M-e'], () => {
+            if (!this.modalActive) {
+                this.menuService.showMenu(editMenu, 0, 1);
+            }
+        });
+        
+        // Add Ctrl-/ to find and Ctrl-R to replace. These go through our own
+        // events so the modal is active before the key reaches the window.
+        // Terminals send Ctrl-/ as the unit separator character (0x1f).
+        this.addEvent(new KeyEvent('\x1f', async () => await this._handleFind(false)));
+        this.addEvent(new KeyEvent('C-r', async () => await this._handleFind(true)));
+        
+        // Add Ctrl-G to go to a line, the same way
+        this.addEvent(new KeyEvent('C-g', async () => await this._handleGoToLine()));
+        
+        // Add Alt-F to search the whole project
+        this.screen.key(['M-f'], () => {
+            if (!this.modalActive) {
+                this._handleFindInFiles();
+            }
+        });
+        
         // Add Ctrl-V to show view menu
         this.screen.key(['C-v'], () => {
             if (!this.modalActive) {
@@ -93,6 +143,50 @@ class EventController {
             }
         });
         
+        // Add Ctrl-PageDown and Ctrl-PageUp to switch to the next and previous buffer
+        this.screen.key(['C-pagedown', 'C-pageup'], (ch, key) => {
+            if (!this.modalActive && this.windowService) {
+                this.windowService.nextBuffer(key.name === 'pagedown' ? 1 : -1);
+            }
+        });
+        
+        // Add Alt-1 to Alt-9 to switch to the buffer with that number in the tab bar
+        for (let number = 1; number <= 9; number++) {
+            this.screen.key([`M-${number}`], () => {
+                if (!this.modalActive && this.windowService) {
+                    this.windowService.showBuffer(number - 1);
+                }
+            });
+        }
+        
+        // Add Alt-B to pick a buffer from a list
+        this.screen.key(['M-b'], () => {
+            if (!this.modalActive && this.windowService) {
+                this._handleBuffers();
+            }
+        });
+        
+        // Add Alt-Left/Right and Alt-PageUp/PageDown to focus the window in that
+        // direction; Alt-Up/Down move lines in edit windows
+        const focusKeys = { left: 'M-left', right: 'M-right', up: 'M-pageup', down: 'M-pagedown' };
+        for (const [direction, key] of Object.entries(focusKeys)) {
+            this.screen.key([key], () => {
+                if (!this.modalActive && this.windowService) {
+                    this.windowService.focusDirection(direction);
+                }
+            });
+        }
+        
+        // Add Ctrl-Alt-arrows to resize the current pane: right and down grow it, left and up shrink it
+        const paneResizes = { left: ['vertical', -2], right: ['vertical', 2], up: ['horizontal', -1], down: ['horizontal', 1] };
+        for (const [key, [direction, amount]] of Object.entries(paneResizes)) {
+            this.screen.key([`C-M-${key}`], async () => {
+                if (!this.modalActive && this.windowService) {
+                    await this.windowService.resizePane(direction, amount);
+                }
+            });
+        }
+        
         // Add Ctrl-W to close the current window and select the next
         this.screen.key(['C-w'], () => {
             if (!this.modalActive && this.windowService) {
@@ -118,11 +212,8 @@ class EventController {
      * @private
      */
     async _handleNew() {
-        const currentWindow = this.windowService.getCurrentWindow();
-        currentWindow.currentFile = null;
-        currentWindow.cursorX = 0;
-        currentWindow.cursorY = 0;
-        await currentWindow.redraw();
+        // The new buffer gets a window of its own, so the current one stays open
+        await this.windowService.openFile('', { editFile: new EditFile('', '') });
     }
 
     /**
@@ -134,17 +225,13 @@ class EventController {
         const modal = new FileSelectModal(this.screen, {
             startDir: process.cwd(),
             onSelect: async (filePath) => {
+                this.modalActive = false;
+                // Opened like files from the command line: in a window of its own, watched and checked for a swap file
                 try {
-                    const editFile = await this.fileService.getTextFile(filePath);
-                    const currentWindow = this.windowService.getCurrentWindow();
-                    currentWindow.currentFile = editFile;
-                    currentWindow.cursorX = 0;
-                    currentWindow.cursorY = 0;
-                    await currentWindow.redraw();
+                    await this.windowService.openFile(filePath);
                 } catch (error) {
-                    console.error('Error opening file:', error);
-                } finally {
-                    this.modalActive = false;
+                    logger.error('EventController', `Error opening file ${filePath}: ${error.message}`);
+                    this.windowService.showMessage(`Could not open ${path.basename(filePath)}: ${error.message}`, { error: true });
                 }
             },
             onCancel: () => {
@@ -160,12 +247,463 @@ class EventController {
      */
     async _handleSave() {
         const currentWindow = this.windowService.getCurrentWindow();
-        if (currentWindow.currentFile) {
-            try {
-                await this.fileService.saveTextFile(currentWindow.currentFile);
-            } catch (error) {
-                console.error('Error saving file:', error);
+        if (currentWindow && currentWindow.currentFile) {
+            await this._saveWindow(currentWindow);
+        }
+    }
+
+    /**
+     * Handles saving the current file under a new name
+     * @private
+     */
+    async _handleSaveAs() {
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (currentWindow && currentWindow.currentFile) {
+            await this._saveAs(currentWindow);
+        }
+    }
+
+    /**
+     * Handles converting the current file to another line ending
+     * @private
+     */
+    async _handleLineEndings() {
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (!currentWindow || !currentWindow.currentFile) return;
+        
+        const file = currentWindow.currentFile;
+        const items = [
+            { label: 'LF (Unix)', value: 'lf' },
+            { label: 'CRLF (Windows)', value: 'crlf' }
+        ];
+        const current = items.findIndex(item => item.value === file.format.lineEnding);
+        const title = file.format.lineEnding === 'mixed' ? 'Line Endings (mixed)' : 'Line Endings';
+        
+        const lineEnding = await this._pick(currentWindow, title, items, current);
+        if (lineEnding) {
+            file.setLineEnding(lineEnding);
+            await currentWindow.redraw();
+        }
+    }
+
+    /**
+     * Handles changing the encoding the current file is saved in
+     * @private
+     */
+    async _handleEncoding() {
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (!currentWindow || !currentWindow.currentFile) return;
+        
+        const file = currentWindow.currentFile;
+        const items = [
+            { label: 'UTF-8', value: { encoding: 'utf8', bom: false } },
+            { label: 'UTF-8 with BOM', value: { encoding: 'utf8', bom: true } },
+            { label: 'Latin-1 (ISO-8859-1)', value: { encoding: 'latin1', bom: false } },
+            { label: 'UTF-16 LE', value: { encoding: 'utf16le', bom: true } },
+            { label: 'UTF-16 BE', value: { encoding: 'utf16be', bom: true } }
+        ];
+        // UTF-16 files without a BOM still match their entry
+        const current = items.findIndex(item => item.value.encoding === file.format.encoding &&
+            (item.value.bom === file.format.bom || file.format.encoding.startsWith('utf16')));
+        
+        const choice = await this._pick(currentWindow, 'Encoding', items, current);
+        if (choice) {
+            file.setEncoding(choice.encoding, choice.bom);
+            await currentWindow.redraw();
+        }
+    }
+
+    /**
+     * Handles choosing the syntax the current window is highlighted with
+     * @private
+     */
+    async _handleSyntax() {
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (!currentWindow || !currentWindow.currentFile || typeof currentWindow.setSyntax !== 'function') return;
+        
+        const names = await currentWindow.nanorcService.getSyntaxNames();
+        const items = [
+            { label: 'Detect Automatically', value: { name: null } },
+            { label: 'None', value: { name: 'none' } },
+            ...names.map(name => ({ label: name, value: { name } }))
+        ];
+        const chosen = currentWindow.getSyntax();
+        const current = items.findIndex(item => item.value.name === chosen);
+        
+        const choice = await this._pick(currentWindow, 'Syntax', items, current);
+        if (choice) {
+            currentWindow.setSyntax(choice.name);
+            await currentWindow.redraw();
+        }
+    }
+
+    /**
+     * Handles picking one of the open buffers to show
+     * @private
+     */
+    async _handleBuffers() {
+        const buffers = this.windowService.getBuffers();
+        if (buffers.length === 0) return;
+        
+        const items = buffers.map(buffer => {
+            const fileName = buffer.window.currentFile.fileName;
+            const dir = fileName ? path.dirname(path.relative(process.cwd(), path.resolve(fileName))) : '';
+            return {
+                label: `${buffer.label}${buffer.modified ? '*' : ''}${dir && dir !== '.' ? `  ${dir}` : ''}`,
+                value: buffer.window
+            };
+        });
+        const current = buffers.findIndex(buffer => buffer.active);
+        
+        const choice = await this._pick(this.windowService.getCurrentWindow(), 'Buffers', items, current);
+        if (choice) {
+            this.windowService.focusWindow(choice);
+        }
+    }
+
+    /**
+     * Handles exiting the editor, offering to save each modified file first
+     * @private
+     */
+    async _handleExit() {
+        for (const { window } of [...this.windowService.windows]) {
+            if (!(await this._confirmClose(window))) return;
+        }
+        // Every buffer was saved or discarded, so there is nothing left to back up
+        process.exit(0);
+    }
+
+    /**
+     * Saves the file of a window. Windows with their own save method (like
+     * the settings window) use it; untitled files ask for a name first.
+     * @param {IWindow} window - The window to save
+     * @returns {Promise<boolean>} Whether the file was saved
+     * @private
+     */
+    async _saveWindow(window) {
+        if (typeof window.save === 'function') {
+            return await window.save();
+        }
+        if (!window.currentFile.fileName) {
+            return await this._saveAs(window);
+        }
+        return await this._writeFile(window);
+    }
+
+    /**
+     * Asks for a path and saves the file of a window there
+     * @param {IWindow} window - The window to save
+     * @returns {Promise<boolean>} Whether the file was saved
+     * @private
+     */
+    _saveAs(window) {
+        const file = window.currentFile;
+        const startDir = file.fileName ? path.dirname(path.resolve(file.fileName)) : process.cwd();
+        const wasModalActive = this.modalActive;
+        this.modalActive = true;
+        
+        return new Promise(resolve => {
+            const modal = new FileSelectModal(this.screen, {
+                title: 'Save As',
+                startDir,
+                initialPath: path.join(startDir, file.fileName ? path.basename(file.fileName) : 'untitled.txt'),
+                onSelect: async (filePath) => {
+                    this.modalActive = wasModalActive;
+                    const previousName = file.fileName;
+                    const previousDiskState = file.diskState;
+                    file.fileName = filePath;
+                    // A different target has no known state, so an existing file there is simply replaced
+                    if (path.resolve(filePath) !== path.resolve(previousName || '')) {
+                        file.diskState = null;
+                    }
+                    const saved = await this._writeFile(window);
+                    if (!saved) {
+                        file.fileName = previousName;
+                        file.diskState = previousDiskState;
+                    } else if (file.fileName !== previousName) {
+                        // Changes to the old file no longer concern this buffer
+                        this.windowService.watchFile(window);
+                    }
+                    this.windowService.focusWindow(window);
+                    resolve(saved);
+                },
+                onCancel: () => {
+                    this.modalActive = wasModalActive;
+                    this.windowService.focusWindow(window);
+                    resolve(false);
+                }
+            });
+            modal.show();
+        });
+    }
+
+    /**
+     * Writes the file of a window to disk and clears its modified flag
+     * @param {IWindow} window - The window to save
+     * @param {Object} [options={}] - Save options
+     * @param {boolean} [options.force=false] - Overwrite the file even if it changed on disk
+     * @returns {Promise<boolean>} Whether the file was written
+     * @private
+     */
+    async _writeFile(window, options = {}) {
+        const file = window.currentFile;
+        try {
+            await this.fileService.saveTextFile(file, options);
+            file.markSaved();
+            await this.windowService.discardSwap(file);
+            await this.windowService.updateVcsMarkers(file);
+            logger.info('EventController', `Saved ${file.fileName}`);
+            this.windowService.showMessage(`Saved ${path.basename(file.fileName)}`);
+            await window.redraw();
+            return true;
+        } catch (error) {
+            if (error.code === 'ECONFLICT') {
+                return await this._resolveConflict(window);
+            }
+            logger.error('EventController', `Error saving ${file.fileName}: ${error.message}`);
+            // Make sure a failed save is not mistaken for a successful one
+            await this._ask('Save Failed', error.message, [{ value: 'ok', label: 'OK' }]);
+            this.windowService.focusWindow(window);
+            return false;
+        }
+    }
+
+    /**
+     * Asks what to do when a window's file changed on disk since it was loaded:
+     * overwrite it anyway, reload it (dropping the edits), or show the differences
+     * @param {IWindow} window - The window being saved
+     * @returns {Promise<boolean>} Whether the file was written
+     * @private
+     */
+    async _resolveConflict(window) {
+        const file = window.currentFile;
+        logger.warn('EventController', `${file.fileName} changed on disk since it was loaded`);
+        
+        const choice = await this._ask('File Changed', `${path.basename(file.fileName)} changed on disk. Overwrite it?`, [
+            { value: 'overwrite', label: 'Overwrite' },
+            { value: 'reload', label: 'Reload' },
+            { value: 'diff', label: 'Show Diff' },
+            { value: 'cancel', label: 'Cancel' }
+        ]);
+        this.windowService.focusWindow(window);
+        
+        if (choice === 'overwrite') {
+            return await this._writeFile(window, { force: true });
+        }
+        if (choice === 'reload') {
+            await this.windowService.reloadFile(window);
+        } else if (choice === 'diff') {
+            const diskFile = await this.fileService.getTextFile(file.fileName);
+            const name = path.basename(file.fileName);
+            await this._showDiff(diskFile.getLines(), file.getLines(), `${name} (on disk)`, `${name} (edited)`);
+        }
+        return false;
+    }
+
+    /**
+     * Asks whether to recover the unsaved changes kept in a swap file from an
+     * earlier session. Compare shows the differences and asks again; dismissing
+     * the question keeps the swap file for next time.
+     * @param {IWindow} window - The window showing the file as it is on disk
+     * @param {Object} swap - The swap, as found by SwapService.findRecoverable
+     * @private
+     */
+    async _offerRecovery(window, swap) {
+        const name = path.basename(swap.filePath);
+        
+        for (;;) {
+            const choice = await this._ask('Recover File', `${name} has unsaved changes from an earlier session.`, [
+                { value: 'recover', label: 'Recover' },
+                { value: 'compare', label: 'Compare' },
+                { value: 'discard', label: 'Discard' }
+            ]);
+            this.windowService.focusWindow(window);
+            
+            if (choice === 'compare') {
+                await this._showDiff(window.currentFile.getLines(), swap.lines, `${name} (on disk)`, `${name} (recovered)`);
+                continue;
+            }
+            if (choice === 'recover') {
+                await this.windowService.recoverSwap(window, swap);
+            } else if (choice === 'discard') {
+                await this.windowService.discardSwap(window.currentFile);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Opens a window with the differences between two versions of a file
+     * @param {string[]} oldLines - The original lines
+     * @param {string[]} newLines - The changed lines
+     * @param {string} oldName - Name shown for the original
+     * @param {string} newName - Name shown for the changed version
+     * @private
+     */
+    async _showDiff(oldLines, newLines, oldName, newName) {
+        const diff = this.diffService.unifiedDiff(oldLines, newLines, oldName, newName);
+        
+        await this.windowService.openFile('', {
+            editFile: new EditFile('', diff.join('\n'))
+        });
+    }
+
+    /**
+     * Makes sure unsaved changes are not lost when a window's file is about to
+     * be closed or replaced, by asking to Save, Discard or Cancel
+     * @param {IWindow} window - The window whose file is going away
+     * @returns {Promise<boolean>} Whether to go ahead (nothing to save, saved, or discarded)
+     * @private
+     */
+    async _confirmClose(window) {
+        const file = window && window.currentFile;
+        if (!file || !file.modified) return true;
+        
+        this.windowService.focusWindow(window);
+        const choice = await this._ask('Unsaved Changes', `Save changes to ${file.fileName || 'Untitled'}?`, [
+            { value: 'save', label: 'Save' },
+            { value: 'discard', label: 'Discard' },
+            { value: 'cancel', label: 'Cancel' }
+        ]);
+        this.windowService.focusWindow(window);
+        
+        if (choice === 'save') {
+            return await this._saveWindow(window);
+        }
+        if (choice === 'discard') {
+            await this.windowService.discardSwap(file);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Shows a ListSelectModal and waits for the choice
+     * @param {IWindow} window - The window to focus again afterwards
+     * @param {string} title - The modal title
+     * @param {Array<{label: string, value: *}>} items - The entries to choose from
+     * @param {number} current - Index of the current entry, or -1
+     * @returns {Promise<*>} The chosen value, or null if dismissed
+     * @private
+     */
+    _pick(window, title, items, current) {
+        const wasModalActive = this.modalActive;
+        this.modalActive = true;
+        
+        return new Promise(resolve => {
+            const finish = (value) => {
+                this.modalActive = wasModalActive;
+                this.windowService.focusWindow(window);
+                resolve(value);
+            };
+            const modal = new ListSelectModal(this.screen, {
+                title,
+                items,
+                selected: current,
+                onSelect: finish,
+                onCancel: () => finish(null)
+            });
+            modal.show();
+        });
+    }
+
+    /**
+     * Shows a ConfirmModal and waits for the answer
+     * @param {string} title - The modal title
+     * @param {string} message - The question
+     * @param {Array<{value: string, label: string}>} choices - The possible answers
+     * @returns {Promise<string>} The chosen value, or 'cancel' if dismissed
+     * @private
+     */
+    _ask(title, message, choices) {
+        const wasModalActive = this.modalActive;
+        this.modalActive = true;
+        
+        return new Promise(resolve => {
+            const finish = (value) => {
+                this.modalActive = wasModalActive;
+                resolve(value);
+            };
+            const modal = new ConfirmModal(this.screen, {
+                title,
+                message,
+                choices,
+                onSelect: finish,
+                onCancel: () => finish('cancel')
+            });
+            modal.show();
+        });
+    }
+
+    /**
+     * Handles opening the find bar for the current window
+     * @param {boolean} withReplace - Whether to show the replace field
+     * @private
+     */
+    async _handleFind(withReplace) {
+        if (this.modalActive) return;
+        
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (!currentWindow || typeof currentWindow.setSearch !== 'function') return;
+        
+        // Seed the query with a single-line selection, like most editors do
+        const selected = currentWindow.getSelectedText();
+        const query = selected && !selected.includes('\n') ? selected : '';
+        
+        this.modalActive = true;
+        const findBar = new FindBar(this.screen, {
+            query,
+            showReplace: withReplace,
+            onChange: (text, options) => currentWindow.setSearch(text, options),
+            onNext: () => currentWindow.findNext(),
+            onPrevious: () => currentWindow.findPrevious(),
+            onReplace: (replacement) => currentWindow.replaceCurrent(replacement),
+            onReplaceAll: (replacement) => currentWindow.replaceAll(replacement),
+            onClose: async () => {
+                this.modalActive = false;
+                await currentWindow.clearSearch();
+                this.windowService.focusWindow(currentWindow);
+            }
+        });
+        findBar.show();
+    }
+
+    /**
+     * Handles asking for a line, and optionally a column, and moving the cursor of the current window there
+     * @private
+     */
+    async _handleGoToLine() {
+        if (this.modalActive) return;
+        
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (!currentWindow || typeof currentWindow.goTo !== 'function') return;
+        
+        this.modalActive = true;
+        const inputBar = new InputBar(this.screen, {
+            title: 'Go to Line',
+            prompt: 'Line: ',
+            hint: `line[:column], 1-${currentWindow.currentFile.getLineCount()}`,
+            onSubmit: async (text) => {
+                const match = /^\s*(\d+)\s*(?::\s*(\d+)\s*)?$/.exec(text);
+                if (!match) return 'Enter a line number, optionally followed by :column';
+                // Both are counted from 1 here; positions past the end are clamped by goTo
+                await currentWindow.goTo(Math.max(1, Number(match[1])) - 1, match[2] ? Math.max(1, Number(match[2])) - 1 : 0);
+            },
+            onClose: () => {
+                this.modalActive = false;
+                this.windowService.focusWindow(currentWindow);
             }
+        });
+        inputBar.show();
+    }
+
+    /**
+     * Handles opening the project search window
+     * @private
+     */
+    async _handleFindInFiles() {
+        if (this.windowService) {
+            this.windowService.createSearchWindow();
         }
     }
 
@@ -199,6 +737,8 @@ class EventController {
             if (currentWindow) {
                 // Make sure we don't close the last window
                 if (this.windowService.windows.length > 1) {
+                    if (!(await this._confirmClose(currentWindow))) return;
+                    
                     // Switch to next window first, then remove the current one
                     this.windowService.next();
                     this.windowService.removeWindow(currentWindow);
@@ -11,6 +11,7 @@ class WindowFactory {
      * @param {Object} options - Window creation options
      * @param {string} options.fileName - Name of the file
      * @param {string} options.content - File content
+     * @param {EditFile} [options.editFile] - An already loaded file, used instead of fileName and content
      * @param {number} options.cursorX - Initial cursor X position
      * @param {number} options.cursorY - Initial cursor Y position
      * @param {number} options.scrollOffsetX - Initial horizontal scroll offset
@@ -22,12 +23,14 @@ class WindowFactory {
      * @param {boolean} options.anchorRight - Whether to anchor to right of screen
      * @param {number} options.width - Window width when not anchored to both sides
      * @param {number} options.height - Window height when not anchored to top and bottom
+     * @param {string} [options.syntax] - Syntax to highlight the file with instead of detecting it
      * @returns {import('../interfaces/IWindow').IWindow} The created window
      */
     createWindow(options) {
         const {
             fileName = '',
             content = '',
+            editFile = null,
             cursorX = 0,
             cursorY = 0,
             scrollOffsetX = 0,
@@ -38,11 +41,12 @@ class WindowFactory {
             anchorLeft = false,
             anchorRight = false,
             width = null,
-            height = null
+            height = null,
+            syntax = null
         } = options;
 
-        const editFile = new EditFile(fileName, content);
-        const window = new EditWindow(editFile, cursorX, cursorY, scrollOffsetX, scrollOffsetY, windowService);
+        const file = editFile || new EditFile(fileName, content);
+        const window = new EditWindow(file, cursorX, cursorY, scrollOffsetX, scrollOffsetY, windowService);
         
         // Set the anchor and dimension properties
         window.anchorTop = anchorTop;
@@ -51,6 +55,7 @@ class WindowFactory {
         window.anchorRight = anchorRight;
         window.width = width;
         window.height = height;
+        window.setSyntax(syntax);
         
         return window;
     }
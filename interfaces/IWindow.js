@@ -25,6 +25,13 @@
  * @returns {Promise<void>}
  */
 
+/**
+ * Optional. Releases background work (timers, searches, watchers) when the
+ * window is removed
+ * @function
+ * @name IWindow#dispose
+ */
+
 /**
  * Creates a new IWindow with default values
  * @function
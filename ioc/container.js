@@ -55,9 +55,10 @@ container.bind(TYPES.LoggingService).toConstantValue(LoggingService);
 container.bind(TYPES.ConfigService).toConstantValue(ConfigService);
 
 // Bind non-singleton services
-container.bind(TYPES.WindowService).toConstantValue(new WindowService(screen));
+const fileService = new FileService();
+container.bind(TYPES.FileService).toConstantValue(fileService);
+container.bind(TYPES.WindowService).toConstantValue(new WindowService(screen, fileService));
 container.bind(TYPES.MenuService).toConstantValue(new MenuService(screen));
-container.bind(TYPES.FileService).toConstantValue(new FileService());
 container.bind(TYPES.NanorcService).toConstantValue(new NanorcService());
 container.bind(TYPES.IndentationService).toConstantValue(new IndentationService());
 container.bind(TYPES.AIService).toConstantValue(new AIService());
@@ -0,0 +1,129 @@
+const blessed = require('blessed');
+
+class ConfirmModal {
+    /**
+     * Creates a modal that asks a question and offers a fixed set of answers
+     * @param {blessed.screen} screen - The blessed screen instance
+     * @param {Object} options - Modal options
+     * @param {string} [options.title='Confirm'] - Label shown in the border
+     * @param {string} options.message - The question to ask
+     * @param {Array<{value: string, label: string}>} options.choices - Answers, each picked with the first letter of its label
+     * @param {Function} options.onSelect - Called with the value of the chosen answer
+     * @param {Function} [options.onCancel] - Called when the modal is dismissed with Escape
+     */
+    constructor(screen, options) {
+        this.screen = screen;
+        this.choices = options.choices;
+        this.onSelect = options.onSelect;
+        this.onCancel = options.onCancel;
+
+        /** @private */
+        this.selected = 0;
+        /** @private */
+        this.message = blessed.escape(options.message);
+
+        this.modal = blessed.box({
+            parent: screen,
+            top: 'center',
+            left: 'center',
+            width: Math.min(Math.max(this.message.length + 6, 40), screen.width || 80),
+            height: 6,
+            label: ` ${options.title || 'Confirm'} `,
+            border: 'line',
+            shadow: true,
+            tags: true,
+            keys: true,
+            zIndex: 300,
+            style: {
+                fg: 'white',
+                bg: 'black',
+                border: {
+                    fg: 'yellow'
+                }
+            }
+        });
+
+        this.modal.on('keypress', (ch, key) => this._handleKey(ch, key));
+    }
+
+    /**
+     * Handles a key press while the modal has focus
+     * @param {string} ch - The typed character, if any
+     * @param {Object} key - The key event object from blessed
+     * @private
+     */
+    _handleKey(ch, key) {
+        if (!key) return;
+
+        switch (key.full) {
+            case 'escape':
+                this._close();
+                if (this.onCancel) this.onCancel();
+                return;
+            case 'left':
+            case 'S-tab':
+                this.selected = (this.selected + this.choices.length - 1) % this.choices.length;
+                this._render();
+                return;
+            case 'right':
+            case 'tab':
+                this.selected = (this.selected + 1) % this.choices.length;
+                this._render();
+                return;
+            case 'enter':
+                this._choose(this.choices[this.selected]);
+                return;
+        }
+
+        // Each answer can be picked with the first letter of its label
+        const letter = (ch || '').toLowerCase();
+        const choice = this.choices.find(c => c.label.charAt(0).toLowerCase() === letter);
+        if (choice) {
+            this._choose(choice);
+        }
+    }
+
+    /**
+     * Closes the modal and reports the answer
+     * @param {{value: string, label: string}} choice - The chosen answer
+     * @private
+     */
+    _choose(choice) {
+        this._close();
+        if (this.onSelect) this.onSelect(choice.value);
+    }
+
+    /**
+     * Renders the question and the answers, highlighting the selected one
+     * @private
+     */
+    _render() {
+        const buttons = this.choices.map((choice, index) => {
+            const text = `[{underline}${choice.label.charAt(0)}{/underline}${choice.label.slice(1)}]`;
+            return index === this.selected ? `{inverse}${text}{/inverse}` : text;
+        });
+
+        this.modal.setContent(`\n ${this.message}\n\n ${buttons.join('  ')}`);
+        this.screen.render();
+    }
+
+    /**
+     * Removes the modal from the screen
+     * @private
+     */
+    _close() {
+        this.modal.destroy();
+        this.screen.render();
+    }
+
+    /**
+     * Shows the modal
+     */
+    show() {
+        this.modal.show();
+        this.modal.focus();
+        this._render();
+    }
+}
+
+module.exports = ConfirmModal;
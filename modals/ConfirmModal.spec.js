@@ -0,0 +1,76 @@
+const ConfirmModal = require('./ConfirmModal');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockBox = {
+        on: jest.fn(),
+        setContent: jest.fn(),
+        destroy: jest.fn(),
+        show: jest.fn(),
+        focus: jest.fn()
+    };
+
+    return {
+        box: jest.fn(() => mockBox),
+        escape: jest.fn(text => text)
+    };
+});
+
+const blessed = require('blessed');
+
+describe('ConfirmModal', () => {
+    let modal;
+    let mockBox;
+    let options;
+
+    const press = (full, ch) => modal._handleKey(ch, { full });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBox = blessed.box();
+        options = {
+            title: 'Unsaved Changes',
+            message: 'Save changes to a.txt?',
+            choices: [
+                { value: 'save', label: 'Save' },
+                { value: 'discard', label: 'Discard' },
+                { value: 'cancel', label: 'Cancel' }
+            ],
+            onSelect: jest.fn(),
+            onCancel: jest.fn()
+        };
+        modal = new ConfirmModal({ render: jest.fn(), width: 80 }, options);
+        modal.show();
+    });
+
+    it('should show the message and the choices', () => {
+        const content = mockBox.setContent.mock.calls.pop()[0];
+
+        expect(content).toContain('Save changes to a.txt?');
+        expect(content).toContain('{inverse}[{underline}S{/underline}ave]{/inverse}');
+        expect(content).toContain('[{underline}D{/underline}iscard]');
+    });
+
+    it('should pick a choice by its first letter', () => {
+        press('d', 'd');
+
+        expect(options.onSelect).toHaveBeenCalledWith('discard');
+        expect(mockBox.destroy).toHaveBeenCalled();
+    });
+
+    it('should pick the highlighted choice on enter', () => {
+        press('right');
+        press('right');
+        press('enter');
+
+        expect(options.onSelect).toHaveBeenCalledWith('cancel');
+    });
+
+    it('should cancel on escape', () => {
+        press('escape');
+
+        expect(options.onCancel).toHaveBeenCalled();
+        expect(options.onSelect).not.toHaveBeenCalled();
+    });
+});
@@ -8,6 +8,8 @@ class FileSelectModal {
      * @param {blessed.screen} screen - The blessed screen instance
      * @param {Object} options - Modal options
      * @param {string} [options.startDir=process.cwd()] - Starting directory
+     * @param {string} [options.title] - Label shown in the modal border, e.g. 'Save As'
+     * @param {string} [options.initialPath] - Path to prefill; the path box gets focus so it can be edited
      * @param {Function} options.onSelect - Callback when file is selected
      * @param {Function} options.onCancel - Callback when selection is cancelled
      */
@@ -16,6 +18,7 @@ class FileSelectModal {
         this.currentDir = options.startDir || process.cwd();
         this.onSelect = options.onSelect;
         this.onCancel = options.onCancel;
+        this.initialPath = options.initialPath || null;
 
         // Create the modal box
         this.modal = blessed.box({
@@ -24,6 +27,7 @@ class FileSelectModal {
             left: 'center',
             width: '80%',
             height: '80%',
+            label: options.title ? ` ${options.title} ` : undefined,
             border: 'line',
             shadow: true,
             style: {
@@ -134,11 +138,18 @@ class FileSelectModal {
             }
         });
 
+        // The path box reads input on its own, so it reports Enter and Escape itself
+        this.pathBox.on('submit', () => this._handlePathSubmit());
+        this.pathBox.on('cancel', () => this._handleCancel());
+
         // Update path box when list selection changes
         this.list.on('select', () => this._updatePathFromSelection());
 
         // Initial update
         this._updateList(this.currentDir);
+        if (this.initialPath) {
+            this.pathBox.setValue(this.initialPath);
+        }
         this.list.focus();
     }
 
@@ -274,7 +285,11 @@ class FileSelectModal {
      */
     show() {
         this.modal.show();
-        this.list.focus();
+        if (this.initialPath) {
+            this.pathBox.focus();
+        } else {
+            this.list.focus();
+        }
         this.screen.render();
     }
 }
@@ -0,0 +1,222 @@
+const blessed = require('blessed');
+
+class FindBar {
+    /**
+     * Creates a find (and optionally replace) bar docked to the bottom of the screen
+     * @param {blessed.screen} screen - The blessed screen instance
+     * @param {Object} options - Bar options
+     * @param {string} [options.query=''] - Initial search text
+     * @param {boolean} [options.showReplace=false] - Whether to show the replace field
+     * @param {Function} options.onChange - Called with (query, searchOptions) as the query changes; resolves to a match status
+     * @param {Function} options.onNext - Called to move to the next match; resolves to a match status
+     * @param {Function} options.onPrevious - Called to move to the previous match; resolves to a match status
+     * @param {Function} [options.onReplace] - Called with the replacement text to replace the current match
+     * @param {Function} [options.onReplaceAll] - Called with the replacement text to replace every match
+     * @param {Function} options.onClose - Called when the bar is closed
+     */
+    constructor(screen, options) {
+        this.screen = screen;
+        this.options = options;
+        this.showReplace = !!options.showReplace;
+
+        /** @private */
+        this.fields = { find: options.query || '', replace: '' };
+        /** @private */
+        this.activeField = 'find';
+        /** @private */
+        this.status = '';
+
+        /**
+         * Current search options, toggled with Alt+C, Alt+W and Alt+R
+         * @type {{caseSensitive: boolean, wholeWord: boolean, regex: boolean}}
+         */
+        this.searchOptions = { caseSensitive: false, wholeWord: false, regex: false };
+
+        this.box = blessed.box({
+            parent: screen,
+            bottom: 0,
+            left: 0,
+            width: '100%',
+            height: this.showReplace ? 4 : 3,
+            label: this.showReplace ? ' Find and Replace ' : ' Find ',
+            border: 'line',
+            tags: true,
+            keys: true,
+            zIndex: 200,
+            style: {
+                fg: 'white',
+                bg: 'black',
+                border: {
+                    fg: 'yellow'
+                }
+            }
+        });
+
+        this.box.on('keypress', (ch, key) => this._handleKey(ch, key));
+    }
+
+    /**
+     * Handles a key press while the bar has focus
+     * @param {string} ch - The typed character, if any
+     * @param {Object} key - The key event object from blessed
+     * @private
+     */
+    async _handleKey(ch, key) {
+        if (!key) return;
+
+        switch (key.full) {
+            case 'escape':
+                this.close();
+                return;
+            case 'enter':
+                if (this.activeField === 'replace') {
+                    await this._report(this.options.onReplace(this.fields.replace, this.searchOptions));
+                } else {
+                    await this._report(this.options.onNext());
+                }
+                return;
+            case 'down':
+                await this._report(this.options.onNext());
+                return;
+            case 'up':
+                await this._report(this.options.onPrevious());
+                return;
+            case 'tab':
+                if (this.showReplace) {
+                    this.activeField = this.activeField === 'find' ? 'replace' : 'find';
+                    this._render();
+                }
+                return;
+            case 'M-a':
+                if (this.showReplace) {
+                    await this._report(this.options.onReplaceAll(this.fields.replace, this.searchOptions));
+                }
+                return;
+            case 'M-c':
+                this._toggleOption('caseSensitive');
+                return;
+            case 'M-w':
+                this._toggleOption('wholeWord');
+                return;
+            case 'M-r':
+                this._toggleOption('regex');
+                return;
+            case 'backspace':
+                this._editField(value => value.slice(0, -1));
+                return;
+        }
+
+        // Printable characters go into the active field
+        if (ch && !key.ctrl && !key.meta && ch >= ' ' && ch !== '\x7f') {
+            this._editField(value => value + ch);
+        }
+    }
+
+    /**
+     * Changes the active field and searches again if the query changed
+     * @param {Function} change - Maps the old field value to the new one
+     * @private
+     */
+    async _editField(change) {
+        this.fields[this.activeField] = change(this.fields[this.activeField]);
+        if (this.activeField === 'find') {
+            await this._search();
+        } else {
+            this._render();
+        }
+    }
+
+    /**
+     * Toggles a search option and searches again
+     * @param {string} name - The option to toggle
+     * @private
+     */
+    async _toggleOption(name) {
+        this.searchOptions[name] = !this.searchOptions[name];
+        await this._search();
+    }
+
+    /**
+     * Runs the incremental search for the current query
+     * @private
+     */
+    async _search() {
+        await this._report(this.options.onChange(this.fields.find, { ...this.searchOptions }));
+    }
+
+    /**
+     * Shows the result of a search action in the bar
+     * @param {Promise<Object|null>|Object|null} result - Match status ({count, index, replaced, error})
+     * @private
+     */
+    async _report(result) {
+        const status = await result;
+        // A search that a newer one took over from reports nothing
+        if (status === null) return;
+
+        if (!status || !this.fields.find) {
+            this.status = '';
+        } else if (status.error) {
+            this.status = `{red-fg}${blessed.escape(status.error)}{/red-fg}`;
+        } else if (status.replaced !== undefined) {
+            this.status = `Replaced ${status.replaced}`;
+        } else if (status.count === 0) {
+            this.status = '{red-fg}No matches{/red-fg}';
+        } else if (status.count === null) {
+            // Matches in files read on demand are not counted
+            this.status = 'Found';
+        } else {
+            this.status = `${status.index} of ${status.count}`;
+        }
+        this._render();
+    }
+
+    /**
+     * Renders the fields, option toggles and status
+     * @private
+     */
+    _render() {
+        const field = (name, label) => {
+            const value = blessed.escape(this.fields[name]);
+            const caret = this.activeField === name ? '{inverse} {/inverse}' : '';
+            return `${label}${value}${caret}`;
+        };
+        const toggle = (name, label) => `[${this.searchOptions[name] ? 'x' : ' '}] ${label}`;
+
+        const lines = [
+            `${field('find', 'Find:    ')}   ${toggle('caseSensitive', 'Case')}  ` +
+                `${toggle('wholeWord', 'Word')}  ${toggle('regex', 'Regex')}   ${this.status}`
+        ];
+        if (this.showReplace) {
+            lines.push(`${field('replace', 'Replace: ')}   {gray-fg}Enter: replace  Alt+A: all{/gray-fg}`);
+        }
+
+        this.box.setContent(lines.join('\n'));
+        this.screen.render();
+    }
+
+    /**
+     * Shows the bar and runs the initial search
+     */
+    show() {
+        this.box.show();
+        this.box.focus();
+        this._render();
+        if (this.fields.find) {
+            this._search();
+        }
+    }
+
+    /**
+     * Closes the bar
+     */
+    close() {
+        this.box.destroy();
+        this.screen.render();
+        if (this.options.onClose) {
+            this.options.onClose();
+        }
+    }
+}
+
+module.exports = FindBar;
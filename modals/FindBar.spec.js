@@ -0,0 +1,121 @@
+const FindBar = require('./FindBar');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockBox = {
+        on: jest.fn(),
+        setContent: jest.fn(),
+        destroy: jest.fn(),
+        show: jest.fn(),
+        focus: jest.fn()
+    };
+
+    return {
+        box: jest.fn(() => mockBox),
+        escape: jest.fn(text => text)
+    };
+});
+
+const blessed = require('blessed');
+
+describe('FindBar', () => {
+    let findBar;
+    let mockScreen;
+    let mockBox;
+    let options;
+
+    const press = (full, ch) => findBar._handleKey(ch, { full, ctrl: full.startsWith('C-'), meta: full.startsWith('M-') });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockScreen = { render: jest.fn() };
+        mockBox = blessed.box();
+        options = {
+            onChange: jest.fn().mockResolvedValue({ count: 2, index: 1 }),
+            onNext: jest.fn().mockResolvedValue({ count: 2, index: 2 }),
+            onPrevious: jest.fn().mockResolvedValue({ count: 2, index: 1 }),
+            onReplace: jest.fn().mockResolvedValue({ count: 1, index: 1 }),
+            onReplaceAll: jest.fn().mockResolvedValue({ replaced: 2 }),
+            onClose: jest.fn()
+        };
+        findBar = new FindBar(mockScreen, { ...options, showReplace: true });
+    });
+
+    it('should search incrementally as characters are typed', async () => {
+        await press('f', 'f');
+        await press('o', 'o');
+
+        expect(options.onChange).toHaveBeenLastCalledWith('fo', {
+            caseSensitive: false,
+            wholeWord: false,
+            regex: false
+        });
+        expect(mockBox.setContent).toHaveBeenLastCalledWith(expect.stringContaining('1 of 2'));
+    });
+
+    it('should report matches that were not counted, and skip superseded searches', async () => {
+        options.onChange.mockResolvedValueOnce({ count: null, index: null }).mockResolvedValueOnce(null);
+        await press('f', 'f');
+        expect(mockBox.setContent).toHaveBeenLastCalledWith(expect.stringContaining('Found'));
+
+        mockBox.setContent.mockClear();
+        await press('o', 'o');
+        expect(mockBox.setContent).not.toHaveBeenCalledWith(expect.stringContaining('Found'));
+    });
+
+    it('should search again without the last character on backspace', async () => {
+        await press('a', 'a');
+        await press('b', 'b');
+        await press('backspace');
+
+        expect(options.onChange).toHaveBeenLastCalledWith('a', expect.any(Object));
+    });
+
+    it('should toggle search options and search again', async () => {
+        await press('a', 'a');
+        await press('M-r');
+        await press('M-c');
+
+        expect(options.onChange).toHaveBeenLastCalledWith('a', {
+            caseSensitive: true,
+            wholeWord: false,
+            regex: true
+        });
+    });
+
+    it('should move between matches', async () => {
+        await press('enter');
+        await press('up');
+
+        expect(options.onNext).toHaveBeenCalledTimes(1);
+        expect(options.onPrevious).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replace from the replace field', async () => {
+        await press('a', 'a');
+        await press('tab');
+        await press('b', 'b');
+        await press('enter');
+        await press('M-a');
+
+        expect(options.onReplace).toHaveBeenCalledWith('b', expect.any(Object));
+        expect(options.onReplaceAll).toHaveBeenCalledWith('b', expect.any(Object));
+        expect(mockBox.setContent).toHaveBeenLastCalledWith(expect.stringContaining('Replaced 2'));
+    });
+
+    it('should show regex errors', async () => {
+        options.onChange.mockResolvedValue({ count: 0, index: 0, error: 'Invalid regular expression' });
+
+        await press('(', '(');
+
+        expect(mockBox.setContent).toHaveBeenLastCalledWith(expect.stringContaining('Invalid regular expression'));
+    });
+
+    it('should close on escape', async () => {
+        await press('escape');
+
+        expect(mockBox.destroy).toHaveBeenCalled();
+        expect(options.onClose).toHaveBeenCalled();
+    });
+});
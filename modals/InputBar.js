@@ -0,0 +1,128 @@
+const blessed = require('blessed');
+
+class InputBar {
+    /**
+     * Creates a one-line input docked to the bottom of the screen, like the
+     * FindBar, for short answers such as a line number
+     * @param {blessed.screen} screen - The blessed screen instance
+     * @param {Object} options - Bar options
+     * @param {string} options.title - Label of the bar, e.g. 'Go to Line'
+     * @param {string} [options.prompt=''] - Text shown before the input
+     * @param {string} [options.value=''] - Initial input
+     * @param {string} [options.hint=''] - Help shown after the input
+     * @param {Function} options.onSubmit - Called with the input on Enter; resolves to an error
+     *   message to show while keeping the bar open, or nothing to close it
+     * @param {Function} [options.onClose] - Called when the bar is closed, submitted or not
+     */
+    constructor(screen, options) {
+        this.screen = screen;
+        this.options = options;
+
+        /** @private */
+        this.value = options.value || '';
+        /** @private Error shown after the input */
+        this.error = '';
+
+        this.box = blessed.box({
+            parent: screen,
+            bottom: 0,
+            left: 0,
+            width: '100%',
+            height: 3,
+            label: ` ${options.title} `,
+            border: 'line',
+            tags: true,
+            keys: true,
+            zIndex: 200,
+            style: {
+                fg: 'white',
+                bg: 'black',
+                border: {
+                    fg: 'yellow'
+                }
+            }
+        });
+
+        this.box.on('keypress', (ch, key) => this._handleKey(ch, key));
+    }
+
+    /**
+     * Handles a key press while the bar has focus
+     * @param {string} ch - The typed character, if any
+     * @param {Object} key - The key event object from blessed
+     * @private
+     */
+    async _handleKey(ch, key) {
+        if (!key) return;
+
+        switch (key.full) {
+            case 'escape':
+                this.close();
+                return;
+            case 'enter': {
+                const error = await this.options.onSubmit(this.value);
+                if (error) {
+                    this.error = error;
+                    this._render();
+                } else {
+                    this.close();
+                }
+                return;
+            }
+            case 'backspace':
+                this._edit(this.value.slice(0, -1));
+                return;
+        }
+
+        // Printable characters go into the input
+        if (ch && !key.ctrl && !key.meta && ch >= ' ' && ch !== '\x7f') {
+            this._edit(this.value + ch);
+        }
+    }
+
+    /**
+     * Changes the input, clearing any error about the old one
+     * @param {string} value - The new input
+     * @private
+     */
+    _edit(value) {
+        this.value = value;
+        this.error = '';
+        this._render();
+    }
+
+    /**
+     * Renders the prompt, input and hint or error
+     * @private
+     */
+    _render() {
+        const prompt = blessed.escape(this.options.prompt || '');
+        const note = this.error
+            ? `{red-fg}${blessed.escape(this.error)}{/red-fg}`
+            : `{gray-fg}${blessed.escape(this.options.hint || '')}{/gray-fg}`;
+        this.box.setContent(`${prompt}${blessed.escape(this.value)}{inverse} {/inverse}   ${note}`);
+        this.screen.render();
+    }
+
+    /**
+     * Shows the bar and gives it focus
+     */
+    show() {
+        this.box.show();
+        this.box.focus();
+        this._render();
+    }
+
+    /**
+     * Closes the bar
+     */
+    close() {
+        this.box.destroy();
+        this.screen.render();
+        if (this.options.onClose) {
+            this.options.onClose();
+        }
+    }
+}
+
+module.exports = InputBar;
@@ -0,0 +1,83 @@
+const InputBar = require('./InputBar');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockBox = {
+        on: jest.fn(),
+        setContent: jest.fn(),
+        destroy: jest.fn(),
+        show: jest.fn(),
+        focus: jest.fn()
+    };
+
+    return {
+        box: jest.fn(() => mockBox),
+        escape: jest.fn(text => text)
+    };
+});
+
+const blessed = require('blessed');
+
+describe('InputBar', () => {
+    let inputBar;
+    let mockScreen;
+    let mockBox;
+    let options;
+
+    const press = (full, ch) => inputBar._handleKey(ch, { full, ctrl: full.startsWith('C-'), meta: full.startsWith('M-') });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockScreen = { render: jest.fn() };
+        mockBox = blessed.box();
+        options = {
+            title: 'Go to Line',
+            hint: 'line[:column]',
+            onSubmit: jest.fn().mockResolvedValue(undefined),
+            onClose: jest.fn()
+        };
+        inputBar = new InputBar(mockScreen, options);
+    });
+
+    it('should submit the typed text and close', async () => {
+        await press('1', '1');
+        await press('2', '2');
+        await press('backspace');
+        await press('3', '3');
+        await press('enter');
+
+        expect(options.onSubmit).toHaveBeenCalledWith('13');
+        expect(mockBox.destroy).toHaveBeenCalled();
+        expect(options.onClose).toHaveBeenCalled();
+    });
+
+    it('should stay open and show the error returned by onSubmit', async () => {
+        options.onSubmit.mockResolvedValue('Not a line number');
+        await press('x', 'x');
+        await press('enter');
+
+        expect(mockBox.destroy).not.toHaveBeenCalled();
+        expect(mockBox.setContent).toHaveBeenLastCalledWith(expect.stringContaining('Not a line number'));
+
+        // Typing again replaces the error with the hint
+        await press('backspace');
+        expect(mockBox.setContent).toHaveBeenLastCalledWith(expect.stringContaining('line[:column]'));
+    });
+
+    it('should close without submitting on escape', async () => {
+        await press('5', '5');
+        await press('escape');
+
+        expect(options.onSubmit).not.toHaveBeenCalled();
+        expect(options.onClose).toHaveBeenCalled();
+    });
+
+    it('should not insert control or Alt keys', async () => {
+        await press('C-a', '\x01');
+        await press('M-x', 'x');
+        await press('enter');
+
+        expect(options.onSubmit).toHaveBeenCalledWith('');
+    });
+});
@@ -0,0 +1,91 @@
+const blessed = require('blessed');
+
+class ListSelectModal {
+    /**
+     * Creates a modal that lets the user pick one entry from a list
+     * @param {blessed.screen} screen - The blessed screen instance
+     * @param {Object} options - Modal options
+     * @param {string} [options.title=''] - Label shown in the border
+     * @param {Array<{label: string, value: *}>} options.items - The entries to choose from
+     * @param {number} [options.selected=0] - Index of the entry selected initially, marked as current
+     * @param {Function} options.onSelect - Called with the value of the chosen entry
+     * @param {Function} [options.onCancel] - Called when the modal is dismissed with Escape
+     */
+    constructor(screen, options) {
+        this.screen = screen;
+        this.items = options.items;
+        this.onSelect = options.onSelect;
+        this.onCancel = options.onCancel;
+
+        const selected = Math.max(0, Math.min(options.selected || 0, this.items.length - 1));
+        // The current entry is marked so it stays recognizable while moving the selection
+        const labels = this.items.map((item, index) =>
+            `${index === options.selected ? '•' : ' '} ${blessed.escape(item.label)}`);
+        const width = Math.max(...labels.map(label => label.length), (options.title || '').length) + 6;
+
+        this.list = blessed.list({
+            parent: screen,
+            top: 'center',
+            left: 'center',
+            width: Math.min(width, screen.width || width),
+            height: Math.min(this.items.length + 2, Math.max(3, (screen.height || 24) - 4)),
+            label: options.title ? ` ${options.title} ` : undefined,
+            items: labels,
+            tags: true,
+            keys: true,
+            vi: true,
+            mouse: true,
+            border: 'line',
+            shadow: true,
+            zIndex: 300,
+            style: {
+                selected: { bg: 'blue' },
+                item: { fg: 'white' },
+                border: { fg: 'yellow' }
+            }
+        });
+        this.list.select(selected);
+
+        this.list.on('select', (item, index) => this._choose(index));
+        this.list.key(['escape'], () => this._cancel());
+    }
+
+    /**
+     * Closes the modal and reports the chosen entry
+     * @param {number} index - Index of the chosen entry
+     * @private
+     */
+    _choose(index) {
+        this._close();
+        if (this.onSelect) this.onSelect(this.items[index].value);
+    }
+
+    /**
+     * Closes the modal without choosing
+     * @private
+     */
+    _cancel() {
+        this._close();
+        if (this.onCancel) this.onCancel();
+    }
+
+    /**
+     * Removes the modal from the screen
+     * @private
+     */
+    _close() {
+        this.list.destroy();
+        this.screen.render();
+    }
+
+    /**
+     * Shows the modal
+     */
+    show() {
+        this.list.show();
+        this.list.focus();
+        this.screen.render();
+    }
+}
+
+module.exports = ListSelectModal;
@@ -0,0 +1,66 @@
+const ListSelectModal = require('./ListSelectModal');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockList = {
+        on: jest.fn(),
+        key: jest.fn(),
+        select: jest.fn(),
+        destroy: jest.fn(),
+        show: jest.fn(),
+        focus: jest.fn()
+    };
+
+    return {
+        list: jest.fn(() => mockList),
+        escape: jest.fn(text => text)
+    };
+});
+
+const blessed = require('blessed');
+
+describe('ListSelectModal', () => {
+    let mockList;
+    let options;
+
+    const handler = (mock, name) => mock.mock.calls.find(call => call[0] === name || (Array.isArray(call[0]) && call[0].includes(name)))[1];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        options = {
+            title: 'Line Endings',
+            items: [
+                { label: 'LF', value: 'lf' },
+                { label: 'CRLF', value: 'crlf' }
+            ],
+            selected: 1,
+            onSelect: jest.fn(),
+            onCancel: jest.fn()
+        };
+        new ListSelectModal({ render: jest.fn(), width: 80, height: 24 }, options).show();
+        mockList = blessed.list.mock.results[0].value;
+    });
+
+    it('should list the items and mark the current one', () => {
+        expect(blessed.list).toHaveBeenCalledWith(expect.objectContaining({
+            label: ' Line Endings ',
+            items: ['  LF', '• CRLF']
+        }));
+        expect(mockList.select).toHaveBeenCalledWith(1);
+    });
+
+    it('should report the value of the chosen item', () => {
+        handler(mockList.on, 'select')({}, 0);
+
+        expect(mockList.destroy).toHaveBeenCalled();
+        expect(options.onSelect).toHaveBeenCalledWith('lf');
+    });
+
+    it('should cancel on escape', () => {
+        handler(mockList.key, 'escape')();
+
+        expect(options.onCancel).toHaveBeenCalled();
+        expect(options.onSelect).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,107 @@
+const blessed = require('blessed');
+
+class NoticeBar {
+    /**
+     * Creates a one-line notice docked to the bottom of the screen. Unlike the
+     * other modals it never takes focus, so typing carries on in the current
+     * window; its actions are picked with their shortcut keys or by clicking.
+     * @param {blessed.screen} screen - The blessed screen instance
+     * @param {Object} options - Notice options
+     * @param {string} options.message - The text to show
+     * @param {Array<{key: string, label: string, callback: Function}>} options.actions - Actions offered, e.g. { key: 'M-l', label: 'Reload', ... }
+     * @param {Function} [options.onClose] - Called when the notice goes away, with or without an action
+     */
+    constructor(screen, options) {
+        this.screen = screen;
+        this.actions = options.actions;
+        this.onClose = options.onClose;
+
+        /** @private */
+        this.closed = false;
+        /** @private Screen key handlers, removed again on close */
+        this.keyHandlers = this.actions.map(action => ({ key: action.key, handler: () => this._choose(action) }));
+
+        const prefix = ` ${options.message}  `;
+        const buttons = this.actions.map(action => `[${action.label} ${this._describeKey(action.key)}]`);
+        /** @private Column range of each button, for clicks */
+        this.buttonRanges = [];
+        let column = prefix.length;
+        for (const button of buttons) {
+            this.buttonRanges.push({ start: column, end: column + button.length });
+            column += button.length + 1;
+        }
+
+        this.box = blessed.box({
+            parent: screen,
+            bottom: 0,
+            left: 0,
+            width: '100%',
+            height: 1,
+            tags: true,
+            mouse: true,
+            zIndex: 200,
+            content: `${blessed.escape(prefix)}{bold}${blessed.escape(buttons.join(' '))}{/bold}`,
+            style: {
+                fg: 'black',
+                bg: 'yellow'
+            }
+        });
+
+        this.box.on('click', (mouse) => {
+            const x = mouse.x - this.box.aleft;
+            const index = this.buttonRanges.findIndex(range => x >= range.start && x < range.end);
+            if (index >= 0) {
+                this._choose(this.actions[index]);
+            }
+        });
+    }
+
+    /**
+     * Formats a blessed key name for display, e.g. 'M-l' as 'Alt+L'
+     * @param {string} key - The key name
+     * @returns {string} The readable key
+     * @private
+     */
+    _describeKey(key) {
+        return key.replace(/^M-/, 'Alt+').replace(/^C-/, 'Ctrl+').replace(/.$/, ch => ch.toUpperCase());
+    }
+
+    /**
+     * Closes the notice and runs an action
+     * @param {{key: string, label: string, callback: Function}} action - The chosen action
+     * @private
+     */
+    async _choose(action) {
+        if (this.closed) return;
+        this.close();
+        await action.callback();
+    }
+
+    /**
+     * Removes the notice from the screen without running an action
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        for (const { key, handler } of this.keyHandlers) {
+            this.screen.unkey(key, handler);
+        }
+        this.box.destroy();
+        this.screen.render();
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Shows the notice and starts listening for its shortcut keys
+     */
+    show() {
+        for (const { key, handler } of this.keyHandlers) {
+            this.screen.key(key, handler);
+        }
+        this.box.show();
+        this.screen.render();
+    }
+}
+
+module.exports = NoticeBar;
@@ -0,0 +1,95 @@
+const NoticeBar = require('./NoticeBar');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockBox = {
+        on: jest.fn(),
+        destroy: jest.fn(),
+        show: jest.fn(),
+        focus: jest.fn(),
+        aleft: 0
+    };
+
+    return {
+        box: jest.fn(() => mockBox),
+        escape: jest.fn(text => text)
+    };
+});
+
+const blessed = require('blessed');
+
+describe('NoticeBar', () => {
+    let notice;
+    let mockBox;
+    let screen;
+    let options;
+
+    const handlerFor = (key) => screen.key.mock.calls.find(call => call[0] === key)[1];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBox = blessed.box();
+        screen = { render: jest.fn(), key: jest.fn(), unkey: jest.fn() };
+        options = {
+            message: 'a.txt changed on disk.',
+            actions: [
+                { key: 'M-l', label: 'Reload', callback: jest.fn() },
+                { key: 'M-k', label: 'Keep Mine', callback: jest.fn() }
+            ],
+            onClose: jest.fn()
+        };
+        notice = new NoticeBar(screen, options);
+        notice.show();
+    });
+
+    it('should show the message and the actions with their keys', () => {
+        const content = blessed.box.mock.calls.pop()[0].content;
+
+        expect(content).toContain('a.txt changed on disk.');
+        expect(content).toContain('[Reload Alt+L] [Keep Mine Alt+K]');
+    });
+
+    it('should not take focus', () => {
+        expect(mockBox.focus).not.toHaveBeenCalled();
+    });
+
+    it('should run an action by its key and close', async () => {
+        await handlerFor('M-l')();
+
+        expect(options.actions[0].callback).toHaveBeenCalled();
+        expect(options.actions[1].callback).not.toHaveBeenCalled();
+        expect(mockBox.destroy).toHaveBeenCalled();
+        expect(screen.unkey).toHaveBeenCalledWith('M-l', handlerFor('M-l'));
+        expect(screen.unkey).toHaveBeenCalledWith('M-k', handlerFor('M-k'));
+        expect(options.onClose).toHaveBeenCalled();
+    });
+
+    it('should run the action that was clicked', async () => {
+        const onClick = mockBox.on.mock.calls.find(call => call[0] === 'click')[1];
+        const keepMine = ' a.txt changed on disk.  [Reload Alt+L] '.length;
+
+        onClick({ x: 2 });
+        expect(options.actions[0].callback).not.toHaveBeenCalled();
+
+        onClick({ x: keepMine + 1 });
+        expect(options.actions[1].callback).toHaveBeenCalled();
+    });
+
+    it('should run at most one action', async () => {
+        await handlerFor('M-k')();
+        await handlerFor('M-l')();
+
+        expect(options.actions[0].callback).not.toHaveBeenCalled();
+        expect(options.onClose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should close without running an action', () => {
+        notice.close();
+
+        expect(options.actions[0].callback).not.toHaveBeenCalled();
+        expect(options.actions[1].callback).not.toHaveBeenCalled();
+        expect(mockBox.destroy).toHaveBeenCalled();
+        expect(options.onClose).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,171 @@
+const blessed = require('blessed');
+const themeService = require('../services/ThemeService');
+
+class StatusBar {
+    /**
+     * Creates the status line docked to the bottom of the screen. It describes
+     * the file and cursor of the current window on the right and shows the file
+     * name, or for a while a message, on the left. Like the TabBar it never
+     * takes focus.
+     * @param {blessed.screen} screen - The blessed screen instance
+     */
+    constructor(screen) {
+        this.screen = screen;
+
+        /** @private The status last passed to update */
+        this.status = {};
+        /** @private The message shown instead of the file name: { text, error } or null */
+        this.message = null;
+        /** @private Timer clearing the message */
+        this.messageTimer = null;
+        /** @private Content last set, to skip needless updates */
+        this.shownContent = null;
+
+        this.box = blessed.box({
+            parent: screen,
+            bottom: 0,
+            left: 0,
+            width: '100%',
+            height: 1,
+            tags: true,
+            zIndex: 100,
+            style: {}
+        });
+        this._applyTheme();
+
+        /** @private */
+        this.unsubscribeTheme = themeService.onChange(() => {
+            this._applyTheme();
+            this.shownContent = null;
+            this._refresh();
+        });
+    }
+
+    /**
+     * Describes the current window. Fields left out are not shown.
+     * @param {Object} status - What to show
+     * @param {string} [status.fileName] - Name of the file, e.g. 'src/app.js' or 'Untitled'
+     * @param {boolean} [status.modified] - Whether the file has unsaved changes
+     * @param {number} [status.line] - Cursor line, counted from 1
+     * @param {number} [status.column] - Cursor column, counted from 1
+     * @param {boolean} [status.insert] - Insert (true) or overwrite (false) mode
+     * @param {string|null} [status.syntax] - Name of the syntax the file is highlighted with
+     * @param {Object} [status.format] - On-disk format of the file, see EditFile.DEFAULT_FORMAT
+     * @returns {boolean} Whether the content changed and the screen needs rendering
+     */
+    update(status) {
+        this.status = status;
+        return this._render();
+    }
+
+    /**
+     * Shows a message on the left of the status line for a while
+     * @param {string} text - The message
+     * @param {Object} [options] - Message options
+     * @param {boolean} [options.error=false] - Whether to show it as an error
+     * @param {number} [options.timeout=StatusBar.MESSAGE_TIMEOUT] - Milliseconds to show it for; 0 keeps it until the next message
+     */
+    showMessage(text, options = {}) {
+        const { error = false, timeout = StatusBar.MESSAGE_TIMEOUT } = options;
+        clearTimeout(this.messageTimer);
+        this.messageTimer = null;
+        this.message = { text, error };
+        if (timeout > 0) {
+            this.messageTimer = setTimeout(() => this.clearMessage(), timeout);
+            // A message must not keep the process alive
+            this.messageTimer.unref();
+        }
+        this._refresh();
+    }
+
+    /**
+     * Removes the message, showing the file name again
+     */
+    clearMessage() {
+        clearTimeout(this.messageTimer);
+        this.messageTimer = null;
+        if (!this.message) return;
+        this.message = null;
+        this._refresh();
+    }
+
+    /**
+     * Removes the bar from the screen
+     */
+    destroy() {
+        clearTimeout(this.messageTimer);
+        this.unsubscribeTheme();
+        this.box.destroy();
+    }
+
+    /**
+     * Renders the screen if the content changed
+     * @private
+     */
+    _refresh() {
+        if (this._render()) {
+            this.screen.render();
+        }
+    }
+
+    /**
+     * Sets the content from the status and the message
+     * @returns {boolean} Whether the content changed
+     * @private
+     */
+    _render() {
+        const status = this.status;
+        const fields = [];
+        if (status.line !== undefined) fields.push(`Ln ${status.line}, Col ${status.column}`);
+        if (status.insert !== undefined) fields.push(status.insert ? 'INS' : 'OVR');
+        if (status.syntax) fields.push(status.syntax);
+        if (status.format) {
+            fields.push(StatusBar.LINE_ENDING_LABELS[status.format.lineEnding] || status.format.lineEnding);
+            const encoding = StatusBar.ENCODING_LABELS[status.format.encoding] || status.format.encoding;
+            // UTF-16 files always have a BOM, so it is only worth mentioning for UTF-8
+            fields.push(status.format.bom && status.format.encoding === 'utf8' ? `${encoding} BOM` : encoding);
+        }
+        const right = fields.length > 0 ? ` ${fields.join(' | ')} ` : '';
+
+        let left = '';
+        if (this.message) {
+            left = ` ${this.message.text} `;
+        } else if (status.fileName) {
+            left = ` ${status.fileName}${status.modified ? ' *' : ''} `;
+        }
+
+        // The message or file name gives way to the fields when the screen is narrow
+        const width = typeof this.box.width === 'number' ? this.box.width : left.length + right.length;
+        left = left.slice(0, Math.max(0, width - right.length));
+        let content = blessed.escape(left);
+        if (this.message && this.message.error && left) {
+            const tags = themeService.getTags('statusError');
+            content = `${tags.open}${content}${tags.close}`;
+        }
+        content += ' '.repeat(Math.max(0, width - left.length - right.length)) + blessed.escape(right);
+
+        if (content === this.shownContent) return false;
+        this.shownContent = content;
+        this.box.setContent(content);
+        return true;
+    }
+
+    /**
+     * Colors the bar from the current theme
+     * @private
+     */
+    _applyTheme() {
+        const colors = themeService.getColors('statusBar');
+        this.box.style.fg = colors.fg;
+        this.box.style.bg = colors.bg;
+    }
+}
+
+/** Milliseconds a message is shown for by default */
+StatusBar.MESSAGE_TIMEOUT = 5000;
+/** Names of the line endings of EditFile formats */
+StatusBar.LINE_ENDING_LABELS = { lf: 'LF', crlf: 'CRLF', mixed: 'Mixed' };
+/** Names of the encodings of EditFile formats */
+StatusBar.ENCODING_LABELS = { utf8: 'UTF-8', latin1: 'Latin-1', utf16le: 'UTF-16 LE', utf16be: 'UTF-16 BE' };
+
+module.exports = StatusBar;
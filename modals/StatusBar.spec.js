@@ -0,0 +1,93 @@
+const StatusBar = require('./StatusBar');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockBox = {
+        setContent: jest.fn(),
+        destroy: jest.fn(),
+        style: {},
+        width: 80
+    };
+
+    return {
+        box: jest.fn(() => mockBox),
+        escape: jest.fn(text => text)
+    };
+});
+
+jest.mock('../services/ThemeService', () => ({
+    getColors: jest.fn(() => ({ fg: 'black', bg: 'white' })),
+    getTags: jest.fn(() => ({ open: '<', close: '>' })),
+    onChange: jest.fn(() => jest.fn())
+}));
+
+const blessed = require('blessed');
+
+describe('StatusBar', () => {
+    let statusBar;
+    let mockBox;
+    let screen;
+
+    const status = {
+        fileName: 'src/app.js',
+        modified: true,
+        line: 12,
+        column: 5,
+        insert: true,
+        syntax: 'javascript',
+        format: { lineEnding: 'crlf', encoding: 'utf8', bom: false }
+    };
+    const shown = () => mockBox.setContent.mock.calls[mockBox.setContent.mock.calls.length - 1][0];
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+
+        mockBox = blessed.box();
+        mockBox.width = 80;
+        screen = { render: jest.fn() };
+        statusBar = new StatusBar(screen);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should show the file on the left and the cursor and format on the right', () => {
+        expect(statusBar.update(status)).toBe(true);
+
+        expect(shown()).toMatch(/^ src\/app\.js \* +Ln 12, Col 5 \| INS \| javascript \| CRLF \| UTF-8 $/);
+        expect(shown()).toHaveLength(80);
+        expect(statusBar.update({ ...status })).toBe(false);
+    });
+
+    it('should show a message instead of the file name for a while', () => {
+        statusBar.update(status);
+        statusBar.showMessage('Saved app.js');
+
+        expect(shown()).toMatch(/^ Saved app\.js +Ln 12/);
+        expect(screen.render).toHaveBeenCalled();
+
+        jest.advanceTimersByTime(StatusBar.MESSAGE_TIMEOUT);
+        expect(shown()).toMatch(/^ src\/app\.js \*/);
+    });
+
+    it('should mark errors and keep messages without a timeout', () => {
+        statusBar.update({ ...status, insert: false });
+        statusBar.showMessage('Save failed', { error: true, timeout: 0 });
+
+        expect(shown()).toMatch(/^< Save failed > +Ln 12, Col 5 \| OVR/);
+        jest.advanceTimersByTime(60000);
+        expect(shown()).toMatch(/^< Save failed >/);
+
+        statusBar.clearMessage();
+        expect(shown()).toMatch(/^ src\/app\.js/);
+    });
+
+    it('should shorten the left side when the screen is narrow', () => {
+        mockBox.width = 30;
+        statusBar.update({ fileName: 'a/very/long/path/to/a/file.js', line: 1, column: 1 });
+
+        expect(shown()).toBe(' a/very/long/path Ln 1, Col 1 ');
+    });
+});
@@ -0,0 +1,109 @@
+const blessed = require('blessed');
+const themeService = require('../services/ThemeService');
+
+class TabBar {
+    /**
+     * Creates a one-line strip of tabs, one per open buffer, docked under the
+     * menu bar. Like the NoticeBar it never takes focus; tabs are picked by
+     * clicking them or through WindowService.
+     * @param {blessed.screen} screen - The blessed screen instance
+     * @param {Object} options - Tab bar options
+     * @param {number} options.top - Row the bar is shown on
+     * @param {Function} options.onSelect - Called with the index of a clicked tab
+     */
+    constructor(screen, options) {
+        this.screen = screen;
+        this.onSelect = options.onSelect;
+
+        /** @private The tabs last passed to update */
+        this.tabs = [];
+        /** @private Column range and index of each shown tab, for clicks */
+        this.tabRanges = [];
+        /** @private Content last set, to skip needless updates */
+        this.shownContent = null;
+
+        this.box = blessed.box({
+            parent: screen,
+            top: options.top,
+            left: 0,
+            width: '100%',
+            height: 1,
+            tags: true,
+            mouse: true,
+            zIndex: 100,
+            style: {}
+        });
+        this._applyTheme();
+
+        this.box.on('click', (mouse) => {
+            const x = mouse.x - this.box.aleft;
+            const range = this.tabRanges.find(range => x >= range.start && x < range.end);
+            if (range) {
+                this.onSelect(range.index);
+            }
+        });
+
+        /** @private */
+        this.unsubscribeTheme = themeService.onChange(() => {
+            this._applyTheme();
+            this.shownContent = null;
+            this.update(this.tabs);
+            this.screen.render();
+        });
+    }
+
+    /**
+     * Shows the tabs. Does nothing if they look the same as before; when they
+     * do not all fit, the ones around the active tab are shown.
+     * @param {Array<{label: string, modified: boolean, active: boolean}>} tabs - The tabs in order
+     * @returns {boolean} Whether the content changed and the screen needs rendering
+     */
+    update(tabs) {
+        this.tabs = tabs;
+        const width = typeof this.box.width === 'number' ? this.box.width : Infinity;
+        const titles = tabs.map((tab, index) => ` ${index + 1} ${tab.label}${tab.modified ? '*' : ''} `);
+
+        // Drop tabs from the left until the active one fits, then from the right
+        let first = 0;
+        const active = Math.max(0, tabs.findIndex(tab => tab.active));
+        const widthOf = (from, to) => titles.slice(from, to + 1).reduce((sum, title) => sum + title.length + 1, 0);
+        while (first < active && widthOf(first, active) > width) first++;
+
+        const activeTags = themeService.getTags('activeTab');
+        this.tabRanges = [];
+        let column = 0;
+        let content = '';
+        for (let index = first; index < tabs.length && column + titles[index].length <= width; index++) {
+            const title = blessed.escape(titles[index]);
+            content += tabs[index].active ? `${activeTags.open}${title}${activeTags.close}` : title;
+            content += ' ';
+            this.tabRanges.push({ start: column, end: column + titles[index].length, index });
+            column += titles[index].length + 1;
+        }
+
+        if (content === this.shownContent) return false;
+        this.shownContent = content;
+        this.box.setContent(content);
+        return true;
+    }
+
+    /**
+     * Removes the bar from the screen
+     */
+    destroy() {
+        this.unsubscribeTheme();
+        this.box.destroy();
+    }
+
+    /**
+     * Colors the bar from the current theme
+     * @private
+     */
+    _applyTheme() {
+        const colors = themeService.getColors('tabBar');
+        this.box.style.fg = colors.fg;
+        this.box.style.bg = colors.bg;
+    }
+}
+
+module.exports = TabBar;
@@ -0,0 +1,86 @@
+const TabBar = require('./TabBar');
+
+// Mock blessed
+jest.mock('blessed', () => {
+    const mockBox = {
+        on: jest.fn(),
+        setContent: jest.fn(),
+        destroy: jest.fn(),
+        style: {},
+        width: 80,
+        aleft: 0
+    };
+
+    return {
+        box: jest.fn(() => mockBox),
+        escape: jest.fn(text => text)
+    };
+});
+
+jest.mock('../services/ThemeService', () => ({
+    getColors: jest.fn(() => ({ fg: 'white', bg: 'black' })),
+    getTags: jest.fn(() => ({ open: '<', close: '>' })),
+    onChange: jest.fn(() => jest.fn())
+}));
+
+const blessed = require('blessed');
+
+describe('TabBar', () => {
+    let tabBar;
+    let mockBox;
+    let onSelect;
+
+    const click = (x) => mockBox.on.mock.calls.find(call => call[0] === 'click')[1]({ x });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBox = blessed.box();
+        mockBox.width = 80;
+        onSelect = jest.fn();
+        tabBar = new TabBar({ render: jest.fn() }, { top: 1, onSelect });
+    });
+
+    it('should number the tabs and mark the active and modified ones', () => {
+        const changed = tabBar.update([
+            { label: 'a.js', modified: false, active: false },
+            { label: 'b.js', modified: true, active: true }
+        ]);
+
+        expect(changed).toBe(true);
+        expect(mockBox.setContent).toHaveBeenCalledWith(' 1 a.js  < 2 b.js* > ');
+    });
+
+    it('should only report a change when the tabs look different', () => {
+        const tabs = [{ label: 'a.js', modified: false, active: true }];
+        tabBar.update(tabs);
+
+        expect(tabBar.update([...tabs])).toBe(false);
+        expect(tabBar.update([{ ...tabs[0], modified: true }])).toBe(true);
+    });
+
+    it('should select the clicked tab', () => {
+        tabBar.update([
+            { label: 'a.js', modified: false, active: true },
+            { label: 'b.js', modified: false, active: false }
+        ]);
+
+        click(10);
+        expect(onSelect).toHaveBeenCalledWith(1);
+        click(8);
+        expect(onSelect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should scroll the active tab into view', () => {
+        mockBox.width = 20;
+        tabBar.update([
+            { label: 'first.js', modified: false, active: false },
+            { label: 'second.js', modified: false, active: false },
+            { label: 'third.js', modified: false, active: true }
+        ]);
+
+        expect(mockBox.setContent).toHaveBeenCalledWith('< 3 third.js > ');
+        click(0);
+        expect(onSelect).toHaveBeenCalledWith(2);
+    });
+});
@@ -0,0 +1,112 @@
+const EditFile = require('./EditFile');
+const PieceTable = require('./PieceTable');
+
+/**
+ * Complexity checks for EditFile on large files. Instead of timing the
+ * operations, which depends on the machine, they count the piece tree nodes
+ * visited, so they catch regressions like edits or line lookups that walk or
+ * copy the whole file without being flaky on slow machines.
+ */
+describe('EditFile benchmark', () => {
+    const LINE_COUNT = 500000;
+    const EDIT_COUNT = 5000;
+    let editFile;
+    let text;
+
+    // Tree operations that visit one node per call
+    const WALKS = ['_splitBefore', '_removeLeftmost', '_merge', '_collect'];
+
+    /**
+     * Runs a callback and counts the tree nodes it visits
+     * @returns {number} The number of visits
+     */
+    const countVisits = (callback) => {
+        const spies = WALKS.map(name => jest.spyOn(PieceTable.prototype, name));
+        try {
+            callback();
+            return spies.reduce((total, spy) => total + spy.mock.calls.length, 0);
+        } finally {
+            spies.forEach(spy => spy.mockRestore());
+        }
+    };
+
+    // A balanced tree is walked along paths of about log2(pieces) nodes, a few
+    // dozen visits per operation here; walking the whole tree would visit
+    // every piece. The limit sits far from both, as the treap's depth is random.
+    const sublinearLimit = () => editFile.buffer.pieceCount / 10;
+
+    // A treap of n pieces is about 3 ln(n) deep; one that degenerates towards a chain is far deeper
+    const depth = node => (node ? 1 + Math.max(depth(node.left), depth(node.right)) : 0);
+    const balancedDepth = () => 8 * Math.log2(editFile.buffer.pieceCount + 2);
+
+    // All text ever stored: the loaded text and what was added to it
+    const storedLength = () => editFile.buffer.buffers.reduce((total, buffer) => total + buffer.text.length, 0);
+
+    beforeAll(() => {
+        text = Array.from({ length: LINE_COUNT }, (_, i) => `line ${i} of a large log file`).join('\n');
+        editFile = new EditFile('large.log', text);
+    });
+
+    it('should insert in the middle of a large file without walking all of it', () => {
+        const visits = countVisits(() => {
+            for (let i = 0; i < EDIT_COUNT; i++) {
+                const y = (i * 7919) % LINE_COUNT;
+                editFile.writeText('x', 3, y, true);
+            }
+        });
+
+        expect(editFile.getLine(0)).toBe('linxe 0 of a large log file');
+        // Each insertion cuts one piece in two and adds one
+        expect(editFile.buffer.pieceCount).toBeLessThanOrEqual(2 * EDIT_COUNT + 1);
+        expect(visits / EDIT_COUNT).toBeLessThan(sublinearLimit());
+        expect(depth(editFile.buffer.root)).toBeLessThan(balancedDepth());
+        // The loaded text is never copied; only the inserted characters are stored
+        expect(storedLength()).toBe(text.length + EDIT_COUNT);
+    });
+
+    it('should split and join lines in a large file without copying it', () => {
+        const stored = storedLength();
+        const visits = countVisits(() => {
+            for (let i = 0; i < EDIT_COUNT; i++) {
+                const y = LINE_COUNT / 2 + i;
+                editFile.splitLine(4, y);
+                editFile.joinLines(y);
+            }
+        });
+
+        expect(editFile.getLineCount()).toBe(LINE_COUNT);
+        expect(visits / (2 * EDIT_COUNT)).toBeLessThan(sublinearLimit());
+        // Cutting the same piece again and again must not pile its parts up into a chain
+        expect(depth(editFile.buffer.root)).toBeLessThan(balancedDepth());
+        // A split stores only its line break
+        expect(storedLength() - stored).toBeLessThanOrEqual(EDIT_COUNT);
+    });
+
+    it('should read lines anywhere in a large file without walking all of it', () => {
+        let total = 0;
+        const visits = countVisits(() => {
+            for (let i = 0; i < EDIT_COUNT; i++) {
+                total += editFile.getLine((i * 104729) % LINE_COUNT).length;
+            }
+        });
+
+        expect(total).toBeGreaterThan(0);
+        expect(visits / EDIT_COUNT).toBeLessThan(sublinearLimit());
+    });
+
+    it('should undo many edits without walking the whole file', () => {
+        const before = editFile.getLines(0, 10);
+        for (let i = 0; i < EditFile.MAX_UNDO_STEPS; i++) {
+            editFile.writeText('y', 0, i % 10, true);
+        }
+
+        const visits = countVisits(() => {
+            for (let i = 0; i < EditFile.MAX_UNDO_STEPS; i++) {
+                editFile.undo();
+            }
+        });
+
+        expect(editFile.getLines(0, 10)).toEqual(before);
+        expect(visits / EditFile.MAX_UNDO_STEPS).toBeLessThan(sublinearLimit());
+    });
+});
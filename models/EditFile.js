@@ -1,3 +1,5 @@
+const PieceTable = require('./PieceTable');
+
 /**
  * @class
  * @implements {import('../interfaces/IEditFile').IEditFile}
@@ -6,12 +8,185 @@ class EditFile {
     /**
      * @param {string} fileName - The name of the file
      * @param {string|string[]} fileData - The content of the file, either as a string or array of lines
+     * @param {Object} [format={}] - On-disk format detected when loading, see EditFile.DEFAULT_FORMAT
      */
-    constructor(fileName, fileData) {
+    constructor(fileName, fileData, format = {}) {
         this.fileName = fileName;
-        // Convert string input to array of lines, or use empty array as default
-        this.fileData = Array.isArray(fileData) ? fileData : 
-                       (typeof fileData === 'string' ? fileData.split('\n') : ['']);
+        /** @private The content, kept in a piece table so large files stay cheap to edit */
+        this.buffer = new PieceTable(Array.isArray(fileData) ? fileData.join('\n') :
+                                     (typeof fileData === 'string' ? fileData : ''));
+
+        /**
+         * Whether the content changed since it was loaded or last saved
+         * @type {boolean}
+         */
+        this.modified = false;
+
+        /**
+         * Incremented on every change to the content or format, so observers
+         * (like swap files) can tell cheaply whether anything changed
+         * @type {number}
+         */
+        this.version = 0;
+
+        /**
+         * On-disk format, detected when the file is loaded and reproduced when it is saved.
+         * lineEnding is 'lf', 'crlf' or 'mixed'; lines of a mixed file keep their own '\r'.
+         * @type {{lineEnding: string, finalNewline: boolean, encoding: string, bom: boolean}}
+         */
+        this.format = { ...EditFile.DEFAULT_FORMAT, ...format };
+
+        /**
+         * Modification time and size of the file on disk when it was loaded or
+         * last saved, used to notice changes by other programs; null if not on disk
+         * @type {{mtimeMs: number, size: number}|null}
+         */
+        this.diskState = null;
+
+        /**
+         * Whether the file can only be viewed, e.g. because it is too large to edit
+         * @type {boolean}
+         */
+        this.readOnly = false;
+
+        /** @private */
+        this.undoStack = [];
+        /** @private */
+        this.redoStack = [];
+        /** @private */
+        this.transaction = null;
+        /** @private */
+        this.transactionDepth = 0;
+        /** @private */
+        this.coalesceBroken = false;
+        /** @private Functions called after every change to the content */
+        this.changeListeners = [];
+    }
+
+    /**
+     * Creates a read-only file whose lines come from a buffer loaded on demand
+     * @param {string} fileName - The name of the file
+     * @param {import('./LazyFileBuffer')} buffer - The buffer holding the lines
+     * @param {Object} [format={}] - On-disk format of the file
+     * @returns {EditFile} The file
+     */
+    static createReadOnly(fileName, buffer, format = {}) {
+        const editFile = new EditFile(fileName, '', format);
+        editFile.buffer = buffer;
+        editFile.readOnly = true;
+        return editFile;
+    }
+
+    /**
+     * The lines of the file. Reading returns a copy of the whole content, which
+     * is slow for large files; getLine, getLineCount and getLines are not.
+     * Assigning replaces the content and clears the undo history.
+     * @type {string[]}
+     */
+    get fileData() {
+        return this.buffer.getLines();
+    }
+
+    set fileData(lines) {
+        const previousLineCount = this.buffer.lineCount;
+        this.buffer = new PieceTable(lines.join('\n'));
+        this.undoStack = [];
+        this.redoStack = [];
+        this.version++;
+        this._notifyChange(0, previousLineCount - 1, this.buffer.lineCount - 1);
+    }
+
+    /**
+     * Registers a function to call after every change to the content, so
+     * per-line caches (like syntax highlighting) can drop what is out of date
+     * @param {Function} listener - Called with (y, removedLines, addedLines): the
+     *   first changed line, and how many lines after it were removed and added
+     * @returns {Function} Unregisters the listener
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(other => other !== listener);
+        };
+    }
+
+    /**
+     * Gets a line of the file
+     * @param {number} y - The line number
+     * @returns {string|undefined} The line, or undefined if there is no such line
+     */
+    getLine(y) {
+        return this.buffer.getLine(y);
+    }
+
+    /**
+     * Gets a range of lines
+     * @param {number} [start=0] - First line
+     * @param {number} [end] - Line after the last one; defaults to the end of the file
+     * @returns {string[]} The lines
+     */
+    getLines(start, end) {
+        return this.buffer.getLines(start, end);
+    }
+
+    /**
+     * @returns {number} The number of lines in the file; at least 1
+     */
+    getLineCount() {
+        return this.buffer.lineCount;
+    }
+
+    /**
+     * Gets the length of a line
+     * @param {number} y - The line number
+     * @returns {number} The number of characters on the line, 0 if there is no such line
+     */
+    getLineLength(y) {
+        return this.buffer.lineLength(y);
+    }
+
+    /**
+     * Makes sure a range of lines can be read with getLine. Only files that
+     * are loaded on demand need this; for others it returns at once.
+     * @param {number} start - First line
+     * @param {number} end - Line after the last one
+     * @returns {Promise<void>}
+     */
+    async loadLines(start, end) {
+        if (this.buffer.load) {
+            await this.buffer.load(start, end);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether lines are read from disk as they are needed,
+     *   so only lines made readable with loadLines can be read
+     */
+    isLoadedOnDemand() {
+        return typeof this.buffer.load === 'function';
+    }
+
+    /**
+     * @returns {boolean} Whether the file is still being read from disk
+     */
+    isLoading() {
+        return !!this.buffer.indexing;
+    }
+
+    /**
+     * @returns {number} How much of the file has been read from disk, from 0 to 1
+     */
+    getLoadProgress() {
+        return this.buffer.progress === undefined ? 1 : this.buffer.progress;
+    }
+
+    /**
+     * Stops reading the file from disk; called when it is no longer shown
+     */
+    close() {
+        if (this.buffer.close) {
+            this.buffer.close();
+        }
     }
 
     /**
@@ -20,8 +195,11 @@ class EditFile {
      * @private
      */
     _ensureLineExists(y) {
-        while (this.fileData.length <= y) {
-            this.fileData.push('');
+        const lastLine = this.getLineCount() - 1;
+        const missing = y - lastLine;
+        if (missing > 0) {
+            const length = this.getLineLength(lastLine);
+            this._replaceRange(length, lastLine, length, lastLine, '\n'.repeat(missing));
         }
     }
 
@@ -33,8 +211,9 @@ class EditFile {
      */
     _ensureCharacterExists(x, y) {
         this._ensureLineExists(y);
-        while (this.fileData[y].length < x) {
-            this.fileData[y] += ' ';
+        const length = this.getLineLength(y);
+        if (length < x) {
+            this._replaceRange(length, y, length, y, ' '.repeat(x - length));
         }
     }
 
@@ -47,12 +226,8 @@ class EditFile {
      */
     writeText(text, x, y, insert) {
         this._ensureCharacterExists(x, y);
-        const line = this.fileData[y];
-        if (insert) {
-            this.fileData[y] = line.slice(0, x) + text + line.slice(x);
-        } else {
-            this.fileData[y] = line.slice(0, x) + text + line.slice(x + text.length);
-        }
+        const endX = insert ? x : Math.min(x + text.length, this.getLineLength(y));
+        this._replaceRange(x, y, endX, y, text);
     }
 
     /**
@@ -62,9 +237,379 @@ class EditFile {
      */
     deleteChar(x, y) {
         this._ensureCharacterExists(x, y);
-        const line = this.fileData[y];
-        this.fileData[y] = line.slice(0, x) + line.slice(x + 1);
+        const endX = Math.min(x + 1, this.getLineLength(y));
+        this._replaceRange(x, y, endX, y, '');
+    }
+
+    /**
+     * Inserts text that may span several lines at the specified position
+     * @param {string} text - The text to insert, lines separated by '\n'
+     * @param {number} x - The character position
+     * @param {number} y - The line number
+     * @returns {{x: number, y: number}} The position just after the inserted text
+     */
+    insertText(text, x, y) {
+        this._ensureCharacterExists(x, y);
+        return this._replaceRange(x, y, x, y, text);
+    }
+
+    /**
+     * Splits a line in two at the specified position
+     * @param {number} x - The character position to split at
+     * @param {number} y - The line number
+     */
+    splitLine(x, y) {
+        this.insertText('\n', x, y);
+    }
+
+    /**
+     * Joins a line with the line that follows it
+     * @param {number} y - The line number to join with its successor
+     */
+    joinLines(y) {
+        if (y < 0 || y >= this.getLineCount() - 1) return;
+        this._replaceRange(this.getLineLength(y), y, 0, y + 1, '');
+    }
+
+    /**
+     * Gets the text between two positions
+     * @param {number} x - Start character position
+     * @param {number} y - Start line number
+     * @param {number} endX - End character position (exclusive)
+     * @param {number} endY - End line number
+     * @returns {string} The text, lines separated by '\n'
+     */
+    getRangeText(x, y, endX, endY) {
+        return this._getRange(x, y, endX, endY);
+    }
+
+    /**
+     * Deletes the text between two positions
+     * @param {number} x - Start character position
+     * @param {number} y - Start line number
+     * @param {number} endX - End character position (exclusive)
+     * @param {number} endY - End line number
+     */
+    deleteRange(x, y, endX, endY) {
+        this._replaceRange(x, y, endX, endY, '');
+    }
+
+    /**
+     * Replaces whole lines with others
+     * @param {number} first - First line to replace
+     * @param {number} last - Last line to replace
+     * @param {string[]} lines - The new lines; there must be at least one
+     */
+    replaceLines(first, last, lines) {
+        this._replaceRange(0, first, this.getLineLength(last), last, lines.join('\n'));
+    }
+
+    /**
+     * Gets the whole content of the file
+     * @returns {string} The lines joined by '\n'
+     */
+    getText() {
+        return this.buffer.getText();
+    }
+
+    /**
+     * Converts the file to another line ending. The '\r' characters that lines of
+     * a mixed file carry are removed as a single undo step.
+     * @param {string} lineEnding - 'lf' or 'crlf'
+     * @throws {Error} If the line ending is not supported, or with code EREADONLY if the file is read-only
+     */
+    setLineEnding(lineEnding) {
+        this._checkWritable();
+        if (!EditFile.LINE_ENDINGS.includes(lineEnding)) {
+            throw new Error(`Unsupported line ending: ${lineEnding}`);
+        }
+        if (this.format.lineEnding === lineEnding) return;
+
+        if (this.format.lineEnding === 'mixed') {
+            const lineCount = this.getLineCount();
+            const lastBreak = this.format.finalNewline ? lineCount : lineCount - 1;
+            this.beginTransaction();
+            for (let y = 0; y < lastBreak; y++) {
+                const length = this.getLineLength(y);
+                if (this.getLine(y).endsWith('\r')) {
+                    this.deleteRange(length - 1, y, length, y);
+                }
+            }
+            this.endTransaction();
+        }
+
+        this.format.lineEnding = lineEnding;
+        this.modified = true;
+        this.version++;
+    }
+
+    /**
+     * Changes the encoding the file is saved in
+     * @param {string} encoding - One of EditFile.ENCODINGS
+     * @param {boolean} [bom=false] - Whether to write a byte order mark (not available for latin1)
+     * @throws {Error} If the encoding is not supported, or with code EREADONLY if the file is read-only
+     */
+    setEncoding(encoding, bom = false) {
+        this._checkWritable();
+        if (!EditFile.ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+        const withBom = encoding !== 'latin1' && bom;
+        if (this.format.encoding === encoding && this.format.bom === withBom) return;
+
+        this.format.encoding = encoding;
+        this.format.bom = withBom;
+        this.modified = true;
+        this.version++;
+    }
+
+    /**
+     * Clears the modified flag after the content was written to disk
+     */
+    markSaved() {
+        this.modified = false;
+    }
+
+    /**
+     * Starts a group of edits that undo and redo as a single step.
+     * Groups may nest; only the outermost begin/end pair is recorded.
+     * @param {string|null} [kind=null] - Group kind; consecutive 'typing' groups are coalesced
+     * @param {Object|null} [state=null] - Opaque editor state (cursor, scroll) to restore on undo
+     */
+    beginTransaction(kind = null, state = null) {
+        if (this.transactionDepth++ === 0) {
+            this.transaction = { kind, ops: [], before: state, after: state };
+        }
+    }
+
+    /**
+     * Ends the current group of edits and pushes it to the undo history
+     * @param {Object|null} [state=null] - Opaque editor state to restore on redo
+     */
+    endTransaction(state = null) {
+        if (this.transactionDepth === 0) return;
+        if (--this.transactionDepth > 0) return;
+
+        const entry = this.transaction;
+        this.transaction = null;
+        entry.after = state;
+        this._commit(entry);
+    }
+
+    /**
+     * Reverts the most recent group of edits
+     * @returns {Object|null} The editor state recorded before the edits, or null if there was nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        for (let i = entry.ops.length - 1; i >= 0; i--) {
+            const op = entry.ops[i];
+            this._applyRaw(op.x, op.y, op.endX, op.endY, op.removed);
+        }
+        this.modified = true;
+        this.redoStack.push(entry);
+        this.coalesceBroken = true;
+        return entry.before || {};
+    }
+
+    /**
+     * Re-applies the most recently undone group of edits
+     * @returns {Object|null} The editor state recorded after the edits, or null if there was nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        for (const op of entry.ops) {
+            const removedEnd = EditFile._endOf(op.x, op.y, op.removed);
+            this._applyRaw(op.x, op.y, removedEnd.x, removedEnd.y, op.inserted);
+        }
+        this.modified = true;
+        this.undoStack.push(entry);
+        this.coalesceBroken = true;
+        return entry.after || {};
+    }
+
+    /**
+     * @returns {boolean} Whether there is anything to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is anything to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Replaces the text between two positions and records the change for undo
+     * @param {number} x - Start character position
+     * @param {number} y - Start line number
+     * @param {number} endX - End character position (exclusive)
+     * @param {number} endY - End line number
+     * @param {string} text - Replacement text, lines separated by '\n'
+     * @returns {{x: number, y: number}} The position just after the inserted text
+     * @throws {Error} With code EREADONLY if the file is read-only
+     * @private
+     */
+    _replaceRange(x, y, endX, endY, text) {
+        this._checkWritable();
+        const removed = this._getRange(x, y, endX, endY);
+        if (removed === '' && text === '') return { x, y };
+
+        const end = this._applyRaw(x, y, endX, endY, text);
+        this.modified = true;
+        this._record({ x, y, endX: end.x, endY: end.y, removed, inserted: text });
+        return end;
+    }
+
+    /**
+     * Replaces the text between two positions without touching the history
+     * @returns {{x: number, y: number}} The position just after the inserted text
+     * @private
+     */
+    _applyRaw(x, y, endX, endY, text) {
+        const start = this._offsetOf(x, y);
+        const removedLines = Math.max(0, Math.min(endY, this.getLineCount() - 1) - y);
+        this.buffer.delete(start, this._offsetOf(endX, endY) - start);
+        this.buffer.insert(start, text);
+        this.version++;
+
+        const end = EditFile._endOf(x, y, text);
+        this._notifyChange(y, removedLines, end.y - y);
+        return end;
+    }
+
+    /**
+     * Tells the change listeners which lines changed
+     * @private
+     */
+    _notifyChange(y, removedLines, addedLines) {
+        for (const listener of this.changeListeners) {
+            listener(y, removedLines, addedLines);
+        }
+    }
+
+    /**
+     * Returns the text between two positions, lines joined by '\n'. It is
+     * read line by line so it also works for files loaded on demand.
+     * @private
+     */
+    _getRange(x, y, endX, endY) {
+        const lines = this.getLines(y, endY + 1);
+        if (lines.length === 0) return '';
+
+        const clamp = (line, column) => Math.max(0, Math.min(column, line.length));
+        if (lines.length === 1 && endY === y) {
+            return lines[0].slice(clamp(lines[0], x), Math.max(clamp(lines[0], x), clamp(lines[0], endX)));
+        }
+
+        const last = lines.length - 1;
+        lines[0] = lines[0].slice(clamp(lines[0], x));
+        // A range ending past the last line takes the last line whole
+        if (last > 0 && y + last === endY) {
+            lines[last] = lines[last].slice(0, clamp(lines[last], endX));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Throws if the file must not be changed
+     * @private
+     */
+    _checkWritable() {
+        if (this.readOnly) {
+            const error = new Error(`${this.fileName} is read-only`);
+            error.code = 'EREADONLY';
+            throw error;
+        }
+    }
+
+    /**
+     * Converts a position to an offset into the buffer. Positions past the
+     * end of a line are taken as its end.
+     * @private
+     */
+    _offsetOf(x, y) {
+        return this.buffer.lineStart(y) + Math.max(0, Math.min(x, this.getLineLength(y)));
+    }
+
+    /**
+     * Adds a change to the open transaction, or records it as its own step
+     * @private
+     */
+    _record(op) {
+        if (this.transaction) {
+            this.transaction.ops.push(op);
+        } else {
+            this._commit({ kind: null, ops: [op], before: null, after: null });
+        }
+    }
+
+    /**
+     * Pushes a finished group to the undo stack, merging consecutive typing
+     * @private
+     */
+    _commit(entry) {
+        if (entry.ops.length === 0) return;
+
+        this.redoStack = [];
+        const previous = this.undoStack[this.undoStack.length - 1];
+
+        if (this._canCoalesce(previous, entry)) {
+            previous.ops.push(...entry.ops);
+            previous.after = entry.after;
+        } else {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > EditFile.MAX_UNDO_STEPS) {
+                this.undoStack.shift();
+            }
+        }
+        this.coalesceBroken = false;
+    }
+
+    /**
+     * Decides whether a typing step continues the previous one: same kind,
+     * nothing undone in between, and inserted right where the last one ended
+     * @private
+     */
+    _canCoalesce(previous, entry) {
+        if (!previous || this.coalesceBroken) return false;
+        if (previous.kind !== 'typing' || entry.kind !== 'typing') return false;
+
+        const last = previous.ops[previous.ops.length - 1];
+        const first = entry.ops[0];
+        if (first.removed.length > 0 && last.removed.length === 0) return false;
+        // Start a new step at word boundaries so undo removes a word at a time
+        if (/\s/.test(first.inserted) && !/\s$/.test(last.inserted)) return false;
+        return first.x === last.endX && first.y === last.endY;
+    }
+
+    /**
+     * Computes where a piece of text ends when inserted at a position
+     * @private
+     */
+    static _endOf(x, y, text) {
+        const lines = text.split('\n');
+        return lines.length === 1
+            ? { x: x + text.length, y }
+            : { x: lines[lines.length - 1].length, y: y + lines.length - 1 };
     }
 }
 
+/** Format of files that were not loaded from disk */
+EditFile.DEFAULT_FORMAT = Object.freeze({ lineEnding: 'lf', finalNewline: true, encoding: 'utf8', bom: false });
+/** Line endings a file can be converted to */
+EditFile.LINE_ENDINGS = ['lf', 'crlf'];
+/** Encodings a file can be read and written in */
+EditFile.ENCODINGS = ['utf8', 'latin1', 'utf16le', 'utf16be'];
+
+/** Maximum number of undo steps kept per file */
+EditFile.MAX_UNDO_STEPS = 1000;
+
 module.exports = EditFile;
@@ -123,4 +123,267 @@ describe('EditFile', () => {
             expect(editFile.fileData[1]).toBe('ghijkl');
         });
     });
-}); 
\ No newline at end of file
+    describe('splitLine and joinLines', () => {
+        it('should split a line at the given position', () => {
+            const editFile = new EditFile('test.txt', ['line1line2']);
+            
+            editFile.splitLine(5, 0);
+            
+            expect(editFile.fileData).toEqual(['line1', 'line2']);
+        });
+        
+        it('should join a line with the next one', () => {
+            const editFile = new EditFile('test.txt', ['line1', 'line2', 'line3']);
+            
+            editFile.joinLines(0);
+            
+            expect(editFile.fileData).toEqual(['line1line2', 'line3']);
+        });
+        
+        it('should ignore joining the last line', () => {
+            const editFile = new EditFile('test.txt', ['line1']);
+            
+            editFile.joinLines(0);
+            
+            expect(editFile.fileData).toEqual(['line1']);
+        });
+    });
+    
+    describe('insertText', () => {
+        it('should insert multi-line text and return the end position', () => {
+            const editFile = new EditFile('test.txt', ['initial line']);
+            
+            const end = editFile.insertText(' one\nline two\nline three', 7, 0);
+            
+            expect(editFile.fileData).toEqual(['initial one', 'line two', 'line three line']);
+            expect(end).toEqual({ x: 10, y: 2 });
+        });
+    });
+    
+    describe('replaceLines', () => {
+        it('should replace whole lines with fewer or more lines', () => {
+            const editFile = new EditFile('test.txt', ['a', 'b', 'c', 'd']);
+            
+            editFile.replaceLines(1, 2, ['x']);
+            expect(editFile.fileData).toEqual(['a', 'x', 'd']);
+            
+            editFile.replaceLines(2, 2, ['y', 'z']);
+            expect(editFile.fileData).toEqual(['a', 'x', 'y', 'z']);
+        });
+    });
+    
+    describe('undo and redo', () => {
+        it('should undo and redo a single edit', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            editFile.writeText('X', 1, 0, true);
+            expect(editFile.undo()).toEqual({});
+            expect(editFile.fileData).toEqual(['abc']);
+            
+            editFile.redo();
+            expect(editFile.fileData).toEqual(['aXbc']);
+        });
+        
+        it('should return null when there is nothing to undo or redo', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            expect(editFile.undo()).toBeNull();
+            expect(editFile.redo()).toBeNull();
+            expect(editFile.canUndo()).toBe(false);
+        });
+        
+        it('should undo padding added when writing past the end', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            editFile.beginTransaction();
+            editFile.writeText('XYZ', 2, 2, true);
+            editFile.endTransaction();
+            editFile.undo();
+            
+            expect(editFile.fileData).toEqual(['abc']);
+        });
+        
+        it('should undo overwritten text', () => {
+            const editFile = new EditFile('test.txt', ['abcdef']);
+            
+            editFile.writeText('XYZ', 1, 0, false);
+            editFile.undo();
+            
+            expect(editFile.fileData).toEqual(['abcdef']);
+        });
+        
+        it('should treat a transaction as one step and return its view states', () => {
+            const editFile = new EditFile('test.txt', ['line1line2']);
+            
+            editFile.beginTransaction(null, { cursorX: 5, cursorY: 0 });
+            editFile.splitLine(5, 0);
+            editFile.insertText('pasted\ntext', 0, 1);
+            editFile.endTransaction({ cursorX: 4, cursorY: 2 });
+            
+            expect(editFile.fileData).toEqual(['line1', 'pasted', 'textline2']);
+            expect(editFile.undo()).toEqual({ cursorX: 5, cursorY: 0 });
+            expect(editFile.fileData).toEqual(['line1line2']);
+            expect(editFile.redo()).toEqual({ cursorX: 4, cursorY: 2 });
+            expect(editFile.fileData).toEqual(['line1', 'pasted', 'textline2']);
+        });
+        
+        it('should coalesce consecutive typing into one step', () => {
+            const editFile = new EditFile('test.txt', ['']);
+            
+            ['a', 'b', 'c'].forEach((ch, i) => {
+                editFile.beginTransaction('typing');
+                editFile.writeText(ch, i, 0, true);
+                editFile.endTransaction();
+            });
+            editFile.undo();
+            
+            expect(editFile.fileData).toEqual(['']);
+            expect(editFile.canUndo()).toBe(false);
+        });
+        
+        it('should start a new typing step at a word boundary', () => {
+            const editFile = new EditFile('test.txt', ['']);
+            
+            ['a', 'b', ' ', 'c'].forEach((ch, i) => {
+                editFile.beginTransaction('typing');
+                editFile.writeText(ch, i, 0, true);
+                editFile.endTransaction();
+            });
+            editFile.undo();
+            
+            expect(editFile.fileData).toEqual(['ab']);
+        });
+        
+        it('should not coalesce typing at a different position', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            editFile.beginTransaction('typing');
+            editFile.writeText('X', 0, 0, true);
+            editFile.endTransaction();
+            editFile.beginTransaction('typing');
+            editFile.writeText('Y', 4, 0, true);
+            editFile.endTransaction();
+            editFile.undo();
+            
+            expect(editFile.fileData).toEqual(['Xabc']);
+        });
+        
+        it('should clear the redo stack after a new edit', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            editFile.deleteChar(0, 0);
+            editFile.undo();
+            editFile.deleteChar(2, 0);
+            
+            expect(editFile.canRedo()).toBe(false);
+            expect(editFile.fileData).toEqual(['ab']);
+        });
+    });
+
+    describe('modified flag', () => {
+        it('should start unmodified', () => {
+            expect(new EditFile('test.txt', ['abc']).modified).toBe(false);
+        });
+        
+        it('should be set by edits and by undo', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            editFile.writeText('x', 0, 0, true);
+            expect(editFile.modified).toBe(true);
+            
+            editFile.markSaved();
+            expect(editFile.modified).toBe(false);
+            
+            editFile.undo();
+            expect(editFile.modified).toBe(true);
+        });
+        
+        it('should not be set by edits that change nothing', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            
+            editFile.deleteRange(1, 0, 1, 0);
+            
+            expect(editFile.modified).toBe(false);
+        });
+        
+        it('should count every change in the version', () => {
+            const editFile = new EditFile('test.txt', ['abc']);
+            expect(editFile.version).toBe(0);
+            
+            editFile.writeText('x', 0, 0, true);
+            const afterEdit = editFile.version;
+            expect(afterEdit).toBeGreaterThan(0);
+            
+            editFile.markSaved();
+            expect(editFile.version).toBe(afterEdit);
+            
+            editFile.undo();
+            expect(editFile.version).toBeGreaterThan(afterEdit);
+            
+            const afterUndo = editFile.version;
+            editFile.setEncoding('latin1');
+            expect(editFile.version).toBeGreaterThan(afterUndo);
+        });
+    });
+
+    describe('format', () => {
+        it('should default to LF with a final newline in UTF-8', () => {
+            expect(new EditFile('test.txt', '').format).toEqual({
+                lineEnding: 'lf', finalNewline: true, encoding: 'utf8', bom: false
+            });
+        });
+        
+        it('should strip the carriage returns of a mixed file as one undo step', () => {
+            const editFile = new EditFile('test.txt', ['a\r', 'b', 'c\r'], { lineEnding: 'mixed', finalNewline: false });
+            
+            editFile.setLineEnding('crlf');
+            expect(editFile.fileData).toEqual(['a', 'b', 'c\r']);
+            expect(editFile.format.lineEnding).toBe('crlf');
+            expect(editFile.modified).toBe(true);
+            
+            editFile.undo();
+            expect(editFile.fileData).toEqual(['a\r', 'b', 'c\r']);
+        });
+        
+        it('should reject unknown line endings and encodings', () => {
+            const editFile = new EditFile('test.txt', '');
+            
+            expect(() => editFile.setLineEnding('cr')).toThrow('Unsupported line ending: cr');
+            expect(() => editFile.setEncoding('ebcdic')).toThrow('Unsupported encoding: ebcdic');
+        });
+        
+        it('should never write a byte order mark in latin1', () => {
+            const editFile = new EditFile('test.txt', '');
+            
+            editFile.setEncoding('latin1', true);
+            
+            expect(editFile.format).toMatchObject({ encoding: 'latin1', bom: false });
+        });
+    });
+
+    describe('onChange', () => {
+        it('should report the first changed line and the lines removed and added', () => {
+            const editFile = new EditFile('test.txt', ['one', 'two', 'three']);
+            const listener = jest.fn();
+            editFile.onChange(listener);
+
+            editFile.writeText('x', 0, 1, true);
+            editFile.splitLine(1, 1);
+            editFile.joinLines(0);
+            editFile.undo();
+
+            expect(listener.mock.calls).toEqual([[1, 0, 0], [1, 0, 1], [0, 1, 0], [0, 0, 1]]);
+        });
+
+        it('should stop calling a listener once it is removed', () => {
+            const editFile = new EditFile('test.txt', ['one']);
+            const listener = jest.fn();
+            const remove = editFile.onChange(listener);
+
+            remove();
+            editFile.writeText('x', 0, 0, true);
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+});
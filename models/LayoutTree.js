@@ -0,0 +1,258 @@
+/**
+ * Binary tree of panes dividing the editor area between windows. A leaf
+ * holds one window; a split divides its area between two children, either
+ * side by side ('vertical', the divider runs vertically) or one above the
+ * other ('horizontal'). Removing a window lets its sibling take the place of
+ * their split.
+ * @class
+ */
+class LayoutTree {
+    constructor() {
+        /** @private Root node, null while there are no panes */
+        this.root = null;
+    }
+
+    /**
+     * @returns {boolean} Whether there are no panes
+     */
+    isEmpty() {
+        return this.root === null;
+    }
+
+    /**
+     * Checks whether a window is shown in a pane
+     * @param {IWindow} window - The window
+     * @returns {boolean} Whether one of the leaves holds it
+     */
+    has(window) {
+        return this._findLeaf(window) !== null;
+    }
+
+    /**
+     * Gets the windows of all panes, left to right and top to bottom
+     * @returns {IWindow[]} The windows
+     */
+    getWindows() {
+        const windows = [];
+        const visit = node => {
+            if (!node) return;
+            if (node.window) {
+                windows.push(node.window);
+            } else {
+                visit(node.first);
+                visit(node.second);
+            }
+        };
+        visit(this.root);
+        return windows;
+    }
+
+    /**
+     * Shows a window in the pane of another one, or in a single pane when the
+     * tree is empty. The window that was there is no longer part of the tree.
+     * @param {IWindow|null} target - The window whose pane to use
+     * @param {IWindow} window - The window to show
+     */
+    replace(target, window) {
+        const leaf = this._findLeaf(target);
+        if (leaf) {
+            leaf.window = window;
+        } else if (this.root === null) {
+            this.root = LayoutTree._leaf(window, null);
+        } else {
+            throw new Error('Window to replace is not in the layout');
+        }
+    }
+
+    /**
+     * Splits the pane of a window in two, showing another window in the new half
+     * @param {IWindow} target - The window whose pane to split; it keeps the left or top half
+     * @param {IWindow} window - The window for the right or bottom half
+     * @param {string} direction - 'vertical' for side by side, 'horizontal' for one above the other
+     */
+    split(target, window, direction) {
+        if (direction !== 'vertical' && direction !== 'horizontal') {
+            throw new Error(`Unknown split direction: ${direction}`);
+        }
+        const leaf = this._findLeaf(target);
+        if (!leaf) {
+            throw new Error('Window to split is not in the layout');
+        }
+
+        // The leaf becomes the split, so its parent keeps pointing at the same node
+        const first = LayoutTree._leaf(target, leaf);
+        const second = LayoutTree._leaf(window, leaf);
+        delete leaf.window;
+        Object.assign(leaf, { direction, ratio: 0.5, first, second, area: null });
+    }
+
+    /**
+     * Removes the pane of a window; the other half of its split takes its place
+     * @param {IWindow} window - The window to remove
+     * @returns {IWindow|null} The window of the pane that grew into the space, or null
+     */
+    remove(window) {
+        const leaf = this._findLeaf(window);
+        if (!leaf) return null;
+
+        const parent = leaf.parent;
+        if (!parent) {
+            this.root = null;
+            return null;
+        }
+
+        const removedFirst = parent.first === leaf;
+        const sibling = removedFirst ? parent.second : parent.first;
+        // The sibling moves into the parent node, which keeps its own parent
+        delete parent.direction;
+        delete parent.ratio;
+        delete parent.first;
+        delete parent.second;
+        Object.assign(parent, sibling, { parent: parent.parent, area: null });
+        if (!parent.window) {
+            parent.first.parent = parent;
+            parent.second.parent = parent;
+        }
+
+        // Focus goes to the pane that was next to the removed one
+        let nearest = parent;
+        while (!nearest.window) {
+            nearest = removedFirst ? nearest.first : nearest.second;
+        }
+        return nearest.window;
+    }
+
+    /**
+     * Divides an area between the panes
+     * @param {{left: number, top: number, width: number, height: number}} area - The editor area
+     * @returns {Map<IWindow, {left: number, top: number, width: number, height: number}>} The area of each pane
+     */
+    layout(area) {
+        const areas = new Map();
+        const place = (node, nodeArea) => {
+            node.area = nodeArea;
+            if (node.window) {
+                areas.set(node.window, nodeArea);
+                return;
+            }
+
+            const vertical = node.direction === 'vertical';
+            const size = vertical ? nodeArea.width : nodeArea.height;
+            const firstSize = this._clampSize(Math.round(size * node.ratio), size, vertical);
+            if (vertical) {
+                place(node.first, { ...nodeArea, width: firstSize });
+                place(node.second, { ...nodeArea, left: nodeArea.left + firstSize, width: size - firstSize });
+            } else {
+                place(node.first, { ...nodeArea, height: firstSize });
+                place(node.second, { ...nodeArea, top: nodeArea.top + firstSize, height: size - firstSize });
+            }
+        };
+        if (this.root) {
+            place(this.root, area);
+        }
+        return areas;
+    }
+
+    /**
+     * Grows or shrinks the pane of a window by moving the divider of the
+     * nearest split in the given direction. Takes effect on the next layout().
+     * @param {IWindow} window - The window whose pane to resize
+     * @param {string} direction - 'vertical' to change the width, 'horizontal' to change the height
+     * @param {number} amount - Columns or rows to add; negative to shrink
+     * @returns {boolean} Whether a divider moved
+     */
+    resize(window, direction, amount) {
+        let child = this._findLeaf(window);
+        let node = child && child.parent;
+        while (node && node.direction !== direction) {
+            child = node;
+            node = node.parent;
+        }
+        if (!node || !node.area) return false;
+
+        const vertical = direction === 'vertical';
+        const size = vertical ? node.area.width : node.area.height;
+        const current = this._clampSize(Math.round(size * node.ratio), size, vertical);
+        const wanted = this._clampSize(current + (node.first === child ? amount : -amount), size, vertical);
+        if (wanted === current) return false;
+
+        node.ratio = wanted / size;
+        return true;
+    }
+
+    /**
+     * Finds the window next to another one on the screen
+     * @param {Map<IWindow, {left: number, top: number, width: number, height: number}>} areas - Where each window is
+     * @param {IWindow} window - The window to start from
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
+     * @returns {IWindow|null} The nearest window in that direction that lines up with this one, or null
+     */
+    static findNeighbor(areas, window, direction) {
+        const from = areas.get(window);
+        if (!from) return null;
+
+        const horizontal = direction === 'left' || direction === 'right';
+        let best = null;
+        for (const [other, area] of areas) {
+            if (other === window) continue;
+
+            // How far the other window is in that direction; it must be entirely past this one
+            const distance = {
+                left: from.left - (area.left + area.width),
+                right: area.left - (from.left + from.width),
+                up: from.top - (area.top + area.height),
+                down: area.top - (from.top + from.height)
+            }[direction];
+            // How much the two line up across the direction
+            const overlap = horizontal
+                ? Math.min(from.top + from.height, area.top + area.height) - Math.max(from.top, area.top)
+                : Math.min(from.left + from.width, area.left + area.width) - Math.max(from.left, area.left);
+            if (distance < 0 || overlap <= 0) continue;
+
+            if (!best || distance < best.distance || (distance === best.distance && overlap > best.overlap)) {
+                best = { window: other, distance, overlap };
+            }
+        }
+        return best ? best.window : null;
+    }
+
+    /**
+     * Keeps the first half of a split at least the minimum size, and leaves
+     * the minimum size for the second half, as far as the split is big enough
+     * @private
+     */
+    _clampSize(firstSize, size, vertical) {
+        const minimum = Math.min(vertical ? LayoutTree.MIN_WIDTH : LayoutTree.MIN_HEIGHT, Math.floor(size / 2));
+        return Math.max(minimum, Math.min(size - minimum, firstSize));
+    }
+
+    /**
+     * @param {IWindow} window - The window to look for
+     * @returns {Object|null} The leaf holding it
+     * @private
+     */
+    _findLeaf(window) {
+        if (!window) return null;
+        const stack = this.root ? [this.root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.window === window) return node;
+            if (!node.window) stack.push(node.first, node.second);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    static _leaf(window, parent) {
+        return { window, parent, area: null };
+    }
+}
+
+/** Smallest width of a pane, borders included, when there is room for it */
+LayoutTree.MIN_WIDTH = 10;
+/** Smallest height of a pane, borders included, when there is room for it */
+LayoutTree.MIN_HEIGHT = 3;
+
+module.exports = LayoutTree;
@@ -0,0 +1,96 @@
+const LayoutTree = require('./LayoutTree');
+
+describe('LayoutTree', () => {
+    const area = { left: 0, top: 1, width: 80, height: 24 };
+    let tree;
+
+    beforeEach(() => {
+        tree = new LayoutTree();
+    });
+
+    it('should give a single window the whole area', () => {
+        tree.replace(null, 'a');
+
+        expect(tree.isEmpty()).toBe(false);
+        expect(tree.layout(area)).toEqual(new Map([['a', area]]));
+    });
+
+    it('should show another window in the pane of one it replaces', () => {
+        tree.replace(null, 'a');
+        tree.replace('a', 'b');
+
+        expect(tree.has('a')).toBe(false);
+        expect(tree.getWindows()).toEqual(['b']);
+        expect(() => tree.replace('a', 'c')).toThrow('not in the layout');
+    });
+
+    it('should split panes side by side and one above the other', () => {
+        tree.replace(null, 'a');
+        tree.split('a', 'b', 'vertical');
+        tree.split('b', 'c', 'horizontal');
+
+        expect(tree.getWindows()).toEqual(['a', 'b', 'c']);
+        expect(tree.layout(area)).toEqual(new Map([
+            ['a', { left: 0, top: 1, width: 40, height: 24 }],
+            ['b', { left: 40, top: 1, width: 40, height: 12 }],
+            ['c', { left: 40, top: 13, width: 40, height: 12 }]
+        ]));
+    });
+
+    it('should let the sibling take the place of a removed pane', () => {
+        tree.replace(null, 'a');
+        tree.split('a', 'b', 'vertical');
+        tree.split('b', 'c', 'horizontal');
+
+        expect(tree.remove('a')).toBe('b');
+        expect(tree.layout(area)).toEqual(new Map([
+            ['b', { left: 0, top: 1, width: 80, height: 12 }],
+            ['c', { left: 0, top: 13, width: 80, height: 12 }]
+        ]));
+
+        expect(tree.remove('c')).toBe('b');
+        expect(tree.remove('b')).toBeNull();
+        expect(tree.isEmpty()).toBe(true);
+    });
+
+    it('should move the divider of the nearest split in the direction', () => {
+        tree.replace(null, 'a');
+        tree.split('a', 'b', 'vertical');
+        tree.split('b', 'c', 'horizontal');
+        tree.layout(area);
+
+        expect(tree.resize('c', 'vertical', 5)).toBe(true);
+        expect(tree.resize('c', 'horizontal', 2)).toBe(true);
+        const areas = tree.layout(area);
+
+        expect(areas.get('a').width).toBe(35);
+        expect(areas.get('c')).toEqual({ left: 35, top: 11, width: 45, height: 14 });
+    });
+
+    it('should keep panes at their minimum size', () => {
+        tree.replace(null, 'a');
+        tree.split('a', 'b', 'vertical');
+        tree.layout(area);
+
+        tree.resize('a', 'vertical', 100);
+        expect(tree.layout(area).get('b').width).toBe(LayoutTree.MIN_WIDTH);
+        expect(tree.resize('a', 'vertical', 1)).toBe(false);
+        expect(tree.resize('a', 'horizontal', 1)).toBe(false);
+    });
+
+    it('should find the window next to another one', () => {
+        const areas = new Map([
+            ['explorer', { left: 0, top: 1, width: 30, height: 24 }],
+            ['a', { left: 30, top: 1, width: 25, height: 24 }],
+            ['b', { left: 55, top: 1, width: 25, height: 12 }],
+            ['c', { left: 55, top: 13, width: 25, height: 12 }]
+        ]);
+
+        expect(LayoutTree.findNeighbor(areas, 'a', 'left')).toBe('explorer');
+        expect(LayoutTree.findNeighbor(areas, 'a', 'right')).toBe('b');
+        expect(LayoutTree.findNeighbor(areas, 'b', 'down')).toBe('c');
+        expect(LayoutTree.findNeighbor(areas, 'c', 'left')).toBe('a');
+        expect(LayoutTree.findNeighbor(areas, 'c', 'up')).toBe('b');
+        expect(LayoutTree.findNeighbor(areas, 'b', 'up')).toBeNull();
+    });
+});
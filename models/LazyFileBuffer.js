@@ -0,0 +1,303 @@
+const fs = require('fs').promises;
+
+/**
+ * Read-only line store for files too large to load at once. The file is
+ * scanned for line breaks in the background, remembering the byte offset of
+ * every LINES_PER_BLOCK-th line; blocks of lines are read and decoded when
+ * they are first shown and kept in a small cache. Lines that were not loaded
+ * with load() read as empty strings.
+ * @class
+ */
+class LazyFileBuffer {
+    /**
+     * @param {string} filePath - Absolute path of the file
+     * @param {Object} options - How the file is encoded
+     * @param {number} options.size - Size of the file in bytes
+     * @param {string} options.encoding - 'utf8', 'latin1', 'utf16le' or 'utf16be'
+     * @param {number} [options.dataStart=0] - Offset of the first byte after the byte order mark
+     * @param {boolean} [options.stripCarriageReturns=false] - Whether to remove the '\r' of CRLF line breaks
+     * @param {Function} options.decode - Decodes a Buffer of the file into a string
+     */
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.size = options.size;
+        /** @private */
+        this.encoding = options.encoding;
+        /** @private */
+        this.dataStart = options.dataStart || 0;
+        /** @private */
+        this.stripCarriageReturns = !!options.stripCarriageReturns;
+        /** @private */
+        this.decode = options.decode;
+
+        /** @private Byte offsets of the first line of each block */
+        this.blockStarts = new Float64Array(64);
+        this.blockStarts[0] = this.dataStart;
+        /** @private Number of entries used in blockStarts */
+        this.blockCount = 1;
+        /** @private Lines whose line break has been found */
+        this.completeLines = 0;
+        /** @private Bytes scanned so far */
+        this.scanned = this.dataStart;
+        /** @private Whether the byte before the end of the file is a line break */
+        this.endsWithLineBreak = false;
+
+        /**
+         * Whether the file is still being scanned
+         * @type {boolean}
+         */
+        this.indexing = true;
+        /** @private Set by close() to stop scanning */
+        this.closed = false;
+        /** @private Callbacks waiting for more of the file to be scanned */
+        this.waiting = [];
+        /** @private Decoded blocks by block number, least recently used first */
+        this.cache = new Map();
+        /** @private Complete lines of the block the scan is in, which is not cached yet */
+        this.partialBlock = null;
+    }
+
+    /**
+     * @returns {number} The number of lines found so far; all of them once indexing is done
+     */
+    get lineCount() {
+        if (this.indexing) return Math.max(1, this.completeLines);
+        // Text after the last line break is a line of its own
+        return this.endsWithLineBreak ? Math.max(1, this.completeLines) : this.completeLines + 1;
+    }
+
+    /**
+     * @returns {number} How much of the file has been scanned, from 0 to 1
+     */
+    get progress() {
+        return this.size > 0 ? Math.min(1, this.scanned / this.size) : 1;
+    }
+
+    /**
+     * Scans the whole file for line breaks. Lines become available as the
+     * scan goes on; the promise resolves when it is finished or closed.
+     * @returns {Promise<void>}
+     */
+    async index() {
+        let handle = null;
+        try {
+            handle = await fs.open(this.filePath, 'r');
+            const chunk = Buffer.alloc(LazyFileBuffer.CHUNK_SIZE);
+            const unit = this.encoding.startsWith('utf16') ? 2 : 1;
+            let position = this.dataStart;
+
+            while (!this.closed) {
+                const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+                // Keep UTF-16 reads aligned so a line break never straddles two chunks
+                const usable = bytesRead - (bytesRead % unit);
+                if (usable === 0) break;
+
+                this._scan(chunk.subarray(0, usable), position);
+                position += usable;
+                this.scanned = position;
+                this._notify();
+            }
+        } finally {
+            if (handle) await handle.close();
+            this.indexing = false;
+            this._notify();
+        }
+    }
+
+    /**
+     * Stops scanning the file
+     */
+    close() {
+        this.closed = true;
+    }
+
+    /**
+     * Reads the lines [start, end) into the cache, waiting for the scan to reach them
+     * @param {number} start - First line
+     * @param {number} end - Line after the last one
+     * @returns {Promise<void>}
+     */
+    async load(start, end) {
+        while (this.indexing && !this.closed && this.completeLines < end) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        const lastLine = Math.min(end, this.lineCount) - 1;
+        for (let block = Math.floor(start / LazyFileBuffer.LINES_PER_BLOCK);
+            block <= Math.floor(lastLine / LazyFileBuffer.LINES_PER_BLOCK); block++) {
+            if (!this.cache.has(block)) {
+                await this._loadBlock(block);
+            }
+        }
+    }
+
+    /**
+     * Gets a line that was loaded with load()
+     * @param {number} y - The line number
+     * @returns {string|undefined} The line, '' if it is not loaded, or undefined if there is no such line
+     */
+    getLine(y) {
+        if (y < 0 || y >= this.lineCount || !Number.isInteger(y)) return undefined;
+
+        const block = Math.floor(y / LazyFileBuffer.LINES_PER_BLOCK);
+        const lines = this.cache.get(block);
+        if (!lines) {
+            const partial = this.partialBlock;
+            return (partial && partial.block === block && partial.lines[y % LazyFileBuffer.LINES_PER_BLOCK]) || '';
+        }
+
+        // Mark the block as recently used
+        this.cache.delete(block);
+        this.cache.set(block, lines);
+        return lines[y % LazyFileBuffer.LINES_PER_BLOCK] || '';
+    }
+
+    /**
+     * Gets a range of loaded lines
+     * @param {number} [start=0] - First line
+     * @param {number} [end=lineCount] - Line after the last one
+     * @returns {string[]} The lines
+     */
+    getLines(start = 0, end = this.lineCount) {
+        const lines = [];
+        for (let y = Math.max(0, start); y < Math.min(end, this.lineCount); y++) {
+            lines.push(this.getLine(y));
+        }
+        return lines;
+    }
+
+    /**
+     * Gets the length of a loaded line
+     * @param {number} y - The line number
+     * @returns {number} The number of characters, 0 if there is no such line
+     */
+    lineLength(y) {
+        return (this.getLine(y) || '').length;
+    }
+
+    /**
+     * Gets the loaded lines joined by '\n'
+     * @returns {string} The text
+     */
+    getText() {
+        return this.getLines().join('\n');
+    }
+
+    /**
+     * Records the line breaks in a chunk of the file
+     * @param {Buffer} chunk - The bytes read
+     * @param {number} position - Offset of the chunk in the file
+     * @private
+     */
+    _scan(chunk, position) {
+        const breaks = this._findLineBreaks(chunk);
+        for (const index of breaks) {
+            this.completeLines++;
+            if (this.completeLines % LazyFileBuffer.LINES_PER_BLOCK === 0) {
+                this._addBlockStart(position + index + (this.encoding.startsWith('utf16') ? 2 : 1));
+            }
+        }
+        if (chunk.length > 0) {
+            const lastUnit = this.encoding.startsWith('utf16') ? chunk.length - 2 : chunk.length - 1;
+            this.endsWithLineBreak = breaks.length > 0 && breaks[breaks.length - 1] === lastUnit;
+        }
+    }
+
+    /**
+     * Finds the offsets of the line breaks in a chunk
+     * @param {Buffer} chunk - The bytes, aligned to the encoding's code units
+     * @returns {number[]} Offsets of the first byte of each line break
+     * @private
+     */
+    _findLineBreaks(chunk) {
+        const breaks = [];
+        if (this.encoding === 'utf16le' || this.encoding === 'utf16be') {
+            const high = this.encoding === 'utf16le' ? 1 : 0;
+            for (let i = chunk.indexOf(0x0a); i !== -1; i = chunk.indexOf(0x0a, i + 1)) {
+                // The newline unit is 0x0a 0x00 (LE) or 0x00 0x0a (BE) on an even offset
+                const unitStart = high === 1 ? i : i - 1;
+                if (unitStart >= 0 && unitStart % 2 === 0 && chunk[unitStart + high] === 0) {
+                    breaks.push(unitStart);
+                }
+            }
+            return breaks;
+        }
+        for (let i = chunk.indexOf(0x0a); i !== -1; i = chunk.indexOf(0x0a, i + 1)) {
+            breaks.push(i);
+        }
+        return breaks;
+    }
+
+    /**
+     * Appends a block start, growing the array as needed
+     * @private
+     */
+    _addBlockStart(offset) {
+        if (this.blockCount === this.blockStarts.length) {
+            const grown = new Float64Array(this.blockStarts.length * 2);
+            grown.set(this.blockStarts);
+            this.blockStarts = grown;
+        }
+        this.blockStarts[this.blockCount++] = offset;
+    }
+
+    /**
+     * Reads and decodes a block of lines into the cache
+     * @param {number} block - The block number
+     * @private
+     */
+    async _loadBlock(block) {
+        if (block >= this.blockCount) return;
+
+        const start = this.blockStarts[block];
+        const end = block + 1 < this.blockCount ? this.blockStarts[block + 1] : this.scanned;
+        const bytes = Buffer.alloc(end - start);
+        const handle = await fs.open(this.filePath, 'r');
+        try {
+            await handle.read(bytes, 0, bytes.length, start);
+        } finally {
+            await handle.close();
+        }
+
+        const lines = this.decode(bytes).split('\n').slice(0, LazyFileBuffer.LINES_PER_BLOCK);
+        if (this.stripCarriageReturns) {
+            for (let i = 0; i < lines.length; i++) {
+                if (lines[i].endsWith('\r')) lines[i] = lines[i].slice(0, -1);
+            }
+        }
+
+        // The last block may still grow while the file is being scanned, so
+        // only its complete lines are kept, and only until it is loaded again
+        if (block + 1 >= this.blockCount && this.indexing) {
+            this.partialBlock = {
+                block,
+                lines: lines.slice(0, this.completeLines - block * LazyFileBuffer.LINES_PER_BLOCK)
+            };
+            return;
+        }
+
+        this.cache.set(block, lines);
+        while (this.cache.size > LazyFileBuffer.MAX_CACHED_BLOCKS) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Wakes up everything waiting for the scan to progress
+     * @private
+     */
+    _notify() {
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(resolve => resolve());
+    }
+}
+
+/** Bytes read at a time while scanning */
+LazyFileBuffer.CHUNK_SIZE = 1024 * 1024;
+/** Lines per block; one offset is kept per block */
+LazyFileBuffer.LINES_PER_BLOCK = 64;
+/** Number of decoded blocks kept in memory */
+LazyFileBuffer.MAX_CACHED_BLOCKS = 256;
+
+module.exports = LazyFileBuffer;
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LazyFileBuffer = require('./LazyFileBuffer');
+
+describe('LazyFileBuffer', () => {
+    let dir;
+    let filePath;
+
+    const open = (content, options = {}) => {
+        fs.writeFileSync(filePath, content);
+        return new LazyFileBuffer(filePath, {
+            size: Buffer.byteLength(content),
+            encoding: 'utf8',
+            decode: bytes => bytes.toString(options.encoding || 'utf8'),
+            ...options
+        });
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazybuffer-'));
+        filePath = path.join(dir, 'big.txt');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should count lines and read any of them once loaded', async () => {
+        const lines = Array.from({ length: 1000 }, (_, i) => `line ${i}`);
+        const buffer = open(lines.join('\n') + '\n');
+
+        await buffer.index();
+        expect(buffer.indexing).toBe(false);
+        expect(buffer.progress).toBe(1);
+        expect(buffer.lineCount).toBe(1000);
+
+        await buffer.load(500, 520);
+        expect(buffer.getLines(500, 520)).toEqual(lines.slice(500, 520));
+        expect(buffer.getLine(999)).toBe('');
+        expect(buffer.getLine(1000)).toBeUndefined();
+
+        await buffer.load(990, 1000);
+        expect(buffer.getLine(999)).toBe('line 999');
+        expect(buffer.lineLength(999)).toBe(8);
+    });
+
+    it('should count text after the last line break as a line', async () => {
+        const buffer = open('a\nb\nc');
+        await buffer.index();
+        await buffer.load(0, 3);
+
+        expect(buffer.lineCount).toBe(3);
+        expect(buffer.getLines()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should have one empty line when the file is empty', async () => {
+        const buffer = open('');
+        await buffer.index();
+
+        expect(buffer.lineCount).toBe(1);
+        expect(buffer.getLine(0)).toBe('');
+    });
+
+    it('should find line breaks across chunks', async () => {
+        const original = LazyFileBuffer.CHUNK_SIZE;
+        LazyFileBuffer.CHUNK_SIZE = 7;
+        try {
+            const lines = Array.from({ length: 200 }, (_, i) => 'x'.repeat(i % 13));
+            const buffer = open(lines.join('\n'));
+            await buffer.index();
+            await buffer.load(0, 200);
+
+            expect(buffer.getLines()).toEqual(lines);
+        } finally {
+            LazyFileBuffer.CHUNK_SIZE = original;
+        }
+    });
+
+    it('should let lines be loaded before the scan is done', async () => {
+        const original = LazyFileBuffer.CHUNK_SIZE;
+        LazyFileBuffer.CHUNK_SIZE = 64;
+        try {
+            const lines = Array.from({ length: 300 }, (_, i) => `row ${i}`);
+            const buffer = open(lines.join('\n') + '\n');
+            const indexing = buffer.index();
+
+            await buffer.load(100, 110);
+            expect(buffer.getLines(100, 110)).toEqual(lines.slice(100, 110));
+
+            await indexing;
+            expect(buffer.lineCount).toBe(300);
+        } finally {
+            LazyFileBuffer.CHUNK_SIZE = original;
+        }
+    });
+
+    it('should strip carriage returns of CRLF files', async () => {
+        const buffer = open('one\r\ntwo\r\n', { stripCarriageReturns: true });
+        await buffer.index();
+        await buffer.load(0, 2);
+
+        expect(buffer.getLines()).toEqual(['one', 'two']);
+    });
+
+    it('should read UTF-16 after its byte order mark', async () => {
+        const bytes = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('é\nਊ\nz', 'utf16le')]);
+        fs.writeFileSync(filePath, bytes);
+        const buffer = new LazyFileBuffer(filePath, {
+            size: bytes.length,
+            encoding: 'utf16le',
+            dataStart: 2,
+            decode: data => data.toString('utf16le')
+        });
+
+        await buffer.index();
+        await buffer.load(0, 3);
+
+        // U+0A0A has 0x0a bytes but is not a line break
+        expect(buffer.getLines()).toEqual(['é', 'ਊ', 'z']);
+    });
+
+    it('should keep only a limited number of blocks in memory', async () => {
+        const original = LazyFileBuffer.MAX_CACHED_BLOCKS;
+        LazyFileBuffer.MAX_CACHED_BLOCKS = 2;
+        try {
+            const lines = Array.from({ length: LazyFileBuffer.LINES_PER_BLOCK * 4 }, (_, i) => `${i}`);
+            const buffer = open(lines.join('\n'));
+            await buffer.index();
+
+            await buffer.load(0, lines.length);
+            expect(buffer.getLine(0)).toBe('');
+            expect(buffer.getLine(lines.length - 1)).toBe(`${lines.length - 1}`);
+        } finally {
+            LazyFileBuffer.MAX_CACHED_BLOCKS = original;
+        }
+    });
+
+    it('should stop scanning when closed', async () => {
+        const original = LazyFileBuffer.CHUNK_SIZE;
+        LazyFileBuffer.CHUNK_SIZE = 4;
+        try {
+            const buffer = open('a\n'.repeat(1000));
+            const indexing = buffer.index();
+            buffer.close();
+            await indexing;
+
+            expect(buffer.indexing).toBe(false);
+            expect(buffer.progress).toBeLessThan(1);
+        } finally {
+            LazyFileBuffer.CHUNK_SIZE = original;
+        }
+    });
+});
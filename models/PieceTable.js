@@ -0,0 +1,434 @@
+/**
+ * Text storage for EditFile. The loaded text is kept as one string and never
+ * changed; inserted text is appended to add buffers. The document is the
+ * sequence of pieces (ranges of those buffers) held in a treap ordered by
+ * position, where every node knows the length and number of line breaks of
+ * its subtree. Inserting, deleting and finding a line are O(log n) in the
+ * number of pieces, and memory stays close to the size of the text.
+ * @class
+ */
+class PieceTable {
+    /**
+     * @param {string} [text=''] - The initial text, lines separated by '\n'
+     */
+    constructor(text = '') {
+        /**
+         * @private
+         * @type {Array<{text: string, lineBreaks: ArrayLike<number>}>}
+         * Source texts with the offsets of their '\n' characters; buffer 0 is the initial text
+         */
+        this.buffers = [PieceTable._createBuffer(text)];
+        /** @private Index of the add buffer that small insertions are appended to, or -1 */
+        this.addBuffer = -1;
+        /** @private */
+        this.root = text.length > 0 ? this._createNode(0, 0, text.length) : null;
+    }
+
+    /**
+     * @returns {number} The number of characters in the document
+     */
+    get length() {
+        return PieceTable._length(this.root);
+    }
+
+    /**
+     * @returns {number} The number of lines; an empty document has one
+     */
+    get lineCount() {
+        return PieceTable._lineBreaks(this.root) + 1;
+    }
+
+    /**
+     * @returns {number} The number of pieces the document is made of
+     */
+    get pieceCount() {
+        let count = 0;
+        const visit = node => {
+            if (!node) return;
+            count++;
+            visit(node.left);
+            visit(node.right);
+        };
+        visit(this.root);
+        return count;
+    }
+
+    /**
+     * Gets a line without its line break
+     * @param {number} y - The line number
+     * @returns {string|undefined} The line, or undefined if there is no such line
+     */
+    getLine(y) {
+        if (y < 0 || y >= this.lineCount || !Number.isInteger(y)) return undefined;
+        return this.getText(this.lineStart(y), this.lineEnd(y));
+    }
+
+    /**
+     * Gets a range of lines
+     * @param {number} [start=0] - First line
+     * @param {number} [end=lineCount] - Line after the last one
+     * @returns {string[]} The lines
+     */
+    getLines(start = 0, end = this.lineCount) {
+        start = Math.max(0, start);
+        end = Math.min(end, this.lineCount);
+        if (start >= end) return [];
+        return this.getText(this.lineStart(start), this.lineEnd(end - 1)).split('\n');
+    }
+
+    /**
+     * Gets the offset of the first character of a line
+     * @param {number} y - The line number
+     * @returns {number} The offset
+     */
+    lineStart(y) {
+        return y <= 0 ? 0 : this._findLineBreak(y) + 1;
+    }
+
+    /**
+     * Gets the offset just past the last character of a line (its line break, if any)
+     * @param {number} y - The line number
+     * @returns {number} The offset
+     */
+    lineEnd(y) {
+        return y >= this.lineCount - 1 ? this.length : this._findLineBreak(y + 1);
+    }
+
+    /**
+     * Gets the length of a line
+     * @param {number} y - The line number
+     * @returns {number} The number of characters, without the line break; 0 if there is no such line
+     */
+    lineLength(y) {
+        if (y < 0 || y >= this.lineCount) return 0;
+        return this.lineEnd(y) - this.lineStart(y);
+    }
+
+    /**
+     * Gets part of the document
+     * @param {number} [start=0] - Offset of the first character
+     * @param {number} [end=length] - Offset after the last character
+     * @returns {string} The text
+     */
+    getText(start = 0, end = this.length) {
+        const parts = [];
+        this._collect(this.root, 0, Math.max(0, start), end, parts);
+        return parts.join('');
+    }
+
+    /**
+     * Inserts text at an offset
+     * @param {number} offset - Where to insert
+     * @param {string} text - The text to insert
+     */
+    insert(offset, text) {
+        if (text.length === 0) return;
+
+        const [left, right] = this._split(this.root, offset);
+        const buffer = this._append(text);
+        const start = this.buffers[buffer].text.length - text.length;
+
+        // Typing appends to the piece that ends where the text is inserted
+        const last = PieceTable._rightmost(left);
+        if (last && last.buffer === buffer && last.start + last.length === start) {
+            this._extendRightmost(left, text.length, PieceTable._countLineBreaks(text));
+            this.root = this._merge(left, right);
+        } else {
+            this.root = this._merge(this._merge(left, this._createNode(buffer, start, text.length)), right);
+        }
+    }
+
+    /**
+     * Deletes part of the document
+     * @param {number} offset - Offset of the first character to delete
+     * @param {number} length - Number of characters to delete
+     */
+    delete(offset, length) {
+        if (length <= 0) return;
+
+        const [left, rest] = this._split(this.root, offset);
+        const [, right] = this._split(rest, length);
+        this.root = this._merge(left, right);
+    }
+
+    /**
+     * Stores inserted text, appending small insertions to the current add
+     * buffer and giving large ones a buffer of their own
+     * @param {string} text - The inserted text
+     * @returns {number} Index of the buffer the text ends up at the end of
+     * @private
+     */
+    _append(text) {
+        const current = this.buffers[this.addBuffer];
+        if (current && current.text.length + text.length <= PieceTable.ADD_BUFFER_SIZE) {
+            for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+                current.lineBreaks.push(current.text.length + i);
+            }
+            current.text += text;
+            return this.addBuffer;
+        }
+
+        if (text.length >= PieceTable.ADD_BUFFER_SIZE) {
+            this.buffers.push(PieceTable._createBuffer(text));
+            return this.buffers.length - 1;
+        }
+
+        // Add buffers grow, so their line breaks go into a plain array
+        this.buffers.push({ text: '', lineBreaks: [] });
+        this.addBuffer = this.buffers.length - 1;
+        return this._append(text);
+    }
+
+    /**
+     * Creates a tree node for a piece
+     * @private
+     */
+    _createNode(buffer, start, length) {
+        const node = {
+            buffer,
+            start,
+            length,
+            lineBreaks: this._countPieceLineBreaks(buffer, start, length),
+            priority: Math.random(),
+            left: null,
+            right: null,
+            totalLength: 0,
+            totalLineBreaks: 0
+        };
+        PieceTable._update(node);
+        return node;
+    }
+
+    /**
+     * Counts the line breaks in a range of a buffer
+     * @private
+     */
+    _countPieceLineBreaks(buffer, start, length) {
+        const lineBreaks = this.buffers[buffer].lineBreaks;
+        return PieceTable._lowerBound(lineBreaks, start + length) - PieceTable._lowerBound(lineBreaks, start);
+    }
+
+    /**
+     * Splits a tree into the first `offset` characters and the rest,
+     * cutting the piece that contains the offset in two if necessary
+     * @returns {Array} The left and right trees
+     * @private
+     */
+    _split(node, offset) {
+        const [left, right] = this._splitBefore(node, offset);
+        const cut = offset - PieceTable._length(left);
+        if (!right || cut <= 0) return [left, right];
+
+        // Both halves get priorities of their own; halves sharing the priority
+        // of the piece would pile up into a chain when it is cut many times
+        const [piece, rest] = this._removeLeftmost(right);
+        const head = this._createNode(piece.buffer, piece.start, cut);
+        const tail = this._createNode(piece.buffer, piece.start + cut, piece.length - cut);
+        return [this._merge(left, head), this._merge(tail, rest)];
+    }
+
+    /**
+     * Splits a tree into the pieces that end at or before an offset and the
+     * rest, which starts with the piece containing the offset, if any
+     * @returns {Array} The left and right trees
+     * @private
+     */
+    _splitBefore(node, offset) {
+        if (!node) return [null, null];
+
+        const leftLength = PieceTable._length(node.left);
+        if (offset <= leftLength) {
+            const [left, right] = this._splitBefore(node.left, offset);
+            node.left = right;
+            PieceTable._update(node);
+            return [left, node];
+        }
+        if (offset >= leftLength + node.length) {
+            const [left, right] = this._splitBefore(node.right, offset - leftLength - node.length);
+            node.right = left;
+            PieceTable._update(node);
+            return [node, right];
+        }
+
+        const left = node.left;
+        node.left = null;
+        PieceTable._update(node);
+        return [left, node];
+    }
+
+    /**
+     * Takes the first piece out of a tree
+     * @returns {Array} The piece's node and the remaining tree
+     * @private
+     */
+    _removeLeftmost(node) {
+        if (!node.left) {
+            const rest = node.right;
+            node.right = null;
+            PieceTable._update(node);
+            return [node, rest];
+        }
+        const [leftmost, rest] = this._removeLeftmost(node.left);
+        node.left = rest;
+        PieceTable._update(node);
+        return [leftmost, node];
+    }
+
+    /**
+     * Joins two trees, all of whose pieces come before those of the second
+     * @private
+     */
+    _merge(left, right) {
+        if (!left) return right;
+        if (!right) return left;
+
+        if (left.priority > right.priority) {
+            left.right = this._merge(left.right, right);
+            PieceTable._update(left);
+            return left;
+        }
+        right.left = this._merge(left, right.left);
+        PieceTable._update(right);
+        return right;
+    }
+
+    /**
+     * Grows the last piece of a tree, updating the totals along the way
+     * @private
+     */
+    _extendRightmost(node, length, lineBreaks) {
+        while (node) {
+            node.totalLength += length;
+            node.totalLineBreaks += lineBreaks;
+            if (!node.right) {
+                node.length += length;
+                node.lineBreaks += lineBreaks;
+            }
+            node = node.right;
+        }
+    }
+
+    /**
+     * Finds the offset of the k-th line break (counting from 1)
+     * @private
+     */
+    _findLineBreak(k) {
+        let node = this.root;
+        let base = 0;
+        while (node) {
+            const leftBreaks = PieceTable._lineBreaks(node.left);
+            if (k <= leftBreaks) {
+                node = node.left;
+                continue;
+            }
+            k -= leftBreaks;
+            base += PieceTable._length(node.left);
+            if (k <= node.lineBreaks) {
+                const lineBreaks = this.buffers[node.buffer].lineBreaks;
+                const index = PieceTable._lowerBound(lineBreaks, node.start) + k - 1;
+                return base + lineBreaks[index] - node.start;
+            }
+            k -= node.lineBreaks;
+            base += node.length;
+            node = node.right;
+        }
+        return this.length;
+    }
+
+    /**
+     * Appends the parts of the pieces in [start, end) to `parts`, in order
+     * @private
+     */
+    _collect(node, base, start, end, parts) {
+        if (!node || start >= end) return;
+
+        const nodeStart = base + PieceTable._length(node.left);
+        const nodeEnd = nodeStart + node.length;
+        if (start < nodeStart) {
+            this._collect(node.left, base, start, end, parts);
+        }
+        if (start < nodeEnd && end > nodeStart) {
+            const from = Math.max(start, nodeStart) - nodeStart + node.start;
+            const to = Math.min(end, nodeEnd) - nodeStart + node.start;
+            parts.push(this.buffers[node.buffer].text.slice(from, to));
+        }
+        if (end > nodeEnd) {
+            this._collect(node.right, nodeEnd, start, end, parts);
+        }
+    }
+
+    /**
+     * Creates a buffer for a fixed text, indexing its line breaks
+     * @private
+     */
+    static _createBuffer(text) {
+        const lineBreaks = new Uint32Array(PieceTable._countLineBreaks(text));
+        let count = 0;
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+            lineBreaks[count++] = i;
+        }
+        return { text, lineBreaks };
+    }
+
+    /**
+     * Counts the '\n' characters in a text
+     * @private
+     */
+    static _countLineBreaks(text) {
+        let count = 0;
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Finds the first index of a sorted array whose value is at least `value`
+     * @private
+     */
+    static _lowerBound(values, value) {
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (values[middle] < value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /** @private */
+    static _rightmost(node) {
+        while (node && node.right) {
+            node = node.right;
+        }
+        return node;
+    }
+
+    /** @private */
+    static _length(node) {
+        return node ? node.totalLength : 0;
+    }
+
+    /** @private */
+    static _lineBreaks(node) {
+        return node ? node.totalLineBreaks : 0;
+    }
+
+    /**
+     * Recomputes the totals of a node from its piece and children
+     * @private
+     */
+    static _update(node) {
+        node.totalLength = node.length + PieceTable._length(node.left) + PieceTable._length(node.right);
+        node.totalLineBreaks = node.lineBreaks + PieceTable._lineBreaks(node.left) + PieceTable._lineBreaks(node.right);
+    }
+}
+
+/** Maximum size of an add buffer; larger insertions get a buffer of their own */
+PieceTable.ADD_BUFFER_SIZE = 64 * 1024;
+
+module.exports = PieceTable;
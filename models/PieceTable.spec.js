@@ -0,0 +1,128 @@
+const PieceTable = require('./PieceTable');
+
+describe('PieceTable', () => {
+    describe('constructor', () => {
+        it('should hold the initial text as a single piece', () => {
+            const table = new PieceTable('one\ntwo\nthree');
+
+            expect(table.getText()).toBe('one\ntwo\nthree');
+            expect(table.length).toBe(13);
+            expect(table.lineCount).toBe(3);
+            expect(table.pieceCount).toBe(1);
+        });
+
+        it('should have one empty line when empty', () => {
+            const table = new PieceTable();
+
+            expect(table.length).toBe(0);
+            expect(table.lineCount).toBe(1);
+            expect(table.getLine(0)).toBe('');
+            expect(table.getLines()).toEqual(['']);
+        });
+    });
+
+    describe('lines', () => {
+        let table;
+
+        beforeEach(() => {
+            table = new PieceTable('one\ntwo\n\nfour');
+        });
+
+        it('should get lines without their line breaks', () => {
+            expect(table.getLine(0)).toBe('one');
+            expect(table.getLine(2)).toBe('');
+            expect(table.getLine(3)).toBe('four');
+        });
+
+        it('should return undefined for lines that do not exist', () => {
+            expect(table.getLine(-1)).toBeUndefined();
+            expect(table.getLine(4)).toBeUndefined();
+        });
+
+        it('should get ranges of lines', () => {
+            expect(table.getLines()).toEqual(['one', 'two', '', 'four']);
+            expect(table.getLines(1, 3)).toEqual(['two', '']);
+            expect(table.getLines(3, 10)).toEqual(['four']);
+            expect(table.getLines(2, 2)).toEqual([]);
+        });
+
+        it('should find where lines start and end', () => {
+            expect(table.lineStart(1)).toBe(4);
+            expect(table.lineEnd(1)).toBe(7);
+            expect(table.lineEnd(3)).toBe(table.length);
+        });
+    });
+
+    describe('editing', () => {
+        it('should insert text that spans lines', () => {
+            const table = new PieceTable('ac');
+
+            table.insert(1, 'b\nB');
+
+            expect(table.getLines()).toEqual(['ab', 'Bc']);
+            expect(table.lineCount).toBe(2);
+        });
+
+        it('should delete across pieces and lines', () => {
+            const table = new PieceTable('one\ntwo');
+            table.insert(3, '!');
+            table.insert(0, '>');
+
+            table.delete(2, 5);
+
+            expect(table.getText()).toBe('>owo');
+            expect(table.lineCount).toBe(1);
+        });
+
+        it('should grow the last piece when typing', () => {
+            const table = new PieceTable('text');
+
+            for (const ch of ' typed') {
+                table.insert(table.length, ch);
+            }
+
+            expect(table.getText()).toBe('text typed');
+            expect(table.pieceCount).toBe(2);
+        });
+
+        it('should give large insertions a buffer of their own', () => {
+            const table = new PieceTable('');
+            const large = 'x\n'.repeat(PieceTable.ADD_BUFFER_SIZE);
+
+            table.insert(0, 'a');
+            table.insert(1, large);
+            table.insert(table.length, 'b');
+
+            expect(table.getText()).toBe(`a${large}b`);
+            expect(table.lineCount).toBe(PieceTable.ADD_BUFFER_SIZE + 1);
+        });
+
+        it('should match a plain string after many random edits', () => {
+            let seed = 7;
+            const random = (n) => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return seed % n;
+            };
+            const randomText = (length) => Array.from({ length }, () => 'ab\nc'[random(4)]).join('');
+
+            let expected = randomText(100);
+            const table = new PieceTable(expected);
+            for (let i = 0; i < 2000; i++) {
+                const offset = random(expected.length + 1);
+                if (random(2)) {
+                    const text = randomText(random(6));
+                    expected = expected.slice(0, offset) + text + expected.slice(offset);
+                    table.insert(offset, text);
+                } else {
+                    const length = random(6);
+                    expected = expected.slice(0, offset) + expected.slice(offset + length);
+                    table.delete(offset, length);
+                }
+            }
+
+            expect(table.getText()).toBe(expected);
+            expect(table.getLines()).toEqual(expected.split('\n'));
+            expect(table.getLines(5, 10)).toEqual(expected.split('\n').slice(5, 10));
+        });
+    });
+});
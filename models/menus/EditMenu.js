@@ -0,0 +1,50 @@
+const Menu = require('../Menu');
+
+class EditMenu extends Menu {
+    /**
+     * @param {Object} windowService - The window service instance
+     */
+    constructor(windowService) {
+        super('Edit', 'M-e');
+        this.windowService = windowService;
+        
+        // Add menu items
+        this.addItem('Undo', async () => await this._forward('undo'));
+        this.addItem('Redo', async () => await this._forward('redo'));
+        this.addItem('Cut', async () => await this._forward('cut'));
+        this.addItem('Copy', async () => await this._forward('copy'));
+        this.addItem('Paste', async () => await this._forward('paste'));
+        this.addItem('Add Cursor Above', async () => await this._forward('addCursorAbove'));
+        this.addItem('Add Cursor Below', async () => await this._forward('addCursorBelow'));
+        this.addItem('Add Next Occurrence', async () => await this._forward('addNextOccurrence'));
+        this.addItem('Duplicate Line', async () => await this._forward('duplicateLines'));
+        this.addItem('Move Line Up', async () => await this._forward('moveLines', -1));
+        this.addItem('Move Line Down', async () => await this._forward('moveLines', 1));
+        this.addItem('Delete Line', async () => await this._forward('deleteLines'));
+        this.addItem('Join Lines', async () => await this._forward('joinLines'));
+        this.addItem('Sort Lines', async () => await this._forward('sortLines'));
+        this.addItem('Sort Lines Numerically', async () => await this._forward('sortLines', { numeric: true }));
+        this.addItem('Sort Lines Ignoring Case', async () => await this._forward('sortLines', { ignoreCase: true }));
+        this.addItem('Unique Lines', async () => await this._forward('uniqueLines'));
+        this.addItem('Reverse Lines', async () => await this._forward('reverseLines'));
+        this.addItem('Toggle Comment', async () => await this._forward('toggleComment'));
+        this.addItem('Format', async () => await this._forward('format'));
+    }
+
+    /**
+     * Runs an editing action on the current window, if it supports it
+     * @param {string} action - The name of the window method to call
+     * @param {...*} args - Arguments for the method
+     * @private
+     */
+    async _forward(action, ...args) {
+        if (!this.windowService) return;
+
+        const currentWindow = this.windowService.getCurrentWindow();
+        if (currentWindow && typeof currentWindow[action] === 'function') {
+            await currentWindow[action](...args);
+        }
+    }
+}
+
+module.exports = EditMenu;
@@ -1,4 +1,5 @@
 const Menu = require('../Menu');
+const configService = require('../../services/ConfigService');
 
 class ViewMenu extends Menu {
     /**
@@ -10,6 +11,12 @@ class ViewMenu extends Menu {
         
         // Add menu items
         this.addItem('File Explorer', async () => await this._handleFileExplorer());
+        this.addItem('Split Vertically', async () => await this._handleSplit('vertical'));
+        this.addItem('Split Horizontally', async () => await this._handleSplit('horizontal'));
+        this.addItem('Close Pane', async () => await this._handleClosePane());
+        this.addItem('Line Numbers', async () => await this._handleLineNumbers('absolute'));
+        this.addItem('Relative Line Numbers', async () => await this._handleLineNumbers('relative'));
+        this.addItem('Soft Wrap', async () => await this._handleSoftWrap());
     }
 
     /**
@@ -21,6 +28,51 @@ class ViewMenu extends Menu {
             this.windowService.createFileExplorer();
         }
     }
+
+    /**
+     * Handles splitting the current pane
+     * @param {string} direction - 'vertical' for side by side, 'horizontal' for one above the other
+     * @private
+     */
+    async _handleSplit(direction) {
+        if (this.windowService) {
+            await this.windowService.splitWindow(direction);
+        }
+    }
+
+    /**
+     * Handles closing the current pane
+     * @private
+     */
+    async _handleClosePane() {
+        if (this.windowService) {
+            await this.windowService.closePane();
+        }
+    }
+
+    /**
+     * Handles switching line numbers on in a mode, or off if they are shown in it.
+     * The choice is saved with the other settings.
+     * @param {string} mode - 'absolute' or 'relative'
+     * @private
+     */
+    async _handleLineNumbers(mode) {
+        const editor = configService.get('editor', {});
+        const lineNumbers = editor.lineNumbers === mode ? 'off' : mode;
+        await configService.set('editor', { ...editor, lineNumbers });
+    }
+
+    /**
+     * Handles switching soft wrap of the current window on or off
+     * @private
+     */
+    async _handleSoftWrap() {
+        const window = this.windowService && this.windowService.getCurrentWindow();
+        if (window && typeof window.setSoftWrap === 'function') {
+            window.setSoftWrap(!window.isSoftWrap());
+            await window.redraw();
+        }
+    }
 }
 
 module.exports = ViewMenu; 
\ No newline at end of file
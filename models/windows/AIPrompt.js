@@ -1,6 +1,7 @@
 const KeyEvent = require('../KeyEvent');
 const logger = require('../../services/LoggingService');
 const AIService = require('../../services/AIService');
+const themeService = require('../../services/ThemeService');
 
 /**
  * @class
@@ -31,11 +32,8 @@ class AIPrompt {
         this.width = null;      // Full width
         this.height = 3;        // Fixed height of 3
         
-        // Set styling properties
-        this.borderColor = 'green';
-        this.focusBorderColor = 'brightGreen';
-        this.backgroundColor = 'black';
-        this.foregroundColor = 'white';
+        // Set styling properties from the theme
+        this.applyTheme();
         
         /** @private */
         this.events = [];
@@ -223,6 +221,7 @@ class AIPrompt {
         
         // Create result window with initial "Loading..." message
         this._createResultWindow("Loading AI response...");
+        this._showMessage('Waiting for the AI response...', { timeout: 0 });
         
         // Process the prompt with the AI service
         try {
@@ -240,9 +239,11 @@ class AIPrompt {
             this._updateResultWindow(response);
             
             logger.info('AIPrompt', 'AI response received and displayed');
+            this._showMessage('AI response received');
         } catch (error) {
             // Show error in result window
             this._updateResultWindow(`Error: ${error.message}`);
+            this._showMessage(`AI request failed: ${error.message}`, { error: true });
             logger.error('AIPrompt', `Error getting AI response: ${error.message}`);
             
             // Log error to the logging service
@@ -259,6 +260,18 @@ class AIPrompt {
         this._closeWindow();
     }
     
+    /**
+     * Shows the progress of a request in the status line
+     * @param {string} text - The message
+     * @param {Object} [options] - Options for WindowService.showMessage
+     * @private
+     */
+    _showMessage(text, options) {
+        if (this.windowService && this.windowService.showMessage) {
+            this.windowService.showMessage(text, options);
+        }
+    }
+    
     /**
      * Creates a result window to display AI responses
      * @param {string} initialContent - Initial content to display
@@ -271,6 +284,8 @@ class AIPrompt {
         const window = this.windowService.windowFactory.createWindow({
             fileName: 'AI Response',
             content: initialContent,
+            // Responses are Markdown, which the name cannot tell
+            syntax: 'markdown',
             windowService: this.windowService,
             // Position it above the prompt
             anchorTop: false,
@@ -373,6 +388,17 @@ class AIPrompt {
         this._closeWindow();
     }
     
+    /**
+     * Takes the window colors from the current theme
+     */
+    applyTheme() {
+        const colors = themeService.getColors('prompt');
+        this.borderColor = colors.border;
+        this.focusBorderColor = colors.focusBorder;
+        this.backgroundColor = colors.bg;
+        this.foregroundColor = colors.fg;
+    }
+    
     /**
      * Gets the styling information for the window's UI element
      * @returns {Object} Style object with border, background, and other styling properties
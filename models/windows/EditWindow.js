@@ -1,9 +1,15 @@
 const KeyEvent = require('../KeyEvent');
+const path = require('path');
 const EditFile = require('../EditFile');
 const IndentationService = require('../../services/IndentationService');
 const NanorcService = require('../../services/NanorcService');
+const MarkupService = require('../../services/MarkupService');
+const SearchService = require('../../services/SearchService');
+const FormatterService = require('../../services/FormatterService');
+const clipboardService = require('../../services/ClipboardService');
+const themeService = require('../../services/ThemeService');
+const configService = require('../../services/ConfigService');
 const logger = require('../../services/LoggingService');
-const clipboardy = require('clipboardy');
 
 /**
  * @class
@@ -27,6 +33,35 @@ class EditWindow {
         this.windowService = windowService;
         this.indentationService = new IndentationService();
         this.nanorcService = new NanorcService();
+        this.markupService = new MarkupService();
+        this.searchService = new SearchService();
+        this.formatterService = new FormatterService();
+        
+        // Selection runs from the anchor to the cursor; null means no selection
+        this.selectionAnchor = null;
+        /** @private */
+        this.mouseSelecting = false;
+        
+        // Active find state: { query, options, matcher } or null
+        this.search = null;
+        /** @private */
+        this.searchOrigin = null;
+        /** @private Border label currently shown, to skip needless updates */
+        this.shownLabel = null;
+        /** @private Redraw scheduled while a large file is still being read */
+        this.loadingTimer = null;
+        /** @private Syntax chosen with setSyntax and the file name it was chosen for, or null */
+        this.syntaxOverride = null;
+        /** Name of the syntax the file was last highlighted with, or null, for the status line */
+        this.syntaxName = null;
+        /** @private Gutter markers by kind, each a Map of buffer line to { symbol, color } */
+        this.markers = new Map();
+        /** @private Soft wrap chosen with setSoftWrap, or null to follow the settings */
+        this.softWrapOverride = null;
+        /** Cursors besides the main one, each { x, y, anchor } with anchor a selection anchor or null */
+        this.cursors = [];
+        /** @private Rectangle being selected, { anchor, head } of { column, y } in display columns, or null */
+        this.block = null;
         
         // Initialize window positioning properties
         this.anchorTop = false;    // No anchoring by default
@@ -36,11 +71,8 @@ class EditWindow {
         this.width = null;         // null means fill available space
         this.height = null;        // null means fill available space
         
-        // Set styling properties
-        this.borderColor = 'yellow';
-        this.focusBorderColor = 'white';
-        this.backgroundColor = 'blue';
-        this.foregroundColor = 'white';
+        // Set styling properties from the theme
+        this.applyTheme();
         
         /** @private */
         this.events = [];
@@ -55,22 +87,75 @@ class EditWindow {
     _registerDefaultKeyEvents() {
         // Add navigation events
         this.addEvent(new KeyEvent('backspace', async (key, win) => await this._handleBackspace()));
-        this.addEvent(new KeyEvent('up', async (key, win) => await this._moveCursor(0, -1)));
-        this.addEvent(new KeyEvent('down', async (key, win) => await this._moveCursor(0, 1)));
-        this.addEvent(new KeyEvent('left', async (key, win) => await this._moveCursor(-1, 0)));
-        this.addEvent(new KeyEvent('right', async (key, win) => await this._moveCursor(1, 0)));
+        this.addEvent(new KeyEvent('up', async (key, win) => await this._navigate(false, () => this._moveCursor(0, -1))));
+        this.addEvent(new KeyEvent('down', async (key, win) => await this._navigate(false, () => this._moveCursor(0, 1))));
+        this.addEvent(new KeyEvent('left', async (key, win) => await this._navigate(false, () => this._moveCursor(-1, 0))));
+        this.addEvent(new KeyEvent('right', async (key, win) => await this._navigate(false, () => this._moveCursor(1, 0))));
         this.addEvent(new KeyEvent('tab', async (key, win) => await this._handleTab()));
         this.addEvent(new KeyEvent('delete', async (key, win) => await this._handleDelete()));
         this.addEvent(new KeyEvent('enter', async (key, win) => await this._handleEnter()));
         
         // Add page navigation events
-        this.addEvent(new KeyEvent('pageup', async (key, win) => await this._handlePageUp()));
-        this.addEvent(new KeyEvent('pagedown', async (key, win) => await this._handlePageDown()));
-        this.addEvent(new KeyEvent('home', async (key, win) => await this._handleHome()));
-        this.addEvent(new KeyEvent('end', async (key, win) => await this._handleEnd()));
+        this.addEvent(new KeyEvent('pageup', async (key, win) => await this._navigate(false, () => this._handlePageUp())));
+        this.addEvent(new KeyEvent('pagedown', async (key, win) => await this._navigate(false, () => this._handlePageDown())));
+        this.addEvent(new KeyEvent('home', async (key, win) => await this._navigate(false, () => this._handleHome())));
+        this.addEvent(new KeyEvent('end', async (key, win) => await this._navigate(false, () => this._handleEnd())));
         
+        // Add selection events (shift + navigation extends the selection)
+        this.addEvent(new KeyEvent('S-up', async (key, win) => await this._navigate(true, () => this._moveCursor(0, -1))));
+        this.addEvent(new KeyEvent('S-down', async (key, win) => await this._navigate(true, () => this._moveCursor(0, 1))));
+        this.addEvent(new KeyEvent('S-left', async (key, win) => await this._navigate(true, () => this._moveCursor(-1, 0))));
+        this.addEvent(new KeyEvent('S-right', async (key, win) => await this._navigate(true, () => this._moveCursor(1, 0))));
+        this.addEvent(new KeyEvent('S-pageup', async (key, win) => await this._navigate(true, () => this._handlePageUp())));
+        this.addEvent(new KeyEvent('S-pagedown', async (key, win) => await this._navigate(true, () => this._handlePageDown())));
+        this.addEvent(new KeyEvent('S-home', async (key, win) => await this._navigate(true, () => this._handleHome())));
+        this.addEvent(new KeyEvent('S-end', async (key, win) => await this._navigate(true, () => this._handleEnd())));
+
+        // Add word, document and paragraph jumps (Ctrl + navigation; with shift they extend the selection)
+        const jumps = {
+            left: () => this._findWordLeft(),
+            right: () => this._findWordRight(),
+            home: () => ({ x: 0, y: 0 }),
+            end: () => ({ x: Infinity, y: Infinity }),
+            up: () => this._findParagraph(-1),
+            down: () => this._findParagraph(1)
+        };
+        for (const [name, find] of Object.entries(jumps)) {
+            this.addEvent(new KeyEvent(`C-${name}`, async (key, win) => await this._navigate(false, () => this._jumpTo(find()))));
+            this.addEvent(new KeyEvent(`C-S-${name}`, async (key, win) => await this._navigate(true, () => this._jumpTo(find()))));
+        }
+        // Ctrl+] arrives as a bare control character
+        this.addEvent(new KeyEvent('\x1d', async (key, win) => await this._navigate(false, () => this._jumpTo(this._findMatchingBracket()))));
+
+        // Add multiple cursor events (Alt+Shift + arrows select a block, with a cursor on each line)
+        this.addEvent(new KeyEvent('M-S-up', async (key, win) => await this._extendBlock(0, -1)));
+        this.addEvent(new KeyEvent('M-S-down', async (key, win) => await this._extendBlock(0, 1)));
+        this.addEvent(new KeyEvent('M-S-left', async (key, win) => await this._extendBlock(-1, 0)));
+        this.addEvent(new KeyEvent('M-S-right', async (key, win) => await this._extendBlock(1, 0)));
+        this.addEvent(new KeyEvent('C-d', async (key, win) => await this._handleAddNextOccurrence()));
+        this.addEvent(new KeyEvent('escape', async (key, win) => await this._handleEscape()));
+
+        // Add line events; they work on the lines of the selection, or the cursor line
+        this.addEvent(new KeyEvent('M-up', async (key, win) => await this.moveLines(-1)));
+        this.addEvent(new KeyEvent('M-down', async (key, win) => await this.moveLines(1)));
+        this.addEvent(new KeyEvent('M-d', async (key, win) => await this.duplicateLines()));
+        this.addEvent(new KeyEvent('C-k', async (key, win) => await this.deleteLines()));
+        this.addEvent(new KeyEvent('M-j', async (key, win) => await this.joinLines()));
+        this.addEvent(new KeyEvent('M-/', async (key, win) => await this.toggleComment()));
+        this.addEvent(new KeyEvent('M-s', async (key, win) => await this.sortLines()));
+        this.addEvent(new KeyEvent('M-n', async (key, win) => await this.sortLines({ numeric: true })));
+        this.addEvent(new KeyEvent('M-S-s', async (key, win) => await this.sortLines({ ignoreCase: true })));
+        this.addEvent(new KeyEvent('M-u', async (key, win) => await this.uniqueLines()));
+        this.addEvent(new KeyEvent('M-S-r', async (key, win) => await this.reverseLines()));
+
         // Add clipboard events
         this.addEvent(new KeyEvent('C-v', async (key, win) => await this._handlePaste()));
+        this.addEvent(new KeyEvent('C-c', async (key, win) => await this._handleCopy()));
+        this.addEvent(new KeyEvent('C-x', async (key, win) => await this._handleCut()));
+
+        // Add history events
+        this.addEvent(new KeyEvent('C-z', async (key, win) => await this._handleUndo()));
+        this.addEvent(new KeyEvent('C-y', async (key, win) => await this._handleRedo()));
     }
 
     /**
@@ -111,11 +196,17 @@ class EditWindow {
         }
 
         // If no matching event was found, handle character input
-        if (!eventFound && key.sequence) {
-            const x = this.cursorX + this.scrollOffsetX;
-            const y = this.cursorY + this.scrollOffsetY;
-            this.currentFile.writeText(key.sequence, x, y, this.windowService.insert);
-            this.cursorX++; // Move cursor right after inserting
+        // Unbound control and Alt combinations belong to other handlers
+        // (menus, global shortcuts) and must not end up in the buffer
+        if (!eventFound && key.sequence && !key.ctrl && !key.meta && !/[\x00-\x1f\x7f]/.test(key.sequence)) {
+            // Typing over a selection replaces it, as its own undo step
+            const kind = this._getSelection() ? null : 'typing';
+            this._edit(kind, () => this._forEachCursor(() => {
+                this._deleteSelection();
+                const pos = this._getAbsolutePosition();
+                this.currentFile.writeText(key.sequence, pos.x, pos.y, this.windowService.insert);
+                this.cursorX++; // Move cursor right after inserting
+            }));
             await this.redraw();
         }
     }
@@ -131,364 +222,2243 @@ class EditWindow {
         // Get the visible area dimensions
         const editorHeight = this._getContentHeight();
         const startLine = this.scrollOffsetY;
-        const endLine = Math.min(startLine + editorHeight, this.currentFile.fileData.length);
+        // Files read on demand only have the lines that were loaded
+        await this.currentFile.loadLines(startLine, startLine + editorHeight);
+        const endLine = Math.min(startLine + editorHeight, this.currentFile.getLineCount());
 
         // Get the filename for syntax highlighting
         const filename = this.currentFile.fileName || '';
         logger.debug('Window', `Redrawing window with file: ${filename}`);
         logger.debug('Window', `Visible lines: ${startLine} to ${endLine}`);
 
-        // Process only the visible lines
-        const visibleLines = this.currentFile.fileData
-            .slice(startLine, endLine)
-            .map(line => line.replace(/[\r\n]/g, '')); // Remove any existing newlines
-        
-        logger.debug('Window', `Number of visible lines: ${visibleLines.length}`);
-
-        // Apply syntax highlighting to each line
+        // Highlight the visible lines as displayed, with tabs expanded to display
+        // columns; earlier lines are only scanned for open regions, and cached.
+        // Files read on demand are too large to scan, so they go line by line.
         logger.debug('Window', 'Applying syntax highlighting to visible lines...');
-        const styledLines = await Promise.all(visibleLines.map(async (line, index) => {
-            const styled = await this.nanorcService.style(line, filename);
-            logger.debug('Window', `Line ${index + startLine} styled result: "${styled.substring(0, 50)}${styled.length > 50 ? '...' : ''}"`);
-            return styled;
-        }));
+        const displayLine = y => this._displayLine(y);
+        const syntax = this.getSyntax();
+        // The syntax decides whether lines wrap, so it is known before the rows are laid out
+        const detected = await this.nanorcService.getSyntax(filename, this.currentFile, syntax);
+        this.syntaxName = detected ? detected.name : null;
+        let styledLines;
+        if (this.currentFile.readOnly) {
+            styledLines = [];
+            for (let y = startLine; y < endLine; y++) {
+                styledLines.push(await this.nanorcService.style(displayLine(y), filename, null, syntax));
+            }
+        } else {
+            styledLines = await this.nanorcService.styleLines(this.currentFile, startLine, endLine, filename, displayLine, syntax);
+        }
+        const gutter = this._getGutter();
+        const wrap = this._getWrap();
+        const width = this._getTextWidth(gutter.width);
+        this._adjustHorizontalScroll(wrap, width);
+        const rows = [];
+        styledLines.forEach((styled, index) => {
+            const y = index + startLine;
+            rows.push(...this._layoutLine(this._decorateLine(styled, y), y, gutter, wrap, width));
+        });
+        // Wrapped lines take more rows than there are lines, so the last ones may not fit
+        rows.length = Math.min(rows.length, editorHeight);
+        logger.debug('Window', `Number of visible lines: ${styledLines.length}`);
 
-        // Join the styled lines with newlines
-        const content = styledLines.join('\n');
-        logger.debug('Window', `Setting content with ${styledLines.length} styled lines`);
+        // Join the rows with newlines
+        const content = rows.join('\n');
+        logger.debug('Window', `Setting content with ${rows.length} rows`);
         logger.debug('Window', `Final content preview: "${content.substring(0, 100)}${content.length > 100 ? '...' : ''}"`);
 
         element.setContent(content);
+        this._updateLabel(element);
         this.windowService.screen.render();
         
         // re-position the terminal cursor after redrawing
         this.windowService.updateCursor();
+        this._scheduleLoadingRedraw();
     }
 
     /**
-     * Gets the blessed UI element associated with this window
-     * @private
-     * @returns {Object|null} The blessed element or null if not found
+     * Gets the window title: the file name, marked with '*' when it has unsaved
+     * changes, or as read-only with the progress of reading it from disk
+     * @returns {string} The title
      */
-    _getElement() {
-        if (!this.windowService || !this.windowService.windows) return null;
-        
-        const windowEntry = this.windowService.windows.find(w => w.window === this);
-        return windowEntry ? windowEntry.element : null;
+    getTitle() {
+        const file = this.currentFile;
+        const name = file && file.fileName ? path.basename(file.fileName) : 'Untitled';
+        if (file && file.readOnly) {
+            return file.isLoading()
+                ? `${name} [read-only, indexing ${Math.floor(file.getLoadProgress() * 100)}%]`
+                : `${name} [read-only]`;
+        }
+        return file && file.modified ? `${name} *` : name;
     }
 
     /**
-     * Gets the height of the content area (excluding borders)
-     * @private
-     * @returns {number} The content height
+     * Chooses the syntax used to highlight the file instead of detecting it.
+     * The choice is kept while the window shows a file of the same name.
+     * @param {string|null} name - A syntax name from NanorcService.getSyntaxNames, "none" for
+     *   no highlighting, or null to detect the syntax again
      */
-    _getContentHeight() {
-        const element = this._getElement();
-        return element ? element.height - 2 : 0; // Subtract 2 for borders
+    setSyntax(name) {
+        this.syntaxOverride = name ? { name, fileName: this.currentFile.fileName } : null;
     }
-    
+
     /**
-     * Scrolls the element to the specified position
-     * @private
-     * @param {number} position - The position to scroll to
+     * @returns {string|null} The syntax chosen for the current file, or null if it is detected
      */
-    _scrollTo(position) {
-        const element = this._getElement();
-        if (element && element.scrollTo) {
-            element.scrollTo(position);
+    getSyntax() {
+        const override = this.syntaxOverride;
+        return override && this.currentFile && override.fileName === this.currentFile.fileName ? override.name : null;
+    }
+
+    /**
+     * Chooses whether long lines of this window wrap, instead of following
+     * the editor.softWrap and editor.softWrapBySyntax settings
+     * @param {boolean|null} enabled - Whether to wrap, or null to follow the settings again
+     */
+    setSoftWrap(enabled) {
+        this.softWrapOverride = enabled;
+        if (enabled) {
+            this.scrollOffsetX = 0;
         }
+        this._adjustScrollForCursor();
     }
 
     /**
-     * Adjusts scroll position to keep cursor visible
-     * @private
+     * @returns {boolean} Whether long lines wrap into several rows
      */
-    _adjustScrollForCursor() {
-        const editorHeight = this._getContentHeight();
-        const visibleBottom = this.scrollOffsetY + editorHeight - 1;
-        const visibleTop = this.scrollOffsetY;
+    isSoftWrap() {
+        if (this.softWrapOverride !== null) return this.softWrapOverride;
 
-        // Scroll if cursor moves beyond visible area
-        if (this.cursorY > visibleBottom) {
-            this.scrollOffsetY = Math.min(
-                this.cursorY - editorHeight + 1,
-                Math.max(0, this.currentFile.fileData.length - editorHeight)
-            );
-            this._scrollTo(this.scrollOffsetY);
-        } else if (this.cursorY < visibleTop) {
-            this.scrollOffsetY = Math.max(0, this.cursorY);
-            this._scrollTo(this.scrollOffsetY);
+        const bySyntax = configService.get('editor.softWrapBySyntax', {}) || {};
+        if (this.syntaxName && typeof bySyntax[this.syntaxName] === 'boolean') {
+            return bySyntax[this.syntaxName];
         }
+        return configService.get('editor.softWrap', false) === true;
+    }
+
+    /**
+     * Gets where the cursor is shown, relative to the content area of the
+     * window: past the gutter, and on the row of its line it wrapped onto
+     * @returns {{x: number, y: number}} Column and row of the cursor on screen
+     */
+    getVisualCursor() {
+        return this._visualPosition(this.cursorX, this.cursorY, this._getWrap());
+    }
+
+    /**
+     * Gets where the other cursors are shown, like getVisualCursor; those
+     * above or below the window are left out
+     * @returns {Array<{x: number, y: number}>} Column and row of each cursor on screen
+     */
+    getSecondaryCursors() {
+        const wrap = this._getWrap();
+        const bottom = this.scrollOffsetY + this._getContentHeight();
+        return this.cursors
+            .filter(cursor => cursor.y >= this.scrollOffsetY && cursor.y < bottom)
+            .map(cursor => this._visualPosition(cursor.x, cursor.y, wrap));
     }
 
     /**
-     * Gets absolute position (accounting for scroll)
+     * Gets where a buffer position is shown, relative to the content area
+     * @param {number} x - Character position in the line
+     * @param {number} y - Buffer line number
+     * @param {Object|null} wrap - How lines wrap, from _getWrap
+     * @returns {{x: number, y: number}} Column and row on screen
      * @private
-     * @returns {Object} x and y coordinates
      */
-    _getAbsolutePosition() {
-        return {
-            x: this.cursorX + this.scrollOffsetX,
-            y: this.cursorY + this.scrollOffsetY
+    _visualPosition(x, y, wrap) {
+        const column = this.indentationService.displayColumn(this.currentFile.getLine(y) || '', x);
+        const gutterWidth = this.getGutterWidth();
+        if (!wrap) {
+            return { x: gutterWidth + column - this.scrollOffsetX, y: y - this.scrollOffsetY };
+        }
+        if (y < this.scrollOffsetY) {
+            return { x: gutterWidth + column, y: -1 };
+        }
+
+        const starts = this._getRows(y, wrap);
+        const row = EditWindow._rowAt(starts, column);
+        let screenRow = row;
+        for (let line = this.scrollOffsetY; line < y; line++) {
+            screenRow += this._getRows(line, wrap).length;
+        }
+        return { x: gutterWidth + (row > 0 ? wrap.indicator.length : 0) + column - starts[row], y: screenRow };
+    }
+
+    /**
+     * Stops background work when the window is closed
+     * @param {boolean} [closeFile=true] - Whether to close the file too; false while another window shows it
+     */
+    dispose(closeFile = true) {
+        if (this.loadingTimer) {
+            clearTimeout(this.loadingTimer);
+            this.loadingTimer = null;
+        }
+        if (this.currentFile && closeFile) {
+            this.currentFile.close();
+        }
+    }
+
+    /**
+     * Keeps the cursor, selection and scroll position on the same text when
+     * another window showing the same file changes it
+     * @param {number} y - The first changed line
+     * @param {number} removedLines - Lines after it that were removed
+     * @param {number} addedLines - Lines after it that were added
+     */
+    followChange(y, removedLines, addedLines) {
+        const follow = line => {
+            if (line <= y) return line;
+            if (line > y + removedLines) return line + addedLines - removedLines;
+            return Math.min(line, y + addedLines);
         };
+        const lastLine = Math.max(0, this.currentFile.getLineCount() - 1);
+        const position = ({ x, y: line }) => {
+            const newY = Math.min(follow(line), lastLine);
+            return { x: Math.min(x, (this.currentFile.getLine(newY) || '').length), y: newY };
+        };
+
+        ({ x: this.cursorX, y: this.cursorY } = position({ x: this.cursorX, y: this.cursorY }));
+        if (this.selectionAnchor) {
+            this.selectionAnchor = position(this.selectionAnchor);
+        }
+        this.scrollOffsetY = Math.min(follow(this.scrollOffsetY), lastLine);
+        this._scrollTo(this.scrollOffsetY);
     }
 
     /**
-     * Moves the cursor within the bounds of the file content
-     * @param {number} dx - Horizontal movement (-1 for left, 1 for right)
-     * @param {number} dy - Vertical movement (-1 for up, 1 for down)
+     * Shows markers in the gutter, e.g. for diagnostics, bookmarks or changes
+     * against version control. Each kind replaces its earlier markers; when
+     * kinds mark the same line, the first in EditWindow.MARKER_KINDS is shown.
+     * Markers stay on their line numbers, so their source sets them again
+     * when the file changes.
+     * @param {string} kind - What the markers are for, e.g. 'diagnostics'
+     * @param {Array<{line: number, symbol: string, color: string}>} markers - Buffer line, a
+     *   one-column symbol and a blessed color for each marker; empty to remove them
+     */
+    setMarkers(kind, markers) {
+        if (markers.length === 0) {
+            this.markers.delete(kind);
+        } else {
+            this.markers.set(kind, new Map(markers.map(({ line, symbol, color }) => [line, { symbol, color }])));
+        }
+    }
+
+    /**
+     * Gets the number of columns taken by the gutter left of the text
+     * @returns {number} The gutter width, 0 when there is no gutter
+     */
+    getGutterWidth() {
+        return this._getGutter().width;
+    }
+
+    /**
+     * Works out what the gutter shows: line numbers as set in editor.lineNumbers
+     * and a column for markers once there are any, followed by a space
+     * @returns {{width: number, numbers: string, digits: number, markers: boolean}} The gutter layout
      * @private
      */
-    async _moveCursor(dx, dy) {
-        const newY = this.cursorY + dy;
-        let newX = this.cursorX + dx;
+    _getGutter() {
+        const numbers = configService.get('editor.lineNumbers', 'off');
+        const showNumbers = numbers === 'absolute' || numbers === 'relative';
+        const markers = this.markers.size > 0;
+        const digits = showNumbers ? Math.max(EditWindow.MIN_NUMBER_DIGITS, String(this.currentFile.getLineCount()).length) : 0;
+        const width = showNumbers || markers ? (markers ? 1 : 0) + digits + 1 : 0;
+        return { width, numbers: showNumbers ? numbers : 'off', digits, markers };
+    }
 
-        // Check vertical bounds
-        if (newY >= 0 && newY < this.currentFile.fileData.length) {
-            const targetLine = this.currentFile.fileData[newY] || '';
-            
-            // Adjust horizontal position if moving to a shorter/longer line
-            if (dy !== 0) {
-                newX = Math.min(this.cursorX, targetLine.length);
-            }
-            
-            // Check horizontal bounds
-            if (newX >= 0 && newX <= targetLine.length) {
-                this.cursorX = newX;
-                this.cursorY = newY;
-                this._adjustScrollForCursor();
-            }
+    /**
+     * Builds the gutter of a line: its marker and its number, absolute or
+     * counted from the cursor line, which shows its own number
+     * @param {Object} gutter - The layout from _getGutter
+     * @param {number} lineIndex - The buffer line number
+     * @returns {string} The gutter with tags, or '' when there is no gutter
+     * @private
+     */
+    _gutterText(gutter, lineIndex) {
+        if (gutter.width === 0) return '';
+
+        let text = '';
+        if (gutter.markers) {
+            const marker = this._getMarker(lineIndex);
+            text += marker ? `{${marker.color}-fg}${marker.symbol}{/${marker.color}-fg}` : ' ';
         }
-        await this.redraw();
+        if (gutter.numbers !== 'off') {
+            const current = lineIndex === this.cursorY;
+            const number = gutter.numbers === 'relative' && !current
+                ? Math.abs(lineIndex - this.cursorY)
+                : lineIndex + 1;
+            const tags = themeService.getTags(current ? 'gutterCurrent' : 'gutter');
+            text += `${tags.open}${String(number).padStart(gutter.digits)}${tags.close}`;
+        }
+        return `${text} `;
     }
 
     /**
-     * Handles tab key press
+     * @param {number} lineIndex - The buffer line number
+     * @returns {{symbol: string, color: string}|undefined} The marker shown on the line
      * @private
      */
-    async _handleTab() {
-        const pos = this._getAbsolutePosition();
-        const indentation = this.indentationService.getIndentation(pos.x);
-        this.currentFile.writeText(indentation, pos.x, pos.y, this.windowService.insert);
-        this.cursorX += indentation.length;
-        await this.redraw();
+    _getMarker(lineIndex) {
+        const kinds = [...this.markers.keys()].sort((a, b) => EditWindow._markerRank(a) - EditWindow._markerRank(b));
+        for (const kind of kinds) {
+            const marker = this.markers.get(kind).get(lineIndex);
+            if (marker) return marker;
+        }
+        return undefined;
     }
 
     /**
-     * Handles backspace key press
+     * @param {string} kind - A marker kind
+     * @returns {number} Its position in MARKER_KINDS; unknown kinds come last
      * @private
      */
-    async _handleBackspace() {
-        const pos = this._getAbsolutePosition();
-        
-        if (pos.x > 0) {
-            // If we're not at the start of a line, just delete the previous character
-            this.currentFile.deleteChar(pos.x - 1, pos.y);
-            this.cursorX--;
-        } else if (pos.y > 0) {
-            // If we're at the start of a line (but not the first line),
-            // join this line with the previous line
-            const currentLine = this.currentFile.fileData[pos.y];
-            const previousLine = this.currentFile.fileData[pos.y - 1];
-            
-            // Remove the current line and append its content to the previous line
-            this.currentFile.fileData.splice(pos.y, 1);
-            this.cursorX = previousLine.length;
-            this.cursorY--;
-            
-            if (currentLine.length > 0) {
-                this.currentFile.fileData[pos.y - 1] = previousLine + currentLine;
-            }
+    static _markerRank(kind) {
+        const rank = EditWindow.MARKER_KINDS.indexOf(kind);
+        return rank >= 0 ? rank : EditWindow.MARKER_KINDS.length;
+    }
+
+    /**
+     * Redraws again shortly while the file is still being read, so the
+     * progress and the lines that become available show up
+     * @private
+     */
+    _scheduleLoadingRedraw() {
+        if (this.loadingTimer || !this.currentFile.isLoading()) return;
+
+        this.loadingTimer = setTimeout(async () => {
+            this.loadingTimer = null;
+            await this.redraw();
+        }, EditWindow.LOADING_REDRAW_MS);
+        this.loadingTimer.unref();
+    }
+
+    /**
+     * Shows the title in the border of the window element
+     * @param {Object} element - The blessed element of this window
+     * @private
+     */
+    _updateLabel(element) {
+        const label = ` ${this.getTitle()} `;
+        if (label !== this.shownLabel && typeof element.setLabel === 'function') {
+            element.setLabel(label);
+            this.shownLabel = label;
         }
-        
-        await this.redraw();
     }
 
     /**
-     * Handles delete key press
+     * Applies editor overlays (such as the selection) on top of a styled line
+     * @param {string} styled - The line with syntax markup applied
+     * @param {number} lineIndex - The buffer line number
+     * @returns {string} The decorated line
      * @private
      */
-    async _handleDelete() {
-        const pos = this._getAbsolutePosition();
-        
-        if (pos.x < this.currentFile.fileData[pos.y].length) {
-            // If we're not at the end of a line, just delete the current character
-            this.currentFile.deleteChar(pos.x, pos.y);
-        } else if (pos.y < this.currentFile.fileData.length - 1) {
-            // If we're at the end of a line (but not the last line),
-            // join this line with the next line
-            const currentLine = this.currentFile.fileData[pos.y];
-            const nextLine = this.currentFile.fileData[pos.y + 1];
-            
-            // Remove the next line and append its content to the current line
-            this.currentFile.fileData.splice(pos.y + 1, 1);
-            if (nextLine.length > 0) {
-                this.currentFile.fileData[pos.y] = currentLine + nextLine;
+    _decorateLine(styled, lineIndex) {
+        const line = this.currentFile.getLine(lineIndex) || '';
+        // Overlays are positioned by string offset but drawn on tab-expanded text
+        const column = offset => this.indentationService.displayColumn(line, offset);
+        let decorated = styled;
+
+        // Highlight every search match on the line
+        if (this.search) {
+            for (const match of this.searchService.findInLine(line, this.search.matcher)) {
+                const tags = themeService.getTags('searchMatch');
+                decorated = this.markupService.highlight(decorated, column(match.start), column(match.end),
+                    tags.open, tags.close);
             }
         }
-        
-        await this.redraw();
+
+        const tags = themeService.getTags('selection');
+        for (const selection of this._getSelections()) {
+            if (lineIndex < selection.start.y || lineIndex > selection.end.y) continue;
+
+            const from = column(lineIndex === selection.start.y ? selection.start.x : 0);
+            // A selection that continues onto the next line also covers this line break
+            const to = lineIndex === selection.end.y ? column(selection.end.x) : column(line.length) + 1;
+            decorated = this.markupService.highlight(decorated, from, to, tags.open, tags.close);
+        }
+        return decorated;
     }
 
     /**
-     * Handles enter key press
+     * Gets a buffer line as it is displayed, with tabs expanded
+     * @param {number} y - The buffer line number
+     * @returns {string} The displayed text
      * @private
      */
-    async _handleEnter() {
-        const currentLine = this.currentFile.fileData[this.cursorY] || '';
-        
-        // Split the current line at cursor position, removing any newline characters
-        const beforeCursor = currentLine.slice(0, this.cursorX).replace(/[\r\n]/g, '');
-        const afterCursor = currentLine.slice(this.cursorX).replace(/[\r\n]/g, '');
-        
-        // Update current line to be everything before cursor
-        this.currentFile.fileData[this.cursorY] = beforeCursor;
-        
-        // Insert new line with everything after cursor
-        this.currentFile.fileData.splice(this.cursorY + 1, 0, afterCursor);
-        
-        // Move cursor to start of new line
-        this.cursorY++;
-        this.cursorX = 0;
-        
-        // Adjust scroll if needed
-        this._adjustScrollForCursor();
-        
-        await this.redraw();
+    _displayLine(y) {
+        // Remove any existing newlines
+        return this.indentationService.expandTabs((this.currentFile.getLine(y) || '').replace(/[\r\n]/g, ''));
     }
 
     /**
-     * Handles page up key press - moves cursor up by editor height
+     * Gets how long lines wrap in this window
+     * @returns {{width: number, indicator: string, atWords: boolean}|null} Text columns
+     *   of a row, the text shown at the start of wrapped rows and whether rows end
+     *   after a space; null when lines do not wrap
      * @private
      */
-    async _handlePageUp() {
-        const editorHeight = this._getContentHeight();
-        const moveAmount = Math.max(1, Math.floor(editorHeight * 0.9)); // Move 90% of visible area
-        
-        // Calculate new cursor position and scroll offset
-        const newY = Math.max(0, this.cursorY - moveAmount);
-        const targetLine = this.currentFile.fileData[newY] || '';
-        this.cursorX = Math.min(this.cursorX, targetLine.length);
-        this.cursorY = newY;
-        
-        // Update scroll offset to keep cursor visible
-        this.scrollOffsetY = Math.max(0, this.cursorY - Math.floor(editorHeight / 2));
-        this._scrollTo(this.scrollOffsetY);
-        
-        await this.redraw();
+    _getWrap() {
+        const element = this._getElement();
+        if (!element || !this.isSoftWrap()) return null;
+
+        return {
+            width: this._getTextWidth(),
+            indicator: configService.get('editor.wrapIndicator', '') || '',
+            atWords: configService.get('editor.wrapAtWords', true) !== false
+        };
     }
 
     /**
-     * Handles page down key press - moves cursor down by editor height
+     * Gets the number of columns text is shown in, between the gutter and the right border
+     * @param {number} [gutterWidth] - Width of the gutter, if already known
+     * @returns {number} The width, Infinity when the window is not on screen
      * @private
      */
-    async _handlePageDown() {
-        const editorHeight = this._getContentHeight();
-        const moveAmount = Math.max(1, Math.floor(editorHeight * 0.9)); // Move 90% of visible area
-        const lastLine = this.currentFile.fileData.length - 1;
-        
-        // Calculate new cursor position and scroll offset
-        const newY = Math.min(lastLine, this.cursorY + moveAmount);
-        const targetLine = this.currentFile.fileData[newY] || '';
-        this.cursorX = Math.min(this.cursorX, targetLine.length);
-        this.cursorY = newY;
-        
-        // Update scroll offset to keep cursor visible
-        const maxScroll = Math.max(0, this.currentFile.fileData.length - editorHeight);
-        this.scrollOffsetY = Math.min(maxScroll, this.cursorY - Math.floor(editorHeight / 2));
-        this._scrollTo(this.scrollOffsetY);
-        
-        await this.redraw();
+    _getTextWidth(gutterWidth = this.getGutterWidth()) {
+        const element = this._getElement();
+        return element ? Math.max(1, element.width - 2 - gutterWidth) : Infinity; // Subtract 2 for borders
     }
 
     /**
-     * Handles home key press - moves cursor to start of line
+     * Scrolls sideways so the cursor stays editor.sideScrollMargin columns
+     * from the edges, as far as the text allows; wrapped lines never scroll
+     * @param {Object|null} wrap - How lines wrap, from _getWrap
+     * @param {number} width - Columns of text shown
      * @private
      */
-    async _handleHome() {
-        this.cursorX = 0;
-        await this.redraw();
+    _adjustHorizontalScroll(wrap, width) {
+        if (wrap || width === Infinity) {
+            this.scrollOffsetX = wrap ? 0 : this.scrollOffsetX;
+            return;
+        }
+
+        const column = this.getDisplayCursorX();
+        const margin = Math.max(0, Math.min(configService.get('editor.sideScrollMargin', 5), Math.floor((width - 1) / 2)));
+        if (column < this.scrollOffsetX + margin) {
+            this.scrollOffsetX = Math.max(0, column - margin);
+        } else if (column > this.scrollOffsetX + width - 1 - margin) {
+            this.scrollOffsetX = column - width + 1 + margin;
+        }
     }
 
     /**
-     * Handles end key press - moves cursor to end of line
+     * Cuts the columns shown at the current horizontal scroll out of a
+     * decorated line. Slicing the styled markup rather than the text keeps
+     * both the highlighting of the whole line and its tags intact. Where text
+     * is hidden past an edge, the edge column shows an overflow marker.
+     * @param {string} decorated - The line with syntax markup and overlays
+     * @param {number} length - Display columns of the line's text
+     * @param {number} width - Columns of text shown
+     * @returns {string} The visible part
      * @private
      */
-    async _handleEnd() {
-        const currentLine = this.currentFile.fileData[this.cursorY] || '';
-        this.cursorX = currentLine.length;
-        await this.redraw();
+    _sliceColumns(decorated, length, width) {
+        const left = this.scrollOffsetX;
+        const right = left + width;
+        const hiddenLeft = left > 0 && length > 0;
+        const hiddenRight = length > right;
+        const tags = themeService.getTags('gutter');
+        const marker = symbol => `${tags.open}${symbol}${tags.close}`;
+
+        return (hiddenLeft ? marker(EditWindow.OVERFLOW_LEFT) : '') +
+            this.markupService.slice(decorated, hiddenLeft ? left + 1 : left, hiddenRight ? right - 1 : right) +
+            (hiddenRight ? marker(EditWindow.OVERFLOW_RIGHT) : '');
     }
 
     /**
-     * Handles paste operation (Ctrl+V)
+     * Gets the rows a buffer line is shown on
+     * @param {number} y - The buffer line number
+     * @param {Object|null} wrap - How lines wrap, from _getWrap
+     * @returns {number[]} The display column each row starts at
      * @private
      */
-    async _handlePaste() {
-        try {
-            // Get text from system clipboard
-            const clipboardText = await clipboardy.read();
-            
-            if (!clipboardText || clipboardText.length === 0) {
-                logger.debug('EditWindow', 'Clipboard is empty, nothing to paste');
-                return;
-            }
-            
-            logger.debug('EditWindow', `Pasting content from clipboard, length: ${clipboardText.length}`);
-            
-            // Split clipboard text into lines
-            const lines = clipboardText.split(/\r?\n/);
-            const pos = this._getAbsolutePosition();
-            
-            if (lines.length === 1) {
-                // Single line paste - insert at cursor position
-                this.currentFile.writeText(clipboardText, pos.x, pos.y, this.windowService.insert);
-                this.cursorX += clipboardText.length;
+    _getRows(y, wrap) {
+        if (!wrap) return [0];
+        return EditWindow._wrapLine(this._displayLine(y), wrap.width,
+            Math.max(1, wrap.width - wrap.indicator.length), wrap.atWords);
+    }
+
+    /**
+     * Turns a decorated line into the rows it is shown on, each with the
+     * gutter; wrapped rows get a blank gutter and the wrap indicator, and
+     * lines that do not wrap show the columns scrolled to
+     * @param {string} decorated - The line with syntax markup and overlays
+     * @param {number} y - The buffer line number
+     * @param {Object} gutter - The gutter layout from _getGutter
+     * @param {Object|null} wrap - How lines wrap, from _getWrap
+     * @param {number} width - Columns of text shown
+     * @returns {string[]} The rows
+     * @private
+     */
+    _layoutLine(decorated, y, gutter, wrap, width) {
+        const gutterText = this._gutterText(gutter, y);
+        if (!wrap) return [gutterText + this._sliceColumns(decorated, this._displayLine(y).length, width)];
+
+        const starts = this._getRows(y, wrap);
+        const indicatorTags = themeService.getTags('gutter');
+        const indicator = wrap.indicator
+            ? `${indicatorTags.open}${this.markupService.escape(wrap.indicator)}${indicatorTags.close}`
+            : '';
+        return starts.map((start, row) => {
+            const text = this.markupService.slice(decorated, start, row + 1 < starts.length ? starts[row + 1] : Infinity);
+            return row === 0 ? gutterText + text : ' '.repeat(gutter.width) + indicator + text;
+        });
+    }
+
+    /**
+     * Moves the cursor up or down by rows on screen, keeping it in the same
+     * screen column where the rows are long enough
+     * @param {number} count - Rows to move down; negative to move up
+     * @param {Object} wrap - How lines wrap, from _getWrap
+     * @private
+     */
+    _moveVisualRows(count, wrap) {
+        const lastLine = this.currentFile.getLineCount() - 1;
+        const column = this.getDisplayCursorX();
+        let y = this.cursorY;
+        let starts = this._getRows(y, wrap);
+        let row = EditWindow._rowAt(starts, column);
+        const goal = column - starts[row] + (row > 0 ? wrap.indicator.length : 0);
+
+        for (let step = 0; step < Math.abs(count); step++) {
+            if (count > 0 && row + 1 < starts.length) {
+                row++;
+            } else if (count > 0 && y < lastLine) {
+                starts = this._getRows(++y, wrap);
+                row = 0;
+            } else if (count < 0 && row > 0) {
+                row--;
+            } else if (count < 0 && y > 0) {
+                starts = this._getRows(--y, wrap);
+                row = starts.length - 1;
             } else {
-                // Multi-line paste
-                const firstLine = lines[0];
-                const remainingLines = lines.slice(1);
-                
-                // Get current line and position
-                const currentLine = this.currentFile.fileData[pos.y] || '';
-                
-                // Split current line at cursor
-                const beforeCursor = currentLine.slice(0, pos.x);
-                const afterCursor = currentLine.slice(pos.x);
-                
-                // Update current line with first part of pasted text
-                this.currentFile.fileData[pos.y] = beforeCursor + firstLine;
-                
-                // Insert remaining lines
-                for (let i = 0; i < remainingLines.length; i++) {
-                    const lineContent = remainingLines[i] + (i === remainingLines.length - 1 ? afterCursor : '');
-                    this.currentFile.fileData.splice(pos.y + i + 1, 0, lineContent);
-                }
-                
-                // Update cursor position to end of pasted text
-                this.cursorY += remainingLines.length;
-                if (remainingLines.length > 0) {
-                    this.cursorX = remainingLines[remainingLines.length - 1].length;
-                } else {
-                    this.cursorX += firstLine.length;
-                }
+                break;
             }
-            
-            // Adjust scroll if needed
-            this._adjustScrollForCursor();
-            
-            await this.redraw();
-        } catch (error) {
-            logger.error('EditWindow', `Error pasting from clipboard: ${error.message}`);
         }
+
+        this.cursorY = y;
+        this.cursorX = this._offsetInRow(y, starts, row, goal, wrap);
     }
 
     /**
-     * Gets the styling information for the window's UI element
-     * @returns {Object} Style object with border, background, and other styling properties
+     * Finds the buffer offset shown at a screen column of a wrapped row.
+     * Columns past the end of a row that wraps give its last character, so
+     * the cursor stays on that row.
+     * @param {number} y - The buffer line number
+     * @param {number[]} starts - The rows of the line, from _getRows
+     * @param {number} row - Index of the row
+     * @param {number} x - Screen column within the row, the wrap indicator included
+     * @param {Object} wrap - How lines wrap, from _getWrap
+     * @returns {number} The offset in the line
+     * @private
      */
-    getStyle() {
-        return {
+    _offsetInRow(y, starts, row, x, wrap) {
+        const column = starts[row] + Math.max(0, x - (row > 0 ? wrap.indicator.length : 0));
+        const end = row + 1 < starts.length ? starts[row + 1] - 1 : Infinity;
+        return this.indentationService.offsetAt(this.currentFile.getLine(y) || '', Math.min(column, end));
+    }
+
+    /**
+     * Scrolls so the cursor is shown about a number of rows from the top,
+     * as far as whole lines allow
+     * @param {number} screenRow - Row to show the cursor on
+     * @param {Object} wrap - How lines wrap, from _getWrap
+     * @private
+     */
+    _scrollCursorToRow(screenRow, wrap) {
+        let line = this.cursorY;
+        let above = screenRow - EditWindow._rowAt(this._getRows(line, wrap), this.getDisplayCursorX());
+        while (line > 0 && above >= this._getRows(line - 1, wrap).length) {
+            above -= this._getRows(--line, wrap).length;
+        }
+        this.scrollOffsetY = line;
+        this._scrollTo(this.scrollOffsetY);
+    }
+
+    /**
+     * Splits a displayed line into rows of at most a width. Rows end after the
+     * last space that fits when wrapping at words, unless there is none.
+     * @param {string} text - The displayed line
+     * @param {number} width - Columns of the first row
+     * @param {number} continuationWidth - Columns of the rows after it
+     * @param {boolean} atWords - Whether to wrap after spaces
+     * @returns {number[]} The column each row starts at
+     * @private
+     */
+    static _wrapLine(text, width, continuationWidth, atWords) {
+        const starts = [0];
+        let start = 0;
+        let rowWidth = width;
+        while (text.length - start > rowWidth) {
+            let end = start + rowWidth;
+            if (atWords && text[end] !== ' ') {
+                const space = text.lastIndexOf(' ', end - 1);
+                if (space > start) end = space + 1;
+            }
+            starts.push(end);
+            start = end;
+            rowWidth = continuationWidth;
+        }
+        return starts;
+    }
+
+    /**
+     * @param {number[]} starts - The rows of a line, from _getRows
+     * @param {number} column - A display column of the line
+     * @returns {number} Index of the row the column is shown on
+     * @private
+     */
+    static _rowAt(starts, column) {
+        let row = 0;
+        while (row + 1 < starts.length && starts[row + 1] <= column) row++;
+        return row;
+    }
+
+    /**
+     * Gets the blessed UI element associated with this window
+     * @private
+     * @returns {Object|null} The blessed element or null if not found
+     */
+    _getElement() {
+        if (!this.windowService || !this.windowService.windows) return null;
+        
+        const windowEntry = this.windowService.windows.find(w => w.window === this);
+        return windowEntry ? windowEntry.element : null;
+    }
+
+    /**
+     * Gets the height of the content area (excluding borders)
+     * @private
+     * @returns {number} The content height
+     */
+    _getContentHeight() {
+        const element = this._getElement();
+        return element ? element.height - 2 : 0; // Subtract 2 for borders
+    }
+    
+    /**
+     * Scrolls the element to the specified position
+     * @private
+     * @param {number} position - The position to scroll to
+     */
+    _scrollTo(position) {
+        const element = this._getElement();
+        if (element && element.scrollTo) {
+            element.scrollTo(position);
+        }
+    }
+
+    /**
+     * Adjusts scroll position to keep cursor visible
+     * @private
+     */
+    _adjustScrollForCursor() {
+        const wrap = this._getWrap();
+        if (wrap) {
+            this._adjustScrollForWrappedCursor(wrap);
+            return;
+        }
+        
+        const editorHeight = this._getContentHeight();
+        const visibleBottom = this.scrollOffsetY + editorHeight - 1;
+        const visibleTop = this.scrollOffsetY;
+
+        // Scroll if cursor moves beyond visible area
+        if (this.cursorY > visibleBottom) {
+            this.scrollOffsetY = Math.min(
+                this.cursorY - editorHeight + 1,
+                Math.max(0, this.currentFile.getLineCount() - editorHeight)
+            );
+            this._scrollTo(this.scrollOffsetY);
+        } else if (this.cursorY < visibleTop) {
+            this.scrollOffsetY = Math.max(0, this.cursorY);
+            this._scrollTo(this.scrollOffsetY);
+        }
+    }
+
+    /**
+     * Keeps the row of the cursor visible when lines wrap; the top of the
+     * window is always the start of a line
+     * @param {Object} wrap - How lines wrap, from _getWrap
+     * @private
+     */
+    _adjustScrollForWrappedCursor(wrap) {
+        const editorHeight = this._getContentHeight();
+        if (this.cursorY < this.scrollOffsetY) {
+            this.scrollOffsetY = this.cursorY;
+        } else {
+            // Every line takes a row at least, so lines more than a screen up need not be measured
+            this.scrollOffsetY = Math.max(this.scrollOffsetY, this.cursorY - editorHeight + 1);
+            let row = EditWindow._rowAt(this._getRows(this.cursorY, wrap), this.getDisplayCursorX());
+            for (let line = this.scrollOffsetY; line < this.cursorY; line++) {
+                row += this._getRows(line, wrap).length;
+            }
+            while (row >= editorHeight && this.scrollOffsetY < this.cursorY) {
+                row -= this._getRows(this.scrollOffsetY, wrap).length;
+                this.scrollOffsetY++;
+            }
+        }
+        this._scrollTo(this.scrollOffsetY);
+    }
+
+    /**
+     * Gets the display column of the cursor, where tabs before it count up to the next tab stop
+     * @returns {number} The display column (0-based)
+     */
+    getDisplayCursorX() {
+        const line = this.currentFile.getLine(this.cursorY) || '';
+        return this.indentationService.displayColumn(line, this.cursorX);
+    }
+
+    /**
+     * Gets the cursor position in buffer coordinates
+     * @private
+     * @returns {Object} x and y coordinates
+     */
+    _getAbsolutePosition() {
+        // cursorX and cursorY are already buffer positions; the scroll
+        // offsets only decide which part of the buffer is on screen
+        return {
+            x: this.cursorX,
+            y: this.cursorY
+        };
+    }
+
+    /**
+     * Captures the cursor and scroll position so undo/redo can restore it
+     * @private
+     * @returns {Object} The current view state
+     */
+    _getViewState() {
+        return {
+            cursorX: this.cursorX,
+            cursorY: this.cursorY,
+            scrollOffsetX: this.scrollOffsetX,
+            scrollOffsetY: this.scrollOffsetY,
+            selectionAnchor: this.selectionAnchor ? { ...this.selectionAnchor } : null
+        };
+    }
+
+    /**
+     * Restores a view state captured by _getViewState
+     * @param {Object} state - The view state to restore
+     * @private
+     */
+    _restoreViewState(state) {
+        const lastLine = Math.max(0, this.currentFile.getLineCount() - 1);
+        this.cursorY = Math.min(state.cursorY !== undefined ? state.cursorY : this.cursorY, lastLine);
+        const line = this.currentFile.getLine(this.cursorY) || '';
+        this.cursorX = Math.min(state.cursorX !== undefined ? state.cursorX : this.cursorX, line.length);
+        if (state.scrollOffsetX !== undefined) this.scrollOffsetX = state.scrollOffsetX;
+        if (state.scrollOffsetY !== undefined) this.scrollOffsetY = state.scrollOffsetY;
+        this.selectionAnchor = state.selectionAnchor || null;
+        // Other cursors are not part of the view state
+        this._clearCursors();
+        this._adjustScrollForCursor();
+    }
+
+    /**
+     * Gets the current selection ordered from start to end
+     * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}|null} The selection, or null if nothing is selected
+     */
+    _getSelection() {
+        return this._selectionOf({ ...this._getAbsolutePosition(), anchor: this.selectionAnchor });
+    }
+
+    /**
+     * Gets the selections of all cursors, the main one first
+     * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>} The selections
+     * @private
+     */
+    _getSelections() {
+        const main = this._getSelection();
+        const others = this.cursors.map(cursor => this._selectionOf(cursor)).filter(Boolean);
+        return main ? [main, ...others] : others;
+    }
+
+    /**
+     * Gets the selection of a cursor ordered from start to end
+     * @param {{x: number, y: number, anchor: Object|null}} cursor - The cursor and its selection anchor
+     * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}|null} The selection, or null if nothing is selected
+     * @private
+     */
+    _selectionOf(cursor) {
+        if (!cursor.anchor) return null;
+
+        const position = { x: cursor.x, y: cursor.y };
+        const anchor = this._clampPosition(cursor.anchor);
+        if (EditWindow._comparePositions(anchor, position) === 0) return null;
+
+        return EditWindow._comparePositions(anchor, position) < 0
+            ? { start: anchor, end: position }
+            : { start: position, end: anchor };
+    }
+
+    /**
+     * Orders two buffer positions
+     * @param {{x: number, y: number}} a - A position
+     * @param {{x: number, y: number}} b - Another position
+     * @returns {number} Negative if a comes first, positive if b does, 0 if they are the same
+     * @private
+     */
+    static _comparePositions(a, b) {
+        return a.y - b.y || a.x - b.x;
+    }
+
+    /**
+     * Gets the selected text
+     * @returns {string|null} The selected text, or null if nothing is selected
+     */
+    getSelectedText() {
+        const selection = this._getSelection();
+        if (!selection) return null;
+
+        const { start, end } = selection;
+        return this.currentFile.getRangeText(start.x, start.y, end.x, end.y);
+    }
+
+    /**
+     * Clamps a position to the existing buffer content
+     * @param {{x: number, y: number}} pos - The position to clamp
+     * @returns {{x: number, y: number}} The clamped position
+     * @private
+     */
+    _clampPosition(pos) {
+        const y = Math.max(0, Math.min(pos.y, this.currentFile.getLineCount() - 1));
+        const line = this.currentFile.getLine(y) || '';
+        return { x: Math.max(0, Math.min(pos.x, line.length)), y };
+    }
+
+    /**
+     * Deletes the selected text and moves the cursor to where it started.
+     * Must be called inside _edit so it is recorded with the surrounding edit.
+     * @returns {boolean} Whether anything was deleted
+     * @private
+     */
+    _deleteSelection() {
+        const selection = this._getSelection();
+        this.selectionAnchor = null;
+        if (!selection) return false;
+
+        const { start, end } = selection;
+        this.currentFile.deleteRange(start.x, start.y, end.x, end.y);
+        this.cursorX = start.x;
+        this.cursorY = start.y;
+        return true;
+    }
+
+    /**
+     * Runs a cursor movement, either extending the selection or clearing it
+     * @param {boolean} extend - Whether the movement extends the selection
+     * @param {Function} move - The movement to perform
+     * @private
+     */
+    async _navigate(extend, move) {
+        // Moving goes back to a single cursor
+        this._clearCursors();
+        if (extend) {
+            if (!this.selectionAnchor) {
+                this.selectionAnchor = this._getAbsolutePosition();
+            }
+        } else {
+            this.selectionAnchor = null;
+        }
+        await move();
+    }
+
+    /**
+     * Runs a buffer mutation as a single undoable step; read-only files are left alone
+     * @param {string|null} kind - Step kind; consecutive 'typing' steps are merged
+     * @param {Function} mutate - Performs the edit and moves the cursor
+     * @private
+     */
+    _edit(kind, mutate) {
+        if (this.currentFile.readOnly) return;
+        this.currentFile.beginTransaction(kind, this._getViewState());
+        try {
+            mutate();
+        } finally {
+            this.currentFile.endTransaction(this._getViewState());
+        }
+    }
+
+    /**
+     * Runs an edit at every cursor. Cursors are taken from the end of the
+     * buffer to the start, so an edit never changes the text after it and the
+     * cursors already done are found again by their distance from the end.
+     * Must be called inside _edit.
+     * @param {Function} mutate - Edits at the cursor and moves it; called with the index of the cursor in buffer order
+     * @private
+     */
+    _forEachCursor(mutate) {
+        this.block = null;
+        if (this.cursors.length === 0) {
+            mutate(0);
+            return;
+        }
+
+        const main = { ...this._getAbsolutePosition(), anchor: this.selectionAnchor };
+        const startOf = cursor => {
+            const selection = this._selectionOf(cursor);
+            return selection ? selection.start : cursor;
+        };
+        const ordered = [main, ...this.cursors]
+            .sort((a, b) => EditWindow._comparePositions(startOf(a), startOf(b)));
+        const fromEnd = new Map();
+        for (let index = ordered.length - 1; index >= 0; index--) {
+            const cursor = ordered[index];
+            this.cursorX = cursor.x;
+            this.cursorY = cursor.y;
+            this.selectionAnchor = cursor.anchor;
+            mutate(index);
+            fromEnd.set(cursor, {
+                lines: this.currentFile.getLineCount() - 1 - this.cursorY,
+                chars: this.currentFile.getLineLength(this.cursorY) - this.cursorX
+            });
+        }
+
+        const positionOf = (cursor) => {
+            const distance = fromEnd.get(cursor);
+            const y = this.currentFile.getLineCount() - 1 - distance.lines;
+            return { x: this.currentFile.getLineLength(y) - distance.chars, y };
+        };
+        const position = positionOf(main);
+        this.cursorX = position.x;
+        this.cursorY = position.y;
+        this.selectionAnchor = null;
+        // Cursors that ran into each other become one
+        const seen = new Set([`${position.x},${position.y}`]);
+        this.cursors = [];
+        for (const cursor of ordered.filter(cursor => cursor !== main)) {
+            const { x, y } = positionOf(cursor);
+            if (seen.has(`${x},${y}`)) continue;
+            seen.add(`${x},${y}`);
+            this.cursors.push({ x, y, anchor: null });
+        }
+    }
+
+    /**
+     * Goes back to a single cursor
+     * @private
+     */
+    _clearCursors() {
+        this.cursors = [];
+        this.block = null;
+    }
+
+    /**
+     * Moves the cursor within the bounds of the file content
+     * @param {number} dx - Horizontal movement (-1 for left, 1 for right)
+     * @param {number} dy - Vertical movement (-1 for up, 1 for down)
+     * @private
+     */
+    async _moveCursor(dx, dy) {
+        // Up and down go by rows on screen when lines wrap
+        const wrap = dy !== 0 ? this._getWrap() : null;
+        if (wrap) {
+            this._moveVisualRows(dy, wrap);
+            this._adjustScrollForCursor();
+            await this.redraw();
+            return;
+        }
+        
+        const newY = this.cursorY + dy;
+        let newX = this.cursorX + dx;
+
+        // Check vertical bounds
+        if (newY >= 0 && newY < this.currentFile.getLineCount()) {
+            const targetLine = this.currentFile.getLine(newY) || '';
+            
+            // Keep the display column when moving between lines, so the cursor
+            // stays in place across tab- and space-indented lines
+            if (dy !== 0) {
+                newX = this.indentationService.offsetAt(targetLine, this.getDisplayCursorX());
+            }
+            
+            // Check horizontal bounds
+            if (newX >= 0 && newX <= targetLine.length) {
+                this.cursorX = newX;
+                this.cursorY = newY;
+                this._adjustScrollForCursor();
+            }
+        }
+        await this.redraw();
+    }
+
+    /**
+     * Handles tab key press
+     * @private
+     */
+    async _handleTab() {
+        const kind = this._getSelection() ? null : 'typing';
+        // A syntax may say what Tab inserts, e.g. a tab character in Makefiles
+        const syntax = await this.nanorcService.getSyntax(this.currentFile.fileName || '', this.currentFile, this.getSyntax());
+        this._edit(kind, () => this._forEachCursor(() => {
+            this._deleteSelection();
+            const pos = this._getAbsolutePosition();
+            const indentation = (syntax && syntax.tabgives)
+                || this.indentationService.getIndentation(this.getDisplayCursorX());
+            this.currentFile.writeText(indentation, pos.x, pos.y, this.windowService.insert);
+            this.cursorX += indentation.length;
+        }));
+        await this.redraw();
+    }
+
+    /**
+     * Handles backspace key press
+     * @private
+     */
+    async _handleBackspace() {
+        this._edit('delete', () => this._forEachCursor(() => {
+            // A selection is deleted as a whole
+            if (this._deleteSelection()) return;
+            
+            const pos = this._getAbsolutePosition();
+            if (pos.x > 0) {
+                // If we're not at the start of a line, just delete the previous character
+                this.currentFile.deleteChar(pos.x - 1, pos.y);
+                this.cursorX--;
+            } else if (pos.y > 0) {
+                // If we're at the start of a line (but not the first line),
+                // join this line with the previous line
+                const previousLine = this.currentFile.getLine(pos.y - 1);
+                this.currentFile.joinLines(pos.y - 1);
+                this.cursorX = previousLine.length;
+                this.cursorY--;
+            }
+        }));
+        
+        await this.redraw();
+    }
+
+    /**
+     * Handles delete key press
+     * @private
+     */
+    async _handleDelete() {
+        this._edit('delete', () => this._forEachCursor(() => {
+            // A selection is deleted as a whole
+            if (this._deleteSelection()) return;
+            
+            const pos = this._getAbsolutePosition();
+            if (pos.x < this.currentFile.getLineLength(pos.y)) {
+                // If we're not at the end of a line, just delete the current character
+                this.currentFile.deleteChar(pos.x, pos.y);
+            } else if (pos.y < this.currentFile.getLineCount() - 1) {
+                // If we're at the end of a line (but not the last line),
+                // join this line with the next line
+                this.currentFile.joinLines(pos.y);
+            }
+        }));
+        
+        await this.redraw();
+    }
+
+    /**
+     * Handles enter key press
+     * @private
+     */
+    async _handleEnter() {
+        this._edit(null, () => this._forEachCursor(() => {
+            this._deleteSelection();
+            const pos = this._getAbsolutePosition();
+            
+            // Split the current line at cursor position
+            this.currentFile.splitLine(pos.x, pos.y);
+            
+            // Move cursor to start of new line
+            this.cursorY++;
+            this.cursorX = 0;
+        }));
+        
+        // Adjust scroll if needed
+        this._adjustScrollForCursor();
+        
+        await this.redraw();
+    }
+
+    /**
+     * Handles page up key press - moves cursor up by editor height
+     * @private
+     */
+    async _handlePageUp() {
+        const editorHeight = this._getContentHeight();
+        const moveAmount = Math.max(1, Math.floor(editorHeight * 0.9)); // Move 90% of visible area
+        
+        const wrap = this._getWrap();
+        if (wrap) {
+            this._moveVisualRows(-moveAmount, wrap);
+            this._scrollCursorToRow(Math.floor(editorHeight / 2), wrap);
+            await this.redraw();
+            return;
+        }
+        
+        // Calculate new cursor position and scroll offset
+        const newY = Math.max(0, this.cursorY - moveAmount);
+        const targetLine = this.currentFile.getLine(newY) || '';
+        this.cursorX = this.indentationService.offsetAt(targetLine, this.getDisplayCursorX());
+        this.cursorY = newY;
+        
+        // Update scroll offset to keep cursor visible
+        this.scrollOffsetY = Math.max(0, this.cursorY - Math.floor(editorHeight / 2));
+        this._scrollTo(this.scrollOffsetY);
+        
+        await this.redraw();
+    }
+
+    /**
+     * Handles page down key press - moves cursor down by editor height
+     * @private
+     */
+    async _handlePageDown() {
+        const editorHeight = this._getContentHeight();
+        const moveAmount = Math.max(1, Math.floor(editorHeight * 0.9)); // Move 90% of visible area
+        
+        const wrap = this._getWrap();
+        if (wrap) {
+            this._moveVisualRows(moveAmount, wrap);
+            this._scrollCursorToRow(Math.floor(editorHeight / 2), wrap);
+            await this.redraw();
+            return;
+        }
+        const lastLine = this.currentFile.getLineCount() - 1;
+        
+        // Calculate new cursor position and scroll offset
+        const newY = Math.min(lastLine, this.cursorY + moveAmount);
+        const targetLine = this.currentFile.getLine(newY) || '';
+        this.cursorX = this.indentationService.offsetAt(targetLine, this.getDisplayCursorX());
+        this.cursorY = newY;
+        
+        // Update scroll offset to keep cursor visible
+        const maxScroll = Math.max(0, this.currentFile.getLineCount() - editorHeight);
+        this.scrollOffsetY = Math.min(maxScroll, this.cursorY - Math.floor(editorHeight / 2));
+        this._scrollTo(this.scrollOffsetY);
+        
+        await this.redraw();
+    }
+
+    /**
+     * Handles home key press - moves cursor to the first non-blank character
+     * of the line, or to the start of the line if it is already there. When
+     * lines wrap it goes to the start of the row first.
+     * @private
+     */
+    async _handleHome() {
+        const rowStart = this._getRowBounds().start;
+        if (rowStart > 0 && rowStart < this.cursorX) {
+            this.cursorX = rowStart;
+        } else {
+            // Toggle between the first non-blank character and the start of the line
+            const line = this.currentFile.getLine(this.cursorY) || '';
+            const indent = line.length - line.trimStart().length;
+            this.cursorX = this.cursorX === indent ? 0 : indent;
+        }
+        await this.redraw();
+    }
+
+    /**
+     * Handles end key press - moves cursor to end of line. When lines wrap it
+     * goes to the end of the row first, and to the end of the line if it is
+     * already there.
+     * @private
+     */
+    async _handleEnd() {
+        const currentLine = this.currentFile.getLine(this.cursorY) || '';
+        const rowEnd = this._getRowBounds().end;
+        this.cursorX = rowEnd > this.cursorX ? rowEnd : currentLine.length;
+        await this.redraw();
+    }
+
+    /**
+     * Gets the offsets in the cursor line where the row of the cursor starts
+     * and ends; without soft wrap the row is the whole line
+     * @returns {{start: number, end: number}} The offsets
+     * @private
+     */
+    _getRowBounds() {
+        const line = this.currentFile.getLine(this.cursorY) || '';
+        const wrap = this._getWrap();
+        if (!wrap) return { start: 0, end: line.length };
+
+        const starts = this._getRows(this.cursorY, wrap);
+        const row = EditWindow._rowAt(starts, this.getDisplayCursorX());
+        return {
+            start: this.indentationService.offsetAt(line, starts[row]),
+            end: row + 1 < starts.length ? this._offsetInRow(this.cursorY, starts, row, Infinity, wrap) : line.length
+        };
+    }
+
+    /**
+     * Moves the cursor to a position found by a jump, scrolling it into view
+     * @param {{x: number, y: number}|null} position - Where to go; null leaves the cursor alone
+     * @private
+     */
+    async _jumpTo(position) {
+        if (!position) return;
+        const pos = this._clampPosition(position);
+        this.cursorX = pos.x;
+        this.cursorY = pos.y;
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Gets what a character counts as when jumping by words
+     * @param {string} ch - The character
+     * @returns {string} 'space', 'word' or 'punctuation'
+     * @private
+     */
+    _charClass(ch) {
+        if (/\s/.test(ch)) return 'space';
+        const wordChars = configService.get('editor.wordChars', '_') || '';
+        return /[\p{L}\p{N}]/u.test(ch) || wordChars.includes(ch) ? 'word' : 'punctuation';
+    }
+
+    /**
+     * Finds the end of the word after the cursor, skipping blanks before it;
+     * at the end of a line it is the start of the next line
+     * @returns {{x: number, y: number}} The position
+     * @private
+     */
+    _findWordRight() {
+        const line = this.currentFile.getLine(this.cursorY) || '';
+        let x = this.cursorX;
+        if (x >= line.length) {
+            return this.cursorY + 1 < this.currentFile.getLineCount() ? { x: 0, y: this.cursorY + 1 } : { x, y: this.cursorY };
+        }
+
+        while (x < line.length && this._charClass(line[x]) === 'space') x++;
+        const kind = x < line.length ? this._charClass(line[x]) : null;
+        while (x < line.length && this._charClass(line[x]) === kind) x++;
+        return { x, y: this.cursorY };
+    }
+
+    /**
+     * Finds the start of the word before the cursor, skipping blanks after it;
+     * at the start of a line it is the end of the previous line
+     * @returns {{x: number, y: number}} The position
+     * @private
+     */
+    _findWordLeft() {
+        const line = this.currentFile.getLine(this.cursorY) || '';
+        let x = Math.min(this.cursorX, line.length);
+        if (x === 0) {
+            return this.cursorY > 0 ? { x: Infinity, y: this.cursorY - 1 } : { x: 0, y: 0 };
+        }
+
+        while (x > 0 && this._charClass(line[x - 1]) === 'space') x--;
+        const kind = x > 0 ? this._charClass(line[x - 1]) : null;
+        while (x > 0 && this._charClass(line[x - 1]) === kind) x--;
+        return { x, y: this.cursorY };
+    }
+
+    /**
+     * Finds the blank line that ends the paragraph below or above the cursor,
+     * or the start or end of the file if there is none
+     * @param {number} direction - 1 to look down, -1 to look up
+     * @returns {{x: number, y: number}} The position
+     * @private
+     */
+    _findParagraph(direction) {
+        const lastLine = this.currentFile.getLineCount() - 1;
+        const isBlank = (y) => (this.currentFile.getLine(y) || '').trim() === '';
+        const canMove = (y) => (direction > 0 ? y < lastLine : y > 0);
+        let y = this.cursorY;
+        // Skip the blank lines the cursor is among, then the paragraph after them
+        while (canMove(y) && isBlank(y)) y += direction;
+        while (canMove(y) && !isBlank(y)) y += direction;
+        return direction > 0 && y === lastLine && !isBlank(y) ? { x: Infinity, y } : { x: 0, y };
+    }
+
+    /**
+     * Finds the bracket matching the one at the cursor, or else the one just
+     * before it
+     * @returns {{x: number, y: number}|null} The position of the match, or null if there is none
+     * @private
+     */
+    _findMatchingBracket() {
+        const line = this.currentFile.getLine(this.cursorY) || '';
+        const pairs = EditWindow.BRACKET_PAIRS;
+        for (const x of [this.cursorX, this.cursorX - 1]) {
+            const bracket = line[x];
+            if (x < 0 || !bracket) continue;
+            const open = Object.keys(pairs).find(key => pairs[key] === bracket);
+            if (pairs[bracket]) return this._scanForBracket({ x, y: this.cursorY }, bracket, pairs[bracket], 1);
+            if (open) return this._scanForBracket({ x, y: this.cursorY }, bracket, open, -1);
+        }
+        return null;
+    }
+
+    /**
+     * Scans from a bracket for its match, skipping nested pairs
+     * @param {{x: number, y: number}} from - Position of the bracket
+     * @param {string} bracket - The bracket
+     * @param {string} match - The bracket that closes or opens it
+     * @param {number} direction - 1 to scan forward, -1 to scan backward
+     * @returns {{x: number, y: number}|null} The position of the match, or null if there is none
+     * @private
+     */
+    _scanForBracket(from, bracket, match, direction) {
+        const lastLine = Math.min(this.currentFile.getLineCount() - 1, from.y + EditWindow.MAX_BRACKET_SCAN_LINES);
+        const firstLine = Math.max(0, from.y - EditWindow.MAX_BRACKET_SCAN_LINES);
+        let depth = 0;
+        for (let y = from.y; y >= firstLine && y <= lastLine; y += direction) {
+            const line = this.currentFile.getLine(y) || '';
+            let x = y === from.y ? from.x : (direction > 0 ? 0 : line.length - 1);
+            for (; x >= 0 && x < line.length; x += direction) {
+                if (line[x] === bracket) {
+                    depth++;
+                } else if (line[x] === match && --depth === 0) {
+                    return { x, y };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Grows or shrinks the block selection by a line or a column, starting
+     * one at the cursor if there is none
+     * @param {number} dx - Columns to move the corner at the cursor by
+     * @param {number} dy - Lines to move the corner at the cursor by
+     * @private
+     */
+    async _extendBlock(dx, dy) {
+        if (!this.block) {
+            const column = this.getDisplayCursorX();
+            this.block = { anchor: { column, y: this.cursorY }, head: { column, y: this.cursorY } };
+        }
+
+        const { anchor, head } = this.block;
+        head.y = Math.max(0, Math.min(head.y + dy, this.currentFile.getLineCount() - 1));
+        // Columns past the longest line of the block would select nothing more
+        let width = 0;
+        for (let y = Math.min(anchor.y, head.y); y <= Math.max(anchor.y, head.y); y++) {
+            const line = this.currentFile.getLine(y) || '';
+            width = Math.max(width, this.indentationService.displayColumn(line, line.length));
+        }
+        head.column = Math.max(0, Math.min(head.column + dx, Math.max(width, anchor.column)));
+
+        this._applyBlock();
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Puts a cursor on every line of the block selection, selecting the
+     * columns of the block; the main cursor is on the line of the moving corner
+     * @private
+     */
+    _applyBlock() {
+        const { anchor, head } = this.block;
+        const step = head.y >= anchor.y ? 1 : -1;
+        const cursors = [];
+        for (let y = anchor.y; y !== head.y + step; y += step) {
+            const line = this.currentFile.getLine(y) || '';
+            const from = this.indentationService.offsetAt(line, anchor.column);
+            const to = this.indentationService.offsetAt(line, head.column);
+            cursors.push({ x: to, y, anchor: from !== to ? { x: from, y } : null });
+        }
+
+        const main = cursors.pop();
+        this.cursorX = main.x;
+        this.cursorY = main.y;
+        this.selectionAnchor = main.anchor;
+        this.cursors = cursors;
+    }
+
+    /**
+     * Adds a cursor on the line above the topmost cursor, at the same column
+     */
+    async addCursorAbove() {
+        await this._addCursorOnLine(-1);
+    }
+
+    /**
+     * Adds a cursor on the line below the bottommost cursor, at the same column
+     */
+    async addCursorBelow() {
+        await this._addCursorOnLine(1);
+    }
+
+    /**
+     * Adds a cursor next to the outermost cursor in a direction
+     * @param {number} direction - -1 for the line above, 1 for the line below
+     * @private
+     */
+    async _addCursorOnLine(direction) {
+        const positions = [this._getAbsolutePosition(), ...this.cursors];
+        const edge = positions.reduce((outer, position) =>
+            (position.y - outer.y) * direction > 0 ? position : outer);
+        const y = edge.y + direction;
+        if (y < 0 || y >= this.currentFile.getLineCount()) return;
+
+        const column = this.indentationService.displayColumn(this.currentFile.getLine(edge.y) || '', edge.x);
+        const x = this.indentationService.offsetAt(this.currentFile.getLine(y) || '', column);
+        this.block = null;
+        this.cursors.push({ x, y, anchor: null });
+        await this.redraw();
+    }
+
+    /**
+     * Selects the next occurrence of the selected text as well, with a cursor
+     * of its own; without a selection, selects the word at the cursor first
+     */
+    async addNextOccurrence() {
+        await this._handleAddNextOccurrence();
+    }
+
+    /**
+     * Handles Ctrl+D, see addNextOccurrence
+     * @private
+     */
+    async _handleAddNextOccurrence() {
+        this.block = null;
+        const text = this.getSelectedText();
+        if (text === null) {
+            const word = this._findWordAt(this.cursorX, this.cursorY);
+            if (!word) return;
+            this.selectionAnchor = { x: word.start, y: this.cursorY };
+            this.cursorX = word.end;
+            await this.redraw();
+            return;
+        }
+        if (text.includes('\n')) return;
+
+        // Search on from the last cursor, skipping the occurrences already selected
+        const selections = this._getSelections();
+        const taken = new Set(selections.map(selection => `${selection.start.x},${selection.start.y}`));
+        const from = selections.map(selection => selection.end)
+            .reduce((last, position) => EditWindow._comparePositions(position, last) > 0 ? position : last);
+        const match = this._findOccurrence(text, from, taken);
+        if (!match) return;
+
+        // The new occurrence gets the main cursor, so the view follows it
+        this.cursors.push({ ...this._getAbsolutePosition(), anchor: this.selectionAnchor });
+        this.selectionAnchor = match;
+        this.cursorX = match.x + text.length;
+        this.cursorY = match.y;
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Finds the word at a position, or just before it
+     * @param {number} x - Character position in the line
+     * @param {number} y - Buffer line number
+     * @returns {{start: number, end: number}|null} Offsets of the word in the line, or null if there is none
+     * @private
+     */
+    _findWordAt(x, y) {
+        const line = this.currentFile.getLine(y) || '';
+        const isWord = (offset) => offset >= 0 && offset < line.length && this._charClass(line[offset]) === 'word';
+        let start = isWord(x) ? x : x - 1;
+        if (!isWord(start)) return null;
+
+        while (isWord(start - 1)) start--;
+        let end = start;
+        while (isWord(end)) end++;
+        return { start, end };
+    }
+
+    /**
+     * Finds the next occurrence of a text after a position, going on from the
+     * start of the buffer after its end
+     * @param {string} text - The text to find, on one line
+     * @param {{x: number, y: number}} from - Where to start looking
+     * @param {Set<string>} taken - Starts of occurrences to skip, as 'x,y'
+     * @returns {{x: number, y: number}|null} The start of the occurrence, or null if there is none
+     * @private
+     */
+    _findOccurrence(text, from, taken) {
+        const lineCount = this.currentFile.getLineCount();
+        for (let i = 0; i <= lineCount; i++) {
+            const y = (from.y + i) % lineCount;
+            const line = this.currentFile.getLine(y) || '';
+            for (let x = line.indexOf(text, i === 0 ? from.x : 0); x !== -1; x = line.indexOf(text, x + 1)) {
+                if (!taken.has(`${x},${y}`)) return { x, y };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Handles escape key press - goes back to a single cursor
+     * @private
+     */
+    async _handleEscape() {
+        if (this.cursors.length === 0 && !this.block) return;
+
+        this._clearCursors();
+        await this.redraw();
+    }
+
+    /**
+     * Gets the text selected by all cursors, in buffer order and a line each
+     * @returns {string|null} The selected text, or null if nothing is selected
+     * @private
+     */
+    _getCursorsText() {
+        if (this.cursors.length === 0) return this.getSelectedText();
+
+        const selections = this._getSelections().sort((a, b) => EditWindow._comparePositions(a.start, b.start));
+        if (selections.length === 0) return null;
+        return selections
+            .map(({ start, end }) => this.currentFile.getRangeText(start.x, start.y, end.x, end.y))
+            .join('\n');
+    }
+
+    /**
+     * Gets the lines the selection touches, or the cursor line. A selection
+     * ending at the start of a line leaves that line out.
+     * @returns {{first: number, last: number}} The first and last line
+     * @private
+     */
+    _getLineRange() {
+        const selection = this._getSelection();
+        if (!selection) return { first: this.cursorY, last: this.cursorY };
+
+        const { start, end } = selection;
+        return { first: start.y, last: end.x === 0 && end.y > start.y ? end.y - 1 : end.y };
+    }
+
+    /**
+     * Moves the lines of the selection, or the cursor line, past the line above or below
+     * @param {number} direction - -1 to move them up, 1 to move them down
+     */
+    async moveLines(direction) {
+        this._clearCursors();
+        const { first, last } = this._getLineRange();
+        if (first + direction < 0 || last + direction >= this.currentFile.getLineCount()) return;
+
+        this._edit(null, () => {
+            const lines = this.currentFile.getLines(first, last + 1);
+            if (direction < 0) {
+                this.currentFile.replaceLines(first - 1, last, [...lines, this.currentFile.getLine(first - 1)]);
+            } else {
+                this.currentFile.replaceLines(first, last + 1, [this.currentFile.getLine(last + 1), ...lines]);
+            }
+            this.cursorY += direction;
+            if (this.selectionAnchor) {
+                this.selectionAnchor = { ...this.selectionAnchor, y: this.selectionAnchor.y + direction };
+            }
+        });
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Inserts a copy of the selection after it and selects the copy, or
+     * without a selection, a copy of the cursor line below it
+     */
+    async duplicateLines() {
+        this._clearCursors();
+        const selection = this._getSelection();
+        this._edit(null, () => {
+            if (selection) {
+                const { start, end } = selection;
+                const text = this.currentFile.getRangeText(start.x, start.y, end.x, end.y);
+                const copyEnd = this.currentFile.insertText(text, end.x, end.y);
+                this.selectionAnchor = { ...end };
+                this.cursorX = copyEnd.x;
+                this.cursorY = copyEnd.y;
+            } else {
+                const line = this.currentFile.getLine(this.cursorY) || '';
+                this.currentFile.insertText(`\n${line}`, line.length, this.cursorY);
+                this.cursorY++;
+            }
+        });
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Deletes the lines of the selection, or the cursor line
+     */
+    async deleteLines() {
+        this._clearCursors();
+        const { first, last } = this._getLineRange();
+        const lastLine = this.currentFile.getLineCount() - 1;
+        this._edit(null, () => {
+            // The line break after the lines goes with them, or else the one before them
+            if (last < lastLine) {
+                this.currentFile.deleteRange(0, first, 0, last + 1);
+            } else if (first > 0) {
+                this.currentFile.deleteRange(this.currentFile.getLineLength(first - 1), first - 1, this.currentFile.getLineLength(last), last);
+            } else {
+                this.currentFile.deleteRange(0, first, this.currentFile.getLineLength(last), last);
+            }
+            this.selectionAnchor = null;
+            const pos = this._clampPosition({ x: this.cursorX, y: first });
+            this.cursorX = pos.x;
+            this.cursorY = pos.y;
+        });
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Joins the lines of the selection, or the cursor line and the next one.
+     * Like most editors, the joined lines lose their indentation and are
+     * separated by a space.
+     */
+    async joinLines() {
+        this._clearCursors();
+        const range = this._getLineRange();
+        const last = Math.max(range.last, range.first + 1);
+        if (last >= this.currentFile.getLineCount()) return;
+
+        let joined = this.currentFile.getLine(range.first) || '';
+        let joinAt = joined.length;
+        for (const line of this.currentFile.getLines(range.first + 1, last + 1)) {
+            const rest = line.trimStart();
+            joined = joined.trimEnd();
+            joinAt = joined.length;
+            joined += joined && rest ? ` ${rest}` : rest;
+        }
+
+        this._edit(null, () => {
+            this.currentFile.replaceLines(range.first, last, [joined]);
+            this.selectionAnchor = null;
+            this.cursorX = joinAt;
+            this.cursorY = range.first;
+        });
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Sorts the lines of the selection, or of the whole file
+     * @param {Object} [options={}] - Sort options
+     * @param {boolean} [options.numeric=false] - Order lines starting with numbers by their value
+     * @param {boolean} [options.ignoreCase=false] - Order lines regardless of case
+     */
+    async sortLines(options = {}) {
+        const collator = new Intl.Collator(undefined, {
+            numeric: options.numeric === true,
+            sensitivity: options.ignoreCase ? 'accent' : 'variant'
+        });
+        await this._transformLines(lines => [...lines].sort(collator.compare));
+    }
+
+    /**
+     * Removes repeated lines from the selection, or the whole file, keeping the first of each
+     */
+    async uniqueLines() {
+        await this._transformLines(lines => [...new Set(lines)]);
+    }
+
+    /**
+     * Reverses the order of the lines of the selection, or of the whole file
+     */
+    async reverseLines() {
+        await this._transformLines(lines => [...lines].reverse());
+    }
+
+    /**
+     * Replaces the lines of the selection, or of the whole file, as one
+     * undoable step; lines that were selected stay selected
+     * @param {Function} transform - Gets the lines and returns the new ones
+     * @private
+     */
+    async _transformLines(transform) {
+        this._clearCursors();
+        const selected = this._getSelection() !== null;
+        let first = 0;
+        let last = this.currentFile.getLineCount() - 1;
+        if (selected) {
+            ({ first, last } = this._getLineRange());
+        } else if (last > 0 && this.currentFile.getLineLength(last) === 0) {
+            // The empty line after the final line break stays last
+            last--;
+        }
+
+        const lines = this.currentFile.getLines(first, last + 1);
+        const result = transform(lines);
+        if (result.length === lines.length && result.every((line, index) => line === lines[index])) return;
+
+        this._edit(null, () => {
+            this.currentFile.replaceLines(first, last, result);
+            const end = first + result.length - 1;
+            if (selected) {
+                this.selectionAnchor = { x: 0, y: first };
+                this.cursorX = result[result.length - 1].length;
+                this.cursorY = end;
+            } else {
+                const pos = this._clampPosition(this._getAbsolutePosition());
+                this.cursorX = pos.x;
+                this.cursorY = pos.y;
+            }
+        });
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Comments out the lines of the selection, or the cursor line, with the
+     * comment string of the syntax, or removes the comments if they all have
+     * one. A '|' in the string separates what goes before and after the line,
+     * as in nanorc files, e.g. '<!--|-->'.
+     */
+    async toggleComment() {
+        this._clearCursors();
+        const syntax = await this.nanorcService.getSyntax(this.currentFile.fileName || '', this.currentFile, this.getSyntax());
+        // Like nano, syntaxes without a comment string use '#', and an empty one means lines cannot be commented
+        const comment = syntax && typeof syntax.comment === 'string' ? syntax.comment : EditWindow.DEFAULT_COMMENT;
+        if (!comment) return;
+
+        const [prefix, suffix = ''] = comment.split('|');
+        const { first, last } = this._getLineRange();
+        const lines = this.currentFile.getLines(first, last + 1);
+        const filled = lines.filter(line => line.trim() !== '');
+        if (filled.length === 0) return;
+
+        const indentOf = line => line.length - line.trimStart().length;
+        const isCommented = (line) => {
+            const text = line.trim();
+            return text.length >= prefix.length + suffix.length && text.startsWith(prefix) && text.endsWith(suffix);
+        };
+        const uncomment = filled.every(isCommented);
+        // Comments go at the indentation of the least indented line, so they line up
+        const column = Math.min(...filled.map(indentOf));
+
+        // Each line is changed at a column, where text moves by a number of characters
+        const changes = lines.map((line) => {
+            if (line.trim() === '') return { text: line, at: 0, shift: 0 };
+            if (!uncomment) {
+                const text = `${line.slice(0, column)}${prefix} ${line.slice(column)}${suffix ? ` ${suffix}` : ''}`;
+                return { text, at: column, shift: prefix.length + 1 };
+            }
+
+            const indent = indentOf(line);
+            let body = line.trim().slice(prefix.length, line.trim().length - suffix.length);
+            const removed = prefix.length + (body.startsWith(' ') ? 1 : 0);
+            body = body.startsWith(' ') ? body.slice(1) : body;
+            if (suffix && body.endsWith(' ')) body = body.slice(0, -1);
+            return { text: line.slice(0, indent) + body, at: indent, shift: -removed };
+        });
+
+        const move = (position) => {
+            const change = changes[position.y - first];
+            if (!change || position.x < change.at) return position;
+            return { x: Math.min(Math.max(change.at, position.x + change.shift), change.text.length), y: position.y };
+        };
+        this._edit(null, () => {
+            this.currentFile.replaceLines(first, last, changes.map(change => change.text));
+            const cursor = move(this._getAbsolutePosition());
+            this.cursorX = cursor.x;
+            if (this.selectionAnchor) {
+                this.selectionAnchor = move(this._clampPosition(this.selectionAnchor));
+            }
+        });
+        await this.redraw();
+    }
+
+    /**
+     * Runs the formatter of the syntax over the whole file and puts the
+     * result in as one undoable step. Failures are reported in the status line.
+     */
+    async format() {
+        this._clearCursors();
+        if (this.currentFile.readOnly) return;
+        const syntax = await this.nanorcService.getSyntax(this.currentFile.fileName || '', this.currentFile, this.getSyntax());
+        if (!syntax || !syntax.formatter) {
+            this._showMessage('No formatter is set for this syntax', { error: true });
+            return;
+        }
+
+        const file = this.currentFile;
+        const text = file.getText();
+        let formatted;
+        try {
+            // The final newline is kept in the file format, not the text, so the formatter gets it back
+            const input = file.format.finalNewline ? `${text}\n` : text;
+            formatted = (await this.formatterService.format(syntax.formatter, input, file.fileName || ''))
+                .replace(/\r?\n$/, '');
+        } catch (error) {
+            this._showMessage(`Format failed: ${error.message}`, { error: true });
+            return;
+        }
+        // The buffer may have been edited or replaced while the formatter ran
+        if (this.currentFile !== file || file.getText() !== text) {
+            this._showMessage('The file changed while it was formatted; run Format again', { error: true });
+            return;
+        }
+        if (formatted === text) {
+            this._showMessage('Already formatted');
+            return;
+        }
+
+        this._edit(null, () => {
+            file.replaceLines(0, file.getLineCount() - 1, formatted.split(/\r?\n/));
+            this.selectionAnchor = null;
+            const pos = this._clampPosition(this._getAbsolutePosition());
+            this.cursorX = pos.x;
+            this.cursorY = pos.y;
+        });
+        this._adjustScrollForCursor();
+        await this.redraw();
+        this._showMessage(`Formatted with ${syntax.formatter[0]}`);
+    }
+
+    /**
+     * Shows a message in the status line, if the window has one
+     * @param {string} text - The message
+     * @param {Object} [options] - Options for WindowService.showMessage
+     * @private
+     */
+    _showMessage(text, options) {
+        if (this.windowService && this.windowService.showMessage) {
+            this.windowService.showMessage(text, options);
+        }
+    }
+
+    /**
+     * Handles paste operation (Ctrl+V)
+     * @private
+     */
+    async _handlePaste() {
+        try {
+            // Get text from the clipboard
+            const clipboardText = await clipboardService.read();
+            
+            if (!clipboardText || clipboardText.length === 0) {
+                logger.debug('EditWindow', 'Clipboard is empty, nothing to paste');
+                return;
+            }
+            
+            logger.debug('EditWindow', `Pasting content from clipboard, length: ${clipboardText.length}`);
+            
+            // Normalize line endings so the buffer only ever holds '\n'
+            const clipboardLines = clipboardText.replace(/\r\n?/g, '\n').split('\n');
+            // With a line for each cursor, e.g. copied from a block, each cursor gets its own line
+            const perCursor = this.cursors.length > 0 && clipboardLines.length === this.cursors.length + 1;
+            
+            // The whole paste is one undo step, however many lines it spans
+            this._edit(null, () => this._forEachCursor((index) => {
+                const text = perCursor ? clipboardLines[index] : clipboardLines.join('\n');
+                // Pasting over a selection replaces it
+                this._deleteSelection();
+                const pos = this._getAbsolutePosition();
+                
+                if (!text.includes('\n')) {
+                    // Single line paste - insert at cursor position
+                    this.currentFile.writeText(text, pos.x, pos.y, this.windowService.insert);
+                    this.cursorX += text.length;
+                } else {
+                    // Multi-line paste always inserts; the text after the cursor
+                    // ends up after the last pasted line
+                    const end = this.currentFile.insertText(text, pos.x, pos.y);
+                    this.cursorX = end.x;
+                    this.cursorY = end.y;
+                }
+            }));
+            
+            // Adjust scroll if needed
+            this._adjustScrollForCursor();
+            
+            await this.redraw();
+        } catch (error) {
+            logger.error('EditWindow', `Error pasting from clipboard: ${error.message}`);
+        }
+    }
+
+    /**
+     * Starts or updates an incremental search. Each call searches again from
+     * where the search started, so the match follows the query as it is typed.
+     * @param {string} query - The text or pattern to search for
+     * @param {Object} [options={}] - Search options (caseSensitive, wholeWord, regex)
+     * @returns {Promise<{count: number|null, index: number|null, error?: string}|null>} The match status, see _selectMatch
+     */
+    async setSearch(query, options = {}) {
+        if (!this.searchOrigin) {
+            const selection = this._getSelection();
+            this.searchOrigin = selection ? selection.start : this._getAbsolutePosition();
+        }
+
+        if (!query) {
+            this.search = null;
+            this.selectionAnchor = null;
+            await this.redraw();
+            return { count: 0, index: 0 };
+        }
+
+        try {
+            this.search = { query, options, matcher: this.searchService.buildMatcher(query, options) };
+        } catch (error) {
+            this.search = null;
+            await this.redraw();
+            return { count: 0, index: 0, error: error.message };
+        }
+
+        return await this._searchFrom(this.searchOrigin, false);
+    }
+
+    /**
+     * Moves to the next search match, wrapping around the end of the file
+     * @returns {Promise<{count: number|null, index: number|null}|null>} The match status, see _selectMatch
+     */
+    async findNext() {
+        if (!this.search) return { count: 0, index: 0 };
+        return await this._searchFrom(this._getAbsolutePosition(), false);
+    }
+
+    /**
+     * Moves to the previous search match, wrapping around the start of the file
+     * @returns {Promise<{count: number|null, index: number|null}|null>} The match status, see _selectMatch
+     */
+    async findPrevious() {
+        if (!this.search) return { count: 0, index: 0 };
+
+        const selection = this._getSelection();
+        const from = selection ? selection.start : this._getAbsolutePosition();
+        return await this._searchFrom(from, true);
+    }
+
+    /**
+     * Replaces the selected match and moves to the next one
+     * @param {string} replacement - The replacement text ($1 etc. allowed in regex mode)
+     * @returns {Promise<{count: number, index: number}>} The match status after replacing
+     */
+    async replaceCurrent(replacement) {
+        if (!this.search) return { count: 0, index: 0 };
+
+        const selection = this._getSelection();
+        const match = selection && this._matchAt(selection);
+        if (match) {
+            const text = this.searchService.expandReplacement(match, replacement, this.search.options.regex);
+
+            this._edit(null, () => {
+                this._deleteSelection();
+                const end = this.currentFile.insertText(text, selection.start.x, selection.start.y);
+                this.cursorX = end.x;
+                this.cursorY = end.y;
+            });
+        }
+
+        return await this.findNext();
+    }
+
+    /**
+     * Replaces every match in the file as a single undo step
+     * @param {string} replacement - The replacement text ($1 etc. allowed in regex mode)
+     * @returns {Promise<{replaced: number}>} The number of replacements made
+     */
+    async replaceAll(replacement) {
+        if (!this.search) return { replaced: 0 };
+
+        const { matcher, options } = this.search;
+        let replaced = 0;
+
+        this._edit(null, () => {
+            this.selectionAnchor = null;
+            // Work bottom-up and right-to-left so earlier positions stay valid
+            for (let y = this.currentFile.getLineCount() - 1; y >= 0; y--) {
+                const line = this.currentFile.getLine(y);
+                const matches = this.searchService.findInLine(line, matcher);
+                for (let i = matches.length - 1; i >= 0; i--) {
+                    const { start, end } = matches[i];
+                    const text = this.searchService.expandReplacement(matches[i], replacement, options.regex);
+                    this.currentFile.deleteRange(start, y, end, y);
+                    this.currentFile.insertText(text, start, y);
+                    replaced++;
+                }
+            }
+            const pos = this._clampPosition(this._getAbsolutePosition());
+            this.cursorX = pos.x;
+            this.cursorY = pos.y;
+        });
+
+        this._adjustScrollForCursor();
+        await this.redraw();
+        return { replaced };
+    }
+
+    /**
+     * Moves the cursor to a buffer position, scrolling it into view if needed
+     * @param {number} line - Zero-based line number
+     * @param {number} [column=0] - Zero-based character position
+     */
+    async goTo(line, column = 0) {
+        const pos = this._clampPosition({ x: column, y: line });
+        this._clearCursors();
+        this.selectionAnchor = null;
+        this.cursorX = pos.x;
+        this.cursorY = pos.y;
+
+        // Jumps land mid-screen so the surrounding code is visible too
+        const height = this._getContentHeight();
+        if (pos.y < this.scrollOffsetY || pos.y >= this.scrollOffsetY + height) {
+            this.scrollOffsetY = Math.max(0, pos.y - Math.floor(height / 2));
+            this._scrollTo(this.scrollOffsetY);
+        }
+        // Lines above it may take several rows when wrapped
+        const wrap = this._getWrap();
+        if (wrap) {
+            this._adjustScrollForWrappedCursor(wrap);
+        }
+
+        await this.redraw();
+    }
+
+    /**
+     * Shows another version of the file, e.g. after reloading it from disk,
+     * keeping the cursor and scroll position as close as the new content allows
+     * @param {EditFile} editFile - The new content
+     */
+    async replaceFile(editFile) {
+        const state = this._getViewState();
+        if (this.currentFile !== editFile) {
+            this.currentFile.close();
+        }
+        this.currentFile = editFile;
+        this._restoreViewState({ ...state, selectionAnchor: null });
+        await this.redraw();
+    }
+
+    /**
+     * Ends the search and removes match highlighting
+     */
+    async clearSearch() {
+        this.search = null;
+        this.searchOrigin = null;
+        await this.redraw();
+    }
+
+    /**
+     * Finds and selects the nearest match from a position
+     * @param {{x: number, y: number}} from - Where to start looking
+     * @param {boolean} backwards - Whether to search towards the start of the file
+     * @returns {Promise<{count: number|null, index: number|null}|null>} The match status, or null
+     *   if another search started while this one was loading lines
+     * @private
+     */
+    async _searchFrom(from, backwards) {
+        const search = this.search;
+        const match = await this._findMatch(from, backwards);
+        if (this.search !== search) return null;
+        return await this._selectMatch(match);
+    }
+
+    /**
+     * Finds the nearest match from a position, wrapping around the file once.
+     * Lines are loaded a chunk at a time as the search reaches them, so files
+     * read from disk on demand are searched in full.
+     * @param {{x: number, y: number}} from - Where to start looking
+     * @param {boolean} backwards - Whether to search towards the start of the file
+     * @returns {Promise<{y: number, start: number, end: number}|null>} The match, or null if there is none
+     * @private
+     */
+    async _findMatch(from, backwards) {
+        const file = this.currentFile;
+        const { matcher } = this.search;
+        const total = file.getLineCount();
+        let loaded = null;
+
+        for (let i = 0; i <= total; i++) {
+            const y = backwards ? (from.y - i + total) % total : (from.y + i) % total;
+            if (!loaded || y < loaded.start || y >= loaded.end) {
+                const start = backwards ? Math.max(0, y - EditWindow.SEARCH_CHUNK_LINES + 1) : y;
+                loaded = { start, end: Math.min(total, start + EditWindow.SEARCH_CHUNK_LINES) };
+                await file.loadLines(loaded.start, loaded.end);
+            }
+            let matches = this.searchService.findInLine(file.getLine(y), matcher);
+
+            if (i === 0) {
+                // The starting line only counts on the far side of the start position
+                matches = matches.filter(m => backwards ? m.start < from.x : m.start >= from.x);
+            } else if (i === total) {
+                // Back on the starting line after wrapping around
+                matches = matches.filter(m => backwards ? m.start >= from.x : m.start < from.x);
+            }
+
+            if (matches.length > 0) {
+                const match = backwards ? matches[matches.length - 1] : matches[0];
+                return { y, start: match.start, end: match.end };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the search match that is exactly a single-line range
+     * @returns {{start: number, end: number, match: RegExpExecArray}|null} The match, or null if the range is none
+     * @private
+     */
+    _matchAt(range) {
+        if (range.start.y !== range.end.y) return null;
+
+        const line = this.currentFile.getLine(range.start.y) || '';
+        return this.searchService.findInLine(line, this.search.matcher)
+            .find(m => m.start === range.start.x && m.end === range.end.x) || null;
+    }
+
+    /**
+     * Selects a match, scrolls it into view and reports its position among all matches
+     * @param {{y: number, start: number, end: number}|null} match - The match to select
+     * @returns {Promise<{count: number|null, index: number|null}>} The match status; count and
+     *   index are null for files read on demand, which are not scanned in full just to count
+     * @private
+     */
+    async _selectMatch(match) {
+        let count = 0;
+        let index = 0;
+
+        if (match && this.currentFile.isLoadedOnDemand()) {
+            count = null;
+            index = null;
+        } else if (match) {
+            const lineCounts = this._getMatchCounts();
+            for (let y = 0; y < match.y; y++) {
+                count += lineCounts[y];
+            }
+            index = count + this.searchService.findInLine(this.currentFile.getLine(match.y), this.search.matcher)
+                .filter(m => m.start <= match.start).length;
+            for (let y = match.y; y < lineCounts.length; y++) {
+                count += lineCounts[y];
+            }
+        }
+
+        if (match) {
+            this.selectionAnchor = { x: match.start, y: match.y };
+            this.cursorX = match.end;
+            this.cursorY = match.y;
+            this._adjustScrollForCursor();
+        }
+
+        await this.redraw();
+        return { count, index };
+    }
+
+    /**
+     * Gets the number of search matches on each line, counted once per search
+     * and again only after the file changes
+     * @returns {Uint32Array} The counts by line
+     * @private
+     */
+    _getMatchCounts() {
+        const file = this.currentFile;
+        const counted = this.search.counted;
+        if (counted && counted.file === file && counted.version === file.version) {
+            return counted.lineCounts;
+        }
+
+        const lineCounts = new Uint32Array(file.getLineCount());
+        for (let y = 0; y < lineCounts.length; y++) {
+            lineCounts[y] = this.searchService.findInLine(file.getLine(y), this.search.matcher).length;
+        }
+        this.search.counted = { file, version: file.version, lineCounts };
+        return lineCounts;
+    }
+
+    /**
+     * Copies the selection to the clipboard
+     */
+    async copy() {
+        await this._handleCopy();
+    }
+
+    /**
+     * Cuts the selection to the clipboard
+     */
+    async cut() {
+        await this._handleCut();
+    }
+
+    /**
+     * Pastes the clipboard at the cursor
+     */
+    async paste() {
+        await this._handlePaste();
+    }
+
+    /**
+     * Reverts the last edit step
+     */
+    async undo() {
+        await this._handleUndo();
+    }
+
+    /**
+     * Re-applies the last undone edit step
+     */
+    async redo() {
+        await this._handleRedo();
+    }
+
+    /**
+     * Handles copy (Ctrl+C) - copies the selection to the clipboard
+     * @private
+     */
+    async _handleCopy() {
+        const text = this._getCursorsText();
+        if (text === null) return;
+
+        await clipboardService.write(text);
+        logger.debug('EditWindow', `Copied ${text.length} characters`);
+    }
+
+    /**
+     * Handles cut (Ctrl+X) - copies the selection to the clipboard and deletes it
+     * @private
+     */
+    async _handleCut() {
+        const text = this._getCursorsText();
+        if (text === null) return;
+
+        await clipboardService.write(text);
+        this._edit(null, () => this._forEachCursor(() => this._deleteSelection()));
+        this._adjustScrollForCursor();
+        await this.redraw();
+    }
+
+    /**
+     * Handles undo (Ctrl+Z) - reverts the last edit step and restores the cursor
+     * @private
+     */
+    async _handleUndo() {
+        const state = this.currentFile.undo();
+        if (!state) {
+            logger.debug('EditWindow', 'Nothing to undo');
+            return;
+        }
+        this._restoreViewState(state);
+        await this.redraw();
+    }
+
+    /**
+     * Handles redo (Ctrl+Y) - re-applies the last undone edit step
+     * @private
+     */
+    async _handleRedo() {
+        const state = this.currentFile.redo();
+        if (!state) {
+            logger.debug('EditWindow', 'Nothing to redo');
+            return;
+        }
+        this._restoreViewState(state);
+        await this.redraw();
+    }
+
+    /**
+     * Takes the window colors from the current theme. WindowService applies
+     * them to the UI element when the theme changes.
+     */
+    applyTheme() {
+        const colors = themeService.getColors('window');
+        this.borderColor = colors.border;
+        this.focusBorderColor = colors.focusBorder;
+        this.backgroundColor = colors.bg;
+        this.foregroundColor = colors.fg;
+    }
+
+    /**
+     * Gets the styling information for the window's UI element
+     * @returns {Object} Style object with border, background, and other styling properties
+     */
+    getStyle() {
+        return {
             border: {
                 type: 'line',
             },
@@ -507,6 +2477,8 @@ class EditWindow {
             },
             scrollable: true,
             alwaysScroll: true,
+            // Lines are wrapped (or cut off) here, so rows match buffer positions
+            wrap: false,
             scrollbar: {
                 ch: '║',
                 track: {
@@ -528,7 +2500,7 @@ class EditWindow {
     createUIElement(blessed) {
         const style = this.getStyle();
         
-        return blessed.box({
+        const element = blessed.box({
             top: 0,
             left: 0,
             width: '100%',
@@ -537,7 +2509,107 @@ class EditWindow {
             zIndex: 5,
             ...style
         });
+        this._attachMouseHandlers(element);
+        return element;
+    }
+
+    /**
+     * Lets the mouse place the cursor and drag out a selection
+     * @param {Object} element - The blessed element of this window
+     * @protected
+     */
+    _attachMouseHandlers(element) {
+        element.on('mousedown', async (data) => {
+            const pos = this._positionFromMouse(element, data);
+            if (!pos) return;
+
+            this._clearCursors();
+            this.cursorX = pos.x;
+            this.cursorY = pos.y;
+            this.selectionAnchor = pos;
+            this.mouseSelecting = true;
+            // Alt+drag selects a block
+            if (data.meta) {
+                const column = this.getDisplayCursorX();
+                this.block = { anchor: { column, y: pos.y }, head: { column, y: pos.y } };
+            }
+            await this.redraw();
+        });
+
+        element.on('mousemove', async (data) => {
+            if (!this.mouseSelecting) return;
+
+            const pos = this._positionFromMouse(element, data);
+            if (!pos) return;
+
+            if (this.block) {
+                const line = this.currentFile.getLine(pos.y) || '';
+                this.block.head = { column: this.indentationService.displayColumn(line, pos.x), y: pos.y };
+                this._applyBlock();
+            } else {
+                this.cursorX = pos.x;
+                this.cursorY = pos.y;
+            }
+            this._adjustScrollForCursor();
+            await this.redraw();
+        });
+
+        element.on('mouseup', () => {
+            this.mouseSelecting = false;
+        });
+    }
+
+    /**
+     * Converts a mouse event's screen coordinates to a buffer position
+     * @param {Object} element - The blessed element of this window
+     * @param {Object} data - The blessed mouse event data
+     * @returns {{x: number, y: number}|null} The buffer position, or null when outside the text area
+     * @private
+     */
+    _positionFromMouse(element, data) {
+        const row = data.y - element.atop - element.itop;
+        const col = data.x - element.aleft - element.ileft;
+        if (row < 0 || col < 0) return null;
+
+        // Clicks in the gutter go to the start of the line
+        const textCol = Math.max(0, col - this.getGutterWidth());
+        const wrap = this._getWrap();
+        if (wrap) {
+            // Count down the rows of the lines from the top of the window
+            const lastLine = Math.max(0, this.currentFile.getLineCount() - 1);
+            let y = Math.min(this.scrollOffsetY, lastLine);
+            let starts = this._getRows(y, wrap);
+            let rowInLine = row;
+            while (rowInLine >= starts.length && y < lastLine) {
+                rowInLine -= starts.length;
+                starts = this._getRows(++y, wrap);
+            }
+            return { x: this._offsetInRow(y, starts, Math.min(rowInLine, starts.length - 1), textCol, wrap), y };
+        }
+
+        const y = this._clampPosition({ x: 0, y: row + this.scrollOffsetY }).y;
+        const line = this.currentFile.getLine(y) || '';
+        return { x: this.indentationService.offsetAt(line, textCol + this.scrollOffsetX), y };
     }
 }
 
+/** Milliseconds between redraws while a large file is being read */
+EditWindow.LOADING_REDRAW_MS = 250;
+/** Columns line numbers take at least, so the gutter does not grow with the first lines typed */
+EditWindow.MIN_NUMBER_DIGITS = 3;
+/** Marker kinds from most to least important; the most important marker of a line is shown */
+EditWindow.MARKER_KINDS = ['diagnostics', 'bookmarks', 'vcs'];
+/** Lines a search loads and scans at a time, so files read on demand are searched a piece at a time */
+EditWindow.SEARCH_CHUNK_LINES = 1024;
+/** Shown in the first column when a line has text scrolled out to the left */
+EditWindow.OVERFLOW_LEFT = '«';
+/** Shown in the last column when a line has text past the right edge */
+EditWindow.OVERFLOW_RIGHT = '»';
+/** Brackets matched with Ctrl+], opening to closing */
+EditWindow.BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+/** Lines searched in either direction for a matching bracket */
+EditWindow.MAX_BRACKET_SCAN_LINES = 10000;
+/** Comment string of syntaxes that do not set one, as in nano */
+EditWindow.DEFAULT_COMMENT = '#';
+
 module.exports = EditWindow;
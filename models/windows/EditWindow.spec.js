@@ -1,8 +1,15 @@
 const EditWindow = require('./EditWindow');
 const EditFile = require('../EditFile');
+const LazyFileBuffer = require('../LazyFileBuffer');
 const KeyEvent = require('../KeyEvent');
 const IndentationService = require('../../services/IndentationService');
 const NanorcService = require('../../services/NanorcService');
+const configService = require('../../services/ConfigService');
+const themeService = require('../../services/ThemeService');
+const FileService = require('../../services/FileService');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Mock dependent services
 jest.mock('../../services/IndentationService');
@@ -14,7 +21,8 @@ jest.mock('../../services/LoggingService', () => ({
 
 // Add this to the mock imports at the top
 jest.mock('clipboardy', () => ({
-    read: jest.fn()
+    read: jest.fn(),
+    write: jest.fn()
 }));
 
 describe('EditWindow', () => {
@@ -45,8 +53,11 @@ describe('EditWindow', () => {
         mockEditFile.deleteChar = jest.fn();
         mockEditFile.writeText = jest.fn(); // Mock writeText method
 
-        // Mock IndentationService
+        // Mock IndentationService; these buffers have no tabs, so columns equal offsets
         IndentationService.prototype.getIndentation.mockReturnValue('  ');
+        IndentationService.prototype.expandTabs.mockImplementation(line => line);
+        IndentationService.prototype.displayColumn.mockImplementation((line, offset) => offset);
+        IndentationService.prototype.offsetAt.mockImplementation((line, column) => Math.min(column, line.length));
 
         // Mock NanorcService
         NanorcService.prototype.style.mockImplementation((line) => Promise.resolve(line));
@@ -283,6 +294,256 @@ describe('EditWindow', () => {
             expect(editWindow.cursorX).toBe(2); // Move cursor by indentation length
             expect(redrawSpy).toHaveBeenCalled();
         });
+
+        it('should insert what the syntax of the file gives for Tab', async () => {
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+            editWindow.nanorcService.getSyntax.mockResolvedValue({ name: 'makefile', tabgives: '\t' });
+
+            await editWindow._handleTab();
+
+            expect(mockEditFile.writeText).toHaveBeenCalledWith('\t', 0, 0, true);
+            expect(editWindow.cursorX).toBe(1);
+        });
+    });
+
+    describe('setSyntax', () => {
+        it('should keep the chosen syntax while the file keeps its name', () => {
+            editWindow.setSyntax('python');
+            expect(editWindow.getSyntax()).toBe('python');
+
+            editWindow.currentFile = new EditFile('other.c', ['']);
+            expect(editWindow.getSyntax()).toBeNull();
+        });
+
+        it('should go back to detecting the syntax when cleared', () => {
+            editWindow.setSyntax('python');
+            editWindow.setSyntax(null);
+
+            expect(editWindow.getSyntax()).toBeNull();
+        });
+    });
+
+    describe('followChange', () => {
+        it('should keep the cursor and selection on their text when lines change above them', () => {
+            editWindow.currentFile = new EditFile('test.txt', 'a\nx\ny\nb\nc\nd\nlast line');
+            editWindow.cursorY = 4;
+            editWindow.cursorX = 6;
+            editWindow.selectionAnchor = { x: 0, y: 3 };
+
+            // Line 0 was split into the three lines a, x and y
+            editWindow.followChange(0, 0, 2);
+            expect(editWindow.cursorY).toBe(6);
+            expect(editWindow.selectionAnchor).toEqual({ x: 0, y: 5 });
+        });
+
+        it('should move a cursor inside removed lines to where they were', () => {
+            editWindow.currentFile = new EditFile('test.txt', 'ab\nc');
+            editWindow.cursorY = 3;
+            editWindow.cursorX = 4;
+
+            // Lines 1 to 3 were joined into line 0
+            editWindow.followChange(0, 3, 0);
+            expect(editWindow.cursorY).toBe(0);
+            expect(editWindow.cursorX).toBe(2);
+        });
+    });
+
+    describe('gutter', () => {
+        let lineNumbers;
+        const tagged = (section, text) => `${themeService.getTags(section).open}${text}${themeService.getTags(section).close}`;
+
+        beforeEach(() => {
+            lineNumbers = 'off';
+            jest.spyOn(configService, 'get').mockImplementation((key, defaultValue) =>
+                key === 'editor.lineNumbers' ? lineNumbers : defaultValue);
+            editWindow.currentFile = new EditFile('test.txt', 'one\ntwo\nthree');
+        });
+
+        afterEach(() => {
+            configService.get.mockRestore();
+        });
+
+        it('should take no room when there are no line numbers or markers', () => {
+            expect(editWindow.getGutterWidth()).toBe(0);
+            expect(editWindow._gutterText(editWindow._getGutter(), 0)).toBe('');
+        });
+
+        it('should number the lines', () => {
+            lineNumbers = 'absolute';
+            const gutter = editWindow._getGutter();
+
+            expect(editWindow.getGutterWidth()).toBe(4);
+            expect(editWindow._gutterText(gutter, 0)).toBe(`${tagged('gutterCurrent', '  1')} `);
+            expect(editWindow._gutterText(gutter, 2)).toBe(`${tagged('gutter', '  3')} `);
+        });
+
+        it('should count lines from the cursor line with relative numbers', () => {
+            lineNumbers = 'relative';
+            editWindow.cursorY = 2;
+            const gutter = editWindow._getGutter();
+
+            expect(editWindow._gutterText(gutter, 0)).toBe(`${tagged('gutter', '  2')} `);
+            expect(editWindow._gutterText(gutter, 2)).toBe(`${tagged('gutterCurrent', '  3')} `);
+        });
+
+        it('should show the most important marker of a line', () => {
+            editWindow.setMarkers('vcs', [{ line: 0, symbol: '+', color: 'green' }, { line: 1, symbol: '~', color: 'blue' }]);
+            editWindow.setMarkers('diagnostics', [{ line: 0, symbol: '!', color: 'red' }]);
+            const gutter = editWindow._getGutter();
+
+            expect(gutter.width).toBe(2);
+            expect(editWindow._gutterText(gutter, 0)).toBe('{red-fg}!{/red-fg} ');
+            expect(editWindow._gutterText(gutter, 1)).toBe('{blue-fg}~{/blue-fg} ');
+            expect(editWindow._gutterText(gutter, 2)).toBe('  ');
+
+            editWindow.setMarkers('diagnostics', []);
+            expect(editWindow._gutterText(gutter, 0)).toBe('{green-fg}+{/green-fg} ');
+        });
+
+        it('should leave the gutter out of mouse positions', () => {
+            lineNumbers = 'absolute';
+            const element = { atop: 1, aleft: 0, itop: 1, ileft: 1 };
+
+            expect(editWindow._positionFromMouse(element, { x: 7, y: 3 })).toEqual({ x: 2, y: 1 });
+            // Clicks on a line number go to the start of the line
+            expect(editWindow._positionFromMouse(element, { x: 2, y: 3 })).toEqual({ x: 0, y: 1 });
+        });
+    });
+
+    describe('soft wrap', () => {
+        let settings;
+        let element;
+        const indicator = text => `${themeService.getTags('gutter').open}${text}${themeService.getTags('gutter').close}`;
+
+        beforeEach(() => {
+            settings = { 'editor.softWrap': true, 'editor.wrapIndicator': '>' };
+            jest.spyOn(configService, 'get').mockImplementation((key, defaultValue) =>
+                key in settings ? settings[key] : defaultValue);
+            // Rows are 8 columns wide, wrapped ones 7 after the indicator
+            element = { width: 10, height: 7, atop: 0, aleft: 0, itop: 1, ileft: 1, scrollTo: jest.fn(), setContent: jest.fn() };
+            mockWindowService.windows = [{ window: editWindow, element }];
+            editWindow.nanorcService.styleLines.mockImplementation((document, start, end, filename, getLine) =>
+                Promise.resolve(Array.from({ length: end - start }, (_, index) => getLine(start + index))));
+            editWindow.currentFile = new EditFile('test.txt', 'aaa bbbbbb cc\nx');
+        });
+
+        afterEach(() => {
+            configService.get.mockRestore();
+        });
+
+        it('should split lines after the last space that fits, or anywhere without one', () => {
+            expect(EditWindow._wrapLine('aaa bbbbbb cc', 8, 7, true)).toEqual([0, 4, 11]);
+            expect(EditWindow._wrapLine('aaa bbbbbb cc', 8, 7, false)).toEqual([0, 8]);
+            expect(EditWindow._wrapLine('abcdefghijk', 4, 4, true)).toEqual([0, 4, 8]);
+            expect(EditWindow._wrapLine('', 4, 4, true)).toEqual([0]);
+        });
+
+        it('should show long lines on several rows with the wrap indicator', async () => {
+            await editWindow.redraw();
+
+            expect(element.setContent).toHaveBeenCalledWith(
+                `aaa \n${indicator('>')}bbbbbb \n${indicator('>')}cc\nx`);
+        });
+
+        it('should follow the syntax setting and the choice for the window', () => {
+            settings = { 'editor.softWrapBySyntax': { markdown: true } };
+            expect(editWindow.isSoftWrap()).toBe(false);
+
+            editWindow.syntaxName = 'markdown';
+            expect(editWindow.isSoftWrap()).toBe(true);
+
+            editWindow.setSoftWrap(false);
+            expect(editWindow.isSoftWrap()).toBe(false);
+        });
+
+        it('should place the cursor on the row it wrapped onto', () => {
+            editWindow.cursorX = 12;
+
+            expect(editWindow.getVisualCursor()).toEqual({ x: 2, y: 2 });
+        });
+
+        it('should move up and down by rows', async () => {
+            editWindow.cursorX = 12;
+
+            await editWindow._moveCursor(0, -1);
+            expect(editWindow.cursorX).toBe(5);
+            await editWindow._moveCursor(0, -1);
+            expect(editWindow.cursorX).toBe(2);
+            expect(editWindow.cursorY).toBe(0);
+
+            editWindow.cursorX = 12;
+            await editWindow._moveCursor(0, 1);
+            expect(editWindow.cursorX).toBe(1);
+            expect(editWindow.cursorY).toBe(1);
+        });
+
+        it('should go to the ends of the row before the ends of the line', async () => {
+            editWindow.cursorX = 6;
+
+            await editWindow._handleEnd();
+            expect(editWindow.cursorX).toBe(10);
+            await editWindow._handleEnd();
+            expect(editWindow.cursorX).toBe(13);
+            await editWindow._handleHome();
+            expect(editWindow.cursorX).toBe(11);
+            await editWindow._handleHome();
+            expect(editWindow.cursorX).toBe(0);
+        });
+
+        it('should map mouse clicks on wrapped rows to their text', () => {
+            expect(editWindow._positionFromMouse(element, { x: 4, y: 2 })).toEqual({ x: 6, y: 0 });
+            expect(editWindow._positionFromMouse(element, { x: 2, y: 4 })).toEqual({ x: 1, y: 1 });
+        });
+    });
+
+    describe('horizontal scrolling', () => {
+        let element;
+        const marker = text => `${themeService.getTags('gutter').open}${text}${themeService.getTags('gutter').close}`;
+
+        beforeEach(() => {
+            jest.spyOn(configService, 'get').mockImplementation((key, defaultValue) =>
+                key === 'editor.sideScrollMargin' ? 2 : defaultValue);
+            // Rows are 10 columns wide
+            element = { width: 12, height: 5, scrollTo: jest.fn(), setContent: jest.fn() };
+            mockWindowService.windows = [{ window: editWindow, element }];
+            editWindow.nanorcService.styleLines.mockImplementation((document, start, end, filename, getLine) =>
+                Promise.resolve(Array.from({ length: end - start }, (_, index) => `{red-fg}${getLine(start + index)}{/red-fg}`)));
+            editWindow.currentFile = new EditFile('test.txt', 'abcdefghijklmnopqrstuvwxyz\nab');
+        });
+
+        afterEach(() => {
+            configService.get.mockRestore();
+        });
+
+        it('should scroll to keep the cursor away from the right edge', async () => {
+            editWindow.cursorX = 15;
+            await editWindow.redraw();
+
+            expect(editWindow.scrollOffsetX).toBe(8);
+            expect(editWindow.getVisualCursor()).toEqual({ x: 7, y: 0 });
+            expect(element.setContent).toHaveBeenCalledWith(
+                `${marker('«')}{red-fg}jklmnopq{/red-fg}${marker('»')}\n${marker('«')}`);
+        });
+
+        it('should scroll back to keep the cursor away from the left edge', async () => {
+            editWindow.scrollOffsetX = 8;
+            editWindow.cursorX = 3;
+            await editWindow.redraw();
+
+            expect(editWindow.scrollOffsetX).toBe(1);
+            expect(element.setContent).toHaveBeenCalledWith(
+                `${marker('«')}{red-fg}cdefghij{/red-fg}${marker('»')}\n${marker('«')}`);
+        });
+
+        it('should not scroll lines that fit', async () => {
+            editWindow.cursorY = 1;
+            editWindow.cursorX = 2;
+            await editWindow.redraw();
+
+            expect(editWindow.scrollOffsetX).toBe(0);
+            expect(element.setContent).toHaveBeenCalledWith(
+                `{red-fg}abcdefghi{/red-fg}${marker('»')}\n{red-fg}ab{/red-fg}`);
+        });
     });
 
     describe('_handleBackspace', () => {
@@ -386,6 +647,20 @@ describe('EditWindow', () => {
             
             expect(editWindow.cursorX).toBe(0);
         });
+
+        it('should toggle between the first non-blank character and the start of the line', async () => {
+            editWindow.currentFile.fileData = ['    indented'];
+            editWindow.cursorX = 8;
+
+            await editWindow._handleHome();
+            expect(editWindow.cursorX).toBe(4);
+
+            await editWindow._handleHome();
+            expect(editWindow.cursorX).toBe(0);
+
+            await editWindow._handleHome();
+            expect(editWindow.cursorX).toBe(4);
+        });
     });
 
     describe('_handleEnd', () => {
@@ -517,4 +792,870 @@ describe('EditWindow', () => {
             expect(loggerSpy).toHaveBeenCalledWith('EditWindow', 'Error pasting from clipboard: Clipboard error');
         });
     });
-}); 
\ No newline at end of file
+    describe('undo and redo', () => {
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['line1', 'line2']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        it('should register Ctrl+Z and Ctrl+Y', () => {
+            const eventKeys = editWindow.events.map(e => e.binding);
+            
+            expect(eventKeys).toContain('C-z');
+            expect(eventKeys).toContain('C-y');
+        });
+
+        it('should undo typed characters as one step and restore the cursor', async () => {
+            editWindow.cursorX = 5;
+            await editWindow.press({ full: 'a', sequence: 'a' });
+            await editWindow.press({ full: 'b', sequence: 'b' });
+            
+            await editWindow._handleUndo();
+            
+            expect(editWindow.currentFile.fileData).toEqual(['line1', 'line2']);
+            expect(editWindow.cursorX).toBe(5);
+            expect(editWindow.cursorY).toBe(0);
+        });
+
+        it('should undo enter and redo it with the cursor on the new line', async () => {
+            editWindow.cursorX = 2;
+            await editWindow._handleEnter();
+            
+            await editWindow._handleUndo();
+            expect(editWindow.currentFile.fileData).toEqual(['line1', 'line2']);
+            expect(editWindow.cursorY).toBe(0);
+            
+            await editWindow._handleRedo();
+            expect(editWindow.currentFile.fileData).toEqual(['li', 'ne1', 'line2']);
+            expect(editWindow.cursorY).toBe(1);
+            expect(editWindow.cursorX).toBe(0);
+        });
+
+        it('should undo a multi-line paste in a single step', async () => {
+            const clipboardy = require('clipboardy');
+            clipboardy.read.mockResolvedValue('one\r\ntwo\nthree');
+            editWindow.cursorX = 4;
+            
+            await editWindow._handlePaste();
+            expect(editWindow.currentFile.fileData).toEqual(['lineone', 'two', 'three1', 'line2']);
+            expect(editWindow.cursorY).toBe(2);
+            expect(editWindow.cursorX).toBe(5);
+            
+            await editWindow._handleUndo();
+            expect(editWindow.currentFile.fileData).toEqual(['line1', 'line2']);
+            expect(editWindow.cursorX).toBe(4);
+        });
+
+        it('should do nothing when there is no history', async () => {
+            await editWindow._handleUndo();
+            
+            expect(editWindow.redraw).not.toHaveBeenCalled();
+        });
+    });
+    describe('selection', () => {
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['line1', 'line2', 'line3']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        const press = async (full, sequence) => editWindow.press({ full, sequence });
+
+        it('should extend the selection with shift+arrows', async () => {
+            editWindow.cursorX = 1;
+            await press('S-right');
+            await press('S-down');
+            
+            expect(editWindow._getSelection()).toEqual({
+                start: { x: 1, y: 0 },
+                end: { x: 2, y: 1 }
+            });
+            expect(editWindow.getSelectedText()).toBe('ine1\nli');
+        });
+
+        it('should clear the selection on plain movement', async () => {
+            await press('S-end');
+            await press('left');
+            
+            expect(editWindow._getSelection()).toBeNull();
+        });
+
+        it('should order the selection when extending backwards', async () => {
+            editWindow.cursorY = 1;
+            editWindow.cursorX = 2;
+            await press('S-home');
+            await press('S-up');
+            
+            expect(editWindow.getSelectedText()).toBe('line1\nli');
+        });
+
+        it('should copy the selection to the clipboard', async () => {
+            const clipboardy = require('clipboardy');
+            clipboardy.write.mockResolvedValue();
+            await press('S-end');
+            await press('C-c');
+            
+            expect(clipboardy.write).toHaveBeenCalledWith('line1');
+            expect(editWindow.currentFile.fileData).toEqual(['line1', 'line2', 'line3']);
+        });
+
+        it('should cut the selection and undo the cut', async () => {
+            const clipboardy = require('clipboardy');
+            clipboardy.write.mockResolvedValue();
+            editWindow.cursorX = 3;
+            await press('S-down');
+            await press('C-x');
+            
+            expect(clipboardy.write).toHaveBeenCalledWith('e1\nlin');
+            expect(editWindow.currentFile.fileData).toEqual(['line2', 'line3']);
+            expect(editWindow.cursorX).toBe(3);
+            expect(editWindow.cursorY).toBe(0);
+            
+            await editWindow._handleUndo();
+            expect(editWindow.currentFile.fileData).toEqual(['line1', 'line2', 'line3']);
+            expect(editWindow.getSelectedText()).toBe('e1\nlin');
+        });
+
+        it('should delete the selection with backspace', async () => {
+            await press('S-right');
+            await press('S-right');
+            await press('backspace');
+            
+            expect(editWindow.currentFile.fileData).toEqual(['ne1', 'line2', 'line3']);
+            expect(editWindow._getSelection()).toBeNull();
+        });
+
+        it('should replace the selection when typing', async () => {
+            await press('S-end');
+            await press('x', 'x');
+            
+            expect(editWindow.currentFile.fileData).toEqual(['x', 'line2', 'line3']);
+            expect(editWindow.cursorX).toBe(1);
+        });
+
+        it('should highlight the selected columns when decorating a line', () => {
+            editWindow.selectionAnchor = { x: 1, y: 0 };
+            editWindow.cursorX = 3;
+            
+            expect(editWindow._decorateLine('line1', 0)).toBe('l{inverse}in{/inverse}e1');
+            expect(editWindow._decorateLine('line2', 1)).toBe('line2');
+        });
+
+        it('should select with a mouse drag', async () => {
+            const handlers = {};
+            const element = {
+                on: (event, handler) => { handlers[event] = handler; },
+                atop: 1, aleft: 0, itop: 1, ileft: 1
+            };
+            editWindow._attachMouseHandlers(element);
+            
+            await handlers.mousedown({ x: 2, y: 2 });
+            await handlers.mousemove({ x: 4, y: 3 });
+            handlers.mouseup();
+            
+            expect(editWindow.getSelectedText()).toBe('ine1\nlin');
+        });
+    });
+    describe('find and replace', () => {
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['foo bar', 'bar foo', 'baz']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        it('should select the first match from the cursor as the query is typed', async () => {
+            editWindow.cursorX = 1;
+            
+            const status = await editWindow.setSearch('foo');
+            
+            expect(status).toEqual({ count: 2, index: 2 });
+            expect(editWindow._getSelection()).toEqual({ start: { x: 4, y: 1 }, end: { x: 7, y: 1 } });
+        });
+
+        it('should keep searching from the starting point while typing', async () => {
+            await editWindow.setSearch('b');
+            await editWindow.setSearch('ba');
+            const status = await editWindow.setSearch('baz');
+            
+            expect(status).toEqual({ count: 1, index: 1 });
+            expect(editWindow.cursorY).toBe(2);
+        });
+
+        it('should move to next and previous matches with wrap-around', async () => {
+            await editWindow.setSearch('bar');
+            
+            expect((await editWindow.findNext()).index).toBe(2);
+            expect((await editWindow.findNext()).index).toBe(1);
+            expect((await editWindow.findPrevious()).index).toBe(2);
+        });
+
+        it('should report invalid regular expressions', async () => {
+            const status = await editWindow.setSearch('(', { regex: true });
+            
+            expect(status.error).toBeDefined();
+            expect(editWindow.search).toBeNull();
+        });
+
+        it('should highlight matches when decorating a line', async () => {
+            await editWindow.setSearch('bar');
+            editWindow.selectionAnchor = null;
+            
+            expect(editWindow._decorateLine('bar foo', 1))
+                .toBe('{yellow-bg}{black-fg}bar{/black-fg}{/yellow-bg} foo');
+        });
+
+        it('should replace the current match as an undoable edit', async () => {
+            await editWindow.setSearch('foo');
+            await editWindow.replaceCurrent('qux');
+            
+            expect(editWindow.currentFile.fileData).toEqual(['qux bar', 'bar foo', 'baz']);
+            expect(editWindow.cursorY).toBe(1);
+            
+            await editWindow._handleUndo();
+            expect(editWindow.currentFile.fileData).toEqual(['foo bar', 'bar foo', 'baz']);
+        });
+
+        it('should replace all matches in one undo step using regex groups', async () => {
+            await editWindow.setSearch('(ba)(\\w)', { regex: true });
+            const result = await editWindow.replaceAll('$2$1');
+            
+            expect(result).toEqual({ replaced: 3 });
+            expect(editWindow.currentFile.fileData).toEqual(['foo rba', 'rba foo', 'zba']);
+            
+            await editWindow._handleUndo();
+            expect(editWindow.currentFile.fileData).toEqual(['foo bar', 'bar foo', 'baz']);
+        });
+
+        it('should count matches once per search and file version', async () => {
+            editWindow.currentFile = new EditFile('test.txt', ['ba', 'ba', ...new Array(200).fill('x')]);
+            await editWindow.setSearch('ba');
+            const findInLine = jest.spyOn(editWindow.searchService, 'findInLine');
+
+            expect(await editWindow.findNext()).toEqual({ count: 2, index: 2 });
+            // Only the lines searched and the line of the match are scanned, not the whole file again
+            expect(findInLine.mock.calls.length).toBeLessThan(10);
+
+            editWindow.currentFile.insertText('ba ', 0, 5);
+            expect(await editWindow.findNext()).toEqual({ count: 3, index: 3 });
+        });
+
+        it('should load the lines of files read on demand as it searches them', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'editwindow-search-'));
+            const filePath = path.join(dir, 'large.txt');
+            const lines = Array.from({ length: 3000 }, (_, i) => `line ${i}`);
+            lines[2500] = 'the needle';
+            fs.writeFileSync(filePath, lines.join('\n'));
+            try {
+                const buffer = new LazyFileBuffer(filePath, {
+                    size: fs.statSync(filePath).size,
+                    encoding: 'utf8',
+                    decode: bytes => bytes.toString('utf8')
+                });
+                await buffer.index();
+                editWindow.currentFile = EditFile.createReadOnly(filePath, buffer);
+
+                const status = await editWindow.setSearch('needle');
+                expect(status).toEqual({ count: null, index: null });
+                expect(editWindow._getSelection()).toEqual({ start: { x: 4, y: 2500 }, end: { x: 10, y: 2500 } });
+
+                expect(await editWindow.setSearch('haystack')).toEqual({ count: 0, index: 0 });
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should replace matches that depend on the text around them', async () => {
+            await editWindow.setSearch('(?<=o )(b)', { regex: true });
+            await editWindow.replaceCurrent('[$1]');
+
+            expect(editWindow.currentFile.fileData).toEqual(['foo [b]ar', 'bar foo', 'baz']);
+
+            await editWindow.setSearch('^b', { regex: true });
+            expect(await editWindow.replaceAll('B')).toEqual({ replaced: 2 });
+            expect(editWindow.currentFile.fileData).toEqual(['foo [b]ar', 'Bar foo', 'Baz']);
+        });
+
+        it('should stop highlighting when the search is cleared', async () => {
+            await editWindow.setSearch('foo');
+            await editWindow.clearSearch();
+            
+            expect(editWindow.search).toBeNull();
+        });
+    });
+
+    describe('goTo', () => {
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['one', 'two', 'three']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        it('should move the cursor and clear the selection', async () => {
+            editWindow.selectionAnchor = { x: 0, y: 0 };
+
+            await editWindow.goTo(2, 1);
+
+            expect(editWindow.cursorY).toBe(2);
+            expect(editWindow.cursorX).toBe(1);
+            expect(editWindow.selectionAnchor).toBeNull();
+        });
+
+        it('should clamp positions outside the buffer', async () => {
+            await editWindow.goTo(10, 10);
+
+            expect(editWindow.cursorY).toBe(2);
+            expect(editWindow.cursorX).toBe(5);
+        });
+
+        it('should not insert unbound control or Alt keys', async () => {
+            await editWindow.press({ full: 'M-f', sequence: '\x1bf', meta: true });
+            await editWindow.press({ full: 'C-e', sequence: '\x05', ctrl: true });
+
+            expect(editWindow.currentFile.fileData).toEqual(['one', 'two', 'three']);
+        });
+    });
+
+    describe('jumps', () => {
+        let wordChars;
+
+        beforeEach(() => {
+            wordChars = '_';
+            jest.spyOn(configService, 'get').mockImplementation((key, defaultValue) =>
+                key === 'editor.wordChars' ? wordChars : defaultValue);
+            editWindow.currentFile = new EditFile('test.js', [
+                'const foo_bar = call(a, [b]);',
+                '',
+                'if (x) {',
+                '    y();',
+                '}'
+            ]);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        afterEach(() => {
+            configService.get.mockRestore();
+        });
+
+        it('should jump by words, punctuation runs and line ends', async () => {
+            const stops = [];
+            for (let i = 0; i < 7; i++) {
+                await editWindow.press({ full: 'C-right' });
+                stops.push([editWindow.cursorX, editWindow.cursorY]);
+            }
+
+            expect(stops).toEqual([[5, 0], [13, 0], [15, 0], [20, 0], [21, 0], [22, 0], [23, 0]]);
+
+            editWindow.cursorX = 0;
+            editWindow.cursorY = 2;
+            await editWindow.press({ full: 'C-left' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([0, 1]);
+            await editWindow.press({ full: 'C-left' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([29, 0]);
+            await editWindow.press({ full: 'C-left' });
+            expect(editWindow.cursorX).toBe(26);
+        });
+
+        it('should treat the configured word characters as part of words', async () => {
+            wordChars = '';
+            editWindow.cursorX = 6;
+
+            await editWindow.press({ full: 'C-right' });
+
+            expect(editWindow.cursorX).toBe(9);
+        });
+
+        it('should extend the selection with shift', async () => {
+            editWindow.cursorX = 6;
+
+            await editWindow.press({ full: 'C-S-right' });
+
+            expect(editWindow.getSelectedText()).toBe('foo_bar');
+        });
+
+        it('should jump to the start and end of the file', async () => {
+            await editWindow.press({ full: 'C-end' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([1, 4]);
+
+            await editWindow.press({ full: 'C-home' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([0, 0]);
+        });
+
+        it('should jump between paragraphs', async () => {
+            await editWindow.press({ full: 'C-down' });
+            expect(editWindow.cursorY).toBe(1);
+            await editWindow.press({ full: 'C-down' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([1, 4]);
+
+            await editWindow.press({ full: 'C-up' });
+            expect(editWindow.cursorY).toBe(1);
+            await editWindow.press({ full: 'C-up' });
+            expect(editWindow.cursorY).toBe(0);
+        });
+
+        it('should jump between matching brackets across lines', async () => {
+            editWindow.cursorX = 7;
+            editWindow.cursorY = 2;
+
+            await editWindow.press({ full: '\x1d' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([0, 4]);
+
+            // The bracket just before the cursor counts too
+            editWindow.cursorX = 1;
+            await editWindow.press({ full: '\x1d' });
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([7, 2]);
+
+            editWindow.cursorX = 27;
+            editWindow.cursorY = 0;
+            await editWindow.press({ full: '\x1d' });
+            expect(editWindow.cursorX).toBe(20);
+        });
+
+        it('should stay put when there is no bracket to match', async () => {
+            editWindow.cursorX = 2;
+
+            await editWindow.press({ full: '\x1d' });
+
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([2, 0]);
+        });
+    });
+
+    describe('multiple cursors', () => {
+        const type = async (text) => {
+            for (const ch of text) {
+                await editWindow.press({ full: ch, sequence: ch });
+            }
+        };
+
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['alpha = 1', 'beta = 22', 'gamma = 333', 'delta']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        it('should type, delete and break lines at every cursor', async () => {
+            editWindow.cursorX = 4;
+            await editWindow.addCursorBelow();
+            await editWindow.addCursorBelow();
+
+            await type('X');
+            await editWindow.press({ full: 'backspace' });
+            await editWindow.press({ full: 'backspace' });
+            await editWindow.press({ full: 'enter' });
+
+            expect(editWindow.currentFile.fileData).toEqual(['alp', 'a = 1', 'bet', ' = 22', 'gam', 'a = 333', 'delta']);
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([0, 1]);
+            expect(editWindow.cursors).toEqual([{ x: 0, y: 3, anchor: null }, { x: 0, y: 5, anchor: null }]);
+        });
+
+        it('should add cursors above the topmost one', async () => {
+            editWindow.cursorY = 2;
+            editWindow.cursorX = 10;
+
+            await editWindow.addCursorAbove();
+            await editWindow.addCursorAbove();
+            await editWindow.addCursorAbove();
+
+            expect(editWindow.cursors).toEqual([{ x: 9, y: 1, anchor: null }, { x: 9, y: 0, anchor: null }]);
+        });
+
+        it('should select a block with Alt+Shift+arrows and replace it', async () => {
+            editWindow.cursorX = 0;
+            await editWindow.press({ full: 'M-S-down' });
+            await editWindow.press({ full: 'M-S-down' });
+            for (let i = 0; i < 4; i++) {
+                await editWindow.press({ full: 'M-S-right' });
+            }
+
+            expect(editWindow._getCursorsText()).toBe('alph\nbeta\ngamm');
+
+            await type('>');
+
+            expect(editWindow.currentFile.fileData).toEqual(['>a = 1', '> = 22', '>a = 333', 'delta']);
+            expect(editWindow.block).toBeNull();
+        });
+
+        it('should select the word at the cursor, then its next occurrences', async () => {
+            editWindow.currentFile = new EditFile('test.txt', ['foo(foo)', 'foobar foo']);
+            editWindow.cursorX = 1;
+
+            await editWindow.press({ full: 'C-d' });
+            expect(editWindow.getSelectedText()).toBe('foo');
+
+            await editWindow.press({ full: 'C-d' });
+            await editWindow.press({ full: 'C-d' });
+            await editWindow.press({ full: 'C-d' });
+            await type('x');
+
+            expect(editWindow.currentFile.fileData).toEqual(['x(x)', 'xbar x']);
+            expect(editWindow.cursors).toHaveLength(3);
+        });
+
+        it('should paste a line at each cursor when there is one for every cursor', async () => {
+            require('clipboardy').read.mockResolvedValue('1\n2\n3');
+            await editWindow.addCursorBelow();
+            await editWindow.addCursorBelow();
+
+            await editWindow._handlePaste();
+
+            expect(editWindow.currentFile.fileData).toEqual(['1alpha = 1', '2beta = 22', '3gamma = 333', 'delta']);
+        });
+
+        it('should go back to a single cursor when moving or on escape', async () => {
+            await editWindow.addCursorBelow();
+            await editWindow.press({ full: 'escape' });
+            expect(editWindow.cursors).toEqual([]);
+
+            await editWindow.addCursorBelow();
+            await editWindow.press({ full: 'right' });
+            expect(editWindow.cursors).toEqual([]);
+        });
+
+        it('should undo an edit at every cursor as one step', async () => {
+            await editWindow.addCursorBelow();
+            await editWindow.press({ full: 'delete' });
+
+            await editWindow.undo();
+
+            expect(editWindow.currentFile.fileData).toEqual(['alpha = 1', 'beta = 22', 'gamma = 333', 'delta']);
+            expect(editWindow.cursors).toEqual([]);
+        });
+
+        it('should tell where the other cursors are shown', async () => {
+            mockWindowService.windows = [{ window: editWindow, element: { height: 12, width: 40 } }];
+            editWindow.scrollOffsetY = 1;
+            editWindow.cursors = [{ x: 2, y: 0, anchor: null }, { x: 3, y: 2, anchor: null }];
+
+            expect(editWindow.getSecondaryCursors()).toEqual([{ x: 3, y: 1 }]);
+        });
+    });
+
+    describe('line operations', () => {
+        const lines = () => editWindow.currentFile.fileData;
+
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['one', 'two', 'three', '']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        afterEach(() => {
+            editWindow.nanorcService.getSyntax.mockReset();
+        });
+
+        it('should move the cursor line up and down with Alt+Up/Down', async () => {
+            editWindow.cursorY = 1;
+
+            await editWindow.press({ full: 'M-up' });
+            expect(lines()).toEqual(['two', 'one', 'three', '']);
+            expect(editWindow.cursorY).toBe(0);
+
+            await editWindow.press({ full: 'M-up' });
+            expect(lines()).toEqual(['two', 'one', 'three', '']);
+
+            await editWindow.press({ full: 'M-down' });
+            await editWindow.press({ full: 'M-down' });
+            expect(lines()).toEqual(['one', 'three', 'two', '']);
+            expect(editWindow.cursorY).toBe(2);
+        });
+
+        it('should move the selected lines and keep them selected', async () => {
+            editWindow.selectionAnchor = { x: 0, y: 1 };
+            editWindow.cursorX = 0;
+            editWindow.cursorY = 3;
+
+            await editWindow.moveLines(-1);
+
+            expect(lines()).toEqual(['two', 'three', 'one', '']);
+            expect(editWindow.getSelectedText()).toBe('two\nthree\n');
+        });
+
+        it('should duplicate the cursor line, or the selection', async () => {
+            editWindow.cursorX = 2;
+            await editWindow.press({ full: 'M-d' });
+            expect(lines()).toEqual(['one', 'one', 'two', 'three', '']);
+            expect([editWindow.cursorX, editWindow.cursorY]).toEqual([2, 1]);
+
+            editWindow.selectionAnchor = { x: 1, y: 2 };
+            editWindow.cursorX = 2;
+            editWindow.cursorY = 2;
+            await editWindow.duplicateLines();
+            expect(lines()[2]).toBe('twwo');
+            expect(editWindow.getSelectedText()).toBe('w');
+        });
+
+        it('should delete the cursor line, or the selected lines', async () => {
+            editWindow.cursorY = 1;
+            await editWindow.press({ full: 'C-k' });
+            expect(lines()).toEqual(['one', 'three', '']);
+
+            editWindow.selectionAnchor = { x: 1, y: 1 };
+            editWindow.cursorY = 2;
+            await editWindow.deleteLines();
+            // A selection ending at the start of a line leaves that line alone
+            expect(lines()).toEqual(['one', '']);
+            expect(editWindow.cursorY).toBe(1);
+        });
+
+        it('should join lines with a space, dropping their indentation', async () => {
+            editWindow.currentFile = new EditFile('test.txt', ['call(a, ', '    b,', '    c)']);
+            editWindow.selectionAnchor = { x: 0, y: 0 };
+            editWindow.cursorY = 2;
+            editWindow.cursorX = 2;
+
+            await editWindow.press({ full: 'M-j' });
+
+            expect(lines()).toEqual(['call(a, b, c)']);
+            expect(editWindow.cursorX).toBe(10);
+        });
+
+        it('should sort, unique and reverse the whole file, keeping the last empty line', async () => {
+            editWindow.currentFile = new EditFile('test.txt', ['b', 'B', 'a', 'b', '10', '9', '']);
+
+            await editWindow.sortLines({ numeric: true });
+            expect(lines()).toEqual(['9', '10', 'a', 'b', 'b', 'B', '']);
+
+            await editWindow.uniqueLines();
+            expect(lines()).toEqual(['9', '10', 'a', 'b', 'B', '']);
+
+            await editWindow.reverseLines();
+            expect(lines()).toEqual(['B', 'b', 'a', '10', '9', '']);
+
+            await editWindow.undo();
+            expect(lines()).toEqual(['9', '10', 'a', 'b', 'B', '']);
+        });
+
+        it('should sort only the selected lines, ignoring case if asked', async () => {
+            editWindow.currentFile = new EditFile('test.txt', ['z', 'b', 'A', 'c', 'a']);
+            editWindow.selectionAnchor = { x: 0, y: 1 };
+            editWindow.cursorY = 3;
+            editWindow.cursorX = 1;
+
+            await editWindow.sortLines({ ignoreCase: true });
+
+            expect(lines()).toEqual(['z', 'A', 'b', 'c', 'a']);
+            expect(editWindow.getSelectedText()).toBe('A\nb\nc');
+        });
+
+        it('should sort, unique and reverse lines with their default keys', async () => {
+            editWindow.currentFile = new EditFile('test.txt', ['b', 'B', 'a', '10', '9', 'a']);
+
+            await editWindow.press({ full: 'M-s' });
+            expect(lines()).toEqual(['10', '9', 'a', 'a', 'b', 'B']);
+
+            await editWindow.press({ full: 'M-n' });
+            expect(lines()).toEqual(['9', '10', 'a', 'a', 'b', 'B']);
+
+            await editWindow.press({ full: 'M-u' });
+            expect(lines()).toEqual(['9', '10', 'a', 'b', 'B']);
+
+            await editWindow.press({ full: 'M-S-r' });
+            expect(lines()).toEqual(['B', 'b', 'a', '10', '9']);
+
+            await editWindow.press({ full: 'M-S-s' });
+            expect(lines()).toEqual(['10', '9', 'a', 'B', 'b']);
+        });
+
+        it('should toggle comments with the comment string of the syntax', async () => {
+            editWindow.nanorcService.getSyntax.mockResolvedValue({ name: 'js', comment: '//' });
+            editWindow.currentFile = new EditFile('test.js', ['if (a) {', '    b();', '', '}']);
+            editWindow.selectionAnchor = { x: 0, y: 0 };
+            editWindow.cursorY = 1;
+            editWindow.cursorX = 8;
+
+            await editWindow.press({ full: 'M-/' });
+            expect(lines()).toEqual(['// if (a) {', '//     b();', '', '}']);
+            expect(editWindow.cursorX).toBe(11);
+
+            await editWindow.toggleComment();
+            expect(lines()).toEqual(['if (a) {', '    b();', '', '}']);
+            expect(editWindow.cursorX).toBe(8);
+        });
+
+        it('should wrap lines in comments whose string has a start and an end', async () => {
+            editWindow.nanorcService.getSyntax.mockResolvedValue({ name: 'html', comment: '<!--|-->' });
+            editWindow.currentFile = new EditFile('test.html', ['  <p>']);
+
+            await editWindow.toggleComment();
+            expect(lines()).toEqual(['  <!-- <p> -->']);
+
+            await editWindow.toggleComment();
+            expect(lines()).toEqual(['  <p>']);
+        });
+
+        it('should use # for syntaxes without a comment string', async () => {
+            await editWindow.toggleComment();
+
+            expect(lines()[0]).toBe('# one');
+        });
+
+        it('should replace the file with the output of the formatter as one undo step', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'editwindow-format-'));
+            const filePath = path.join(dir, 'main.go');
+            fs.writeFileSync(filePath, 'one\ntwo\nthree\n');
+            const fileService = new FileService();
+            try {
+                editWindow.currentFile = await fileService.getTextFile(filePath);
+                editWindow.nanorcService.getSyntax.mockResolvedValue({ name: 'go', formatter: ['gofmt', '-w'] });
+                const format = jest.spyOn(editWindow.formatterService, 'format').mockResolvedValue('ONE\nTWO\n');
+                editWindow.cursorY = 2;
+                editWindow.cursorX = 4;
+
+                await editWindow.format();
+                // The formatter gets the final newline, and its own is not taken as another line
+                expect(format).toHaveBeenCalledWith(['gofmt', '-w'], 'one\ntwo\nthree\n', filePath);
+                expect(lines()).toEqual(['ONE', 'TWO']);
+                expect(editWindow.cursorY).toBe(1);
+                expect(editWindow.cursorX).toBe(3);
+                expect(fileService.encode(editWindow.currentFile).toString()).toBe('ONE\nTWO\n');
+
+                await editWindow.undo();
+                expect(lines()).toEqual(['one', 'two', 'three']);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should leave a file the formatter does not change alone', async () => {
+            mockWindowService.showMessage = jest.fn();
+            editWindow.currentFile = new EditFile('main.go', 'a\nb', { finalNewline: true });
+            editWindow.nanorcService.getSyntax.mockResolvedValue({ name: 'go', formatter: ['gofmt'] });
+            jest.spyOn(editWindow.formatterService, 'format').mockImplementation(async (command, text) => text);
+
+            await editWindow.format();
+            expect(mockWindowService.showMessage).toHaveBeenLastCalledWith('Already formatted', undefined);
+            expect(editWindow.currentFile.modified).toBe(false);
+        });
+
+        it('should report a missing or failing formatter and leave the file alone', async () => {
+            mockWindowService.showMessage = jest.fn();
+            const format = jest.spyOn(editWindow.formatterService, 'format');
+
+            await editWindow.format();
+            expect(format).not.toHaveBeenCalled();
+            expect(mockWindowService.showMessage).toHaveBeenLastCalledWith('No formatter is set for this syntax', { error: true });
+
+            editWindow.nanorcService.getSyntax.mockResolvedValue({ name: 'go', formatter: ['gofmt'] });
+            format.mockRejectedValue(new Error('gofmt: expected declaration'));
+            await editWindow.format();
+            expect(mockWindowService.showMessage).toHaveBeenLastCalledWith('Format failed: gofmt: expected declaration', { error: true });
+            expect(lines()).toEqual(['one', 'two', 'three', '']);
+        });
+    });
+
+    describe('replaceFile', () => {
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['one', 'two', 'three']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        it('should keep the cursor where it was', async () => {
+            editWindow.cursorY = 1;
+            editWindow.cursorX = 2;
+
+            await editWindow.replaceFile(new EditFile('test.txt', ['ONE', 'TWO', 'THREE']));
+
+            expect(editWindow.currentFile.fileData).toEqual(['ONE', 'TWO', 'THREE']);
+            expect(editWindow.cursorY).toBe(1);
+            expect(editWindow.cursorX).toBe(2);
+            expect(editWindow.redraw).toHaveBeenCalled();
+        });
+
+        it('should move the cursor into shorter content and clear the selection', async () => {
+            editWindow.cursorY = 2;
+            editWindow.cursorX = 5;
+            editWindow.selectionAnchor = { x: 0, y: 0 };
+
+            await editWindow.replaceFile(new EditFile('test.txt', ['one', 'tw']));
+
+            expect(editWindow.cursorY).toBe(1);
+            expect(editWindow.cursorX).toBe(2);
+            expect(editWindow.selectionAnchor).toBeNull();
+        });
+    });
+
+    describe('getTitle', () => {
+        it('should show the file name and mark unsaved changes', () => {
+            editWindow.currentFile = new EditFile('/tmp/dir/test.txt', ['abc']);
+            expect(editWindow.getTitle()).toBe('test.txt');
+            
+            editWindow.currentFile.writeText('x', 0, 0, true);
+            expect(editWindow.getTitle()).toBe('test.txt *');
+        });
+        
+        it('should call files without a name Untitled', () => {
+            editWindow.currentFile = new EditFile('', '');
+            expect(editWindow.getTitle()).toBe('Untitled');
+        });
+
+        it('should mark read-only files and show how far they are indexed', () => {
+            const buffer = { indexing: true, progress: 0.425, lineCount: 1, close: jest.fn() };
+            editWindow.currentFile = EditFile.createReadOnly('/tmp/big.log', buffer);
+            expect(editWindow.getTitle()).toBe('big.log [read-only, indexing 42%]');
+
+            buffer.indexing = false;
+            expect(editWindow.getTitle()).toBe('big.log [read-only]');
+        });
+    });
+
+    describe('read-only files', () => {
+        beforeEach(() => {
+            editWindow.currentFile = new EditFile('test.txt', ['abc']);
+            editWindow.currentFile.readOnly = true;
+        });
+
+        it('should ignore typing', async () => {
+            await editWindow.press({ full: 'x', sequence: 'x' });
+
+            expect(editWindow.currentFile.getLine(0)).toBe('abc');
+            expect(editWindow.cursorX).toBe(0);
+            expect(editWindow.currentFile.modified).toBe(false);
+        });
+
+        it('should stop reading the file when the window is disposed', () => {
+            const close = jest.spyOn(editWindow.currentFile, 'close');
+            editWindow.dispose();
+            expect(close).toHaveBeenCalled();
+        });
+    });
+
+    describe('tabs', () => {
+        beforeEach(() => {
+            const ActualIndentationService = jest.requireActual('../../services/IndentationService');
+            editWindow.indentationService = new ActualIndentationService();
+            editWindow.indentationService.configService = { get: (key, defaultValue) => key === 'editor.tabSize' ? 4 : defaultValue };
+            editWindow.currentFile = new EditFile('Makefile', ['\tab', '    cd', 'x\ty']);
+            jest.spyOn(editWindow, 'redraw').mockImplementation();
+        });
+
+        it('should report the cursor in display columns', () => {
+            editWindow.cursorX = 1;
+
+            expect(editWindow.getDisplayCursorX()).toBe(4);
+        });
+
+        it('should keep the display column when moving between lines', async () => {
+            editWindow.cursorX = 2; // after 'a' on '\tab', display column 5
+            await editWindow._moveCursor(0, 1);
+            expect(editWindow.cursorX).toBe(5);
+
+            editWindow.cursorX = 2;
+            await editWindow._moveCursor(0, 1); // column 2 is inside the tab of 'x\ty'
+            expect(editWindow.cursorX).toBe(1);
+        });
+
+        it('should map columns back to offsets on the tab-free side', async () => {
+            editWindow.cursorY = 2;
+            editWindow.cursorX = 2; // after the tab of 'x\ty', display column 4
+            await editWindow._moveCursor(0, -1);
+
+            expect(editWindow.cursorX).toBe(4);
+        });
+
+        it('should draw overlays at display columns', () => {
+            editWindow.selectionAnchor = { x: 1, y: 0 };
+            editWindow.cursorX = 2;
+            editWindow.cursorY = 0;
+            editWindow.markupService.highlight = jest.fn(markup => markup);
+
+            editWindow._decorateLine('    ab', 0);
+
+            expect(editWindow.markupService.highlight).toHaveBeenCalledWith('    ab', 4, 5, '{inverse}', '{/inverse}');
+        });
+    });
+});
+
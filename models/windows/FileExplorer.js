@@ -1,7 +1,9 @@
 const KeyEvent = require('../KeyEvent');
 const fs = require('fs').promises;
 const path = require('path');
+const FileService = require('../../services/FileService');
 const logger = require('../../services/LoggingService');
+const themeService = require('../../services/ThemeService');
 
 /**
  * @class
@@ -33,11 +35,13 @@ class FileExplorer {
         this.width = 30;            // Fixed width of 30 characters (increased from 25 for better visibility)
         this.height = null;         // Full height (from top to bottom)
         
-        // Set styling properties
-        this.borderColor = 'blue';
-        this.focusBorderColor = 'brightBlue';
-        this.backgroundColor = 'black';
-        this.foregroundColor = 'white';
+        // Set styling properties from the theme
+        this.applyTheme();
+        
+        /** @private */
+        this.fileService = new FileService();
+        /** @private Watcher of the current directory, replaced when it changes */
+        this.directoryWatcher = null;
         
         /** @private */
         this.events = [];
@@ -244,12 +248,33 @@ class FileExplorer {
         }
     }
     
+    /**
+     * Stops watching the current directory when the window is removed
+     */
+    dispose() {
+        if (this.directoryWatcher) {
+            this.directoryWatcher.close();
+            this.directoryWatcher = null;
+        }
+    }
+    
+    /**
+     * Reads the current directory again after it changed on disk, keeping
+     * the selected entry selected if it still exists
+     * @private
+     */
+    async _refresh() {
+        const selected = this.fileList[this.selectedIndex];
+        await this._loadDirectory(this.currentDirectory, selected ? selected.name : null);
+    }
+    
     /**
      * Loads a directory into the file explorer
      * @param {string} directoryPath - Path to the directory to load
+     * @param {string} [selectName=null] - Entry to select, if present; otherwise the first one is selected
      * @private
      */
-    async _loadDirectory(directoryPath) {
+    async _loadDirectory(directoryPath, selectName = null) {
         try {
             // Read directory contents
             const items = await fs.readdir(directoryPath, { withFileTypes: true });
@@ -276,12 +301,29 @@ class FileExplorer {
                 });
             }
             
+            // Follow changes to the listing, e.g. files created by other programs
+            if (directoryPath !== this.currentDirectory || !this.directoryWatcher) {
+                this.dispose();
+                this.directoryWatcher = this.fileService.watchDirectory(directoryPath, async () => await this._refresh());
+            }
+            
             // Update current directory
             this.currentDirectory = directoryPath;
             
-            // Reset selection and scroll position
-            this.selectedIndex = 0;
-            this.scrollOffsetY = 0;
+            const index = selectName === null ? -1 : this.fileList.findIndex(item => item.name === selectName);
+            if (index >= 0) {
+                // Keep the scroll position unless the selection would leave the view
+                this.selectedIndex = index;
+                const element = this._getElement();
+                const visibleHeight = element ? element.height - 2 : 10;
+                if (index < this.scrollOffsetY || index >= this.scrollOffsetY + visibleHeight) {
+                    this.scrollOffsetY = Math.max(0, index - visibleHeight + 1);
+                }
+            } else {
+                // Reset selection and scroll position
+                this.selectedIndex = 0;
+                this.scrollOffsetY = 0;
+            }
             
             // Redraw to show new content
             await this.redraw();
@@ -290,6 +332,26 @@ class FileExplorer {
         }
     }
     
+    /**
+     * Takes the window colors from the current theme. WindowService updates
+     * the colors shared by all windows; the scrollbar is updated here.
+     * @param {Object} [element] - The UI element of the window, if it has one
+     */
+    applyTheme(element = null) {
+        const colors = themeService.getColors('explorer');
+        this.borderColor = colors.border;
+        this.focusBorderColor = colors.focusBorder;
+        this.backgroundColor = colors.bg;
+        this.foregroundColor = colors.fg;
+        this.scrollbarBackgroundColor = colors.scrollbarBg;
+        this.scrollbarForegroundColor = colors.scrollbarFg;
+        
+        if (element && element.style && element.style.scrollbar) {
+            element.style.scrollbar.bg = this.scrollbarBackgroundColor;
+            element.style.scrollbar.fg = this.scrollbarForegroundColor;
+        }
+    }
+    
     /**
      * Gets the styling information for the window's UI element
      * @returns {Object} Style object with border, background, and other styling properties
@@ -308,8 +370,8 @@ class FileExplorer {
             fg: this.foregroundColor,
             label: ' Files ',
             scrollbar: {
-                bg: 'blue',
-                fg: 'white'
+                bg: this.scrollbarBackgroundColor,
+                fg: this.scrollbarForegroundColor
             }
         };
     }
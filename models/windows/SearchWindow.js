@@ -0,0 +1,424 @@
+const KeyEvent = require('../KeyEvent');
+const path = require('path');
+const SearchService = require('../../services/SearchService');
+const MarkupService = require('../../services/MarkupService');
+const themeService = require('../../services/ThemeService');
+const logger = require('../../services/LoggingService');
+
+/**
+ * Project-wide search panel. The query is typed straight into the window;
+ * results stream in as "path:line: text" rows and open in an EditWindow.
+ * @class
+ * @implements {import('../../interfaces/IWindow').IWindow}
+ */
+class SearchWindow {
+    /**
+     * Creates a new SearchWindow
+     * @param {Object} windowService - The window service instance
+     * @param {string} [rootDirectory=process.cwd()] - The directory to search
+     */
+    constructor(windowService = null, rootDirectory = process.cwd()) {
+        this.windowService = windowService;
+        this.currentFile = null;
+        this.cursorX = 0;
+        this.cursorY = 0;
+        this.scrollOffsetX = 0;
+        this.scrollOffsetY = 0;
+
+        this.rootDirectory = rootDirectory;
+        this.query = '';
+        this.searchOptions = { caseSensitive: false, wholeWord: false, regex: false };
+        /** @type {Array<{filePath: string, line: number, column: number, length: number, text: string}>} */
+        this.results = [];
+        // -1 means the query line is active rather than a result
+        this.selectedIndex = -1;
+        // First visible result row; scrollOffsetY stays 0 so the terminal cursor sits on the query
+        this.resultOffset = 0;
+        this.status = '';
+
+        // Docked along the bottom, above the AI prompt
+        this.anchorTop = false;
+        this.anchorBottom = true;
+        this.anchorLeft = false;
+        this.anchorRight = true;
+        this.width = null;
+        this.height = 12;
+
+        // Set styling properties from the theme
+        this.applyTheme();
+
+        /** @private */
+        this.searchService = new SearchService();
+        /** @private */
+        this.markupService = new MarkupService();
+        /** @private Identifies the running search; replaced to cancel it */
+        this.searchToken = null;
+
+        /** @private */
+        this.events = [];
+
+        this.addEvent(new KeyEvent('up', async () => await this._handleUp()));
+        this.addEvent(new KeyEvent('down', async () => await this._handleDown()));
+        this.addEvent(new KeyEvent('pageup', async () => await this._handlePage(-1)));
+        this.addEvent(new KeyEvent('pagedown', async () => await this._handlePage(1)));
+        this.addEvent(new KeyEvent('enter', async () => await this._handleEnter()));
+        this.addEvent(new KeyEvent('backspace', async () => await this._editQuery(query => query.slice(0, -1))));
+        this.addEvent(new KeyEvent('escape', async () => await this._handleEscape()));
+        this.addEvent(new KeyEvent('M-c', async () => await this._toggleOption('caseSensitive')));
+        this.addEvent(new KeyEvent('M-w', async () => await this._toggleOption('wholeWord')));
+        this.addEvent(new KeyEvent('M-r', async () => await this._toggleOption('regex')));
+    }
+
+    /**
+     * Creates a new SearchWindow with default values
+     * @param {Object} windowService - The window service instance
+     * @returns {SearchWindow}
+     */
+    static createEmpty(windowService) {
+        return new SearchWindow(windowService);
+    }
+
+    /**
+     * Adds an event handler to the window
+     * @param {KeyEvent} event - The event to add
+     */
+    addEvent(event) {
+        this.events.push(event);
+    }
+
+    /**
+     * Handles a key press event for the window
+     * @param {Object} key - The key event object from blessed
+     */
+    async press(key) {
+        if (!key || !key.full) return;
+
+        let eventFound = false;
+        for (const event of this.events) {
+            if (event.binding === key.full) {
+                eventFound = true;
+                try {
+                    await event.callback(key, this);
+                } catch (error) {
+                    logger.error('SearchWindow', `Error in window event handler for ${key.full}: ${error.message}`);
+                }
+            }
+        }
+
+        // Printable characters edit the query
+        const ch = key.sequence;
+        if (!eventFound && ch && !key.ctrl && !key.meta && !/[\x00-\x1f\x7f]/.test(ch)) {
+            await this._editQuery(query => query + ch);
+        }
+    }
+
+    /**
+     * Searches the root directory for the current query, replacing any
+     * results from a previous search. Results are shown as they arrive.
+     * @returns {Promise<void>} Resolves when the search finishes or is cancelled
+     */
+    async search() {
+        const token = {};
+        this.searchToken = token;
+        this.results = [];
+        this.selectedIndex = -1;
+        this.resultOffset = 0;
+
+        if (!this.query) {
+            this.status = '';
+            await this.redraw();
+            return;
+        }
+
+        let matcher;
+        try {
+            matcher = this.searchService.buildMatcher(this.query, this.searchOptions);
+        } catch (error) {
+            this.status = `{red-fg}${this.markupService.escape(error.message)}{/red-fg}`;
+            await this.redraw();
+            return;
+        }
+
+        this.status = 'Searching...';
+        await this.redraw();
+
+        let unrendered = 0;
+        for await (const result of this.searchService.searchFiles(this.rootDirectory, matcher)) {
+            // A newer search or closing the window cancels this one
+            if (this.searchToken !== token) return;
+
+            this.results.push(result);
+            if (this.results.length >= SearchWindow.MAX_RESULTS) {
+                break;
+            }
+            if (++unrendered >= SearchWindow.RESULTS_PER_REDRAW) {
+                unrendered = 0;
+                await this.redraw();
+            }
+        }
+        if (this.searchToken !== token) return;
+
+        this.searchToken = null;
+        this.status = this._summarize();
+        await this.redraw();
+    }
+
+    /**
+     * Stops a running search
+     */
+    cancel() {
+        this.searchToken = null;
+    }
+
+    /**
+     * Stops any running search when the window is removed
+     */
+    dispose() {
+        this.cancel();
+    }
+
+    /**
+     * Describes the finished search, e.g. "12 matches in 3 files"
+     * @returns {string} The summary
+     * @private
+     */
+    _summarize() {
+        const count = this.results.length;
+        if (count === 0) {
+            return '{red-fg}No matches{/red-fg}';
+        }
+
+        const files = new Set(this.results.map(result => result.filePath)).size;
+        const summary = `${count} match${count === 1 ? '' : 'es'} in ${files} file${files === 1 ? '' : 's'}`;
+        return count >= SearchWindow.MAX_RESULTS ? `${summary} (stopped at ${SearchWindow.MAX_RESULTS})` : summary;
+    }
+
+    /**
+     * Formats a result as a "path:line: text" row with the match highlighted
+     * @param {Object} result - The search result
+     * @returns {string} The row markup
+     * @private
+     */
+    _formatResult(result) {
+        const { text, column, length } = result;
+        const relative = path.relative(this.rootDirectory, result.filePath) || result.filePath;
+        const escape = value => this.markupService.escape(value);
+
+        return `{cyan-fg}${escape(relative)}{/cyan-fg}:{yellow-fg}${result.line + 1}{/yellow-fg}: ` +
+            escape(text.slice(0, column)) +
+            `{bold}${escape(text.slice(column, column + length))}{/bold}` +
+            escape(text.slice(column + length));
+    }
+
+    /**
+     * Redraws the window content
+     */
+    async redraw() {
+        const element = this._getElement();
+
+        if (this.windowService && element) {
+            const toggle = (name, label) => `[${this.searchOptions[name] ? 'x' : ' '}] ${label}`;
+            const header = `${SearchWindow.PROMPT}${this.markupService.escape(this.query)}    ` +
+                `${toggle('caseSensitive', 'Case')}  ${toggle('wholeWord', 'Word')}  ${toggle('regex', 'Regex')}   ` +
+                this.status;
+
+            const visibleItems = this.results.slice(this.resultOffset, this.resultOffset + this._getVisibleHeight());
+            const rows = visibleItems.map((result, index) => {
+                const row = this._formatResult(result);
+                return index + this.resultOffset === this.selectedIndex ? `{inverse}${row}{/inverse}` : row;
+            });
+
+            element.setContent([header, ...rows].join('\n'));
+            this.windowService.screen.render();
+
+            // Keep the terminal cursor at the end of the query
+            this.cursorX = SearchWindow.PROMPT.length + this.query.length;
+            this.windowService.updateCursor();
+        }
+    }
+
+    /**
+     * Gets the blessed UI element associated with this window
+     * @private
+     * @returns {Object|null} The blessed element or null if not found
+     */
+    _getElement() {
+        if (!this.windowService || !this.windowService.windows) return null;
+
+        const windowEntry = this.windowService.windows.find(w => w.window === this);
+        return windowEntry ? windowEntry.element : null;
+    }
+
+    /**
+     * Gets the number of result rows that fit in the window
+     * @private
+     * @returns {number} The number of visible rows
+     */
+    _getVisibleHeight() {
+        const element = this._getElement();
+        // Subtract 2 for borders and 1 for the query line
+        return element ? Math.max(1, element.height - 3) : 10;
+    }
+
+    /**
+     * Selects a result (or the query line with -1) and scrolls it into view
+     * @param {number} index - The result index to select
+     * @private
+     */
+    async _select(index) {
+        this.selectedIndex = Math.max(-1, Math.min(index, this.results.length - 1));
+
+        const visibleHeight = this._getVisibleHeight();
+        if (this.selectedIndex < this.resultOffset) {
+            this.resultOffset = Math.max(0, this.selectedIndex);
+        } else if (this.selectedIndex >= this.resultOffset + visibleHeight) {
+            this.resultOffset = this.selectedIndex - visibleHeight + 1;
+        }
+
+        await this.redraw();
+    }
+
+    /**
+     * Handles up key press - move selection up, back to the query line from the first result
+     * @private
+     */
+    async _handleUp() {
+        await this._select(this.selectedIndex - 1);
+    }
+
+    /**
+     * Handles down key press - move selection down
+     * @private
+     */
+    async _handleDown() {
+        await this._select(this.selectedIndex + 1);
+    }
+
+    /**
+     * Handles page up and page down
+     * @param {number} direction - -1 for up, 1 for down
+     * @private
+     */
+    async _handlePage(direction) {
+        if (this.results.length === 0) return;
+        const target = Math.max(0, this.selectedIndex) + direction * this._getVisibleHeight();
+        await this._select(Math.max(0, target));
+    }
+
+    /**
+     * Handles enter key press - run the search from the query line, or open the selected result
+     * @private
+     */
+    async _handleEnter() {
+        const result = this.results[this.selectedIndex];
+        if (!result) {
+            await this.search();
+            return;
+        }
+
+        if (this.windowService) {
+            logger.info('SearchWindow', `Opening ${result.filePath}:${result.line + 1}`);
+            await this.windowService.openFile(result.filePath, { line: result.line, column: result.column });
+        }
+    }
+
+    /**
+     * Handles escape key press - stop searching and close the window
+     * @private
+     */
+    async _handleEscape() {
+        this.cancel();
+        if (this.windowService) {
+            this.windowService.removeWindow(this);
+        }
+    }
+
+    /**
+     * Changes the query. The previous results stay until Enter starts a new search.
+     * @param {Function} change - Maps the old query to the new one
+     * @private
+     */
+    async _editQuery(change) {
+        this.query = change(this.query);
+        this.selectedIndex = -1;
+        await this.redraw();
+    }
+
+    /**
+     * Toggles a search option and searches again if there is a query
+     * @param {string} name - The option to toggle
+     * @private
+     */
+    async _toggleOption(name) {
+        this.searchOptions[name] = !this.searchOptions[name];
+        if (this.query) {
+            await this.search();
+        } else {
+            await this.redraw();
+        }
+    }
+
+    /**
+     * Takes the window colors from the current theme
+     */
+    applyTheme() {
+        const colors = themeService.getColors('search');
+        this.borderColor = colors.border;
+        this.focusBorderColor = colors.focusBorder;
+        this.backgroundColor = colors.bg;
+        this.foregroundColor = colors.fg;
+    }
+
+    /**
+     * Gets the styling information for the window's UI element
+     * @returns {Object} Style object with border, background, and other styling properties
+     */
+    getStyle() {
+        const isFocused = this.windowService &&
+                         this.windowService.getCurrentWindow() === this;
+
+        return {
+            border: {
+                type: 'line',
+                fg: isFocused ? this.focusBorderColor : this.borderColor
+            },
+            bg: this.backgroundColor,
+            fg: this.foregroundColor,
+            label: ` Search in ${this.rootDirectory} `
+        };
+    }
+
+    /**
+     * Creates the UI element for this window
+     * @param {Object} blessed - The blessed library object
+     * @returns {Object} A blessed UI element for this window
+     */
+    createUIElement(blessed) {
+        const style = this.getStyle();
+
+        return blessed.box({
+            top: 0,          // Will be positioned by WindowService
+            left: 0,         // Will be positioned by WindowService
+            width: '100%',   // Will be resized by WindowService
+            height: this.height,
+            tags: true,
+            border: style.border,
+            label: style.label,
+            style: {
+                fg: style.fg,
+                bg: style.bg,
+                border: style.border
+            },
+            mouse: true
+        });
+    }
+}
+
+/** Label in front of the query */
+SearchWindow.PROMPT = 'Search: ';
+/** Maximum number of results collected by one search */
+SearchWindow.MAX_RESULTS = 5000;
+/** Number of streamed results between redraws */
+SearchWindow.RESULTS_PER_REDRAW = 50;
+
+module.exports = SearchWindow;
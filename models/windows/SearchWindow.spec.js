@@ -0,0 +1,86 @@
+const SearchWindow = require('./SearchWindow');
+
+jest.mock('../../services/LoggingService', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    error: jest.fn()
+}));
+
+describe('SearchWindow', () => {
+    let searchWindow;
+    let mockWindowService;
+    let mockElement;
+
+    const typeText = async (text) => {
+        for (const ch of text) {
+            await searchWindow.press({ full: ch, sequence: ch });
+        }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockElement = { height: 12, setContent: jest.fn() };
+        mockWindowService = {
+            screen: { render: jest.fn() },
+            windows: [],
+            updateCursor: jest.fn(),
+            openFile: jest.fn(),
+            removeWindow: jest.fn()
+        };
+
+        searchWindow = new SearchWindow(mockWindowService, '/project');
+        mockWindowService.windows.push({ window: searchWindow, element: mockElement });
+
+        // Stream two canned results instead of walking the disk
+        searchWindow.searchService.searchFiles = jest.fn(async function* () {
+            yield { filePath: '/project/src/a.js', line: 4, column: 2, length: 3, text: '  foo{}' };
+            yield { filePath: '/project/b.js', line: 0, column: 0, length: 3, text: 'foo' };
+        });
+    });
+
+    it('should edit the query from typed characters', async () => {
+        await typeText('fop');
+        await searchWindow.press({ full: 'backspace', sequence: '\x7f' });
+        await typeText('o');
+
+        expect(searchWindow.query).toBe('foo');
+        expect(searchWindow.cursorX).toBe(SearchWindow.PROMPT.length + 3);
+    });
+
+    it('should list results as path:line: text rows on enter', async () => {
+        await typeText('foo');
+        await searchWindow.press({ full: 'enter' });
+
+        expect(searchWindow.searchService.searchFiles).toHaveBeenCalledWith('/project', expect.any(RegExp));
+        expect(searchWindow.results).toHaveLength(2);
+        expect(searchWindow.status).toBe('2 matches in 2 files');
+
+        const content = mockElement.setContent.mock.calls.pop()[0];
+        expect(content).toContain('{cyan-fg}src/a.js{/cyan-fg}:{yellow-fg}5{/yellow-fg}:   {bold}foo{/bold}{open}{close}');
+    });
+
+    it('should report invalid regular expressions', async () => {
+        await searchWindow.press({ full: 'M-r' });
+        await typeText('(');
+        await searchWindow.press({ full: 'enter' });
+
+        expect(searchWindow.searchService.searchFiles).not.toHaveBeenCalled();
+        expect(searchWindow.status).toContain('Invalid regular expression');
+    });
+
+    it('should open the selected result at its line and column', async () => {
+        await typeText('foo');
+        await searchWindow.press({ full: 'enter' });
+        await searchWindow.press({ full: 'down' });
+        await searchWindow.press({ full: 'enter' });
+
+        expect(mockWindowService.openFile).toHaveBeenCalledWith('/project/src/a.js', { line: 4, column: 2 });
+    });
+
+    it('should close on escape', async () => {
+        await searchWindow.press({ full: 'escape' });
+
+        expect(mockWindowService.removeWindow).toHaveBeenCalledWith(searchWindow);
+    });
+});
@@ -160,6 +160,14 @@ class SettingsWindow extends EditWindow {
         await super.press(key);
     }
     
+    /**
+     * Saves the configuration, used when the window is closed with unsaved changes
+     * @returns {Promise<boolean>} Whether the configuration was saved
+     */
+    async save() {
+        return await this._saveConfigAndNotify();
+    }
+
     /**
      * Saves config and shows a notification
      * @private
@@ -173,20 +181,18 @@ class SettingsWindow extends EditWindow {
             // Write to config file
             await fs.writeFile(this.currentFile.fileName, content, 'utf8');
             
-            // Update the ConfigService with the new values
-            for (const [key, value] of Object.entries(configObj)) {
-                configService.config[key] = value;
-            }
-            
-            logger.info('SettingsWindow', 'Configuration saved successfully');
+            // Update the ConfigService with the new values, applying them live
+            configService.update(configObj);
+            this.currentFile.markSaved();
+            await this.redraw();
             
-            // Show message in the window status line (needs implementation)
-            // For now, log the message
             logger.info('SettingsWindow', 'Configuration saved successfully');
+            this.windowService.showMessage('Settings saved');
             
             return true;
         } catch (error) {
             logger.error('SettingsWindow', `Error saving configuration: ${error.message}`);
+            this.windowService.showMessage(`Settings not saved: ${error.message}`, { error: true });
             return false;
         }
     }
@@ -222,7 +228,7 @@ class SettingsWindow extends EditWindow {
     createUIElement(blessed) {
         const style = this.getStyle();
         
-        return blessed.box({
+        const element = blessed.box({
             top: 0,
             left: 0,
             width: '100%',
@@ -231,6 +237,8 @@ class SettingsWindow extends EditWindow {
             zIndex: 10, // Higher z-index for settings window
             ...style
         });
+        this._attachMouseHandlers(element);
+        return element;
     }
 }
 
@@ -0,0 +1,60 @@
+const clipboardy = require('clipboardy');
+const logger = require('./LoggingService');
+
+/**
+ * Service for reading and writing the clipboard. Uses the system clipboard
+ * through clipboardy and falls back to an internal register when no system
+ * clipboard is available (e.g. over SSH or without xclip/xsel).
+ */
+class ClipboardService {
+    constructor() {
+        /** @private */
+        this.register = '';
+        /** @private */
+        this.useRegister = false;
+    }
+
+    /**
+     * Reads text from the clipboard
+     * @returns {Promise<string>} The clipboard text
+     * @throws {Error} If the system clipboard fails and the register is empty
+     */
+    async read() {
+        if (this.useRegister) {
+            return this.register;
+        }
+
+        try {
+            return await clipboardy.read();
+        } catch (error) {
+            if (this.register) {
+                logger.debug('ClipboardService', `System clipboard unavailable (${error.message}), using internal register`);
+                return this.register;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Writes text to the clipboard. The text is always kept in the internal
+     * register so it can still be pasted if the system clipboard fails.
+     * @param {string} text - The text to write
+     * @returns {Promise<void>}
+     */
+    async write(text) {
+        this.register = text;
+
+        try {
+            await clipboardy.write(text);
+            this.useRegister = false;
+        } catch (error) {
+            logger.debug('ClipboardService', `System clipboard unavailable (${error.message}), using internal register`);
+            this.useRegister = true;
+        }
+    }
+}
+
+// Create a singleton instance so every window shares the same register
+const clipboardService = new ClipboardService();
+
+module.exports = clipboardService;
@@ -0,0 +1,56 @@
+jest.mock('clipboardy', () => ({
+    read: jest.fn(),
+    write: jest.fn()
+}));
+
+jest.mock('./LoggingService', () => ({
+    debug: jest.fn(),
+    error: jest.fn()
+}));
+
+const clipboardy = require('clipboardy');
+
+describe('ClipboardService', () => {
+    let clipboardService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.isolateModules(() => {
+            clipboardService = require('./ClipboardService');
+        });
+    });
+
+    it('should write to and read from the system clipboard', async () => {
+        clipboardy.write.mockResolvedValue();
+        clipboardy.read.mockResolvedValue('system text');
+
+        await clipboardService.write('copied');
+
+        expect(clipboardy.write).toHaveBeenCalledWith('copied');
+        expect(await clipboardService.read()).toBe('system text');
+    });
+
+    it('should fall back to the internal register when the system clipboard is missing', async () => {
+        clipboardy.write.mockRejectedValue(new Error('xsel not found'));
+
+        await clipboardService.write('copied');
+
+        expect(await clipboardService.read()).toBe('copied');
+        expect(clipboardy.read).not.toHaveBeenCalled();
+    });
+
+    it('should use the register when reading fails after a copy', async () => {
+        clipboardy.write.mockResolvedValue();
+        clipboardy.read.mockRejectedValue(new Error('no display'));
+
+        await clipboardService.write('copied');
+
+        expect(await clipboardService.read()).toBe('copied');
+    });
+
+    it('should rethrow read errors when the register is empty', async () => {
+        clipboardy.read.mockRejectedValue(new Error('no display'));
+
+        await expect(clipboardService.read()).rejects.toThrow('no display');
+    });
+});
@@ -26,10 +26,23 @@ class ConfigService {
             editor: {
                 tabSize: 4, 
                 indentSize: 4,
-                useTabs: false
+                useTabs: false,
+                backupOnSave: false, // Keep the previous version as "file~" when saving
+                swapInterval: 2000, // Milliseconds between writes of swap files for unsaved buffers
+                largeFileThreshold: 52428800, // Files larger than this many bytes open read-only and load as they are shown
+                lineNumbers: 'off', // Line numbers in the gutter: 'off', 'absolute' or 'relative' to the cursor line
+                softWrap: false, // Wrap long lines into several rows instead of cutting them off
+                softWrapBySyntax: {}, // Soft wrap by syntax name, e.g. { "markdown": true }, overriding softWrap
+                wrapAtWords: true, // Wrap long lines after a space where there is one
+                wrapIndicator: '', // Shown at the start of wrapped rows, e.g. "↪ "
+                sideScrollMargin: 5, // Columns kept between the cursor and the left or right edge when scrolling sideways
+                wordChars: '_' // Characters that belong to words, besides letters and digits, for Ctrl+Left/Right
             }
         };
         
+        /** @private Functions called with (key, value) when a setting changes */
+        this.changeListeners = [];
+        
         // Create the ~/.turbollama directory if it doesn't exist
         this.configDir = path.join(os.homedir(), '.turbollama');
         this.ensureConfigDirExists();
@@ -61,6 +74,7 @@ class ConfigService {
         try {
             const configData = await fs.readFile(this.configPath, 'utf8');
             const loadedConfig = JSON.parse(configData);
+            const previous = this.config;
             
             // Merge with defaults
             this.config = {
@@ -77,6 +91,7 @@ class ConfigService {
             }
             
             logger.info('ConfigService', 'Configuration loaded successfully');
+            this._notifyChanges(previous);
         } catch (error) {
             // If file doesn't exist or has errors, create default config
             if (error.code === 'ENOENT') {
@@ -111,12 +126,23 @@ class ConfigService {
     
     /**
      * Gets a configuration value
-     * @param {string} key - Configuration key
+     * @param {string} key - Configuration key; dotted keys like 'editor.tabSize' read nested sections
      * @param {*} defaultValue - Default value if key is not found
      * @returns {*} Configuration value
      */
     get(key, defaultValue = null) {
-        return key in this.config ? this.config[key] : defaultValue;
+        if (key in this.config) {
+            return this.config[key];
+        }
+        
+        let value = this.config;
+        for (const part of key.split('.')) {
+            if (value === null || typeof value !== 'object' || !(part in value)) {
+                return defaultValue;
+            }
+            value = value[part];
+        }
+        return value;
     }
     
     /**
@@ -126,10 +152,53 @@ class ConfigService {
      * @returns {boolean} True if successful
      */
     async set(key, value) {
+        const previous = { ...this.config };
         this.config[key] = value;
+        this._notifyChanges(previous);
         return await this.saveConfig();
     }
     
+    /**
+     * Replaces top-level settings without saving them, e.g. after the
+     * settings file was written by hand
+     * @param {Object} values - Settings by key
+     */
+    update(values) {
+        const previous = { ...this.config };
+        Object.assign(this.config, values);
+        this._notifyChanges(previous);
+    }
+    
+    /**
+     * Registers a function called when a top-level setting changes
+     * @param {Function} listener - Called with (key, value)
+     * @returns {Function} Call to stop listening
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+    
+    /**
+     * Tells the listeners about every top-level setting that differs from before
+     * @param {Object} previous - The settings before the change
+     * @private
+     */
+    _notifyChanges(previous) {
+        for (const [key, value] of Object.entries(this.config)) {
+            if (JSON.stringify(previous[key]) === JSON.stringify(value)) continue;
+            for (const listener of this.changeListeners) {
+                try {
+                    listener(key, value);
+                } catch (error) {
+                    logger.error('ConfigService', `Error applying setting ${key}: ${error.message}`);
+                }
+            }
+        }
+    }
+    
     /**
      * Gets the OpenAI API key
      * @returns {string} API key
@@ -0,0 +1,138 @@
+/**
+ * Service for comparing two versions of a file line by line
+ */
+class DiffService {
+    /**
+     * Computes the shortest line edit script between two texts with Myers' algorithm
+     * @param {string[]} oldLines - The original lines
+     * @param {string[]} newLines - The changed lines
+     * @returns {Array<{type: string, line: string}>} Operations in order; type is ' ' (kept), '-' (removed) or '+' (added)
+     */
+    diffLines(oldLines, newLines) {
+        const n = oldLines.length;
+        const m = newLines.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Array(2 * max + 3).fill(0);
+        // trace[d] holds v for diagonals -d..d after round d, starting at index offset - d
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && oldLines[x] === newLines[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    trace.push(v.slice(offset - d, offset + d + 1));
+                    return this._backtrack(trace, oldLines, newLines);
+                }
+            }
+            trace.push(v.slice(offset - d, offset + d + 1));
+        }
+        return [];
+    }
+
+    /**
+     * Walks the recorded rounds backwards to recover the edit script
+     * @private
+     */
+    _backtrack(trace, oldLines, newLines) {
+        const ops = [];
+        let x = oldLines.length;
+        let y = newLines.length;
+
+        for (let d = trace.length - 1; d > 0; d--) {
+            const previous = trace[d - 1];
+            const at = k => previous[k + d - 1];
+            const k = x - y;
+            const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                ops.push({ type: ' ', line: oldLines[--x] });
+                y--;
+            }
+            if (x === previousX) {
+                ops.push({ type: '+', line: newLines[--y] });
+            } else {
+                ops.push({ type: '-', line: oldLines[--x] });
+            }
+        }
+        while (x > 0 && y > 0) {
+            ops.push({ type: ' ', line: oldLines[--x] });
+            y--;
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Formats the differences between two texts as a unified diff
+     * @param {string[]} oldLines - The original lines
+     * @param {string[]} newLines - The changed lines
+     * @param {string} oldName - Name shown for the original
+     * @param {string} newName - Name shown for the changed version
+     * @param {number} [context=3] - Unchanged lines shown around each change
+     * @returns {string[]} The diff lines; empty if the texts are equal
+     */
+    unifiedDiff(oldLines, newLines, oldName, newName, context = 3) {
+        const ops = this.diffLines(oldLines, newLines);
+        const changes = [];
+        ops.forEach((op, index) => {
+            if (op.type !== ' ') changes.push(index);
+        });
+        if (changes.length === 0) return [];
+
+        const output = [`--- ${oldName}`, `+++ ${newName}`];
+
+        // Changes separated by at most twice the context in unchanged lines share a hunk
+        let first = 0;
+        while (first < changes.length) {
+            let last = first;
+            while (last + 1 < changes.length && changes[last + 1] - changes[last] - 1 <= 2 * context) {
+                last++;
+            }
+
+            const start = Math.max(0, changes[first] - context);
+            const end = Math.min(ops.length, changes[last] + context + 1);
+            output.push(...this._formatHunk(ops, start, end));
+            first = last + 1;
+        }
+
+        return output;
+    }
+
+    /**
+     * Formats the operations [start, end) as one hunk with its @@ header
+     * @private
+     */
+    _formatHunk(ops, start, end) {
+        let oldStart = 1;
+        let newStart = 1;
+        for (let i = 0; i < start; i++) {
+            if (ops[i].type !== '+') oldStart++;
+            if (ops[i].type !== '-') newStart++;
+        }
+
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        // An empty side is numbered by the line before it
+        const range = (from, count) => `${count === 0 ? from - 1 : from},${count}`;
+
+        return [
+            `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`,
+            ...hunk.map(op => `${op.type}${op.line}`)
+        ];
+    }
+}
+
+module.exports = DiffService;
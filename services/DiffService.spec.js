@@ -0,0 +1,86 @@
+const DiffService = require('./DiffService');
+
+describe('DiffService', () => {
+    let diffService;
+
+    beforeEach(() => {
+        diffService = new DiffService();
+    });
+
+    describe('diffLines', () => {
+        it('should keep equal texts unchanged', () => {
+            expect(diffService.diffLines(['a', 'b'], ['a', 'b'])).toEqual([
+                { type: ' ', line: 'a' },
+                { type: ' ', line: 'b' }
+            ]);
+        });
+
+        it('should find added and removed lines', () => {
+            expect(diffService.diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+                { type: ' ', line: 'a' },
+                { type: '-', line: 'b' },
+                { type: '+', line: 'x' },
+                { type: ' ', line: 'c' },
+                { type: '+', line: 'd' }
+            ]);
+        });
+
+        it('should handle empty texts', () => {
+            expect(diffService.diffLines([], [])).toEqual([]);
+            expect(diffService.diffLines([], ['a'])).toEqual([{ type: '+', line: 'a' }]);
+            expect(diffService.diffLines(['a'], [])).toEqual([{ type: '-', line: 'a' }]);
+        });
+
+        it('should produce a script that turns the old text into the new one', () => {
+            const oldLines = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+            const newLines = ['c', 'b', 'a', 'b', 'a', 'c'];
+            const ops = diffService.diffLines(oldLines, newLines);
+
+            expect(ops.filter(op => op.type !== '+').map(op => op.line)).toEqual(oldLines);
+            expect(ops.filter(op => op.type !== '-').map(op => op.line)).toEqual(newLines);
+            // Myers finds the shortest script: 5 edits for this classic example
+            expect(ops.filter(op => op.type !== ' ').length).toBe(5);
+        });
+    });
+
+    describe('unifiedDiff', () => {
+        it('should return nothing for equal texts', () => {
+            expect(diffService.unifiedDiff(['a'], ['a'], 'old', 'new')).toEqual([]);
+        });
+
+        it('should format changes as hunks with context', () => {
+            const oldLines = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
+            const newLines = ['1', 'two', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13'];
+
+            expect(diffService.unifiedDiff(oldLines, newLines, 'a.txt (disk)', 'a.txt', 2)).toEqual([
+                '--- a.txt (disk)',
+                '+++ a.txt',
+                '@@ -1,4 +1,4 @@',
+                ' 1',
+                '-2',
+                '+two',
+                ' 3',
+                ' 4',
+                '@@ -11,2 +11,3 @@',
+                ' 11',
+                ' 12',
+                '+13'
+            ]);
+        });
+
+        it('should merge changes that are close together into one hunk', () => {
+            const diff = diffService.unifiedDiff(['a', 'b', 'c', 'd'], ['A', 'b', 'c', 'D'], 'old', 'new', 1);
+
+            expect(diff.filter(line => line.startsWith('@@'))).toEqual(['@@ -1,4 +1,4 @@']);
+        });
+
+        it('should number an empty side by the line before it', () => {
+            expect(diffService.unifiedDiff([], ['a'], 'old', 'new')).toEqual([
+                '--- old',
+                '+++ new',
+                '@@ -0,0 +1,1 @@',
+                '+a'
+            ]);
+        });
+    });
+});
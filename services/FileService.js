@@ -1,27 +1,37 @@
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
 const EditFile = require('../models/EditFile');
-const IndentationService = require('./IndentationService');
+const LazyFileBuffer = require('../models/LazyFileBuffer');
+const configService = require('./ConfigService');
+const logger = require('./LoggingService');
 
 class FileService {
-    constructor() {
-        this.indentationService = new IndentationService();
-    }
-
     /**
-     * Reads a text file and returns its content
+     * Reads a text file and returns its content. The encoding, byte order mark,
+     * line ending and final newline are detected and kept in EditFile.format.
+     * Files larger than editor.largeFileThreshold are opened read-only and
+     * read in the background, see _openLargeFile.
      * @param {string} fileName - Path to the file
      * @returns {Promise<EditFile>} - The file data wrapped in EditFile DTO
      */
     async getTextFile(fileName) {
         try {
             const filePath = path.resolve(process.cwd(), fileName);
-            const content = await fs.readFile(filePath, 'utf8');
-            // Split content into lines and expand tabs
-            const lines = content.split('\n').map(line => {
-                return this.indentationService.expandTabs(line);
+            const stats = await this._stat(filePath);
+            if (stats && stats.isFile() && stats.size > configService.get('editor.largeFileThreshold', 52428800)) {
+                return await this._openLargeFile(fileName, filePath, stats);
+            }
+
+            const buffer = await fs.readFile(filePath);
+            const decoded = this.decode(buffer);
+            const { text, lineEnding, finalNewline } = this.normalizeLines(decoded.text);
+            // Tabs stay literal; EditWindow expands them only for display
+            const editFile = new EditFile(fileName, text, {
+                lineEnding, finalNewline, encoding: decoded.encoding, bom: decoded.bom
             });
-            return new EditFile(fileName, lines);
+            editFile.diskState = await this._getDiskState(filePath);
+            return editFile;
         } catch (error) {
             console.error('Error reading file:', error);
             return new EditFile(fileName, ['']);
@@ -29,14 +39,417 @@ class FileService {
     }
 
     /**
-     * Saves a text file
+     * Saves a text file in the format it was loaded in. The content is written
+     * to a temporary file that is synced and then renamed over the target, so
+     * a crash never leaves a half-written file. The original mode and owner
+     * are kept, and with editor.backupOnSave the previous version is kept as "file~".
      * @param {EditFile} editFile - The file to save
+     * @param {Object} [options={}] - Save options
+     * @param {boolean} [options.force=false] - Overwrite even if the file changed on disk since it was loaded
      * @returns {Promise<void>}
+     * @throws {Error} With code 'ECONFLICT' if the file changed on disk since it was loaded or saved
+     * @throws {Error} With code 'EENCODING' if the text cannot be represented in the file's encoding
+     * @throws {Error} With code 'EREADONLY' if the file was opened read-only
      */
-    async saveTextFile(editFile) {
-        const filePath = path.resolve(process.cwd(), editFile.fileName);
-        await fs.writeFile(filePath, editFile.fileData, 'utf8');
+    async saveTextFile(editFile, options = {}) {
+        const { force = false } = options;
+        if (editFile.readOnly) {
+            const error = new Error(`${editFile.fileName} is open read-only`);
+            error.code = 'EREADONLY';
+            throw error;
+        }
+        let filePath = path.resolve(process.cwd(), editFile.fileName);
+
+        const current = await this._stat(filePath);
+        if (current && !force && this.hasChangedOnDisk(editFile, current)) {
+            const error = new Error(`${editFile.fileName} changed on disk since it was opened`);
+            error.code = 'ECONFLICT';
+            throw error;
+        }
+
+        const data = this.encode(editFile);
+
+        if (current) {
+            // Replace the file a symlink points to, not the link itself
+            filePath = await fs.realpath(filePath);
+            if (configService.get('editor.backupOnSave', false)) {
+                await fs.copyFile(filePath, `${filePath}~`);
+            }
+        }
+
+        const tempPath = path.join(path.dirname(filePath),
+            `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+        let handle;
+        try {
+            handle = await fs.open(tempPath, 'wx', current ? current.mode & 0o7777 : 0o666);
+        } catch (error) {
+            // Without write access to the directory, fall back to writing in place
+            if (current && (error.code === 'EACCES' || error.code === 'EPERM')) {
+                await fs.writeFile(filePath, data);
+                editFile.diskState = await this._getDiskState(filePath);
+                return;
+            }
+            throw error;
+        }
+
+        try {
+            try {
+                await handle.writeFile(data);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            if (current) {
+                await fs.chmod(tempPath, current.mode & 0o7777);
+                await this._chown(tempPath, current);
+            }
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        editFile.diskState = await this._getDiskState(filePath);
+    }
+
+    /**
+     * Opens a file too large to hold in memory. The format is detected from
+     * its beginning; the lines are then indexed in the background and read
+     * only when they are shown, so the first screen appears at once.
+     * @param {string} fileName - Path to the file, as given
+     * @param {string} filePath - Absolute path to the file
+     * @param {fs.Stats} stats - Stats of the file
+     * @returns {Promise<EditFile>} A read-only file that fills in as it is indexed
+     * @private
+     */
+    async _openLargeFile(fileName, filePath, stats) {
+        const sample = Buffer.alloc(Math.min(stats.size, FileService.SAMPLE_SIZE));
+        const handle = await fs.open(filePath, 'r');
+        try {
+            await handle.read(sample, 0, sample.length, 0);
+        } finally {
+            await handle.close();
+        }
+
+        // Cut after the last line break so no character is split in two
+        const lastBreak = sample.lastIndexOf(0x0a);
+        const decoded = this.decode(lastBreak > 0 ? sample.subarray(0, lastBreak + 1) : sample);
+        const { lineEnding } = this.normalizeLines(decoded.text);
+
+        const encoding = decoded.encoding;
+        const buffer = new LazyFileBuffer(filePath, {
+            size: stats.size,
+            encoding,
+            dataStart: decoded.bom ? (encoding === 'utf8' ? 3 : 2) : 0,
+            stripCarriageReturns: lineEnding === 'crlf',
+            decode: bytes => this._decodeAs(bytes, encoding)
+        });
+        const editFile = EditFile.createReadOnly(fileName, buffer, {
+            lineEnding, finalNewline: true, encoding, bom: decoded.bom
+        });
+        editFile.diskState = { mtimeMs: stats.mtimeMs, size: stats.size };
+
+        buffer.index().catch(error => {
+            logger.error('FileService', `Failed to index ${fileName}: ${error.message}`);
+        });
+        return editFile;
+    }
+
+    /**
+     * Checks whether a file on disk differs from the version an EditFile was loaded from
+     * @param {EditFile} editFile - The loaded file
+     * @param {fs.Stats} stats - Current stats of the file on disk
+     * @returns {boolean} Whether the file changed since it was loaded or last saved
+     */
+    hasChangedOnDisk(editFile, stats) {
+        const known = editFile.diskState;
+        if (!known) return false;
+        return stats.mtimeMs !== known.mtimeMs || stats.size !== known.size;
+    }
+
+    /**
+     * Checks whether the file an EditFile was loaded from has been changed by
+     * another program since it was loaded or last saved. A deleted file does
+     * not count as changed; saving simply creates it again.
+     * @param {EditFile} editFile - The loaded file
+     * @returns {Promise<boolean>}
+     */
+    async isChangedOnDisk(editFile) {
+        if (!editFile.fileName) return false;
+        const stats = await this._stat(path.resolve(process.cwd(), editFile.fileName));
+        return stats !== null && this.hasChangedOnDisk(editFile, stats);
+    }
+
+    /**
+     * Watches a file for changes by other programs. The directory is watched
+     * rather than the file itself, so files replaced by renaming (as formatters,
+     * git and atomic saves do) are still followed.
+     * @param {string} fileName - Path to the file
+     * @param {Function} onChange - Called once a burst of changes settles
+     * @returns {{close: Function}} Stops watching
+     */
+    watchFile(fileName, onChange) {
+        const filePath = path.resolve(process.cwd(), fileName);
+        const baseName = path.basename(filePath);
+        return this._watch(path.dirname(filePath), name => name === null || name === baseName, onChange);
+    }
+
+    /**
+     * Watches a directory for entries being added, removed or changed
+     * @param {string} directoryPath - Path to the directory
+     * @param {Function} onChange - Called once a burst of changes settles
+     * @returns {{close: Function}} Stops watching
+     */
+    watchDirectory(directoryPath, onChange) {
+        return this._watch(directoryPath, () => true, onChange);
+    }
+
+    /**
+     * Watches a directory, calling onChange FileService.WATCH_DELAY_MS after
+     * the last event for a matching entry. Watching is best effort: if the
+     * directory cannot be watched, the returned watcher does nothing.
+     * @param {string} directoryPath - The directory to watch
+     * @param {Function} accept - Called with the changed entry name (null if unknown); true to report it
+     * @param {Function} onChange - Called when matching entries changed
+     * @returns {{close: Function}} Stops watching
+     * @private
+     */
+    _watch(directoryPath, accept, onChange) {
+        let timer = null;
+        let watcher;
+        try {
+            watcher = watch(directoryPath, { persistent: false }, (eventType, name) => {
+                if (!accept(name ? name.toString() : null)) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    timer = null;
+                    Promise.resolve(onChange()).catch(error =>
+                        logger.error('FileService', `Error handling change in ${directoryPath}: ${error.message}`));
+                }, FileService.WATCH_DELAY_MS);
+            });
+        } catch (error) {
+            logger.warn('FileService', `Cannot watch ${directoryPath}: ${error.message}`);
+            return { close: () => {} };
+        }
+
+        watcher.on('error', error => {
+            logger.warn('FileService', `Stopped watching ${directoryPath}: ${error.message}`);
+            clearTimeout(timer);
+            watcher.close();
+        });
+
+        return {
+            close: () => {
+                clearTimeout(timer);
+                watcher.close();
+            }
+        };
+    }
+
+    /**
+     * Gets the stats of a file, or null if it does not exist
+     * @param {string} filePath - The file to look at
+     * @returns {Promise<fs.Stats|null>}
+     * @private
+     */
+    async _stat(filePath) {
+        try {
+            return await fs.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the modification time and size recorded to detect changes by other programs
+     * @param {string} filePath - The file to look at
+     * @returns {Promise<{mtimeMs: number, size: number}|null>}
+     * @private
+     */
+    async _getDiskState(filePath) {
+        const stats = await this._stat(filePath);
+        return stats ? { mtimeMs: stats.mtimeMs, size: stats.size } : null;
+    }
+
+    /**
+     * Gives a file the owner of the file it replaces. Only privileged users may
+     * change owners, so this is skipped when it is not permitted.
+     * @param {string} filePath - The file to change
+     * @param {fs.Stats} original - Stats of the file being replaced
+     * @private
+     */
+    async _chown(filePath, original) {
+        try {
+            await fs.chown(filePath, original.uid, original.gid);
+        } catch (error) {
+            if (error.code !== 'EPERM') throw error;
+        }
+    }
+
+    /**
+     * Decodes file content, detecting its encoding. Byte order marks identify
+     * UTF-8 and UTF-16; otherwise UTF-16 is guessed from NUL byte patterns,
+     * and content that is not valid UTF-8 is read as latin1.
+     * @param {Buffer} buffer - The raw file content
+     * @returns {{text: string, encoding: string, bom: boolean}} The decoded text and detected encoding
+     */
+    decode(buffer) {
+        if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+            return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf8', bom: true };
+        }
+        if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+            return { text: buffer.subarray(2).toString('utf16le'), encoding: 'utf16le', bom: true };
+        }
+        if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+            return { text: this._decodeUtf16be(buffer.subarray(2)), encoding: 'utf16be', bom: true };
+        }
+
+        const utf16 = this._guessUtf16(buffer);
+        if (utf16 === 'utf16le') {
+            return { text: buffer.toString('utf16le'), encoding: 'utf16le', bom: false };
+        }
+        if (utf16 === 'utf16be') {
+            return { text: this._decodeUtf16be(buffer), encoding: 'utf16be', bom: false };
+        }
+
+        try {
+            const text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(buffer);
+            return { text, encoding: 'utf8', bom: false };
+        } catch (error) {
+            return { text: buffer.toString('latin1'), encoding: 'latin1', bom: false };
+        }
+    }
+
+    /**
+     * Splits decoded text into lines, detecting the line ending and final newline.
+     * Files that mix LF and CRLF keep the '\r' on their lines so they round-trip unchanged.
+     * @param {string} text - The decoded file content
+     * @returns {{lines: string[], lineEnding: string, finalNewline: boolean}} The lines and detected format
+     */
+    splitLines(text) {
+        const { text: normalized, lineEnding, finalNewline } = this.normalizeLines(text);
+        return { lines: normalized.split('\n'), lineEnding, finalNewline };
+    }
+
+    /**
+     * Detects the line ending and final newline of decoded text and converts it
+     * to the '\n'-separated form EditFile holds, without splitting it into lines.
+     * Files that mix LF and CRLF keep the '\r' on their lines so they round-trip unchanged.
+     * @param {string} text - The decoded file content
+     * @returns {{text: string, lineEnding: string, finalNewline: boolean}} The text and detected format
+     */
+    normalizeLines(text) {
+        let breaks = 0;
+        let crlf = 0;
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+            breaks++;
+            if (text[i - 1] === '\r') crlf++;
+        }
+
+        let lineEnding = 'lf';
+        if (crlf > 0) {
+            lineEnding = crlf < breaks ? 'mixed' : 'crlf';
+        }
+        if (lineEnding === 'crlf') {
+            text = text.replace(/\r\n/g, '\n');
+        }
+
+        const finalNewline = text.endsWith('\n');
+        if (finalNewline) {
+            text = text.slice(0, -1);
+        }
+        return { text, lineEnding, finalNewline };
+    }
+
+    /**
+     * Encodes a file's lines in its on-disk format
+     * @param {EditFile} editFile - The file to encode
+     * @returns {Buffer} The bytes to write
+     * @throws {Error} With code 'EENCODING' if the text cannot be represented in the file's encoding
+     */
+    encode(editFile) {
+        const { lineEnding, finalNewline, encoding, bom } = editFile.format;
+        // Lines of a mixed file still carry their own '\r'
+        const eol = lineEnding === 'crlf' ? '\r\n' : '\n';
+
+        let text = editFile.getText();
+        if (eol !== '\n') {
+            text = text.replace(/\n/g, eol);
+        }
+        if (finalNewline) {
+            text += eol;
+        }
+
+        if (encoding === 'latin1') {
+            if (/[^\x00-\xff]/.test(text)) {
+                const error = new Error(`${editFile.fileName} contains characters that cannot be saved as latin1`);
+                error.code = 'EENCODING';
+                throw error;
+            }
+            return Buffer.from(text, 'latin1');
+        }
+
+        if (bom) {
+            text = '\ufeff' + text;
+        }
+        if (encoding === 'utf16be') {
+            return Buffer.from(text, 'utf16le').swap16();
+        }
+        return Buffer.from(text, encoding);
+    }
+
+    /**
+     * Guesses UTF-16 without a byte order mark: mostly-ASCII UTF-16 text has
+     * a NUL in every other byte
+     * @param {Buffer} buffer - The raw file content
+     * @returns {string|null} 'utf16le', 'utf16be' or null
+     * @private
+     */
+    _guessUtf16(buffer) {
+        const length = Math.min(buffer.length, 4096) & ~1;
+        if (length === 0) return null;
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < length; i += 2) {
+            if (buffer[i] === 0) evenZeros++;
+            if (buffer[i + 1] === 0) oddZeros++;
+        }
+
+        const pairs = length / 2;
+        if (evenZeros === 0 && oddZeros >= pairs * 0.4) return 'utf16le';
+        if (oddZeros === 0 && evenZeros >= pairs * 0.4) return 'utf16be';
+        return null;
+    }
+
+    /**
+     * Decodes bytes in a known encoding
+     * @param {Buffer} buffer - The raw bytes, without byte order mark
+     * @param {string} encoding - One of EditFile.ENCODINGS
+     * @returns {string} The decoded text
+     * @private
+     */
+    _decodeAs(buffer, encoding) {
+        return encoding === 'utf16be' ? this._decodeUtf16be(buffer) : buffer.toString(encoding);
+    }
+
+    /**
+     * Decodes big-endian UTF-16, which Buffer does not support directly
+     * @param {Buffer} buffer - The raw bytes, without byte order mark
+     * @returns {string} The decoded text
+     * @private
+     */
+    _decodeUtf16be(buffer) {
+        const swapped = Buffer.from(buffer.subarray(0, buffer.length & ~1));
+        return swapped.swap16().toString('utf16le');
     }
 }
 
+/** Milliseconds to wait for a burst of file system events to settle */
+FileService.WATCH_DELAY_MS = 100;
+/** Bytes read from the start of a large file to detect its format */
+FileService.SAMPLE_SIZE = 64 * 1024;
+
 module.exports = FileService;
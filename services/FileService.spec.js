@@ -1,66 +1,65 @@
 const FileService = require('./FileService');
 const EditFile = require('../models/EditFile');
-const IndentationService = require('./IndentationService');
+const configService = require('./ConfigService');
+const os = require('os');
 
-// Mock dependencies
+// Mock dependencies; reads are mocked, everything else uses the real file system
 jest.mock('fs', () => {
-    const mockReadFile = jest.fn();
-    const mockWriteFile = jest.fn();
+    const actualFs = jest.requireActual('fs');
     return {
+        ...actualFs,
         promises: {
-            readFile: mockReadFile,
-            writeFile: mockWriteFile
+            ...actualFs.promises,
+            readFile: jest.fn()
         }
     };
 });
 
 const fs = require('fs');
+const actualFs = jest.requireActual('fs');
 
-jest.mock('./IndentationService');
-jest.mock('path', () => ({
-    resolve: jest.fn((cwd, fileName) => `/resolved/${fileName}`),
+jest.mock('./LoggingService', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
 }));
+jest.mock('./ConfigService', () => ({
+    get: jest.fn((key, defaultValue) => defaultValue)
+}));
+jest.mock('path', () => {
+    const actualPath = jest.requireActual('path');
+    return {
+        ...actualPath,
+        resolve: jest.fn((cwd, fileName) => actualPath.isAbsolute(fileName) ? fileName : `/resolved/${fileName}`),
+    };
+});
+const path = require('path');
 
 describe('FileService', () => {
     let fileService;
-    let mockIndentationService;
 
     beforeEach(() => {
         jest.clearAllMocks();
         
-        // Setup mock IndentationService
-        mockIndentationService = {
-            expandTabs: jest.fn(line => line) // Default implementation just returns the line
-        };
-        IndentationService.mockImplementation(() => mockIndentationService);
-        
         fileService = new FileService();
     });
 
     describe('getTextFile', () => {
         it('should read and parse file content correctly', async () => {
             const mockContent = 'line1\nline2\nline3';
-            fs.promises.readFile.mockResolvedValue(mockContent);
-            mockIndentationService.expandTabs
-                .mockImplementation(line => `expanded_${line}`);
+            fs.promises.readFile.mockResolvedValue(Buffer.from(mockContent));
 
             const result = await fileService.getTextFile('test.txt');
 
-            expect(fs.promises.readFile).toHaveBeenCalledWith(
-                '/resolved/test.txt',
-                'utf8'
-            );
+            expect(fs.promises.readFile).toHaveBeenCalledWith('/resolved/test.txt');
             expect(result).toBeInstanceOf(EditFile);
             expect(result.fileName).toBe('test.txt');
-            expect(result.fileData).toEqual([
-                'expanded_line1',
-                'expanded_line2',
-                'expanded_line3'
-            ]);
+            expect(result.fileData).toEqual(['line1', 'line2', 'line3']);
         });
 
         it('should handle empty files', async () => {
-            fs.promises.readFile.mockResolvedValue('');
+            fs.promises.readFile.mockResolvedValue(Buffer.alloc(0));
 
             const result = await fileService.getTextFile('empty.txt');
 
@@ -84,38 +83,316 @@ describe('FileService', () => {
             consoleSpy.mockRestore();
         });
 
-        it('should expand tabs in each line', async () => {
+        it('should keep tabs literally', async () => {
             const mockContent = 'line\twith\ttabs';
-            fs.promises.readFile.mockResolvedValue(mockContent);
-            mockIndentationService.expandTabs
-                .mockImplementation(line => line.replace(/\t/g, '    '));
+            fs.promises.readFile.mockResolvedValue(Buffer.from(mockContent));
 
             const result = await fileService.getTextFile('tabs.txt');
 
-            expect(mockIndentationService.expandTabs).toHaveBeenCalledWith('line\twith\ttabs');
-            expect(result.fileData).toEqual(['line    with    tabs']);
+            expect(result.fileData).toEqual(['line\twith\ttabs']);
         });
     });
 
     describe('saveTextFile', () => {
+        let dir;
+        let filePath;
+
+        const load = async (name) => {
+            fs.promises.readFile.mockImplementation(actualFs.promises.readFile);
+            return await fileService.getTextFile(name);
+        };
+
+        beforeEach(() => {
+            dir = actualFs.mkdtempSync(path.join(os.tmpdir(), 'fileservice-'));
+            filePath = path.join(dir, 'test.txt');
+        });
+
+        afterEach(() => {
+            actualFs.rmSync(dir, { recursive: true, force: true });
+        });
+
         it('should save file content correctly', async () => {
-            const editFile = new EditFile('test.txt', ['line1', 'line2', 'line3']);
+            const editFile = new EditFile(filePath, ['line1', 'line2', 'line3']);
+            await fileService.saveTextFile(editFile);
+
+            expect(actualFs.readFileSync(filePath, 'utf8')).toBe('line1\nline2\nline3\n');
+            expect(editFile.diskState).toEqual({
+                mtimeMs: actualFs.statSync(filePath).mtimeMs,
+                size: 18
+            });
+        });
+
+        it('should write the line ending, final newline and byte order mark it was loaded with', async () => {
+            const editFile = new EditFile(filePath, ['a', 'b'], {
+                lineEnding: 'crlf',
+                finalNewline: false,
+                encoding: 'utf8',
+                bom: true
+            });
+            await fileService.saveTextFile(editFile);
+
+            expect(actualFs.readFileSync(filePath)).toEqual(Buffer.from('\ufeffa\r\nb'));
+        });
+
+        it('should refuse to save characters the encoding cannot represent', async () => {
+            const editFile = new EditFile(filePath, ['caf\u00e9 \u2603'], { encoding: 'latin1' });
+
+            await expect(fileService.saveTextFile(editFile)).rejects.toMatchObject({ code: 'EENCODING' });
+            expect(actualFs.existsSync(filePath)).toBe(false);
+        });
+
+        it('should replace the file without leaving temporary files behind', async () => {
+            actualFs.writeFileSync(filePath, 'old\n');
+            const editFile = await load(filePath);
+            editFile.writeText('new ', 0, 0, true);
+
+            await fileService.saveTextFile(editFile);
+
+            expect(actualFs.readFileSync(filePath, 'utf8')).toBe('new old\n');
+            expect(actualFs.readdirSync(dir)).toEqual(['test.txt']);
+        });
+
+        it('should keep the file mode', async () => {
+            actualFs.writeFileSync(filePath, '#!/bin/sh\n');
+            actualFs.chmodSync(filePath, 0o750);
+            const editFile = await load(filePath);
+
+            await fileService.saveTextFile(editFile);
+
+            expect(actualFs.statSync(filePath).mode & 0o777).toBe(0o750);
+        });
+
+        it('should save through symlinks', async () => {
+            actualFs.writeFileSync(filePath, 'target\n');
+            const linkPath = path.join(dir, 'link.txt');
+            actualFs.symlinkSync(filePath, linkPath);
+            const editFile = await load(linkPath);
+            editFile.writeText('via link ', 0, 0, true);
+
             await fileService.saveTextFile(editFile);
 
-            expect(fs.promises.writeFile).toHaveBeenCalledWith(
-                '/resolved/test.txt',
-                ['line1', 'line2', 'line3'],
-                'utf8'
-            );
+            expect(actualFs.lstatSync(linkPath).isSymbolicLink()).toBe(true);
+            expect(actualFs.readFileSync(filePath, 'utf8')).toBe('via link target\n');
+        });
+
+        it('should keep a backup when editor.backupOnSave is set', async () => {
+            configService.get.mockImplementation((key, defaultValue) => key === 'editor.backupOnSave' ? true : defaultValue);
+            actualFs.writeFileSync(filePath, 'before\n');
+            const editFile = await load(filePath);
+            editFile.writeText('after ', 0, 0, true);
+
+            await fileService.saveTextFile(editFile);
+
+            expect(actualFs.readFileSync(`${filePath}~`, 'utf8')).toBe('before\n');
+            expect(actualFs.readFileSync(filePath, 'utf8')).toBe('after before\n');
+            configService.get.mockImplementation((key, defaultValue) => defaultValue);
+        });
+
+        it('should report a conflict if the file changed on disk since it was loaded', async () => {
+            actualFs.writeFileSync(filePath, 'mine\n');
+            const editFile = await load(filePath);
+            actualFs.writeFileSync(filePath, 'theirs, longer\n');
+
+            await expect(fileService.saveTextFile(editFile)).rejects.toMatchObject({ code: 'ECONFLICT' });
+            expect(actualFs.readFileSync(filePath, 'utf8')).toBe('theirs, longer\n');
+
+            await fileService.saveTextFile(editFile, { force: true });
+            expect(actualFs.readFileSync(filePath, 'utf8')).toBe('mine\n');
         });
 
         it('should handle save errors', async () => {
-            const error = new Error('Permission denied');
-            fs.promises.writeFile.mockRejectedValue(error);
-            const editFile = new EditFile('test.txt', ['content']);
+            const editFile = new EditFile(path.join(dir, 'missing', 'test.txt'), ['content']);
 
             await expect(fileService.saveTextFile(editFile))
-                .rejects.toThrow('Permission denied');
+                .rejects.toMatchObject({ code: 'ENOENT' });
+        });
+    });
+
+    describe('watching', () => {
+        let dir;
+        let filePath;
+
+        const waitFor = async (condition) => {
+            for (let i = 0; i < 100 && !condition(); i++) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        };
+
+        beforeEach(() => {
+            dir = actualFs.mkdtempSync(path.join(os.tmpdir(), 'fileservice-'));
+            filePath = path.join(dir, 'test.txt');
+            actualFs.writeFileSync(filePath, 'one\n');
+        });
+
+        afterEach(() => {
+            actualFs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should report changes to a watched file once they settle', async () => {
+            const onChange = jest.fn();
+            const watcher = fileService.watchFile(filePath, onChange);
+
+            actualFs.writeFileSync(filePath, 'two\n');
+            actualFs.appendFileSync(filePath, 'three\n');
+            await waitFor(() => onChange.mock.calls.length > 0);
+            await new Promise(resolve => setTimeout(resolve, FileService.WATCH_DELAY_MS * 2));
+            watcher.close();
+
+            expect(onChange).toHaveBeenCalledTimes(1);
+        });
+
+        it('should follow a file that is replaced by renaming', async () => {
+            const onChange = jest.fn();
+            const watcher = fileService.watchFile(filePath, onChange);
+
+            const otherPath = path.join(dir, 'other.txt');
+            actualFs.writeFileSync(otherPath, 'replaced\n');
+            await new Promise(resolve => setTimeout(resolve, FileService.WATCH_DELAY_MS * 2));
+            expect(onChange).not.toHaveBeenCalled();
+
+            actualFs.renameSync(otherPath, filePath);
+            await waitFor(() => onChange.mock.calls.length > 0);
+            watcher.close();
+
+            expect(onChange).toHaveBeenCalled();
+        });
+
+        it('should report entries added to a watched directory', async () => {
+            const onChange = jest.fn();
+            const watcher = fileService.watchDirectory(dir, onChange);
+
+            actualFs.writeFileSync(path.join(dir, 'new.txt'), '');
+            await waitFor(() => onChange.mock.calls.length > 0);
+            watcher.close();
+
+            expect(onChange).toHaveBeenCalled();
+        });
+
+        it('should not fail for directories that cannot be watched', () => {
+            const watcher = fileService.watchFile(path.join(dir, 'missing', 'test.txt'), jest.fn());
+
+            expect(() => watcher.close()).not.toThrow();
+        });
+
+        it('should tell whether a loaded file was changed by another program', async () => {
+            fs.promises.readFile.mockImplementation(actualFs.promises.readFile);
+            const editFile = await fileService.getTextFile(filePath);
+            expect(await fileService.isChangedOnDisk(editFile)).toBe(false);
+
+            actualFs.writeFileSync(filePath, 'changed\n');
+            expect(await fileService.isChangedOnDisk(editFile)).toBe(true);
+
+            actualFs.unlinkSync(filePath);
+            expect(await fileService.isChangedOnDisk(editFile)).toBe(false);
+        });
+    });
+
+    describe('large files', () => {
+        let dir;
+        let filePath;
+
+        const waitFor = async (condition) => {
+            for (let i = 0; i < 100 && !condition(); i++) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        };
+
+        beforeEach(() => {
+            dir = actualFs.mkdtempSync(path.join(os.tmpdir(), 'fileservice-'));
+            filePath = path.join(dir, 'big.log');
+            configService.get.mockImplementation((key, defaultValue) =>
+                key === 'editor.largeFileThreshold' ? 100 : defaultValue);
+        });
+
+        afterEach(() => {
+            configService.get.mockImplementation((key, defaultValue) => defaultValue);
+            actualFs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should open files above the threshold read-only without reading them whole', async () => {
+            const lines = Array.from({ length: 200 }, (_, i) => `entry ${i}`);
+            actualFs.writeFileSync(filePath, lines.join('\r\n') + '\r\n');
+
+            const editFile = await fileService.getTextFile(filePath);
+            await waitFor(() => !editFile.isLoading());
+            await editFile.loadLines(150, 160);
+
+            expect(fs.promises.readFile).not.toHaveBeenCalled();
+            expect(editFile.readOnly).toBe(true);
+            expect(editFile.format.lineEnding).toBe('crlf');
+            expect(editFile.getLineCount()).toBe(200);
+            expect(editFile.getLines(150, 160)).toEqual(lines.slice(150, 160));
+            expect(editFile.diskState.size).toBe(actualFs.statSync(filePath).size);
+        });
+
+        it('should detect the encoding of large files', async () => {
+            actualFs.writeFileSync(filePath, Buffer.concat([
+                Buffer.from([0xef, 0xbb, 0xbf]),
+                Buffer.from('ünïcode\n'.repeat(20))
+            ]));
+
+            const editFile = await fileService.getTextFile(filePath);
+            await waitFor(() => !editFile.isLoading());
+            await editFile.loadLines(0, 2);
+
+            expect(editFile.format).toMatchObject({ encoding: 'utf8', bom: true });
+            expect(editFile.getLine(0)).toBe('ünïcode');
+        });
+
+        it('should refuse to save read-only files', async () => {
+            actualFs.writeFileSync(filePath, 'x\n'.repeat(100));
+            const editFile = await fileService.getTextFile(filePath);
+
+            await expect(fileService.saveTextFile(editFile)).rejects.toMatchObject({ code: 'EREADONLY' });
+            expect(() => editFile.writeText('y', 0, 0, true)).toThrow(expect.objectContaining({ code: 'EREADONLY' }));
+            editFile.close();
         });
     });
-}); 
\ No newline at end of file
+
+    describe('file formats', () => {
+        const roundTrip = async (bytes) => {
+            fs.promises.readFile.mockResolvedValue(bytes);
+            const editFile = await fileService.getTextFile('test.txt');
+            return { editFile, saved: fileService.encode(editFile) };
+        };
+
+        it.each([
+            ['LF with final newline', Buffer.from('a\nb\n')],
+            ['CRLF without final newline', Buffer.from('a\r\nb')],
+            ['mixed line endings', Buffer.from('a\r\nb\nc\r\n')],
+            ['UTF-8 with BOM', Buffer.from('\ufeffcaf\u00e9\n')],
+            ['tab indentation', Buffer.from('all:\n\tmake -C src\t# build\n')],
+            ['latin1', Buffer.from('caf\u00e9\n', 'latin1')],
+            ['UTF-16 LE with BOM', Buffer.from('\ufeffhi\r\n', 'utf16le')],
+            ['UTF-16 BE without BOM', Buffer.from('hi\n', 'utf16le').swap16()]
+        ])('should round-trip %s unchanged', async (name, bytes) => {
+            const { saved } = await roundTrip(bytes);
+
+            expect(saved).toEqual(bytes);
+        });
+
+        it('should detect the format of CRLF files', async () => {
+            const { editFile } = await roundTrip(Buffer.from('a\r\nb\r\n'));
+
+            expect(editFile.fileData).toEqual(['a', 'b']);
+            expect(editFile.format).toEqual({ lineEnding: 'crlf', finalNewline: true, encoding: 'utf8', bom: false });
+        });
+
+        it('should detect latin1 and UTF-16 encodings', async () => {
+            expect((await roundTrip(Buffer.from('caf\u00e9', 'latin1'))).editFile.format.encoding).toBe('latin1');
+            expect((await roundTrip(Buffer.from('\ufeffx', 'utf16le'))).editFile.format).toMatchObject({ encoding: 'utf16le', bom: true });
+            expect((await roundTrip(Buffer.from('hi', 'utf16le').swap16())).editFile.fileData).toEqual(['hi']);
+        });
+
+        it('should convert line endings and encodings', async () => {
+            const { editFile } = await roundTrip(Buffer.from('a\r\nb\nc'));
+
+            editFile.setLineEnding('lf');
+            editFile.setEncoding('utf16le', true);
+
+            expect(editFile.fileData).toEqual(['a', 'b', 'c']);
+            expect(fileService.encode(editFile)).toEqual(Buffer.from('\ufeffa\nb\nc', 'utf16le'));
+        });
+    });
+});
+
@@ -0,0 +1,65 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const logger = require('./LoggingService');
+
+/**
+ * Service for running the formatter of a nanorc syntax over a buffer. Like
+ * nano, the text is written to a temporary file, the formatter is run with
+ * that file as its last argument and changes it in place, and the file is
+ * read back.
+ */
+class FormatterService {
+    /**
+     * Formats text with a formatter command
+     * @param {string[]} command - The formatter and its arguments, as given by the `formatter` directive
+     * @param {string} text - The text to format
+     * @param {string} [fileName=''] - Name of the file the text belongs to; the temporary file gets the same
+     *   base name so formatters that look at the extension recognize it
+     * @returns {Promise<string>} The formatted text
+     * @throws {Error} If the formatter cannot be run or fails
+     */
+    async format(command, text, fileName = '') {
+        if (!Array.isArray(command) || command.length === 0) {
+            throw new Error('No formatter given');
+        }
+
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'turbollama-format-'));
+        const tempFile = path.join(dir, path.basename(fileName) || 'untitled');
+        try {
+            await fs.writeFile(tempFile, text, 'utf8');
+            await this._run(command[0], [...command.slice(1), tempFile]);
+            return await fs.readFile(tempFile, 'utf8');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true }).catch(error =>
+                logger.warn('FormatterService', `Could not remove ${dir}: ${error.message}`));
+        }
+    }
+
+    /**
+     * @private
+     * Runs a program, failing with the first line it wrote to stderr
+     * @param {string} program - The program
+     * @param {string[]} args - Its arguments
+     * @returns {Promise<void>}
+     */
+    _run(program, args) {
+        return new Promise((resolve, reject) => {
+            execFile(program, args, { timeout: FormatterService.TIMEOUT }, (error, stdout, stderr) => {
+                if (!error) {
+                    resolve();
+                    return;
+                }
+                const detail = (stderr || '').trim().split('\n')[0] || error.message;
+                logger.error('FormatterService', `${program} failed: ${stderr || error.message}`);
+                reject(new Error(`${program}: ${detail}`));
+            });
+        });
+    }
+}
+
+/** Milliseconds a formatter may run before it is stopped */
+FormatterService.TIMEOUT = 10000;
+
+module.exports = FormatterService;
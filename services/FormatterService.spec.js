@@ -0,0 +1,48 @@
+const FormatterService = require('./FormatterService');
+const fs = require('fs');
+const os = require('os');
+
+jest.mock('./LoggingService', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+describe('FormatterService', () => {
+    let formatterService;
+
+    // A formatter that upper-cases the file it gets as its last argument, in place
+    const upperCase = [process.execPath, '-e',
+        'const fs = require("fs"); const file = process.argv[process.argv.length - 1];' +
+        'fs.writeFileSync(file, fs.readFileSync(file, "utf8").toUpperCase());'];
+
+    beforeEach(() => {
+        formatterService = new FormatterService();
+    });
+
+    it('should run the formatter on a temporary file and return its new content', async () => {
+        await expect(formatterService.format(upperCase, 'one\ntwo\n', 'test.go')).resolves.toBe('ONE\nTWO\n');
+    });
+
+    it('should give the temporary file the base name of the file', async () => {
+        const printName = [process.execPath, '-e',
+            'const fs = require("fs"); const file = process.argv[process.argv.length - 1];' +
+            'fs.writeFileSync(file, require("path").basename(file));'];
+
+        await expect(formatterService.format(printName, '', '/some/dir/main.go')).resolves.toBe('main.go');
+    });
+
+    it('should fail with the error output of the formatter and remove the temporary file', async () => {
+        const failing = [process.execPath, '-e', 'console.error("1:1: expected package"); process.exit(2);'];
+        const before = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('turbollama-format-')).length;
+
+        await expect(formatterService.format(failing, 'x', 'test.go'))
+            .rejects.toThrow(`${process.execPath}: 1:1: expected package`);
+        expect(fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('turbollama-format-')).length).toBe(before);
+    });
+
+    it('should reject an empty command', async () => {
+        await expect(formatterService.format([], 'x')).rejects.toThrow('No formatter given');
+    });
+});
@@ -51,6 +51,38 @@ class IndentationService {
 
         return result;
     }
+
+    /**
+     * Gets the display column of a string offset, with tabs advancing to the next tab stop
+     * @param {string} text - The line of text
+     * @param {number} offset - Character offset in the line
+     * @returns {number} The display column (0-based)
+     */
+    displayColumn(text, offset) {
+        return this.expandTabs(text.slice(0, offset)).length;
+    }
+
+    /**
+     * Gets the string offset that is shown at a display column. Columns inside
+     * a tab map to the tab itself; columns past the end map to the end.
+     * @param {string} text - The line of text
+     * @param {number} column - Display column (0-based)
+     * @returns {number} The character offset in the line
+     */
+    offsetAt(text, column) {
+        const tabSize = this.configService.get('editor.tabSize', 4);
+        let currentColumn = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const width = text[i] === '\t' ? tabSize - (currentColumn % tabSize) : 1;
+            if (currentColumn + width > column) {
+                return i;
+            }
+            currentColumn += width;
+        }
+
+        return text.length;
+    }
 }
 
 module.exports = IndentationService; 
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * Helpers for working with blessed tag markup (e.g. "{green-fg}x{/green-fg}")
+ * in terms of visible columns rather than string offsets.
+ */
+class MarkupService {
+    constructor() {
+        /** @private */
+        this.tagPattern = /\{\/?[\w\-,;!#]*\}/y; // Same tag syntax blessed's parseTags accepts
+    }
+
+    /**
+     * Splits markup into text and tag tokens
+     * @param {string} markup - The markup to tokenize
+     * @returns {Array<{tag: boolean, text: string}>} Tokens in order
+     * @private
+     */
+    _tokenize(markup) {
+        const tokens = [];
+        let text = '';
+        let i = 0;
+
+        while (i < markup.length) {
+            if (markup[i] === '{') {
+                this.tagPattern.lastIndex = i;
+                const match = this.tagPattern.exec(markup);
+                if (match) {
+                    if (text) tokens.push({ tag: false, text });
+                    text = '';
+                    tokens.push({ tag: true, text: match[0] });
+                    i += match[0].length;
+                    continue;
+                }
+            }
+            text += markup[i++];
+        }
+        if (text) tokens.push({ tag: false, text });
+        return tokens;
+    }
+
+    /**
+     * Escapes text so blessed shows braces literally instead of parsing them as tags
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    escape(text) {
+        return text.replace(/[{}]/g, ch => ch === '{' ? '{open}' : '{close}');
+    }
+
+    /**
+     * Gets the number of visible characters in a piece of markup
+     * @param {string} markup - The markup to measure
+     * @returns {number} The visible length
+     */
+    visibleLength(markup) {
+        return this._tokenize(markup)
+            .filter(token => !token.tag)
+            .reduce((sum, token) => sum + token.text.length, 0);
+    }
+
+    /**
+     * Wraps the visible columns [start, end) in an opening and closing tag.
+     * If the range extends past the end of the text, it is padded with spaces
+     * so the highlight stays visible (e.g. a selected line break).
+     * @param {string} markup - The markup to decorate
+     * @param {number} start - First visible column to wrap
+     * @param {number} end - Visible column after the last one to wrap
+     * @param {string} openTag - Tag inserted at start, e.g. '{inverse}'
+     * @param {string} closeTag - Tag inserted at end, e.g. '{/inverse}'
+     * @returns {string} The decorated markup
+     */
+    highlight(markup, start, end, openTag, closeTag) {
+        if (end <= start) return markup;
+
+        let result = '';
+        let column = 0;
+        let opened = false;
+        let closed = false;
+
+        for (const token of this._tokenize(markup)) {
+            if (token.tag) {
+                result += token.text;
+                continue;
+            }
+            for (const ch of token.text.split('')) {
+                if (column === start) {
+                    result += openTag;
+                    opened = true;
+                }
+                if (column === end) {
+                    result += closeTag;
+                    closed = true;
+                }
+                result += ch;
+                column++;
+            }
+        }
+
+        if (!opened) {
+            result += ' '.repeat(Math.max(0, start - column)) + openTag;
+            column = Math.max(column, start);
+        }
+        if (!closed) {
+            result += ' '.repeat(Math.max(0, end - column)) + closeTag;
+        }
+        return result;
+    }
+
+    /**
+     * Cuts out the visible columns [start, end) of a piece of markup. Tags
+     * opened before start are opened again at the beginning, and tags still
+     * open at the end are closed, so the slice can be shown on its own.
+     * @param {string} markup - The markup to cut
+     * @param {number} start - First visible column to keep
+     * @param {number} [end=Infinity] - Visible column after the last one to keep
+     * @returns {string} The slice
+     */
+    slice(markup, start, end = Infinity) {
+        const open = [];
+        let result = '';
+        let column = 0;
+        let started = false;
+
+        const begin = () => {
+            if (started) return;
+            started = true;
+            result += open.join('');
+        };
+
+        for (const token of this._tokenize(markup)) {
+            if (column >= end) break;
+            if (token.tag) {
+                if (token.text === '{/}') {
+                    open.length = 0;
+                } else if (token.text.startsWith('{/')) {
+                    const index = open.lastIndexOf(`{${token.text.slice(2)}`);
+                    if (index >= 0) open.splice(index, 1);
+                } else {
+                    open.push(token.text);
+                }
+                if (started) result += token.text;
+                continue;
+            }
+
+            const from = Math.max(0, start - column);
+            const to = Math.min(token.text.length, end - column);
+            if (from < to) {
+                begin();
+                result += token.text.slice(from, to);
+            }
+            column += token.text.length;
+        }
+
+        begin();
+        return result + open.reverse().map(tag => `{/${tag.slice(1)}`).join('');
+    }
+}
+
+module.exports = MarkupService;
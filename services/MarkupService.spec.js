@@ -0,0 +1,70 @@
+const MarkupService = require('./MarkupService');
+
+describe('MarkupService', () => {
+    let markupService;
+
+    beforeEach(() => {
+        markupService = new MarkupService();
+    });
+
+    describe('visibleLength', () => {
+        it('should ignore blessed tags when measuring', () => {
+            expect(markupService.visibleLength('{green-fg}abc{/green-fg}d')).toBe(4);
+        });
+
+        it('should count braces that are not tags', () => {
+            expect(markupService.visibleLength('a { b')).toBe(5);
+        });
+    });
+
+    describe('highlight', () => {
+        it('should wrap a range of plain text', () => {
+            const result = markupService.highlight('abcdef', 1, 3, '{inverse}', '{/inverse}');
+
+            expect(result).toBe('a{inverse}bc{/inverse}def');
+        });
+
+        it('should count columns across existing tags', () => {
+            const result = markupService.highlight('{red-fg}ab{/red-fg}cd', 1, 3, '[', ']');
+
+            expect(result).toBe('{red-fg}a[b{/red-fg}c]d');
+        });
+
+        it('should pad with spaces when the range extends past the text', () => {
+            const result = markupService.highlight('ab', 1, 3, '[', ']');
+
+            expect(result).toBe('a[b ]');
+        });
+
+        it('should highlight an empty line when the range covers its line break', () => {
+            expect(markupService.highlight('', 0, 1, '[', ']')).toBe('[ ]');
+        });
+
+        it('should leave markup unchanged for an empty range', () => {
+            expect(markupService.highlight('abc', 2, 2, '[', ']')).toBe('abc');
+        });
+    });
+
+    describe('slice', () => {
+        it('should cut plain text by column', () => {
+            expect(markupService.slice('abcdef', 2, 4)).toBe('cd');
+            expect(markupService.slice('abcdef', 4)).toBe('ef');
+        });
+
+        it('should open again the tags that started before the slice and close the ones still open', () => {
+            const markup = '{red-fg}abc{bold}de{/bold}{/red-fg}f';
+
+            expect(markupService.slice(markup, 1, 4)).toBe('{red-fg}bc{bold}d{/bold}{/red-fg}');
+            expect(markupService.slice(markup, 4)).toBe('{red-fg}{bold}e{/bold}{/red-fg}f');
+        });
+
+        it('should drop tags closed before the slice', () => {
+            expect(markupService.slice('{red-fg}ab{/red-fg}cd', 2)).toBe('cd');
+            expect(markupService.slice('{red-fg}{bold}ab{/}cd', 3)).toBe('d');
+        });
+
+        it('should return the open tags for a slice past the text', () => {
+            expect(markupService.slice('{red-fg}ab', 5, 8)).toBe('{red-fg}{/red-fg}');
+        });
+    });
+});
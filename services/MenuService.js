@@ -1,6 +1,7 @@
 const KeyEvent = require('../models/KeyEvent');
 const blessed = require('blessed');
 const Menu = require('../models/Menu');
+const themeService = require('./ThemeService');
 
 class MenuService {
   /**
@@ -19,6 +20,17 @@ class MenuService {
 
     // Repaint on resize
     this.screen.on('resize', () => this.screen.render());
+
+    // Recolor the bar and any open menu when the theme changes
+    themeService.onChange(() => {
+      this._rebuildListBar();
+      if (this.currentBox) {
+        const colors = themeService.getColors('menu');
+        this.currentBox.style.bg = colors.dropdownBg;
+        this.currentBox.style.fg = colors.dropdownFg;
+        this._renderMenuItems();
+      }
+    });
   }
 
   /**
@@ -57,6 +69,7 @@ class MenuService {
     }
 
     // Create a new listbar at the top
+    const colors = themeService.getColors('menu');
     this.currentListBar = blessed.listbar({
       parent:     this.screen,
       top:        0,
@@ -69,13 +82,13 @@ class MenuService {
       // we supply our own keys, so disable autoCommandKeys
       autoCommandKeys: false,
       style: {
-        bg: 'grey',
+        bg: colors.bg,
         item: {
-          fg: 'black',
-          bg: 'grey',
-          hover: { bg: 'blue' }
+          fg: colors.fg,
+          bg: colors.bg,
+          hover: { bg: colors.hoverBg }
         },
-        selected: { bg: 'blue' }
+        selected: { bg: colors.selectedBg }
       },
       commands   // the map of "Label → { keys, callback }"
     });
@@ -115,6 +128,7 @@ class MenuService {
     const height = labels.length;
 
     // Create the menu box
+    const colors = themeService.getColors('menu');
     this.currentBox = blessed.box({
       parent: this.screen,
       top: y,
@@ -122,8 +136,8 @@ class MenuService {
       width: width,
       height: height,
       style: {
-        bg: 'grey',
-        fg: 'white',
+        bg: colors.dropdownBg,
+        fg: colors.dropdownFg,
       },
       tags: true,
       keys: true,
@@ -168,9 +182,10 @@ class MenuService {
   _renderMenuItems() {
     if (!this.currentBox || !this.currentMenuItems.length) return;
 
+    const selectedFg = themeService.getColors('menu').dropdownSelectedFg;
     const content = this.currentMenuItems.map(([_, label], index) => {
       const isSelected = index === this.selectedIndex;
-      return isSelected ? `{red-fg}${label}{/red-fg}` : label;
+      return isSelected ? `{${selectedFg}-fg}${label}{/${selectedFg}-fg}` : label;
     }).join('\n');
 
     this.currentBox.setContent(content);
@@ -1,20 +1,34 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { execFile } = require('child_process');
 const logger = require('./LoggingService');
+const themeService = require('./ThemeService');
 
 class NanorcService {
     constructor() {
         /** @private */
         this.nanorcDir = path.join(os.homedir(), '.turbollama', 'nanorc');
         /** @private */
-        this.loadedRules = new Map(); // filename pattern -> rules
+        this.loadedRules = new Map(); // syntax name -> syntax, see _parseSyntax
         /** @private */
-        this.cachedPatterns = new Map(); // filename -> compiled rules
+        this.cachedPatterns = new Map(); // filename -> compiled rules of its syntax
         /** @private */
-        this.ruleSourceFiles = new Map(); // pattern -> source .nanorc file
+        this.fileSyntaxes = new Map(); // filename -> syntax
+        /** @private */
+        this.compiledRules = new WeakMap(); // syntax -> compiled rules
+        /** @private */
+        this.colorTagCache = new Map(); // color spec -> blessed tags, see _colorTags
+        /** @private */
+        this.themeVersion = themeService.version; // theme the cached tags were made with
+        /** @private */
+        this.defaultJavaScriptSyntax = null;
+        /** @private */
+        this.lineCaches = new WeakMap(); // document -> per-line highlighting state, see _getLineCache
         /** @private */
         this.initialized = false;
+        /** @private */
+        this.loadingRules = null; // promise of the load in progress
 
         logger.info('NanorcService', `Initialized with nanorc directory: ${this.nanorcDir}`);
         // Start loading rules immediately
@@ -27,167 +41,421 @@ class NanorcService {
      * Applies syntax highlighting to a line of text based on nanorc rules
      * @param {string} line - The line to style
      * @param {string} filename - The filename to match against nanorc patterns
+     * @param {number|null} [state=null] - Index of the region rule the line starts inside, as found by styleLines
+     * @param {string|null} [syntaxName=null] - Syntax to use instead of detecting it; "none" for no highlighting
      * @returns {string} The line with blessed color markup applied
      */
-    async style(line, filename) {
+    async style(line, filename, state = null, syntaxName = null) {
         try {
             logger.debug('NanorcService', `Styling line for ${filename}: "${line.substring(0, 50)}${line.length > 50 ? '...' : ''}"`);
-            
-            // Ensure rules are loaded
-            if (!this.initialized) {
-                logger.debug('NanorcService', 'Rules not initialized, loading all rules...');
-                try {
-                    await this._loadAllRules();
-                } catch (error) {
-                    logger.error('NanorcService', 'Error loading rules:', error);
-                    return line;
-                }
-            }
 
-            // If we haven't loaded rules for this file type yet, try to load them
-            if (!this.cachedPatterns.has(filename)) {
-                logger.debug('NanorcService', `No cached patterns for ${filename}, loading rules...`);
-                try {
-                    await this._loadRulesForFile(filename);
-                } catch (error) {
-                    logger.error('NanorcService', 'Error loading rules for file:', error);
-                    return line;
-                }
-            }
+            const patterns = await this._getPatterns(filename, [], syntaxName);
+            if (patterns === undefined) return line;
 
             // If no rules match this file, return the line as-is
-            const patterns = this.cachedPatterns.get(filename);
             if (!patterns) {
                 logger.debug('NanorcService', `No patterns found for ${filename}, returning original line`);
                 return line;
             }
 
-            // Log which nanorc file is being used
-            for (const [pattern, _] of this.loadedRules.entries()) {
-                if (this._matchesFilePattern(filename, pattern)) {
-                    const sourceFile = this.ruleSourceFiles.get(pattern);
-                    logger.debug('NanorcService', `Using rules from ${sourceFile} for ${filename}`);
-                    logger.debug('NanorcService', `Number of patterns to apply: ${patterns.length}`);
-                    
-                    // Log each pattern for debugging
-                    patterns.forEach(([regex, color], index) => {
-                        logger.debug('NanorcService', `Pattern ${index + 1}: color=${color}, regex=${regex}`);
-                    });
-                    
-                    break;
-                }
+            return this._styleLine(line, patterns, state);
+        } catch (error) {
+            logger.error('NanorcService', 'Error applying syntax highlighting:', error);
+            return line;
+        }
+    }
+
+    /**
+     * Applies syntax highlighting to a range of lines of a document. Region
+     * rules (start="..." end="...") may span lines, so each line is styled with
+     * the state it starts in, worked out from the top of the document. The
+     * state and styled result of every line are cached, keyed on the line's
+     * content and incoming state; changes to the document drop the cache from
+     * the changed line downward.
+     * @param {Object} document - The document, e.g. an EditFile; owns the cache
+     * @param {number} start - First line
+     * @param {number} end - Line after the last one
+     * @param {string} filename - The filename to match against nanorc patterns
+     * @param {Function} [getLine] - Returns line y as it is shown; defaults to document.getLine
+     * @param {string|null} [syntaxName=null] - Syntax to use instead of detecting it; "none" for no highlighting
+     * @returns {Promise<string[]>} The styled lines
+     */
+    async styleLines(document, start, end, filename, getLine = y => document.getLine(y), syntaxName = null) {
+        const lineAt = y => getLine(y) || '';
+        let patterns;
+        try {
+            patterns = await this._getPatterns(filename, this._sampleLines(document, lineAt), syntaxName);
+        } catch (error) {
+            logger.error('NanorcService', 'Error applying syntax highlighting:', error);
+        }
+
+        const lines = [];
+        if (!patterns) {
+            for (let y = start; y < end; y++) lines.push(lineAt(y));
+            return lines;
+        }
+
+        const cache = this._getLineCache(document, patterns);
+        let state = this._getStateAt(cache, patterns, start, lineAt);
+        let changed = false;
+        for (let y = start; y < end; y++) {
+            const line = lineAt(y);
+            const entry = this._scanLine(cache, patterns, y, line, state);
+            // Lines shown for the first time, e.g. loaded since, invalidate what follows
+            changed = changed || entry.styled === null;
+            if (entry.styled === null) {
+                entry.styled = this._styleLine(line, patterns, state);
             }
+            lines.push(entry.styled);
+            state = entry.endState;
+        }
+        cache.validLines = changed ? end : Math.max(cache.validLines, end);
+        return lines;
+    }
 
-            // Apply each pattern to the line
-            let styledLine = line;
-            let matches = [];
+    /**
+     * Drops cached highlighting of a document from a line downward, moving
+     * the entries of the lines after it when lines were added or removed.
+     * Documents with an onChange method (like EditFile) call this by themselves.
+     * @param {Object} document - The document passed to styleLines
+     * @param {number} y - The first changed line
+     * @param {number} [removedLines=0] - Lines after it that were removed
+     * @param {number} [addedLines=0] - Lines after it that were added
+     */
+    invalidate(document, y, removedLines = 0, addedLines = 0) {
+        const cache = this.lineCaches.get(document);
+        if (!cache) return;
 
-            // First, find all matches for all patterns
-            for (const [regex, originalColor] of patterns) {
-                try {
-                    // Map problematic bright colors to compatible alternatives
-                    const color = this._mapColorToCompatible(originalColor);
-                    
-                    let match;
-                    const safeRegex = typeof regex === 'string' ? new RegExp(regex, 'g') : regex;
-                    logger.debug('NanorcService', `Testing pattern: ${safeRegex} with color ${color}`);
-                    
-                    while ((match = safeRegex.exec(line)) !== null) {
-                        // Don't add zero-length matches
-                        if (match[0].length === 0) {
-                            logger.debug('NanorcService', `Skipping zero-length match at position ${match.index}`);
-                            continue;
-                        }
-                        
-                        logger.debug('NanorcService', `Found match: "${match[0]}" at position ${match.index}-${match.index + match[0].length}`);
-                        
-                        matches.push({
-                            start: match.index,
-                            end: match.index + match[0].length,
-                            text: match[0],
-                            color: color
-                        });
-                        
-                        // Prevent infinite loops for zero-length matches (like /^/ or /$/)
-                        if (safeRegex.lastIndex === match.index) {
-                            safeRegex.lastIndex++;
-                        }
-                    }
-                    
-                    // Reset regex lastIndex
-                    safeRegex.lastIndex = 0;
-                } catch (error) {
-                    logger.error('NanorcService', `Error applying pattern: ${regex}`, error);
-                    continue;
+        if (removedLines !== addedLines && y + 1 < cache.lines.length) {
+            cache.lines = cache.lines.slice(0, y + 1).concat(
+                new Array(addedLines), cache.lines.slice(y + 1 + removedLines));
+        }
+        cache.lines[y] = undefined;
+        cache.validLines = Math.min(cache.validLines, y);
+    }
+
+    /**
+     * Gets the compiled rules for a file, loading them if necessary. The
+     * syntax of a named file is picked once; files without a name are checked
+     * again every time, as only their content tells what they are.
+     * @param {string} filename - The filename to match against nanorc patterns
+     * @param {string[]} [lines=[]] - First and last lines of the file, see _sampleLines
+     * @param {string|null} [syntaxName=null] - Syntax to use instead of detecting it
+     * @returns {Promise<Array|null|undefined>} The rules; null if no syntax matches, undefined if rules could not be loaded
+     * @private
+     */
+    async _getPatterns(filename, lines = [], syntaxName = null) {
+        // Ensure rules are loaded
+        if (!this.initialized) {
+            logger.debug('NanorcService', 'Rules not initialized, loading all rules...');
+            try {
+                await this._loadAllRules();
+            } catch (error) {
+                logger.error('NanorcService', 'Error loading rules:', error);
+                return undefined;
+            }
+        }
+
+        const chosen = this._getChosenSyntax(syntaxName);
+        if (chosen !== undefined) {
+            return chosen ? this._compileSyntax(chosen) : null;
+        }
+
+        if (!filename) {
+            const syntax = await this._findSyntax(filename, lines);
+            return syntax ? this._compileSyntax(syntax) : null;
+        }
+
+        // If we haven't loaded rules for this file type yet, try to load them
+        if (!this.cachedPatterns.has(filename)) {
+            logger.debug('NanorcService', `No cached patterns for ${filename}, loading rules...`);
+            try {
+                await this._loadRulesForFile(filename, lines);
+            } catch (error) {
+                logger.error('NanorcService', 'Error loading rules for file:', error);
+                return undefined;
+            }
+        }
+
+        return this.cachedPatterns.get(filename);
+    }
+
+    /**
+     * Gets the highlighting cache of a document, starting a new one when the
+     * rules or the theme it was made with changed. lines[y] holds the content, incoming
+     * state, outgoing state and styled result of line y; the first validLines
+     * entries are known to be up to date without comparing their content.
+     * @param {Object} document - The document
+     * @param {Array} patterns - The compiled rules used for it
+     * @returns {{patterns: Array, lines: Array, validLines: number}} The cache
+     * @private
+     */
+    _getLineCache(document, patterns) {
+        let cache = this.lineCaches.get(document);
+        if (cache && cache.patterns === patterns && cache.themeVersion === themeService.version) return cache;
+
+        if (cache && cache.unsubscribe) cache.unsubscribe();
+        cache = { patterns, themeVersion: themeService.version, lines: [], validLines: 0, unsubscribe: null };
+        if (typeof document.onChange === 'function') {
+            cache.unsubscribe = document.onChange((y, removedLines, addedLines) =>
+                this.invalidate(document, y, removedLines, addedLines));
+        }
+        this.lineCaches.set(document, cache);
+        return cache;
+    }
+
+    /**
+     * Finds the state a line starts in, scanning down from the last line
+     * known to be up to date
+     * @returns {number|null} Index of the open region rule, or null
+     * @private
+     */
+    _getStateAt(cache, patterns, y, lineAt) {
+        const from = Math.min(cache.validLines, y);
+        let state = from > 0 ? cache.lines[from - 1].endState : null;
+        for (let i = from; i < y; i++) {
+            state = this._scanLine(cache, patterns, i, lineAt(i), state).endState;
+        }
+        cache.validLines = Math.max(cache.validLines, y);
+        return state;
+    }
+
+    /**
+     * Gets the cache entry of a line, rescanning it unless its content and
+     * incoming state are unchanged
+     * @private
+     */
+    _scanLine(cache, patterns, y, line, state) {
+        const entry = cache.lines[y];
+        if (entry && entry.line === line && entry.state === state) return entry;
+
+        const { endState } = this._findRegions(line, patterns, state);
+        return (cache.lines[y] = { line, state, endState, styled: null });
+    }
+
+    /**
+     * Finds the parts of a line covered by region rules
+     * @param {string} line - The line
+     * @param {Array} patterns - The compiled rules
+     * @param {number|null} state - Index of the region rule the line starts inside, or null
+     * @returns {{spans: Array<{start: number, end: number, color: string}>, endState: number|null}}
+     *   The regions on the line and the region still open at its end
+     * @private
+     */
+    _findRegions(line, patterns, state) {
+        const spans = [];
+        let position = 0;
+
+        if (state !== null && patterns[state]) {
+            const [, color, endRegex] = patterns[state];
+            const close = this._execAt(endRegex, line, 0);
+            if (!close) {
+                return { spans: [{ start: 0, end: line.length, color }], endState: state };
+            }
+            position = close.index + close[0].length;
+            spans.push({ start: 0, end: position, color });
+        }
+
+        for (;;) {
+            const best = this._findRegionStart(line, patterns, position);
+            if (!best) break;
+
+            const opened = best.open.index + best.open[0].length;
+            const close = this._execAt(best.endRegex, line, opened);
+            if (!close) {
+                spans.push({ start: best.open.index, end: line.length, color: best.color });
+                return { spans, endState: best.index };
+            }
+            position = close.index + close[0].length;
+            spans.push({ start: best.open.index, end: position, color: best.color });
+        }
+
+        return { spans, endState: null };
+    }
+
+    /**
+     * Finds the region that opens first from a position. As with single-line
+     * rules the earliest match wins, so a region cannot open inside something
+     * that started before it, like "/*" in a string or after "//".
+     * @returns {{open: Array, color: string, endRegex: RegExp, index: number}|null}
+     *   The opening match and its rule, or null if no region opens
+     * @private
+     */
+    _findRegionStart(line, patterns, position) {
+        let best = null;
+        patterns.forEach(([regex, color, endRegex], index) => {
+            if (!endRegex) return;
+            // On ties the rule listed first wins
+            for (let from = position; from <= line.length;) {
+                const open = this._execAt(regex, line, from);
+                if (!open || (best && open.index >= best.open.index)) return;
+                if (open[0].length > 0 && !this._isInsideMatch(line, patterns, position, open.index)) {
+                    best = { open, color, endRegex, index };
+                    return;
                 }
+                from = open.index + 1;
             }
+        });
+        return best;
+    }
 
-            // Handle the case when we have no matches
-            if (matches.length === 0) {
-                logger.debug('NanorcService', `No matches found for line: "${line.substring(0, 50)}${line.length > 50 ? '...' : ''}"`);
-                return line;
+    /**
+     * Checks whether a single-line rule matches from before an offset to after it
+     * @param {string} line - The line
+     * @param {Array} patterns - The compiled rules
+     * @param {number} from - Where matches may start
+     * @param {number} offset - The offset to check
+     * @returns {boolean} Whether the offset is inside such a match
+     * @private
+     */
+    _isInsideMatch(line, patterns, from, offset) {
+        for (const [regex, , endRegex] of patterns) {
+            if (endRegex) continue;
+            regex.lastIndex = from;
+            let match;
+            while ((match = regex.exec(line)) !== null && match.index < offset) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                } else if (match.index + match[0].length > offset) {
+                    regex.lastIndex = 0;
+                    return true;
+                }
             }
+            regex.lastIndex = 0;
+        }
+        return false;
+    }
 
-            logger.debug('NanorcService', `Total matches found: ${matches.length}`);
+    /**
+     * Runs a global regex from a position
+     * @private
+     */
+    _execAt(regex, line, position) {
+        regex.lastIndex = position;
+        const match = regex.exec(line);
+        regex.lastIndex = 0;
+        return match;
+    }
 
-            // Sort matches by start position, then by length (longer matches first)
-            matches.sort((a, b) => {
-                if (a.start !== b.start) return a.start - b.start;
-                return (b.end - b.start) - (a.end - a.start);
-            });
+    /**
+     * Applies compiled rules to a line
+     * @param {string} line - The line to style
+     * @param {Array} patterns - The compiled rules: [regex, color] or, for regions, [start, color, end]
+     * @param {number|null} state - Index of the region rule the line starts inside, or null
+     * @returns {string} The line with blessed color markup applied
+     * @private
+     */
+    _styleLine(line, patterns, state) {
+        let styledLine = line;
+        let matches = [];
 
-            // Detect and resolve overlapping matches
-            const nonOverlappingMatches = [];
-            const usedRanges = [];
+        // Regions come first; rules matching inside them are dropped below
+        const regions = this._findRegions(line, patterns, state).spans.map(span => ({
+            ...span,
+            text: line.substring(span.start, span.end)
+        }));
 
-            for (const match of matches) {
-                let overlaps = false;
+        // First, find all matches for all patterns
+        for (const [regex, color, endRegex] of patterns) {
+            if (endRegex) continue;
+            try {
+                let match;
+                const safeRegex = typeof regex === 'string' ? new RegExp(regex, 'g') : regex;
+                logger.debug('NanorcService', `Testing pattern: ${safeRegex} with color ${color}`);
                 
-                // Check if this match overlaps with any existing non-overlapping match
-                for (const range of usedRanges) {
-                    if (match.start < range.end && match.end > range.start) {
-                        overlaps = true;
-                        logger.debug('NanorcService', `Skipping overlapping match: "${match.text}" (${match.color}) with existing match at ${range.start}-${range.end}`);
-                        break;
+                while ((match = safeRegex.exec(line)) !== null) {
+                    // Don't add zero-length matches
+                    if (match[0].length === 0) {
+                        logger.debug('NanorcService', `Skipping zero-length match at position ${match.index}`);
+                        // Prevent infinite loops for zero-length matches (like /^/ or /$/)
+                        safeRegex.lastIndex++;
+                        continue;
                     }
+                    
+                    logger.debug('NanorcService', `Found match: "${match[0]}" at position ${match.index}-${match.index + match[0].length}`);
+                    
+                    matches.push({
+                        start: match.index,
+                        end: match.index + match[0].length,
+                        text: match[0],
+                        color: color
+                    });
                 }
                 
-                if (!overlaps) {
-                    nonOverlappingMatches.push(match);
-                    usedRanges.push({
-                        start: match.start,
-                        end: match.end
-                    });
+                // Reset regex lastIndex
+                safeRegex.lastIndex = 0;
+            } catch (error) {
+                logger.error('NanorcService', `Error applying pattern: ${regex}`, error);
+                continue;
+            }
+        }
+
+        // Handle the case when we have no matches
+        if (matches.length === 0 && regions.length === 0) {
+            logger.debug('NanorcService', `No matches found for line: "${line.substring(0, 50)}${line.length > 50 ? '...' : ''}"`);
+            return line;
+        }
+
+        logger.debug('NanorcService', `Total matches found: ${matches.length}`);
+
+        // Sort matches by start position, then by length (longer matches first)
+        matches.sort((a, b) => {
+            if (a.start !== b.start) return a.start - b.start;
+            return (b.end - b.start) - (a.end - a.start);
+        });
+
+        // Detect and resolve overlapping matches
+        const nonOverlappingMatches = [...regions];
+        const usedRanges = regions.map(({ start, end }) => ({ start, end }));
+
+        for (const match of matches) {
+            let overlaps = false;
+            
+            // Check if this match overlaps with any existing non-overlapping match
+            for (const range of usedRanges) {
+                if (match.start < range.end && match.end > range.start) {
+                    overlaps = true;
+                    logger.debug('NanorcService', `Skipping overlapping match: "${match.text}" (${match.color}) with existing match at ${range.start}-${range.end}`);
+                    break;
                 }
             }
             
-            logger.debug('NanorcService', `Found ${matches.length} total matches, using ${nonOverlappingMatches.length} non-overlapping matches`);
+            if (!overlaps) {
+                nonOverlappingMatches.push(match);
+                usedRanges.push({
+                    start: match.start,
+                    end: match.end
+                });
+            }
+        }
+        
+        logger.debug('NanorcService', `Found ${matches.length} total matches, using ${nonOverlappingMatches.length} non-overlapping matches`);
 
-            // Apply matches from end to start to avoid position shifting
-            nonOverlappingMatches.sort((a, b) => b.start - a.start);
-            
-            nonOverlappingMatches.forEach(match => {
-                const before = styledLine.substring(0, match.start);
-                const after = styledLine.substring(match.end);
-                const colored = `{${match.color}-fg}${match.text}{/${match.color}-fg}`;
-                styledLine = before + colored + after;
-                logger.debug('NanorcService', `Applied color ${match.color} to "${match.text}"`);
-            });
+        // Apply matches from end to start to avoid position shifting
+        nonOverlappingMatches.sort((a, b) => b.start - a.start);
+        
+        nonOverlappingMatches.forEach(match => {
+            if (match.start === match.end) return;
+            const before = styledLine.substring(0, match.start);
+            const after = styledLine.substring(match.end);
+            const tags = this._colorTags(match.color);
+            if (!tags) return;
+            const colored = tags.open + match.text + tags.close;
+            styledLine = before + colored + after;
+            logger.debug('NanorcService', `Applied color ${match.color} to "${match.text}"`);
+        });
 
-            logger.debug('NanorcService', `Final styled line: "${styledLine.substring(0, 50)}${styledLine.length > 50 ? '...' : ''}"`);
-            return styledLine;
-        } catch (error) {
-            logger.error('NanorcService', 'Error applying syntax highlighting:', error);
-            return line;
-        }
+        logger.debug('NanorcService', `Final styled line: "${styledLine.substring(0, 50)}${styledLine.length > 50 ? '...' : ''}"`);
+        return styledLine;
     }
 
     /**
      * @private
-     * Loads and caches syntax rules for a given filename
+     * Picks the syntax for a file and caches its compiled rules
      * @param {string} filename - The filename to load rules for
+     * @param {string[]} [lines=[]] - First and last lines of the file, see _sampleLines
      */
-    async _loadRulesForFile(filename) {
+    async _loadRulesForFile(filename, lines = []) {
         try {
             // If we haven't loaded any rules yet, load them all
             if (!this.initialized) {
@@ -196,113 +464,314 @@ class NanorcService {
                 logger.info('NanorcService', `Loaded ${this.loadedRules.size} syntax definitions`);
             }
 
-            // Find the first matching ruleset for this filename
-            let matched = false;
-            
-            for (const [pattern, rules] of this.loadedRules.entries()) {
-                if (this._matchesFilePattern(filename, pattern)) {
-                    logger.debug('NanorcService', `Found matching pattern "${pattern}" for ${filename}`);
-                    matched = true;
-                    
-                    // Convert the rules into regex patterns with their colors
-                    const patterns = [];
-                    
-                    for (const [regex, color] of rules) {
-                        try {
-                            patterns.push([new RegExp(regex, 'g'), color]);
-                            logger.debug('NanorcService', `Added pattern: ${color} - ${regex}`);
-                        } catch (error) {
-                            logger.error('NanorcService', `Invalid regex pattern: ${regex}`, error);
-                        }
-                    }
-
-                    if (patterns.length > 0) {
-                        this.cachedPatterns.set(filename, patterns);
-                        logger.debug('NanorcService', `Cached ${patterns.length} patterns for ${filename}`);
-                        return;
-                    }
-                }
+            const syntax = await this._findSyntax(filename, lines);
+            if (!syntax) {
+                logger.warn('NanorcService', `No matching syntax found for ${filename}`);
             }
+            // Cache misses too, so we don't try again
+            this.fileSyntaxes.set(filename, syntax);
+            this.cachedPatterns.set(filename, syntax ? this._compileSyntax(syntax) : null);
+        } catch (error) {
+            logger.error('NanorcService', 'Error loading nanorc rules:', error);
+            this.cachedPatterns.set(filename, null);
+            throw error; // Propagate error to caller
+        }
+    }
 
-            // If no explicit match found, try fallback techniques
-            if (!matched) {
-                // Check filename extension for common types
-                const ext = path.extname(filename).toLowerCase();
-                if (ext === '.js' || ext === '.jsx') {
-                    logger.debug('NanorcService', `No direct match found but detected JavaScript file by extension: ${filename}`);
-                    
-                    // If we have JavaScript rules under any pattern, use them
-                    for (const [pattern, rules] of this.loadedRules.entries()) {
-                        if (pattern.includes('.js') || pattern.includes('JavaScript')) {
-                            logger.debug('NanorcService', `Using JavaScript rules from pattern "${pattern}"`);
-                            
-                            // Convert the rules into regex patterns with their colors
-                            const patterns = [];
-                            for (const [regex, color] of rules) {
-                                try {
-                                    patterns.push([new RegExp(regex, 'g'), color]);
-                                } catch (error) {
-                                    logger.error('NanorcService', `Invalid regex pattern: ${regex}`, error);
-                                }
-                            }
-                            
-                            if (patterns.length > 0) {
-                                this.cachedPatterns.set(filename, patterns);
-                                logger.debug('NanorcService', `Cached ${patterns.length} patterns for ${filename} via extension match`);
-                                return;
-                            }
-                        }
-                    }
-                    
-                    // If we still don't have patterns, use default rules
-                    logger.debug('NanorcService', `Using default JavaScript rules for ${filename}`);
-                    this._addDefaultJavaScriptRules();
-                    
-                    // Try matching again with newly added default rules
-                    await this._loadRulesForFile(filename);
+    /**
+     * @private
+     * Finds the syntax of a file. A vim or Emacs modeline naming the language
+     * comes first; then, as in nano, the path of the file, its first line
+     * (header) and the interpreter of its #! line, what `file` says about it
+     * (magic), and finally the syntax named "default". Syntaxes are tried in
+     * the order they were defined; "none" is only used when chosen.
+     * @param {string} filename - The filename
+     * @param {string[]} lines - First and last lines of the file, see _sampleLines
+     * @returns {Promise<Object|null>} The syntax, or null if none applies
+     */
+    async _findSyntax(filename, lines) {
+        const firstLine = lines[0] || '';
+        const candidates = [...this.loadedRules.values()]
+            .filter(syntax => syntax.name !== 'default' && syntax.name !== 'none');
+
+        const mode = this._findModeline(lines);
+        const byModeline = mode && this._getSyntaxForLanguage(mode);
+        if (byModeline) return byModeline;
+
+        if (filename) {
+            const byName = candidates.find(syntax =>
+                syntax.fileRegexes.some(pattern => this._matchesFilePattern(filename, pattern)));
+            if (byName) return byName;
+        }
+
+        const byHeader = candidates.find(syntax =>
+            syntax.headers.some(pattern => this._matchesPattern(firstLine, pattern)));
+        if (byHeader) return byHeader;
+
+        const interpreter = this._findInterpreter(firstLine);
+        const byInterpreter = interpreter && this._getSyntaxForLanguage(interpreter);
+        if (byInterpreter) return byInterpreter;
+
+        if (filename && candidates.some(syntax => syntax.magics.length > 0)) {
+            const description = await this._describeFile(filename);
+            const byMagic = description && candidates.find(syntax =>
+                syntax.magics.some(pattern => this._matchesPattern(description, pattern)));
+            if (byMagic) return byMagic;
+        }
+
+        // JavaScript is highlighted out of the box
+        if (filename && /\.jsx?$/i.test(filename)) {
+            logger.debug('NanorcService', `Using default JavaScript rules for ${filename}`);
+            return this._getDefaultJavaScriptSyntax();
+        }
+
+        return this.loadedRules.get('default') || null;
+    }
+
+    /**
+     * @private
+     * Picks the lines of a document that syntax detection looks at: the first
+     * and last MODELINE_LINES, where headers, #! lines and modelines are
+     * @param {Object} document - The document
+     * @param {Function} lineAt - Returns line y
+     * @returns {string[]} The lines, starting with the first line of the document
+     */
+    _sampleLines(document, lineAt) {
+        const count = typeof document.getLineCount === 'function' ? document.getLineCount() : 1;
+        const ys = new Set();
+        for (let y = 0; y < Math.min(count, NanorcService.MODELINE_LINES); y++) ys.add(y);
+        for (let y = Math.max(0, count - NanorcService.MODELINE_LINES); y < count; y++) ys.add(y);
+        return [...ys].map(y => lineAt(y) || '');
+    }
+
+    /**
+     * @private
+     * Finds the language named by a vim modeline (`vim: ft=python`) or an
+     * Emacs mode line (`-*- mode: python -*-`, on the first line or after #!)
+     * @param {string[]} lines - Lines to look in
+     * @returns {string|null} The language, or null if there is no modeline
+     */
+    _findModeline(lines) {
+        for (const line of lines) {
+            const vim = line.match(/(?:^|\s)vim?:.*?\b(?:ft|filetype|syn|syntax)=([\w+.-]+)/);
+            if (vim) return vim[1];
+        }
+
+        const emacsLine = (lines[0] || '').startsWith('#!') ? lines[1] : lines[0];
+        const emacs = (emacsLine || '').match(/-\*-\s*(.*?)\s*-\*-/);
+        if (emacs) {
+            const variables = emacs[1].includes(':') ? emacs[1].match(/(?:^|;)\s*mode:\s*([^;\s]+)/i) : [null, emacs[1]];
+            if (variables && variables[1]) return variables[1].replace(/-mode$/i, '');
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     * Finds the interpreter named by a #! line, looking through env
+     * @param {string} line - The first line of a file
+     * @returns {string|null} The name of the interpreter, or null if there is no #! line
+     */
+    _findInterpreter(line) {
+        const shebang = line.match(/^#!\s*(\S+)(.*)$/);
+        if (!shebang) return null;
+
+        const command = path.basename(shebang[1]);
+        if (command !== 'env') return command;
+        // #!/usr/bin/env [-S] [VAR=value] python3
+        const program = shebang[2].trim().split(/\s+/).find(word => word && !word.startsWith('-') && !word.includes('='));
+        return program || null;
+    }
+
+    /**
+     * @private
+     * Gets the syntax for a language named by a modeline or #! line, like
+     * "python3", "bash" or "js"
+     * @param {string} language - The language
+     * @returns {Object|null} The syntax, or null if none is loaded for it
+     */
+    _getSyntaxForLanguage(language) {
+        const name = language.toLowerCase().replace(/[\d.]+$/, '');
+        const syntax = this._getSyntaxByName(name)
+            || (NanorcService.LANGUAGE_ALIASES[name] && this._getSyntaxByName(NanorcService.LANGUAGE_ALIASES[name]));
+        if (syntax) logger.debug('NanorcService', `Using syntax ${syntax.name} for language ${language}`);
+        return syntax || null;
+    }
+
+    /**
+     * @private
+     * Finds a loaded syntax by name, ignoring case; the built-in JavaScript
+     * syntax answers to "javascript" unless a nanorc file defines it
+     * @param {string} name - The syntax name
+     * @returns {Object|null} The syntax, or null if there is none by that name
+     */
+    _getSyntaxByName(name) {
+        const wanted = name.toLowerCase();
+        for (const syntax of this.loadedRules.values()) {
+            if (syntax.name.toLowerCase() === wanted) return syntax;
+        }
+        return wanted === 'javascript' ? this._getDefaultJavaScriptSyntax() : null;
+    }
+
+    /**
+     * @private
+     * Resolves a syntax chosen for a file instead of detecting it
+     * @param {string|null} syntaxName - The chosen syntax, "none", or null
+     * @returns {Object|null|undefined} The syntax, null for "none", or undefined to detect it
+     */
+    _getChosenSyntax(syntaxName) {
+        if (!syntaxName) return undefined;
+        if (syntaxName === 'none') return null;
+
+        const syntax = this._getSyntaxByName(syntaxName);
+        if (!syntax) {
+            logger.debug('NanorcService', `No syntax named ${syntaxName}, detecting it instead`);
+            return undefined;
+        }
+        return syntax;
+    }
+
+    /**
+     * @private
+     * Runs `file` on a file to match it against magic rules
+     * @param {string} filename - The filename
+     * @returns {Promise<string>} The description of the file, or '' if `file` failed
+     */
+    _describeFile(filename) {
+        return new Promise(resolve => {
+            execFile('file', ['-b', '-L', '--', filename], { timeout: NanorcService.MAGIC_TIMEOUT }, (error, stdout) => {
+                if (error) {
+                    logger.debug('NanorcService', `Could not run file on ${filename}: ${error.message}`);
+                    resolve('');
                     return;
                 }
+                resolve(stdout.trim());
+            });
+        });
+    }
+
+    /**
+     * Gets the settings of the syntax used for a file
+     * @param {string} filename - The filename
+     * @param {Object} [document=null] - The document, for detection from its content
+     * @param {string|null} [syntaxName=null] - Syntax chosen for the file instead of detecting it
+     * @returns {Promise<{name: string, comment: string|null, tabgives: string|null, linter: string[]|null, formatter: string[]|null}|null>}
+     *   The syntax, or null if the file has none
+     */
+    async getSyntax(filename, document = null, syntaxName = null) {
+        try {
+            if (!this.initialized) await this._loadAllRules();
+
+            let syntax = this._getChosenSyntax(syntaxName);
+            if (syntax === undefined) {
+                const lines = document ? this._sampleLines(document, y => document.getLine(y)) : [];
+                if (!filename) {
+                    syntax = await this._findSyntax(filename, lines);
+                } else {
+                    if (!this.fileSyntaxes.has(filename)) await this._loadRulesForFile(filename, lines);
+                    syntax = this.fileSyntaxes.get(filename);
+                }
             }
+            if (!syntax) return null;
 
-            logger.warn('NanorcService', `No matching syntax found for ${filename}`);
-            // If no rules match, cache that fact so we don't try again
-            this.cachedPatterns.set(filename, null);
+            const { name, comment, tabgives, linter, formatter } = syntax;
+            return { name, comment, tabgives, linter, formatter };
         } catch (error) {
-            logger.error('NanorcService', 'Error loading nanorc rules:', error);
-            this.cachedPatterns.set(filename, null);
-            throw error; // Propagate error to caller
+            logger.error('NanorcService', 'Error finding syntax:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lists the syntaxes that can be chosen for a file
+     * @returns {Promise<string[]>} Their names, sorted; "none" and "default" are left out
+     */
+    async getSyntaxNames() {
+        try {
+            if (!this.initialized) await this._loadAllRules();
+        } catch (error) {
+            logger.error('NanorcService', 'Error loading rules:', error);
+            return [];
         }
+
+        const names = [...this.loadedRules.keys()].filter(name => name !== 'none' && name !== 'default');
+        if (!names.some(name => name.toLowerCase() === 'javascript')) {
+            names.push(this._getDefaultJavaScriptSyntax().name);
+        }
+        return names.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    }
+
+    /**
+     * @private
+     * Compiles the rules of a syntax once, so every file using it shares them
+     * @param {Object} syntax - The syntax
+     * @returns {Array} The compiled rules
+     */
+    _compileSyntax(syntax) {
+        let patterns = this.compiledRules.get(syntax);
+        if (!patterns) {
+            patterns = syntax.rules.map(rule => this._compileRule(rule));
+            this.compiledRules.set(syntax, patterns);
+            logger.debug('NanorcService', `Compiled ${patterns.length} rules of syntax ${syntax.name}`);
+        }
+        return patterns;
     }
 
     /**
      * @private
-     * Loads all nanorc files from the config directory
+     * Compiles a rule to [regex, color], or [start, color, end] for a region
+     * @param {{regex: string, color: string, end: (string|null), ignoreCase: boolean}} rule - The rule
+     * @returns {Array} The rule with its regexes compiled
+     */
+    _compileRule({ regex, color, end, ignoreCase }) {
+        const flags = ignoreCase ? 'gi' : 'g';
+        return end
+            ? [new RegExp(regex, flags), color, new RegExp(end, flags)]
+            : [new RegExp(regex, flags), color];
+    }
+
+    /**
+     * @private
+     * Loads all nanorc files from the config directory, once; callers arriving
+     * while they are being read wait for the same load
      */
     async _loadAllRules() {
         if (this.initialized) return;
 
+        if (!this.loadingRules) {
+            this.loadingRules = this._readAllRules().finally(() => {
+                this.loadingRules = null;
+            });
+        }
+        await this.loadingRules;
+    }
+
+    /**
+     * @private
+     * Reads the nanorc files of the config directory into loadedRules
+     */
+    async _readAllRules() {
         try {
             // Create the nanorc directory if it doesn't exist
             await fs.mkdir(this.nanorcDir, { recursive: true });
 
             // Read all .nanorc files
-            const files = await fs.readdir(this.nanorcDir);
-            logger.debug('NanorcService', `Found ${files.filter(f => f.endsWith('.nanorc')).length} .nanorc files in ${this.nanorcDir}`);
-            
+            const files = (await fs.readdir(this.nanorcDir)).filter(file => file.endsWith('.nanorc')).sort();
+            logger.debug('NanorcService', `Found ${files.length} .nanorc files in ${this.nanorcDir}`);
+
+            // extendsyntax may name a syntax from a file read later, so those
+            // commands are kept aside until everything is read
+            const context = { syntaxes: new Map(), extensions: [], visited: new Set() };
             for (const file of files) {
-                if (file.endsWith('.nanorc')) {
-                    logger.debug('NanorcService', `Loading ${file}...`);
-                    const content = await fs.readFile(path.join(this.nanorcDir, file), 'utf8');
-                    this._parseNanorc(content, file);
-                }
+                await this._loadNanorcFile(path.join(this.nanorcDir, file), context);
             }
+            context.extensions.forEach(extension => this._applyExtension(extension, context));
 
-            // Log all loaded patterns
-            logger.debug('NanorcService', 'All loaded patterns:');
-            for (const [pattern, rules] of this.loadedRules.entries()) {
-                logger.debug('NanorcService', `  Pattern: "${pattern}" from ${this.ruleSourceFiles.get(pattern)} with ${rules.length} rules`);
+            for (const syntax of context.syntaxes.values()) {
+                logger.debug('NanorcService', `  Syntax "${syntax.name}" from ${syntax.sourceFile} with ${syntax.rules.length} rules`);
             }
 
+            this.loadedRules = context.syntaxes;
             this.initialized = true;
         } catch (error) {
             logger.error('NanorcService', 'Error loading nanorc files:', error);
@@ -312,70 +781,273 @@ class NanorcService {
 
     /**
      * @private
-     * Parses a nanorc file content and adds its rules to loadedRules
+     * Reads and parses one nanorc file, unless it was read already
+     * @param {string} filePath - Absolute path of the file
+     * @param {Object} context - The definitions being loaded
+     */
+    async _loadNanorcFile(filePath, context) {
+        if (context.visited.has(filePath)) return;
+        context.visited.add(filePath);
+
+        logger.debug('NanorcService', `Loading ${filePath}...`);
+        const content = await fs.readFile(filePath, 'utf8');
+        await this._parseNanorc(content, filePath, context);
+    }
+
+    /**
+     * @private
+     * Loads the files named by an include command. Relative paths are taken
+     * from the including file's directory, and the file name may be a glob
+     * such as "*.nanorc".
+     * @param {string} pattern - The path given to include
+     * @param {string} sourceFile - The file with the include command
+     * @param {Object} context - The definitions being loaded
+     */
+    async _include(pattern, sourceFile, context) {
+        const expanded = pattern.replace(/^~(?=$|\/)/, os.homedir());
+        const fullPattern = path.resolve(path.dirname(sourceFile), expanded);
+        const dir = path.dirname(fullPattern);
+        const base = path.basename(fullPattern);
+
+        let files = [fullPattern];
+        if (/[*?[]/.test(base)) {
+            const glob = new RegExp('^' + base.replace(/[.+^${}()|\\]/g, '\\$&')
+                .replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+            files = (await fs.readdir(dir)).filter(file => glob.test(file)).sort()
+                .map(file => path.join(dir, file));
+        }
+
+        for (const file of files) {
+            try {
+                await this._loadNanorcFile(file, context);
+            } catch (error) {
+                logger.error('NanorcService', `Could not include ${file} from ${sourceFile}:`, error);
+            }
+        }
+    }
+
+    /**
+     * @private
+     * Parses a nanorc file into context.syntaxes. Supported commands are
+     * syntax, color, icolor, header, magic, comment, tabgives, linter,
+     * formatter, include and extendsyntax; other commands, such as the
+     * options of a full nanorc, are ignored.
      * @param {string} content - The content of the nanorc file
-     * @param {string} sourceFile - The source .nanorc file name
+     * @param {string} sourceFile - Path of the nanorc file
+     * @param {Object} context - The definitions being loaded
      */
-    _parseNanorc(content, sourceFile) {
+    async _parseNanorc(content, sourceFile, context) {
         const lines = content.split('\n');
-        let currentFilePattern = null;
-        let currentRules = [];
+        let current = null;
 
-        for (let line of lines) {
-            line = line.trim();
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index].trim();
             if (!line || line.startsWith('#')) continue;
 
-            if (line.startsWith('syntax')) {
-                // If we were processing a previous syntax, save it
-                if (currentFilePattern) {
-                    logger.debug('NanorcService', `Saving rules for pattern "${currentFilePattern}" from ${sourceFile}`);
-                    this.loadedRules.set(currentFilePattern, currentRules);
-                    this.ruleSourceFiles.set(currentFilePattern, sourceFile);
-                }
+            const where = `${path.basename(sourceFile)}:${index + 1}`;
+            const [command, ...args] = this._tokenize(line);
 
-                // Start new syntax section
-                const match = line.match(/syntax\s+"([^"]+)"\s+"([^"]+)"/);
-                if (match) {
-                    currentFilePattern = match[2];
-                    logger.debug('NanorcService', `Found syntax in ${sourceFile}: name="${match[1]}" pattern="${currentFilePattern}"`);
-                    currentRules = [];
+            if (command.value === 'syntax') {
+                current = this._parseSyntax(args, sourceFile, where);
+                if (current) context.syntaxes.set(current.name, current);
+            } else if (command.value === 'include') {
+                if (args.length === 0) {
+                    logger.error('NanorcService', `${where}: include needs a file`);
+                } else {
+                    await this._include(args[0].value, sourceFile, context);
                 }
-            } else if (line.startsWith('color')) {
-                // Parse color rule
-                const match = line.match(/color\s+(\w+)\s+"([^"]+)"/);
-                if (match && currentFilePattern) {
-                    const [_, color, regex] = match;
-                    // Convert the nanorc regex to JavaScript regex
-                    const jsRegex = this._convertNanorcRegex(regex);
-                    
-                    // Only add rules that were successfully converted
-                    if (jsRegex) {
-                    currentRules.push([jsRegex, color]);
-                        logger.debug('NanorcService', `Added rule ${color}: "${jsRegex}" from original "${regex}"`);
-                    }
+            } else if (command.value === 'extendsyntax') {
+                if (args.length < 2) {
+                    logger.error('NanorcService', `${where}: extendsyntax needs a syntax and a command`);
+                } else {
+                    context.extensions.push({ name: args[0].value, command: args[1].value, args: args.slice(2), where });
+                }
+            } else if (NanorcService.SYNTAX_COMMANDS.includes(command.value)) {
+                if (!current) {
+                    logger.error('NanorcService', `${where}: ${command.value} without a syntax`);
+                } else {
+                    this._applyCommand(current, command.value, args, where);
                 }
+            } else {
+                logger.debug('NanorcService', `${where}: ignoring ${command.value}`);
             }
         }
+    }
 
-        // Save the last syntax if there was one
-        if (currentFilePattern) {
-            logger.debug('NanorcService', `Saving final rules for pattern "${currentFilePattern}" from ${sourceFile}`);
-            this.loadedRules.set(currentFilePattern, currentRules);
-            this.ruleSourceFiles.set(currentFilePattern, sourceFile);
+    /**
+     * @private
+     * Splits a nanorc line into arguments. As in nano, a quoted argument only
+     * ends at a quote followed by a space or the end of the line, so regexes
+     * may contain quotes; start="..." and end="..." keep their key.
+     * @param {string} line - The trimmed line
+     * @returns {Array<{key: (string|null), value: string}>} The arguments
+     */
+    _tokenize(line) {
+        const tokens = [];
+        let position = 0;
+
+        while (position < line.length) {
+            const prefix = line.slice(position).match(/^(?:(start|end)=)?"/);
+            if (prefix) {
+                const open = position + prefix[0].length;
+                let close = open;
+                while (close < line.length && !(line[close] === '"' && (close + 1 === line.length || /\s/.test(line[close + 1])))) {
+                    close++;
+                }
+                tokens.push({ key: prefix[1] || null, value: line.slice(open, close) });
+                position = close + 1;
+            } else {
+                const word = line.slice(position).match(/^\S+/)[0];
+                tokens.push({ key: null, value: word });
+                position += word.length;
+            }
+            while (position < line.length && /\s/.test(line[position])) position++;
         }
-        
-        // Ensure we have rules for common file types if none were found
-        if (!this.loadedRules.has('\\.js$') && !this.loadedRules.has('\\.(js|jsx)$')) {
-            logger.debug('NanorcService', 'No JavaScript rules found, adding defaults');
-            this._addDefaultJavaScriptRules();
+
+        return tokens;
+    }
+
+    /**
+     * @private
+     * Starts a syntax from the arguments of a syntax command
+     * @returns {Object|null} The syntax, or null if it has no name
+     */
+    _parseSyntax(args, sourceFile, where) {
+        if (args.length === 0) {
+            logger.error('NanorcService', `${where}: syntax needs a name`);
+            return null;
+        }
+
+        const syntax = {
+            name: args[0].value,
+            fileRegexes: [],
+            headers: [],
+            magics: [],
+            rules: [],
+            comment: null,
+            tabgives: null,
+            linter: null,
+            formatter: null,
+            sourceFile
+        };
+        syntax.fileRegexes = this._convertPatterns(args.slice(1), where);
+        logger.debug('NanorcService', `Found syntax in ${where}: name="${syntax.name}" patterns=${JSON.stringify(syntax.fileRegexes)}`);
+        return syntax;
+    }
+
+    /**
+     * @private
+     * Applies a command that belongs to a syntax
+     * @param {Object} syntax - The syntax
+     * @param {string} command - One of SYNTAX_COMMANDS
+     * @param {Array} args - The arguments, as returned by _tokenize
+     * @param {string} where - File and line, for messages
+     */
+    _applyCommand(syntax, command, args, where) {
+        switch (command) {
+            case 'color':
+            case 'icolor':
+                this._parseColorRule(syntax, args, command === 'icolor', where);
+                break;
+            case 'header':
+                syntax.headers.push(...this._convertPatterns(args, where));
+                break;
+            case 'magic':
+                syntax.magics.push(...this._convertPatterns(args, where));
+                break;
+            case 'comment':
+            case 'tabgives':
+                syntax[command] = args.length > 0 ? args[0].value : '';
+                break;
+            case 'linter':
+            case 'formatter':
+                syntax[command] = args.length > 0 ? args.map(arg => arg.value) : null;
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * Applies an extendsyntax command once every file has been read
+     * @param {{name: string, command: string, args: Array, where: string}} extension - The command
+     * @param {Object} context - The definitions being loaded
+     */
+    _applyExtension({ name, command, args, where }, context) {
+        const syntax = context.syntaxes.get(name);
+        if (!syntax) {
+            logger.error('NanorcService', `${where}: no syntax named "${name}" to extend`);
+        } else if (!NanorcService.SYNTAX_COMMANDS.includes(command)) {
+            logger.error('NanorcService', `${where}: ${command} cannot be used with extendsyntax`);
+        } else {
+            this._applyCommand(syntax, command, args, where);
+        }
+    }
+
+    /**
+     * @private
+     * Parses `color spec "regex"...` or `color spec start="regex" end="regex"`
+     * into rules of a syntax; each regex of the first form is a rule of its own
+     */
+    _parseColorRule(syntax, args, ignoreCase, where) {
+        if (args.length < 2) {
+            logger.error('NanorcService', `${where}: missing color or regex`);
+            return;
+        }
+
+        const color = args[0].value;
+        if (!this._colorTags(color)) {
+            logger.error('NanorcService', `${where}: color "${color}" not understood`);
+            return;
         }
+
+        const start = args.find(arg => arg.key === 'start');
+        if (start) {
+            const end = args.find(arg => arg.key === 'end');
+            if (!end) {
+                logger.error('NanorcService', `${where}: start= without end=`);
+                return;
+            }
+            const jsStart = this._convertNanorcRegex(start.value);
+            const jsEnd = this._convertNanorcRegex(end.value);
+            if (jsStart && jsEnd) {
+                syntax.rules.push({ regex: jsStart, color, end: jsEnd, ignoreCase });
+                logger.debug('NanorcService', `Added region rule ${color}: "${jsStart}" to "${jsEnd}"`);
+            }
+            return;
+        }
+
+        for (const arg of args.slice(1)) {
+            const jsRegex = this._convertNanorcRegex(arg.value);
+            // Only add rules that were successfully converted
+            if (jsRegex) {
+                syntax.rules.push({ regex: jsRegex, color, end: null, ignoreCase });
+                logger.debug('NanorcService', `Added rule ${color}: "${jsRegex}" from original "${arg.value}"`);
+            }
+        }
+    }
+
+    /**
+     * @private
+     * Keeps the regexes of a syntax, header or magic command that are valid
+     * @returns {string[]} The nanorc regexes
+     */
+    _convertPatterns(args, where) {
+        return args.map(arg => arg.value).filter(pattern => {
+            if (this._convertNanorcRegex(pattern) !== null) return true;
+            logger.error('NanorcService', `${where}: ignoring invalid regex "${pattern}"`);
+            return false;
+        });
     }
 
     /**
      * @private
-     * Adds default JavaScript syntax highlighting rules if none were loaded from nanorc files
+     * Gets the built-in JavaScript syntax, used for .js files when no nanorc
+     * file covers them. Rules with an end are regions.
+     * @returns {Object} The syntax
      */
-    _addDefaultJavaScriptRules() {
+    _getDefaultJavaScriptSyntax() {
+        if (this.defaultJavaScriptSyntax) return this.defaultJavaScriptSyntax;
+
         const defaultRules = [
             // Keywords
             ['\\b(const|let|var|function|class|extends|return|if|else|for|while|do|switch|case|break|continue|try|catch|finally|throw|new|delete|typeof|instanceof|void|this|super)\\b', 'yellow'],
@@ -384,12 +1056,12 @@ class NanorcService {
             ['\\b(Array|Boolean|Date|Error|Function|JSON|Math|Number|Object|RegExp|String|Promise|Map|Set|Symbol|console|window|document|null|undefined|NaN|Infinity)\\b', 'cyan'],
             
             // Booleans
-            ['\\b(true|false)\\b', 'brightcyan'],
+            ['\\b(true|false)\\b', 'cyan'],
             
             // Strings
             ['"[^"]*"', 'green'],
             ["'[^']*'", 'green'],
-            ['`[^`]*`', 'green'],
+            ['`', 'green', '`'],
             
             // Numbers
             ['\\b[0-9]+\\b', 'magenta'],
@@ -398,256 +1070,277 @@ class NanorcService {
             
             // Comments
             ['//.*$', 'blue'],
-            ['/\\*[\\s\\S]*?\\*/', 'blue'],
+            ['/\\*', 'blue', '\\*/'],
             
             // Punctuation
             ['[;:,.<>/\\(\\)\\[\\]\\{\\}=\\+\\-\\*/%&\\|\\^!~?]', 'red'],
             
             // Properties
-            ['\\.[A-Za-z][A-Za-z0-9_]*', 'brightwhite'],
+            ['\\.[A-Za-z][A-Za-z0-9_]*', 'white'],
             
             // Variables and identifiers (lower priority than keywords)
             ['\\b[A-Za-z_][A-Za-z0-9_]*\\b', 'white']
         ];
-        
-        this.loadedRules.set('\\.(js|jsx)$', defaultRules);
-        this.ruleSourceFiles.set('\\.(js|jsx)$', 'default-rules');
+
+        this.defaultJavaScriptSyntax = {
+            name: 'JavaScript',
+            fileRegexes: ['\\.jsx?$'],
+            headers: [],
+            magics: [],
+            rules: defaultRules.map(([regex, color, end = null]) => ({ regex, color, end, ignoreCase: false })),
+            comment: '//',
+            tabgives: null,
+            linter: null,
+            formatter: null,
+            sourceFile: 'default-rules'
+        };
         logger.info('NanorcService', 'Added default JavaScript syntax rules');
+        return this.defaultJavaScriptSyntax;
     }
 
     /**
      * @private
-     * Converts a nanorc regex to a JavaScript regex
+     * Converts a nanorc regex (POSIX extended, as used by nano) to a JavaScript regex
      * @param {string} pattern - The nanorc regex pattern
-     * @returns {string} The JavaScript regex pattern
+     * @returns {string|null} The JavaScript regex pattern, or null if it is invalid
      */
     _convertNanorcRegex(pattern) {
-        try {
-            logger.debug('NanorcService', `Converting nanorc regex pattern: "${pattern}"`);
-            
-            // Special handling for strings - these are common patterns in syntax files
-            if (pattern.includes('"[^"]*"')) {
-                logger.debug('NanorcService', `Using predefined pattern for double-quoted strings`);
-                return '"[^"]*"';
-            }
-            if (pattern.includes("'[^']*'")) {
-                logger.debug('NanorcService', `Using predefined pattern for single-quoted strings`);
-                return "'[^']*'";
-            }
-            if (pattern.includes('`[^`]*`')) {
-                logger.debug('NanorcService', `Using predefined pattern for backtick strings`);
-                return '`[^`]*`';
-            }
-            
-            // Handle string pattern with escapes
-            if (pattern.includes('\\"[^\\"]*\\"')) {
-                logger.debug('NanorcService', `Using predefined pattern for escaped double-quoted strings`);
-                return '"[^"]*"';
-            }
-            if (pattern.includes("\\'[^\\']*\\'")) {
-                logger.debug('NanorcService', `Using predefined pattern for escaped single-quoted strings`);
-                return "'[^']*'";
-            }
-            
-            // Handle nanorc-specific character classes
-            let jsPattern = pattern
-                .replace(/\[\[:space:\]\]/g, '\\s')    // Replace [:space:] with \s
-                .replace(/\[\[:alpha:\]\]/g, '[A-Za-z]') // Replace [:alpha:] with [A-Za-z]
-                .replace(/\[\[:alnum:\]\]/g, '[A-Za-z0-9]') // Replace [:alnum:] with [A-Za-z0-9]
-                .replace(/\[\[:digit:\]\]/g, '\\d');  // Replace [:digit:] with \d
-            
-            // First, handle special regex syntax
-            jsPattern = jsPattern
-                .replace(/\\</g, '\\b')    // Start of word
-                .replace(/\\>/g, '\\b')    // End of word
-                .replace(/\\b/g, '\\b')    // Word boundary
-                .replace(/\\s/g, '\\s')    // Whitespace
-                .replace(/\\w/g, '\\w')    // Word character
-                .replace(/\\d/g, '\\d');   // Digit
-
-            // Fix problematic nanorc patterns
-            jsPattern = jsPattern
-                .replace(/\.\*\+/g, '.*')  // Fix .*+ (which is invalid in JS regex) with .*
-                .replace(/\\\s*$/g, '')    // Remove trailing backslash (common error in nanorc files)
-                .replace(/\|(\s*\))/g, '$1'); // Fix patterns ending with |)
-                
-            // Add special handling for regular symbol coloring that might be missing
-            if (/^\[.*\]$/.test(pattern)) {
-                logger.debug('NanorcService', `Adding special handling for character class pattern: ${pattern}`);
-            }
-            
-            // Add special handling for operators and symbols
-            if (/^[;\{\}\[\]\(\)=:,.<>+\-*\/%&|^!~?]+$/.test(pattern)) {
-                logger.debug('NanorcService', `Adding special handling for symbols pattern: ${pattern}`);
-                return pattern.replace(/([(){}\[\].+*?^$\\])/g, '\\$1');
-            }
+        let jsPattern = '';
 
-            // Then handle escaped characters that should remain escaped
-            jsPattern = jsPattern
-                .replace(/\\\\/g, '\\\\')  // Literal backslash (must come first)
-                .replace(/\\"/g, '\\"')    // Literal quote
-                .replace(/\\'/g, "\\'")    // Literal single quote
-                .replace(/\\\{/g, '\\{')   // Literal {
-                .replace(/\\\}/g, '\\}')   // Literal }
-                .replace(/\\\[/g, '\\[')   // Literal [
-                .replace(/\\\]/g, '\\]')   // Literal ]
-                .replace(/\\\(/g, '\\(')   // Literal (
-                .replace(/\\\)/g, '\\)')   // Literal )
-                .replace(/\\\+/g, '\\+')   // Literal +
-                .replace(/\\\*/g, '\\*')   // Literal *
-                .replace(/\\\?/g, '\\?')   // Literal ?
-                .replace(/\\\./g, '\\.')   // Literal .
-                .replace(/\\\^/g, '\\^')   // Literal ^
-                .replace(/\\\$/g, '\\$')   // Literal $
-                .replace(/\\\|/g, '\\|');  // Literal |
-
-            // Final clean-up to handle any remaining issues
-            if (jsPattern.endsWith('\\')) {
-                jsPattern = jsPattern.substring(0, jsPattern.length - 1);
-            }
-            
-            // Verify the pattern is valid
-            try {
-            new RegExp(jsPattern);
-                logger.debug('NanorcService', `Successfully converted to JS regex: "${jsPattern}"`);
-            return jsPattern;
-            } catch (error) {
-                // If still invalid, try a simpler cleanup approach
-                logger.debug('NanorcService', `Regex validation failed for "${jsPattern}", trying simpler approach`);
-                
-                // Simplify the pattern by removing complex constructs
-                const simplifiedPattern = pattern
-                    .replace(/\[\[:(\w+):\]\]/g, '')  // Remove POSIX character classes
-                    .replace(/\\\W/g, '')            // Remove escaped non-word chars
-                    .replace(/\|.*$/g, '');          // Remove anything after a pipe
-                
-                // If the pattern is now empty, use a simple word boundary pattern
-                if (!simplifiedPattern.trim()) {
-                    logger.debug('NanorcService', `Simplified pattern is empty, using default word pattern`);
-                    return '\\b\\w+\\b';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                const next = pattern[++i];
+                if (next === undefined) {
+                    // A trailing backslash stands for itself
+                    jsPattern += '\\\\';
+                } else if (next === '<' || next === '>') {
+                    // Start and end of word
+                    jsPattern += '\\b';
+                } else if (/[A-Za-z0-9]/.test(next) || NanorcService.REGEX_SPECIALS.includes(next)) {
+                    // \w, \s, \b and back references mean the same in both;
+                    // escaped specials stay escaped
+                    jsPattern += '\\' + next;
+                } else {
+                    // Other escaped characters, like \", are themselves
+                    jsPattern += next;
                 }
-                
-                try {
-                    new RegExp(simplifiedPattern);
-                    logger.debug('NanorcService', `Using simplified pattern: "${simplifiedPattern}"`);
-                    return simplifiedPattern;
-                } catch (innerError) {
-                    // If still invalid, return a safe default pattern
-                    logger.warn('NanorcService', `Fallback regex also invalid for "${pattern}", using default word pattern`);
-                    return '\\b\\w+\\b';
+            } else if (char === '[') {
+                const bracket = this._convertBracketExpression(pattern, i);
+                if (!bracket) {
+                    logger.error('NanorcService', `Invalid regex pattern: ${pattern}`);
+                    return null;
                 }
+                jsPattern += bracket.source;
+                i = bracket.end;
+            } else {
+                jsPattern += char;
             }
+        }
+
+        // Verify the pattern is valid
+        try {
+            new RegExp(jsPattern);
         } catch (error) {
             logger.error('NanorcService', `Invalid regex pattern: ${pattern}`, error);
-            return '\\b\\w+\\b'; // Return a safe default pattern
+            return null;
+        }
+
+        logger.debug('NanorcService', `Converted nanorc regex "${pattern}" to "${jsPattern}"`);
+        return jsPattern;
+    }
+
+    /**
+     * @private
+     * Converts a POSIX bracket expression, in which backslashes are literal,
+     * "]" first is a member and [:class:] names a character class
+     * @param {string} pattern - The nanorc regex
+     * @param {number} start - Offset of the opening "["
+     * @returns {{source: string, end: number}|null} The JavaScript class and the offset of its "]", or null if it is invalid
+     */
+    _convertBracketExpression(pattern, start) {
+        let i = start + 1;
+        let source = '[';
+        if (pattern[i] === '^') {
+            source += '^';
+            i++;
+        }
+        if (pattern[i] === ']') {
+            source += '\\]';
+            i++;
+        }
+
+        for (; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === ']') {
+                return { source: source + ']', end: i };
+            }
+            if (char === '[' && /[:.=]/.test(pattern[i + 1] || '')) {
+                const kind = pattern[i + 1];
+                const close = pattern.indexOf(kind + ']', i + 2);
+                if (close === -1) return null;
+                const name = pattern.slice(i + 2, close);
+                if (kind === ':') {
+                    if (!(name in NanorcService.POSIX_CLASSES)) return null;
+                    source += NanorcService.POSIX_CLASSES[name];
+                } else {
+                    // Collating elements and equivalence classes of one character
+                    source += name.replace(/[\\\]\[^-]/g, '\\$&');
+                }
+                i = close + 1;
+            } else if (char === '\\' || char === '[') {
+                source += '\\' + char;
+            } else {
+                source += char;
+            }
         }
+
+        // No closing "]"
+        return null;
     }
 
     /**
      * @private
-     * Checks if a filename matches a nanorc file pattern
+     * Checks if a filename matches a nanorc file pattern. As in nano, the
+     * pattern is matched against the full path of the file.
      * @param {string} filename - The filename to check
      * @param {string} pattern - The nanorc pattern to match against
      * @returns {boolean} Whether the filename matches the pattern
      */
     _matchesFilePattern(filename, pattern) {
-        try {
-        // Only match against the basename of the file, not the full path
-        const basename = path.basename(filename);
-        
-            logger.debug('NanorcService', `Checking if file ${basename} matches pattern ${pattern}`);
-            
-            // Special case handling for common patterns
-            if (pattern === '\\.(js|jsx)$' && (basename.endsWith('.js') || basename.endsWith('.jsx'))) {
-                logger.debug('NanorcService', `Direct match for JavaScript pattern: ${basename}`);
-                return true;
-            }
-            
-            if (pattern === '\\.(ts)$' && basename.endsWith('.ts')) {
-                logger.debug('NanorcService', `Direct match for TypeScript pattern: ${basename}`);
-                return true;
-            }
-            
-            // Try to convert nanorc pattern to JavaScript regex pattern
-            try {
-                let regexPattern = pattern
-                    // Escape regex special characters in the pattern text itself
-                    .replace(/[\[\]{}()*+?.,\\^$|#]/g, '\\$&')
-                    // Then handle specific nanorc escapes
-                    .replace(/\\\\\./g, '\\.') // Escape dots
-                    .replace(/\\\\\*/g, '.*')  // Convert * to .*
-                    .replace(/\\\\\?/g, '.')   // Convert ? to .
-                    .replace(/\\\\\[/g, '[')   // Convert \[ to [
-                    .replace(/\\\\\]/g, ']')   // Convert \] to ]
-                    .replace(/\\\\\(/g, '(')   // Convert \( to (
-                    .replace(/\\\\\)/g, ')')   // Convert \) to )
-                    .replace(/\\\\\{/g, '{')   // Convert \{ to {
-                    .replace(/\\\\\}/g, '}')   // Convert \} to }
-                    .replace(/\\\\\+/g, '+')   // Convert \+ to +
-                    .replace(/\\\\\|/g, '|')   // Convert \| to |
-                    .replace(/\\\\\^/g, '^')   // Convert \^ to ^
-                    .replace(/\\\\\$/g, '$');  // Convert \$ to $
-            
-                // Special case for .js|.jsx pattern
-                if (regexPattern.includes('\\.js') && basename.endsWith('.js')) {
-                    logger.debug('NanorcService', `Special case match for .js extension: ${basename}`);
-                    return true;
-                }
-                
-                // Try to create and test the regex
-                try {
-        const regex = new RegExp(regexPattern);
-        const matches = regex.test(basename);
-        
-        logger.debug('NanorcService', `Pattern matching:
-            File: ${basename}
-            Pattern: ${pattern}
-            Regex: ${regexPattern}
-            Matches: ${matches}`);
-        
-        return matches;
-                } catch (regexError) {
-                    logger.error('NanorcService', `Invalid regex pattern: ${regexPattern}`, regexError);
-                    
-                    // Fallback to string-based matching for common cases
-                    if (pattern.includes('.js') && basename.endsWith('.js')) {
-                        logger.debug('NanorcService', `Fallback match for .js extension: ${basename}`);
-                        return true;
-                    }
-                    
-                    return false;
-                }
-            } catch (conversionError) {
-                logger.error('NanorcService', `Error converting pattern: ${pattern}`, conversionError);
-                return false;
+        return this._matchesPattern(path.resolve(filename), pattern);
+    }
+
+    /**
+     * @private
+     * Checks if text matches a nanorc regex
+     * @param {string} text - The text
+     * @param {string} pattern - The nanorc regex
+     * @returns {boolean} Whether the regex matches somewhere in the text
+     */
+    _matchesPattern(text, pattern) {
+        const jsPattern = this._convertNanorcRegex(pattern);
+        return jsPattern !== null && new RegExp(jsPattern).test(text);
+    }
+
+    /**
+     * @private
+     * Converts a nanorc color spec, [bold,][italic,][fg][,bg], to blessed tags.
+     * Colors may be prefixed with "light", or "bright" for bold and light,
+     * and may be named 256-color shades or #rgb. Blessed has no italics, so
+     * italic is accepted and ignored.
+     * @param {string} spec - The color spec
+     * @returns {{open: string, close: string}|null} The tags, or null if the spec is not understood
+     */
+    _colorTags(spec) {
+        if (this.themeVersion !== themeService.version) {
+            this.colorTagCache.clear();
+            this.themeVersion = themeService.version;
+        }
+        if (this.colorTagCache.has(spec)) return this.colorTagCache.get(spec);
+
+        const parts = spec.toLowerCase().split(',');
+        const attributes = [];
+        while (parts.length > 1 && (parts[0] === 'bold' || parts[0] === 'italic')) {
+            const attribute = parts.shift();
+            if (attribute === 'bold') attributes.push('bold');
+        }
+
+        let tags = null;
+        if (parts.length <= 2) {
+            const [fg, bg = ''] = parts;
+            const fgColor = this._colorName(fg);
+            const bgColor = this._colorName(bg);
+            if (fgColor && bgColor) {
+                if (fgColor.bold && !attributes.includes('bold')) attributes.push('bold');
+                const names = [...attributes];
+                if (fgColor.name) names.push(`${fgColor.name}-fg`);
+                if (bgColor.name) names.push(`${bgColor.name}-bg`);
+                tags = {
+                    open: names.map(name => `{${name}}`).join(''),
+                    close: names.reverse().map(name => `{/${name}}`).join('')
+                };
             }
-        } catch (error) {
-            logger.error('NanorcService', `Error in _matchesFilePattern: ${error.message}`, error);
-            return false;
         }
+
+        this.colorTagCache.set(spec, tags);
+        return tags;
     }
 
     /**
      * @private
-     * Maps colors to compatible alternatives for terminals that don't support certain colors
-     * @param {string} color - The original color name
-     * @returns {string} A compatible color name
+     * Converts one nanorc color name to a blessed color, or to the color the
+     * theme replaces it with. "bright" colors stay bold when they are replaced.
+     * @param {string} color - The lowercase color name; '' or "normal" for none
+     * @returns {{name: (string|null), bold: boolean}|null} The blessed color, or null if it is not understood
      */
-    _mapColorToCompatible(color) {
-        const colorMap = {
-            // Map problematic "bright" colors to standard alternatives
-            'brightwhite': 'white',
-            'brightcyan': 'cyan',
-            'brightblue': 'blue',
-            'brightred': 'red',
-            'brightgreen': 'green',
-            'brightyellow': 'yellow',
-            'brightmagenta': 'magenta',
-            'brightblack': 'black',
-        };
-        
-        return colorMap[color] || color;
+    _colorName(color) {
+        if (color === '' || color === 'normal') return { name: null, bold: false };
+
+        const themed = themeService.mapSyntaxColor(color);
+        if (themed !== null) return { name: themed, bold: color.startsWith('bright') };
+
+        const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            return { name: `#${digits}`, bold: false };
+        }
+        if (color === 'grey' || color === 'gray') return { name: 'gray', bold: false };
+        if (color in NanorcService.EXTRA_COLORS) {
+            return { name: String(NanorcService.EXTRA_COLORS[color]), bold: false };
+        }
+
+        const prefixed = color.match(/^(bright|light)?(black|red|green|yellow|blue|magenta|cyan|white)$/);
+        if (!prefixed) return null;
+        const [, prefix, base] = prefixed;
+        return { name: prefix ? `light-${base}` : base, bold: prefix === 'bright' };
     }
 }
 
+/** Commands that add to the syntax defined last, or to the one named by extendsyntax */
+NanorcService.SYNTAX_COMMANDS = ['color', 'icolor', 'header', 'magic', 'comment', 'tabgives', 'linter', 'formatter'];
+
+/** Characters with a meaning in regexes, which keep their backslash */
+NanorcService.REGEX_SPECIALS = '.[]()*+?{}|^$\\/';
+
+/** JavaScript equivalents of POSIX character classes, for use inside [...] */
+NanorcService.POSIX_CLASSES = {
+    alpha: 'A-Za-z',
+    digit: '0-9',
+    alnum: 'A-Za-z0-9',
+    upper: 'A-Z',
+    lower: 'a-z',
+    space: '\\s',
+    blank: ' \\t',
+    punct: '!-\\/:-@\\[-`{-~',
+    xdigit: '0-9A-Fa-f',
+    cntrl: '\\x00-\\x1f\\x7f',
+    print: '\\x20-\\x7e',
+    graph: '\\x21-\\x7e'
+};
+
+/** The extra color names of nano, as 256-color palette indexes */
+NanorcService.EXTRA_COLORS = {
+    pink: 204, purple: 163, mauve: 134, lagoon: 38, mint: 48, lime: 148,
+    peach: 215, orange: 208, latte: 137, rosy: 175, beet: 127, plum: 98,
+    sea: 32, sky: 111, slate: 66, teal: 35, sage: 107, brown: 100,
+    ocher: 142, sand: 186, tawny: 136, brick: 166, crimson: 161
+};
+
+/** Lines at the start and end of a file searched for modelines */
+NanorcService.MODELINE_LINES = 5;
+
+/** Syntax names for languages that modelines and #! lines call otherwise */
+NanorcService.LANGUAGE_ALIASES = {
+    bash: 'sh', dash: 'sh', ksh: 'sh', zsh: 'sh', shell: 'sh', 'shell-script': 'sh',
+    node: 'javascript', nodejs: 'javascript', js: 'javascript',
+    py: 'python', rb: 'ruby', pl: 'perl', 'c++': 'c', cpp: 'c',
+    tclsh: 'tcl', wish: 'tcl', gawk: 'awk', mawk: 'awk', nawk: 'awk',
+    md: 'markdown', yml: 'yaml', make: 'makefile', gmake: 'makefile'
+};
+
+/** Milliseconds to wait for `file` when matching magic rules */
+NanorcService.MAGIC_TIMEOUT = 2000;
+
 module.exports = NanorcService; 
\ No newline at end of file
@@ -2,6 +2,8 @@ const NanorcService = require('./NanorcService');
 const path = require('path');
 const os = require('os');
 const logger = require('./LoggingService');
+const EditFile = require('../models/EditFile');
+const themeService = require('./ThemeService');
 
 // Mock dependencies
 jest.mock('fs', () => ({
@@ -12,6 +14,10 @@ jest.mock('fs', () => ({
     }
 }));
 
+jest.mock('child_process', () => ({
+    execFile: jest.fn()
+}));
+
 jest.mock('os', () => ({
     homedir: jest.fn(() => '/mock/home')
 }));
@@ -28,6 +34,7 @@ const fs = require('fs');
 const mockMkdir = fs.promises.mkdir;
 const mockReaddir = fs.promises.readdir;
 const mockReadFile = fs.promises.readFile;
+const { execFile } = require('child_process');
 
 describe('NanorcService', () => {
     let nanorcService;
@@ -391,4 +398,311 @@ color blue "abcdef"`);
             expect(result).not.toContain('{red-fg}abc{/red-fg}');
         });
     });
-});
\ No newline at end of file
+
+    describe('regions', () => {
+        beforeEach(async () => {
+            mockReaddir.mockResolvedValue(['c.nanorc']);
+            mockReadFile.mockResolvedValue(`
+syntax "JavaScript" "\\.js$"
+color yellow "\\<(if|int)\\>"
+color green "'[^']*'"
+color cyan start="/\\*" end="\\*/"`);
+
+            nanorcService = new NanorcService();
+            await nanorcService.style('', 'test.js'); // Wait for the rules to load
+        });
+
+        it('should parse start and end rules', () => {
+            const rules = nanorcService.loadedRules.get('JavaScript').rules;
+            expect(rules[2]).toEqual({ regex: '/\\*', color: 'cyan', end: '\\*/', ignoreCase: false });
+        });
+
+        it('should highlight regions across lines', async () => {
+            const file = new EditFile('test.js', ['int a; /* one', 'if two', 'three */ if', 'int']);
+
+            const result = await nanorcService.styleLines(file, 0, 4, 'test.js');
+
+            expect(result).toEqual([
+                '{yellow-fg}int{/yellow-fg} a; {cyan-fg}/* one{/cyan-fg}',
+                '{cyan-fg}if two{/cyan-fg}',
+                '{cyan-fg}three */{/cyan-fg} {yellow-fg}if{/yellow-fg}',
+                '{yellow-fg}int{/yellow-fg}'
+            ]);
+        });
+
+        it('should find the state of the first line shown from the lines above it', async () => {
+            const file = new EditFile('test.js', ['/*', 'a', 'b', 'if */ if']);
+
+            const result = await nanorcService.styleLines(file, 2, 4, 'test.js');
+
+            expect(result).toEqual(['{cyan-fg}b{/cyan-fg}', '{cyan-fg}if */{/cyan-fg} {yellow-fg}if{/yellow-fg}']);
+        });
+
+        it('should not open regions inside other matches', async () => {
+            const file = new EditFile('test.js', ["'/*' if", 'if']);
+
+            const result = await nanorcService.styleLines(file, 0, 2, 'test.js');
+
+            expect(result).toEqual([
+                "{green-fg}'/*'{/green-fg} {yellow-fg}if{/yellow-fg}",
+                '{yellow-fg}if{/yellow-fg}'
+            ]);
+        });
+
+        it('should reuse cached lines and rescan only from an edited line down', async () => {
+            const file = new EditFile('test.js', Array.from({ length: 50 }, (_, i) => `int x${i};`));
+            await nanorcService.styleLines(file, 0, 50, 'test.js');
+
+            const scan = jest.spyOn(nanorcService, '_findRegions');
+            await nanorcService.styleLines(file, 0, 50, 'test.js');
+            expect(scan).not.toHaveBeenCalled();
+
+            file.writeText('/* ', 0, 40, true);
+            const result = await nanorcService.styleLines(file, 0, 50, 'test.js');
+
+            expect(result[39]).toBe('{yellow-fg}int{/yellow-fg} x39;');
+            expect(result[40]).toBe('{cyan-fg}/* int x40;{/cyan-fg}');
+            expect(result[49]).toBe('{cyan-fg}int x49;{/cyan-fg}');
+            // Each line from the edit down is scanned for its state and again for its style
+            expect(scan.mock.calls.length).toBe(20);
+        });
+
+        it('should keep the cache of lines below an inserted line', async () => {
+            const file = new EditFile('test.js', Array.from({ length: 50 }, (_, i) => `int x${i};`));
+            await nanorcService.styleLines(file, 0, 50, 'test.js');
+
+            const scan = jest.spyOn(nanorcService, '_findRegions');
+            file.splitLine(0, 10);
+            const result = await nanorcService.styleLines(file, 0, 51, 'test.js');
+
+            expect(result[11]).toBe('{yellow-fg}int{/yellow-fg} x10;');
+            expect(result[50]).toBe('{yellow-fg}int{/yellow-fg} x49;');
+            // Only the split line and the new one are scanned again
+            expect(scan.mock.calls.length).toBe(4);
+        });
+
+        it('should start over when the file gets other rules', async () => {
+            const file = new EditFile('test.js', ['/* a', 'b']);
+            await nanorcService.styleLines(file, 0, 2, 'test.js');
+
+            const result = await nanorcService.styleLines(file, 0, 2, 'test.txt');
+
+            expect(result).toEqual(['/* a', 'b']);
+        });
+    });
+
+    describe('nano grammar', () => {
+        const load = async (files) => {
+            mockReaddir.mockImplementation(async dir => dir === mockNanorcDir
+                ? Object.keys(files).filter(name => !name.includes('/'))
+                : Object.keys(files).filter(name => name.startsWith(path.basename(dir) + '/')).map(name => path.basename(name)));
+            mockReadFile.mockImplementation(async file => {
+                const name = path.relative(mockNanorcDir, file);
+                if (!(name in files)) throw new Error(`ENOENT: ${file}`);
+                return files[name];
+            });
+            nanorcService = new NanorcService();
+            await nanorcService._loadAllRules();
+        };
+
+        it('should match icolor rules ignoring case', async () => {
+            await load({ 'sql.nanorc': `
+syntax sql "\\.sql$"
+icolor yellow "\\<select\\>"` });
+
+            const result = await nanorcService.style('SELECT select', 'q.sql');
+
+            expect(result).toBe('{yellow-fg}SELECT{/yellow-fg} {yellow-fg}select{/yellow-fg}');
+        });
+
+        it('should convert attributes, backgrounds and extra colors to tags', async () => {
+            await load({ 'test.nanorc': `
+syntax "Test" "\\.test$"
+color bold,italic,red "bold"
+color brightred,blue "both"
+color ,green "[[:space:]]+$"
+color pink "pink"
+color #f80 "hex"
+color blurple "bad"` });
+
+            const result = await nanorcService.style('bold both pink hex bad  ', 'a.test');
+
+            expect(result).toBe('{bold}{red-fg}bold{/red-fg}{/bold} '
+                + '{bold}{light-red-fg}{blue-bg}both{/blue-bg}{/light-red-fg}{/bold} '
+                + '{204-fg}pink{/204-fg} {#ff8800-fg}hex{/#ff8800-fg} bad{green-bg}  {/green-bg}');
+            expect(logger.error).toHaveBeenCalledWith('NanorcService', 'test.nanorc:8: color "blurple" not understood');
+        });
+
+        it('should replace colors as the theme says', async () => {
+            await load({
+                'test.nanorc': `
+syntax "Test" "\\.test$"
+color brightred "both"
+color green "plain"`,
+                '../themes/dark.json': JSON.stringify({ syntax: { brightred: 'magenta' } })
+            });
+            expect(await nanorcService.style('both plain', 'a.test'))
+                .toBe('{bold}{light-red-fg}both{/light-red-fg}{/bold} {green-fg}plain{/green-fg}');
+
+            try {
+                await themeService.load('dark');
+                expect(await nanorcService.style('both plain', 'a.test'))
+                    .toBe('{bold}{magenta-fg}both{/magenta-fg}{/bold} {green-fg}plain{/green-fg}');
+            } finally {
+                await themeService.load('default');
+            }
+        });
+
+        it('should add a rule for every regex of a color line and allow quotes in regexes', async () => {
+            await load({ 'test.nanorc': `
+syntax "Test" "\\.test$"
+color green ""[^"]*"" "'[^']*'"` });
+
+            const result = await nanorcService.style(`"a" 'b'`, 'a.test');
+
+            expect(result).toBe(`{green-fg}"a"{/green-fg} {green-fg}'b'{/green-fg}`);
+        });
+
+        it('should convert POSIX bracket expressions', () => {
+            nanorcService = new NanorcService();
+
+            expect(nanorcService._convertNanorcRegex('[[:digit:]\\]+')).toBe('[0-9\\\\]+');
+            expect(nanorcService._convertNanorcRegex('[]a]')).toBe('[\\]a]');
+            expect(nanorcService._convertNanorcRegex('[^[:space:]]')).toBe('[^\\s]');
+            expect(nanorcService._convertNanorcRegex('[[:nothing:]]')).toBeNull();
+        });
+
+        it('should pick a syntax by the first line when the name does not match', async () => {
+            await load({ 'sh.nanorc': `
+syntax sh "\\.sh$"
+header "^#!.*/(ba)?sh"
+color green "echo"` });
+            const file = new EditFile('script', ['#!/bin/bash', 'echo hi']);
+
+            const result = await nanorcService.styleLines(file, 0, 2, 'script');
+
+            expect(result[1]).toBe('{green-fg}echo{/green-fg} hi');
+        });
+
+        it('should pick a syntax by what file says about the file', async () => {
+            execFile.mockImplementation((command, args, options, callback) => callback(null, 'Python script, ASCII text executable\n'));
+            await load({ 'python.nanorc': `
+syntax python "\\.py$"
+magic "Python script"
+color blue "def"` });
+
+            const result = await nanorcService.style('def f():', 'tool');
+
+            expect(execFile).toHaveBeenCalledWith('file', ['-b', '-L', '--', 'tool'], expect.any(Object), expect.any(Function));
+            expect(result).toBe('{blue-fg}def{/blue-fg} f():');
+        });
+
+        it('should fall back to the default syntax and never use none', async () => {
+            await load({ 'default.nanorc': `
+syntax none "\\.txt$"
+color red "x"
+syntax default
+color blue "x"` });
+
+            expect(await nanorcService.style('x', 'a.txt')).toBe('{blue-fg}x{/blue-fg}');
+        });
+
+        it('should load included files, with globs, once', async () => {
+            await load({
+                'main.nanorc': 'include "lang/*.nanorc"\ninclude "~/missing.nanorc"\ninclude "main.nanorc"',
+                'lang/a.nanorc': 'syntax a "\\.a$"\ncolor red "x"',
+                'lang/b.nanorc': 'syntax b "\\.b$"\ncolor blue "x"'
+            });
+
+            expect([...nanorcService.loadedRules.keys()]).toEqual(['a', 'b']);
+            expect(mockReadFile).toHaveBeenCalledTimes(4);
+            expect(logger.error).toHaveBeenCalledWith(
+                'NanorcService',
+                'Could not include /mock/home/missing.nanorc from /mock/home/.turbollama/nanorc/main.nanorc:',
+                expect.any(Error)
+            );
+        });
+
+        it('should apply extendsyntax after all files are read', async () => {
+            await load({
+                'a.nanorc': 'extendsyntax Test color red "late"\nextendsyntax Test comment "--"\nextendsyntax Nope color red "x"',
+                'b.nanorc': 'syntax "Test" "\\.test$"\ncolor blue "early"'
+            });
+
+            expect(await nanorcService.style('early late', 'a.test')).toBe('{blue-fg}early{/blue-fg} {red-fg}late{/red-fg}');
+            expect((await nanorcService.getSyntax('a.test')).comment).toBe('--');
+            expect(logger.error).toHaveBeenCalledWith('NanorcService', 'a.nanorc:3: no syntax named "Nope" to extend');
+        });
+
+        it('should report comment, tabgives, linter and formatter of a syntax', async () => {
+            await load({ 'go.nanorc': `
+syntax go "\\.go$"
+comment "//"
+tabgives "	"
+linter go vet
+formatter gofmt -w` });
+
+            expect(await nanorcService.getSyntax('main.go')).toEqual({
+                name: 'go',
+                comment: '//',
+                tabgives: '\t',
+                linter: ['go', 'vet'],
+                formatter: ['gofmt', '-w']
+            });
+            expect(await nanorcService.getSyntax('main.c')).toBeNull();
+        });
+    });
+
+    describe('syntax selection', () => {
+        beforeEach(async () => {
+            mockReaddir.mockResolvedValue(['langs.nanorc']);
+            mockReadFile.mockResolvedValue(`
+syntax python "\\.py$"
+color blue "def"
+syntax sh "\\.sh$"
+color green "echo"
+syntax none
+syntax default`);
+            nanorcService = new NanorcService();
+            await nanorcService._loadAllRules();
+        });
+
+        it('should use the interpreter of a #! line', async () => {
+            const file = new EditFile('tool', ['#!/usr/bin/env -S python3 -u', 'def f(): pass']);
+            const script = new EditFile('run', ['#!/bin/bash', 'echo hi']);
+
+            expect((await nanorcService.styleLines(file, 1, 2, 'tool'))[0]).toBe('{blue-fg}def{/blue-fg} f(): pass');
+            expect((await nanorcService.styleLines(script, 1, 2, 'run'))[0]).toBe('{green-fg}echo{/green-fg} hi');
+        });
+
+        it('should use vim and Emacs modelines, even over the file name', async () => {
+            const vim = new EditFile('notes.sh', ['def', ...Array(10).fill(''), '# vim: set ts=4 ft=python :']);
+            const emacs = new EditFile('notes.txt', ['#!/bin/sh', '# -*- mode: Python; coding: utf-8 -*-', 'def']);
+
+            expect((await nanorcService.styleLines(vim, 0, 1, 'notes.sh'))[0]).toBe('{blue-fg}def{/blue-fg}');
+            expect((await nanorcService.styleLines(emacs, 2, 3, 'notes.txt'))[0]).toBe('{blue-fg}def{/blue-fg}');
+        });
+
+        it('should detect untitled buffers again as their content changes', async () => {
+            const file = new EditFile('', ['echo hi']);
+            expect(await nanorcService.styleLines(file, 0, 1, '')).toEqual(['echo hi']);
+
+            file.insertText('#!/bin/sh\n', 0, 0);
+
+            expect((await nanorcService.styleLines(file, 1, 2, ''))[0]).toBe('{green-fg}echo{/green-fg} hi');
+        });
+
+        it('should use a chosen syntax, or none, instead of detecting one', async () => {
+            const file = new EditFile('x.py', ['def echo']);
+
+            expect(await nanorcService.styleLines(file, 0, 1, 'x.py', undefined, 'SH')).toEqual(['def {green-fg}echo{/green-fg}']);
+            expect(await nanorcService.styleLines(file, 0, 1, 'x.py', undefined, 'none')).toEqual(['def echo']);
+            expect(await nanorcService.style('def echo', 'x.py', null, 'missing')).toBe('{blue-fg}def{/blue-fg} echo');
+            expect((await nanorcService.getSyntax('x.py', file, 'sh')).name).toBe('sh');
+        });
+
+        it('should list the syntaxes that can be chosen', async () => {
+            expect(await nanorcService.getSyntaxNames()).toEqual(['JavaScript', 'python', 'sh']);
+        });
+    });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Service for matching search queries against text
+ */
+class SearchService {
+    /**
+     * Builds a global regular expression for a search query
+     * @param {string} query - The text or pattern to search for
+     * @param {Object} [options={}] - Search options
+     * @param {boolean} [options.caseSensitive=false] - Whether matching is case-sensitive
+     * @param {boolean} [options.wholeWord=false] - Whether matches must be whole words
+     * @param {boolean} [options.regex=false] - Whether the query is a JavaScript regular expression
+     * @returns {RegExp} The compiled matcher
+     * @throws {SyntaxError} If the query is not a valid regular expression
+     */
+    buildMatcher(query, options = {}) {
+        const { caseSensitive = false, wholeWord = false, regex = false } = options;
+
+        let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (wholeWord) {
+            source = `\\b(?:${source})\\b`;
+        }
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    }
+
+    /**
+     * Finds every match of a matcher in a single line
+     * @param {string} line - The line to search
+     * @param {RegExp} matcher - A global matcher from buildMatcher
+     * @returns {Array<{start: number, end: number, match: RegExpExecArray}>} Match ranges in the line,
+     *   with the result of the matcher for each, which expandReplacement uses
+     */
+    findInLine(line, matcher) {
+        const matches = [];
+        matcher.lastIndex = 0;
+
+        let match;
+        while ((match = matcher.exec(line)) !== null) {
+            if (match[0].length === 0) {
+                // Skip zero-length matches (like /^/ or /\b/) but keep scanning
+                matcher.lastIndex++;
+                continue;
+            }
+            matches.push({ start: match.index, end: match.index + match[0].length, match });
+        }
+
+        matcher.lastIndex = 0;
+        return matches;
+    }
+
+    /**
+     * Computes the replacement for one match, expanding $1, $<name>, $&, $`,
+     * $' and $$ in regex mode the way String.prototype.replace does. The
+     * references are taken from the match as it was found in its line, so
+     * patterns that look at the text around the match expand as well.
+     * @param {{match: RegExpExecArray}} found - A match from findInLine
+     * @param {string} replacement - The replacement template
+     * @param {boolean} [regex=false] - Whether the replacement may reference groups
+     * @returns {string} The replacement text
+     */
+    expandReplacement(found, replacement, regex = false) {
+        if (!regex) return replacement;
+
+        const { match } = found;
+        return replacement.replace(/\$(?:(\$)|(&)|(`)|(')|(\d\d?)|<([^>]*)>)/g,
+            (token, dollar, whole, before, after, digits, name) => {
+                if (dollar) return '$';
+                if (whole) return match[0];
+                if (before) return match.input.slice(0, match.index);
+                if (after) return match.input.slice(match.index + match[0].length);
+                if (digits) {
+                    // $10 is group 10 only if there is one, otherwise group 1 followed by 0
+                    let group = Number(digits);
+                    let rest = '';
+                    if (digits.length === 2 && group >= match.length) {
+                        group = Number(digits[0]);
+                        rest = digits[1];
+                    }
+                    if (group === 0 || group >= match.length) return token;
+                    return (match[group] === undefined ? '' : match[group]) + rest;
+                }
+                if (!match.groups) return token;
+                return match.groups[name] === undefined ? '' : match.groups[name];
+            });
+    }
+
+    /**
+     * Searches every text file below a directory, yielding matches as they are found.
+     * Directories in SearchService.EXCLUDED_DIRECTORIES, symlinks and binary files are skipped.
+     * @param {string} directory - The directory to search
+     * @param {RegExp} matcher - A global matcher from buildMatcher
+     * @returns {AsyncGenerator<{filePath: string, line: number, column: number, length: number, text: string}>}
+     */
+    async *searchFiles(directory, matcher) {
+        let entries;
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            return; // Unreadable directories are skipped
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (!SearchService.EXCLUDED_DIRECTORIES.includes(entry.name)) {
+                    yield* this.searchFiles(fullPath, matcher);
+                }
+            } else if (entry.isFile()) {
+                yield* this._searchFile(fullPath, matcher);
+            }
+        }
+    }
+
+    /**
+     * Searches a single file, yielding its matches
+     * @param {string} filePath - The file to search
+     * @param {RegExp} matcher - A global matcher from buildMatcher
+     * @private
+     */
+    async *_searchFile(filePath, matcher) {
+        let buffer;
+        try {
+            buffer = await fs.readFile(filePath);
+        } catch (error) {
+            return; // Unreadable files are skipped
+        }
+
+        if (this.isBinary(buffer)) return;
+
+        const lines = buffer.toString('utf8').split(/\r?\n/);
+        for (let line = 0; line < lines.length; line++) {
+            for (const match of this.findInLine(lines[line], matcher)) {
+                yield {
+                    filePath,
+                    line,
+                    column: match.start,
+                    length: match.end - match.start,
+                    text: lines[line]
+                };
+            }
+        }
+    }
+
+    /**
+     * Guesses whether file content is binary by looking for NUL bytes near the start
+     * @param {Buffer} buffer - The file content
+     * @returns {boolean} Whether the content looks binary
+     */
+    isBinary(buffer) {
+        const sample = buffer.subarray(0, 8000);
+        return sample.includes(0);
+    }
+}
+
+/** Directory names never descended into by searchFiles */
+SearchService.EXCLUDED_DIRECTORIES = ['node_modules', '.git'];
+
+module.exports = SearchService;
@@ -0,0 +1,131 @@
+const SearchService = require('./SearchService');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('SearchService', () => {
+    let searchService;
+
+    beforeEach(() => {
+        searchService = new SearchService();
+    });
+
+    const ranges = (line, matcher) => searchService.findInLine(line, matcher).map(({ start, end }) => ({ start, end }));
+    const findFirst = (line, query) => searchService.findInLine(line, searchService.buildMatcher(query, { regex: true }))[0];
+
+    describe('buildMatcher', () => {
+        it('should escape literal queries', () => {
+            const matcher = searchService.buildMatcher('a.b');
+
+            expect(ranges('axb a.b', matcher)).toEqual([{ start: 4, end: 7 }]);
+        });
+
+        it('should ignore case unless case-sensitive', () => {
+            const insensitive = searchService.buildMatcher('foo');
+            const sensitive = searchService.buildMatcher('foo', { caseSensitive: true });
+
+            expect(searchService.findInLine('Foo foo', insensitive)).toHaveLength(2);
+            expect(ranges('Foo foo', sensitive)).toEqual([{ start: 4, end: 7 }]);
+        });
+
+        it('should only match whole words when requested', () => {
+            const matcher = searchService.buildMatcher('cat', { wholeWord: true });
+
+            expect(ranges('concat cat cats', matcher)).toEqual([{ start: 7, end: 10 }]);
+        });
+
+        it('should support regular expressions', () => {
+            const matcher = searchService.buildMatcher('\\d+', { regex: true });
+
+            expect(ranges('a1 b22', matcher)).toEqual([
+                { start: 1, end: 2 },
+                { start: 4, end: 6 }
+            ]);
+        });
+
+        it('should throw on invalid regular expressions', () => {
+            expect(() => searchService.buildMatcher('(', { regex: true })).toThrow(SyntaxError);
+        });
+    });
+
+    describe('findInLine', () => {
+        it('should skip zero-length matches', () => {
+            const matcher = searchService.buildMatcher('x*', { regex: true });
+
+            expect(ranges('axxb', matcher)).toEqual([{ start: 1, end: 3 }]);
+        });
+    });
+
+    describe('expandReplacement', () => {
+        it('should return the replacement as-is for literal searches', () => {
+            const found = searchService.findInLine('$1', searchService.buildMatcher('$1'))[0];
+
+            expect(searchService.expandReplacement(found, '$&x')).toBe('$&x');
+        });
+
+        it('should expand group references in regex mode', () => {
+            expect(searchService.expandReplacement(findFirst('me@host', '(\\w+)@(\\w+)'), '$2:$1', true)).toBe('host:me');
+        });
+
+        it('should expand named groups, the match, the text around it and $$', () => {
+            const found = findFirst('say hello there', '(?<word>h\\w+)');
+
+            expect(searchService.expandReplacement(found, '[$<word>|$&|$`|$\'|$$|$3|$<none>]', true))
+                .toBe('[hello|hello|say | there|$|$3|]');
+        });
+
+        it('should expand matches that depend on the text around them', () => {
+            const found = findFirst('ab', '(?<=a)(b)');
+
+            expect(found).toMatchObject({ start: 1, end: 2 });
+            expect(searchService.expandReplacement(found, 'X$1', true)).toBe('Xb');
+        });
+    });
+
+    describe('searchFiles', () => {
+        let root;
+
+        const write = (relativePath, content) => {
+            const filePath = path.join(root, relativePath);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content);
+        };
+
+        const collect = async (matcher) => {
+            const results = [];
+            for await (const result of searchService.searchFiles(root, matcher)) {
+                results.push(result);
+            }
+            return results;
+        };
+
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        it('should yield every match with its line and column', async () => {
+            write('a.txt', 'no\r\nneedle and needle');
+            write('sub/b.txt', 'needle');
+
+            const results = await collect(searchService.buildMatcher('needle'));
+
+            expect(results).toEqual([
+                { filePath: path.join(root, 'a.txt'), line: 1, column: 0, length: 6, text: 'needle and needle' },
+                { filePath: path.join(root, 'a.txt'), line: 1, column: 11, length: 6, text: 'needle and needle' },
+                { filePath: path.join(root, 'sub', 'b.txt'), line: 0, column: 0, length: 6, text: 'needle' }
+            ]);
+        });
+
+        it('should skip node_modules, .git and binary files', async () => {
+            write('node_modules/pkg/index.js', 'needle');
+            write('.git/HEAD', 'needle');
+            write('image.bin', Buffer.from([0x6e, 0x65, 0x65, 0x64, 0x6c, 0x65, 0x00]));
+
+            expect(await collect(searchService.buildMatcher('needle'))).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('./LoggingService');
+
+/**
+ * Keeps copies of unsaved buffers in ~/.turbollama/swap so edits survive a
+ * crash. Each file has one swap file, named after a hash of its absolute path;
+ * the swap holds the path, the lines and the on-disk format as JSON.
+ */
+class SwapService {
+    /**
+     * @param {string} [swapDir=~/.turbollama/swap] - Directory the swap files are kept in
+     */
+    constructor(swapDir = path.join(os.homedir(), '.turbollama', 'swap')) {
+        /** @private */
+        this.swapDir = swapDir;
+    }
+
+    /**
+     * Gets the swap file used for a file
+     * @param {string} fileName - Path to the edited file
+     * @returns {string} Path to its swap file
+     */
+    getSwapPath(fileName) {
+        const filePath = path.resolve(process.cwd(), fileName);
+        const hash = crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 16);
+        return path.join(this.swapDir, `${path.basename(filePath)}.${hash}.swp`);
+    }
+
+    /**
+     * Writes the current content of a file to its swap file. The swap is
+     * replaced by renaming, so a crash while writing keeps the previous one.
+     * @param {EditFile} editFile - The file to back up; must have a name
+     * @returns {Promise<void>}
+     */
+    async write(editFile) {
+        const swapPath = this.getSwapPath(editFile.fileName);
+        const data = JSON.stringify({
+            filePath: path.resolve(process.cwd(), editFile.fileName),
+            format: editFile.format,
+            lines: editFile.getLines()
+        });
+
+        await fs.mkdir(this.swapDir, { recursive: true });
+        const tempPath = `${swapPath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, data, { mode: 0o600 });
+        await fs.rename(tempPath, swapPath);
+    }
+
+    /**
+     * Reads the swap file of a file
+     * @param {string} fileName - Path to the edited file
+     * @returns {Promise<{filePath: string, format: Object, lines: string[], mtimeMs: number}|null>}
+     *   The saved content, or null if there is no readable swap
+     */
+    async read(fileName) {
+        const swapPath = this.getSwapPath(fileName);
+        try {
+            const [data, stats] = await Promise.all([fs.readFile(swapPath, 'utf8'), fs.stat(swapPath)]);
+            const swap = JSON.parse(data);
+            if (!Array.isArray(swap.lines)) {
+                throw new Error('no lines');
+            }
+            return { ...swap, mtimeMs: stats.mtimeMs };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('SwapService', `Ignoring unreadable swap file ${swapPath}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Finds a swap file left behind for a file, e.g. by a crash. Swaps older
+     * than the file, or with the same content, are of no use and are removed.
+     * @param {EditFile} editFile - The file as loaded from disk
+     * @returns {Promise<Object|null>} The swap as returned by read, or null if there is nothing to recover
+     */
+    async findRecoverable(editFile) {
+        const swap = await this.read(editFile.fileName);
+        if (!swap) return null;
+
+        const diskState = editFile.diskState;
+        const newer = !diskState || swap.mtimeMs > diskState.mtimeMs;
+        const differs = swap.lines.join('\n') !== editFile.getText();
+        if (newer && differs) {
+            return swap;
+        }
+
+        await this.remove(editFile.fileName);
+        return null;
+    }
+
+    /**
+     * Deletes the swap file of a file, if there is one
+     * @param {string} fileName - Path to the edited file
+     * @returns {Promise<void>}
+     */
+    async remove(fileName) {
+        try {
+            await fs.unlink(this.getSwapPath(fileName));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = SwapService;
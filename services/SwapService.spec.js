@@ -0,0 +1,93 @@
+const SwapService = require('./SwapService');
+const EditFile = require('../models/EditFile');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./LoggingService', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+describe('SwapService', () => {
+    let dir;
+    let swapDir;
+    let filePath;
+    let swapService;
+
+    const loadedFile = (lines, mtimeMs) => {
+        const editFile = new EditFile(filePath, lines);
+        editFile.diskState = { mtimeMs, size: 0 };
+        return editFile;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swapservice-'));
+        swapDir = path.join(dir, 'swap');
+        filePath = path.join(dir, 'notes.txt');
+        swapService = new SwapService(swapDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should key swap files by absolute path', () => {
+        const swapPath = swapService.getSwapPath(filePath);
+
+        expect(path.dirname(swapPath)).toBe(swapDir);
+        expect(path.basename(swapPath)).toMatch(/^notes\.txt\.[0-9a-f]{16}\.swp$/);
+        expect(swapService.getSwapPath(path.join(dir, 'sub', '..', 'notes.txt'))).toBe(swapPath);
+        expect(swapService.getSwapPath(path.join(dir, 'other', 'notes.txt'))).not.toBe(swapPath);
+    });
+
+    it('should write and read back the content and format', async () => {
+        const editFile = new EditFile(filePath, ['one', 'two'], { lineEnding: 'crlf' });
+
+        await swapService.write(editFile);
+        const swap = await swapService.read(filePath);
+
+        expect(swap.filePath).toBe(filePath);
+        expect(swap.lines).toEqual(['one', 'two']);
+        expect(swap.format.lineEnding).toBe('crlf');
+        expect(swap.mtimeMs).toBe(fs.statSync(swapService.getSwapPath(filePath)).mtimeMs);
+        expect(fs.readdirSync(swapDir)).toEqual([path.basename(swapService.getSwapPath(filePath))]);
+    });
+
+    it('should ignore missing and unreadable swap files', async () => {
+        expect(await swapService.read(filePath)).toBeNull();
+
+        fs.mkdirSync(swapDir);
+        fs.writeFileSync(swapService.getSwapPath(filePath), '{"lines": ');
+        expect(await swapService.read(filePath)).toBeNull();
+    });
+
+    it('should offer swap files newer than the file with different content', async () => {
+        await swapService.write(new EditFile(filePath, ['edited']));
+
+        const swap = await swapService.findRecoverable(loadedFile(['original'], 0));
+
+        expect(swap.lines).toEqual(['edited']);
+    });
+
+    it('should remove swap files that are older than the file or hold the same content', async () => {
+        await swapService.write(new EditFile(filePath, ['edited']));
+        expect(await swapService.findRecoverable(loadedFile(['original'], Date.now() + 60000))).toBeNull();
+        expect(await swapService.read(filePath)).toBeNull();
+
+        await swapService.write(new EditFile(filePath, ['same']));
+        expect(await swapService.findRecoverable(loadedFile(['same'], 0))).toBeNull();
+        expect(await swapService.read(filePath)).toBeNull();
+    });
+
+    it('should remove swap files', async () => {
+        await swapService.write(new EditFile(filePath, ['edited']));
+
+        await swapService.remove(filePath);
+        await swapService.remove(filePath);
+
+        expect(await swapService.read(filePath)).toBeNull();
+    });
+});
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const configService = require('./ConfigService');
+const logger = require('./LoggingService');
+
+/**
+ * Service for the color theme named by the `theme` setting. Themes are JSON
+ * files in ~/.turbollama/themes (e.g. solarized.json for "solarized") whose
+ * sections are merged over the built-in default theme:
+ *
+ * - window, explorer, prompt, search: fg, bg, border and focusBorder of the windows
+ * - menu: colors of the menu bar and its dropdowns
+ * - tabBar, statusBar: fg and bg of the tab strip under the menu bar and of
+ *   the status line at the bottom
+ * - activeTab, statusError, selection, searchMatch, gutter, gutterCurrent: fg,
+ *   bg, bold, underline and inverse of the current tab, of error messages, of
+ *   editor overlays and of the line numbers (gutterCurrent for the cursor line)
+ * - syntax: replacements for nanorc color names, e.g. { "brightred": "#ff5555" }
+ *
+ * A color is a blessed color name, a 256-color palette index or a #rrggbb
+ * value. A list of colors picks the first one the terminal can show, so
+ * ["#268bd2", 33, "blue"] works on truecolor, 256-color and 16-color terminals.
+ */
+class ThemeService {
+    /**
+     * @param {string} [themesDir=~/.turbollama/themes] - Directory the theme files are kept in
+     */
+    constructor(themesDir = path.join(os.homedir(), '.turbollama', 'themes')) {
+        /** @private */
+        this.themesDir = themesDir;
+        /** Name of the theme in use */
+        this.name = 'default';
+        /** @private The merged theme */
+        this.theme = ThemeService._merge(ThemeService.DEFAULT_THEME, {});
+        /**
+         * Incremented whenever the theme changes, so caches can tell they are stale
+         * @type {number}
+         */
+        this.version = 0;
+        /** @private Number of colors the terminal can show: 16, 256 or 16777216 */
+        this.colorDepth = ThemeService._detectColorDepth(process.env);
+        /** @private Functions called when the theme changes */
+        this.changeListeners = [];
+
+        // Apply the theme setting when it is loaded or changed
+        configService.onChange((key, value) => {
+            if (key === 'theme') {
+                this.load(value).catch(error => {
+                    logger.error('ThemeService', `Error applying theme ${value}: ${error.message}`);
+                });
+            }
+        });
+    }
+
+    /**
+     * Switches to a theme and tells the listeners. A theme that cannot be
+     * read is reported and replaced by the default theme.
+     * @param {string} name - The theme name; 'default' or empty for the built-in theme
+     * @returns {Promise<void>}
+     */
+    async load(name) {
+        let theme = {};
+        let loadedName = 'default';
+        if (name && name !== 'default') {
+            const themePath = path.join(this.themesDir, `${name}.json`);
+            try {
+                theme = JSON.parse(await fs.readFile(themePath, 'utf8'));
+                loadedName = name;
+            } catch (error) {
+                logger.error('ThemeService', `Could not load theme ${themePath}: ${error.message}`);
+            }
+        }
+
+        this.name = loadedName;
+        this.theme = ThemeService._merge(ThemeService.DEFAULT_THEME, theme);
+        this.version++;
+        logger.info('ThemeService', `Using theme ${this.name}`);
+
+        for (const listener of this.changeListeners) {
+            try {
+                await listener(this);
+            } catch (error) {
+                logger.error('ThemeService', `Error applying theme: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Registers a function called after the theme changed
+     * @param {Function} listener - Called with the ThemeService
+     * @returns {Function} Call to stop listening
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Gets the colors of a section with every color resolved for the terminal
+     * @param {string} section - e.g. 'window' or 'menu'
+     * @returns {Object} The section; empty if the theme has no such section
+     */
+    getColors(section) {
+        const colors = {};
+        for (const [key, value] of Object.entries(this.theme[section] || {})) {
+            colors[key] = typeof value === 'boolean' ? value : this.resolveColor(value);
+        }
+        return colors;
+    }
+
+    /**
+     * Gets blessed tags drawing text in the style of a section, such as 'selection'
+     * @param {string} section - A section with fg, bg, bold, underline or inverse
+     * @returns {{open: string, close: string}} The tags
+     */
+    getTags(section) {
+        const colors = this.getColors(section);
+        const names = ['bold', 'underline', 'inverse'].filter(attribute => colors[attribute] === true);
+        if (colors.bg !== null && colors.bg !== undefined) names.push(`${colors.bg}-bg`);
+        if (colors.fg !== null && colors.fg !== undefined) names.push(`${colors.fg}-fg`);
+        return {
+            open: names.map(name => `{${name}}`).join(''),
+            close: names.reverse().map(name => `{/${name}}`).join('')
+        };
+    }
+
+    /**
+     * Gets the color a nanorc color name is replaced with
+     * @param {string} name - The lowercase nanorc color name, e.g. 'brightred'
+     * @returns {string|null} The blessed color, or null to keep the name
+     */
+    mapSyntaxColor(name) {
+        const replacement = (this.theme.syntax || {})[name];
+        if (replacement === undefined) return null;
+        const color = this.resolveColor(replacement);
+        return color === null ? null : String(color);
+    }
+
+    /**
+     * Picks the color to use for a theme value
+     * @param {string|number|Array} value - A color or a list of alternatives
+     * @returns {string|number|null} The first color the terminal supports, the
+     *   last alternative if it supports none, or null for no color
+     */
+    resolveColor(value) {
+        if (!Array.isArray(value)) {
+            return value === undefined || value === '' ? null : value;
+        }
+        if (value.length === 0) return null;
+        return value.find(color => this._isSupported(color)) ?? value[value.length - 1];
+    }
+
+    /**
+     * @param {string|number} color - One color
+     * @returns {boolean} Whether the terminal can show it without approximation
+     * @private
+     */
+    _isSupported(color) {
+        if (typeof color === 'number') {
+            return color < 16 || this.colorDepth >= 256;
+        }
+        if (typeof color === 'string' && color.startsWith('#')) {
+            return this.colorDepth >= 256;
+        }
+        return true;
+    }
+
+    /**
+     * Tells how many colors the terminal supports from its environment
+     * @param {Object} env - Environment variables, e.g. process.env
+     * @returns {number} 16777216, 256 or 16
+     * @private
+     */
+    static _detectColorDepth(env) {
+        if (/^(truecolor|24bit)$/i.test(env.COLORTERM || '')) return 16777216;
+        if (/256/.test(env.TERM || '')) return 256;
+        return 16;
+    }
+
+    /**
+     * Merges a theme over another, section by section
+     * @param {Object} base - The theme merged into
+     * @param {Object} theme - The theme whose values win
+     * @returns {Object} A new theme
+     * @private
+     */
+    static _merge(base, theme) {
+        const merged = {};
+        for (const section of new Set([...Object.keys(base), ...Object.keys(theme)])) {
+            const value = theme[section];
+            merged[section] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...base[section], ...value }
+                : { ...base[section] };
+        }
+        return merged;
+    }
+}
+
+/** The built-in theme, which theme files are merged over */
+ThemeService.DEFAULT_THEME = {
+    window: { fg: 'white', bg: 'blue', border: 'yellow', focusBorder: 'white' },
+    explorer: { fg: 'white', bg: 'black', border: 'blue', focusBorder: 'brightBlue', scrollbarFg: 'white', scrollbarBg: 'blue' },
+    prompt: { fg: 'white', bg: 'black', border: 'green', focusBorder: 'brightGreen' },
+    search: { fg: 'white', bg: 'black', border: 'magenta', focusBorder: 'white' },
+    menu: { fg: 'black', bg: 'grey', hoverBg: 'blue', selectedBg: 'blue', dropdownFg: 'white', dropdownBg: 'grey', dropdownSelectedFg: 'red' },
+    tabBar: { fg: 'white', bg: 'black' },
+    activeTab: { fg: 'black', bg: 'cyan' },
+    statusBar: { fg: 'black', bg: 'white' },
+    statusError: { fg: 'white', bg: 'red', bold: true },
+    selection: { inverse: true },
+    searchMatch: { fg: 'black', bg: 'yellow' },
+    gutter: { fg: 'cyan' },
+    gutterCurrent: { fg: 'yellow', bold: true },
+    syntax: {}
+};
+
+// Create a singleton instance so every window and highlighter shares the theme
+const themeService = new ThemeService();
+
+module.exports = themeService;
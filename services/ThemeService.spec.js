@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./ConfigService', () => ({
+    onChange: jest.fn()
+}));
+
+jest.mock('./LoggingService', () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    error: jest.fn()
+}));
+
+const configService = require('./ConfigService');
+const logger = require('./LoggingService');
+
+describe('ThemeService', () => {
+    let themeService;
+    let dir;
+
+    const writeTheme = (name, theme) => {
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(theme));
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.isolateModules(() => {
+            themeService = require('./ThemeService');
+        });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'themes-'));
+        themeService.themesDir = dir;
+        themeService.colorDepth = 256;
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should start with the built-in colors', () => {
+        expect(themeService.name).toBe('default');
+        expect(themeService.getColors('window')).toEqual({ fg: 'white', bg: 'blue', border: 'yellow', focusBorder: 'white' });
+        expect(themeService.getTags('selection')).toEqual({ open: '{inverse}', close: '{/inverse}' });
+        expect(themeService.getTags('searchMatch')).toEqual({ open: '{yellow-bg}{black-fg}', close: '{/black-fg}{/yellow-bg}' });
+        expect(themeService.mapSyntaxColor('red')).toBeNull();
+    });
+
+    it('should merge a theme file over the default theme and tell the listeners', async () => {
+        writeTheme('dark', {
+            window: { bg: 'black' },
+            selection: { inverse: false, bg: 238 },
+            syntax: { brightred: '#ff5555' }
+        });
+        const listener = jest.fn();
+        themeService.onChange(listener);
+
+        await themeService.load('dark');
+
+        expect(themeService.name).toBe('dark');
+        expect(themeService.version).toBe(1);
+        expect(themeService.getColors('window')).toEqual({ fg: 'white', bg: 'black', border: 'yellow', focusBorder: 'white' });
+        expect(themeService.getTags('selection')).toEqual({ open: '{238-bg}', close: '{/238-bg}' });
+        expect(themeService.mapSyntaxColor('brightred')).toBe('#ff5555');
+        expect(listener).toHaveBeenCalledWith(themeService);
+    });
+
+    it('should pick the first color the terminal supports', async () => {
+        writeTheme('solarized', { window: { bg: ['#002b36', 234, 'black'] } });
+        await themeService.load('solarized');
+
+        themeService.colorDepth = 16777216;
+        expect(themeService.getColors('window').bg).toBe('#002b36');
+
+        themeService.colorDepth = 16;
+        expect(themeService.getColors('window').bg).toBe('black');
+        expect(themeService.resolveColor([234, '#1c1c1c'])).toBe('#1c1c1c');
+    });
+
+    it('should fall back to the default theme when a theme cannot be read', async () => {
+        writeTheme('dark', { window: { bg: 'black' } });
+        await themeService.load('dark');
+
+        await themeService.load('missing');
+
+        expect(themeService.name).toBe('default');
+        expect(themeService.getColors('window').bg).toBe('blue');
+        expect(logger.error).toHaveBeenCalledWith('ThemeService', expect.stringContaining('missing.json'));
+    });
+
+    it('should load the theme when the theme setting changes', async () => {
+        writeTheme('dark', { window: { bg: 'black' } });
+        const listener = jest.fn();
+        themeService.onChange(listener);
+
+        const [settingListener] = configService.onChange.mock.calls[0];
+        settingListener('fontSize', 14);
+        settingListener('theme', 'dark');
+        await new Promise(resolve => themeService.onChange(resolve));
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(themeService.getColors('window').bg).toBe('black');
+    });
+
+    it('should stop calling a listener once unsubscribed', async () => {
+        const listener = jest.fn();
+        const unsubscribe = themeService.onChange(listener);
+
+        unsubscribe();
+        await themeService.load('default');
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,127 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const DiffService = require('./DiffService');
+const FileService = require('./FileService');
+const logger = require('./LoggingService');
+
+/**
+ * Service for finding the lines of a file that changed since the last git
+ * commit, shown as markers in the gutter of its windows
+ */
+class VcsService {
+    /**
+     * @param {DiffService} [diffService] - Service used to compare the lines
+     * @param {FileService} [fileService] - Service splitting the committed text into lines as files are loaded
+     */
+    constructor(diffService = new DiffService(), fileService = new FileService()) {
+        this.diffService = diffService;
+        this.fileService = fileService;
+    }
+
+    /**
+     * Gets gutter markers for the lines of a file that differ from its version
+     * in the HEAD commit: added, modified, and lines next to removed ones
+     * @param {string} fileName - The file
+     * @param {string[]} lines - The current lines of the file
+     * @returns {Promise<Array<{line: number, symbol: string, color: string}>|null>} The markers,
+     *   or null if the file is not tracked by git
+     */
+    async getChangeMarkers(fileName, lines) {
+        const text = await this._readHead(fileName);
+        if (text === null) return null;
+        // Split like a loaded file, whose final newline is not a line of its own
+        const { lines: committed } = this.fileService.splitLines(text.replace(/^\uFEFF/, ''));
+        return this.getMarkers(committed, lines);
+    }
+
+    /**
+     * Gets gutter markers for the differences between two versions of a file
+     * @param {string[]} oldLines - The committed lines
+     * @param {string[]} newLines - The current lines
+     * @returns {Array<{line: number, symbol: string, color: string}>} The markers, by line of newLines
+     */
+    getMarkers(oldLines, newLines) {
+        // Only the part between the common start and end is diffed, which keeps it cheap for small edits
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const oldMiddle = oldLines.slice(start, oldEnd);
+        const newMiddle = newLines.slice(start, newEnd);
+        // Too large a change takes too long to diff, so it is shown as modified as a whole
+        const ops = oldMiddle.length + newMiddle.length > VcsService.MAX_DIFF_LINES
+            ? [...oldMiddle.map(line => ({ type: '-', line })), ...newMiddle.map(line => ({ type: '+', line }))]
+            : this.diffService.diffLines(oldMiddle, newMiddle);
+
+        const markers = [];
+        let line = start;
+        let index = 0;
+        while (index < ops.length) {
+            if (ops[index].type === ' ') {
+                line++;
+                index++;
+                continue;
+            }
+
+            // A run of changes: its first added lines replace the removed ones, the rest are new
+            let removed = 0;
+            let added = 0;
+            for (; index < ops.length && ops[index].type !== ' '; index++) {
+                if (ops[index].type === '-') removed++;
+                else added++;
+            }
+            for (let i = 0; i < added; i++) {
+                markers.push({ line: line + i, ...(i < removed ? VcsService.MODIFIED : VcsService.ADDED) });
+            }
+            if (added === 0) {
+                // Removed lines are marked on the line that follows them, or the last line
+                markers.push({ line: Math.min(line, newLines.length - 1), ...VcsService.REMOVED });
+            }
+            line += added;
+        }
+        return markers;
+    }
+
+    /**
+     * @private
+     * Reads the version of a file in the HEAD commit of its repository
+     * @param {string} fileName - The file
+     * @returns {Promise<string|null>} The committed text, or null if there is none
+     */
+    _readHead(fileName) {
+        const filePath = path.resolve(fileName);
+        return new Promise((resolve) => {
+            execFile('git', ['-C', path.dirname(filePath), 'show', `HEAD:./${path.basename(filePath)}`],
+                { timeout: VcsService.GIT_TIMEOUT, maxBuffer: VcsService.MAX_FILE_SIZE }, (error, stdout) => {
+                    if (error) {
+                        // Not a repository, not committed, or git is not installed
+                        logger.debug('VcsService', `No committed version of ${filePath}: ${error.message.split('\n')[0]}`);
+                        resolve(null);
+                    } else {
+                        resolve(stdout);
+                    }
+                });
+        });
+    }
+}
+
+/** Milliseconds git may take to show a file */
+VcsService.GIT_TIMEOUT = 5000;
+/** Largest committed version read, in bytes; bigger files get no markers */
+VcsService.MAX_FILE_SIZE = 16 * 1024 * 1024;
+/** Changed lines beyond which the change is not diffed line by line */
+VcsService.MAX_DIFF_LINES = 2000;
+
+/** Markers for added, modified and removed lines */
+VcsService.ADDED = { symbol: '+', color: 'green' };
+VcsService.MODIFIED = { symbol: '~', color: 'blue' };
+VcsService.REMOVED = { symbol: '-', color: 'red' };
+
+module.exports = VcsService;
@@ -0,0 +1,91 @@
+const VcsService = require('./VcsService');
+const FileService = require('./FileService');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('child_process', () => ({
+    execFile: jest.fn()
+}));
+jest.mock('./LoggingService', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { execFile } = require('child_process');
+
+describe('VcsService', () => {
+    let vcsService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        vcsService = new VcsService();
+    });
+
+    describe('getMarkers', () => {
+        const marked = markers => markers.map(({ line, symbol }) => `${line}${symbol}`);
+
+        it('should mark nothing for equal lines', () => {
+            expect(vcsService.getMarkers(['a', 'b', ''], ['a', 'b', ''])).toEqual([]);
+        });
+
+        it('should mark added and modified lines', () => {
+            const markers = vcsService.getMarkers(['a', 'b', 'c', ''], ['a', 'B', 'new', 'c', 'd', '']);
+
+            expect(marked(markers)).toEqual(['1~', '2+', '4+']);
+            expect(markers[0].color).toBe('blue');
+            expect(markers[1].color).toBe('green');
+        });
+
+        it('should mark removed lines on the line after them, or the last line', () => {
+            expect(marked(vcsService.getMarkers(['a', 'b', 'c'], ['a', 'c']))).toEqual(['1-']);
+            expect(marked(vcsService.getMarkers(['a', 'b', 'c'], ['a']))).toEqual(['0-']);
+        });
+
+        it('should mark a change too large to diff as modified as a whole', () => {
+            const diffLines = jest.spyOn(vcsService.diffService, 'diffLines');
+            const oldLines = Array.from({ length: VcsService.MAX_DIFF_LINES }, (_, i) => `old ${i}`);
+            const newLines = ['kept', ...oldLines.map(line => line.toUpperCase()), 'new'];
+
+            const markers = vcsService.getMarkers(['kept', ...oldLines], newLines);
+            expect(diffLines).not.toHaveBeenCalled();
+            expect(markers).toHaveLength(VcsService.MAX_DIFF_LINES + 1);
+            expect(markers[0]).toEqual({ line: 1, ...VcsService.MODIFIED });
+            expect(markers[markers.length - 1]).toEqual({ line: VcsService.MAX_DIFF_LINES + 1, ...VcsService.ADDED });
+        });
+    });
+
+    describe('getChangeMarkers', () => {
+        it('should compare the lines with the version of the file in HEAD', async () => {
+            execFile.mockImplementation((command, args, options, callback) => callback(null, '\uFEFFa\r\nb\r\n'));
+
+            const markers = await vcsService.getChangeMarkers('/repo/src/file.txt', ['a', 'c']);
+            expect(execFile).toHaveBeenCalledWith('git', ['-C', path.resolve('/repo/src'), 'show', 'HEAD:./file.txt'],
+                expect.any(Object), expect.any(Function));
+            expect(markers).toEqual([{ line: 1, ...VcsService.MODIFIED }]);
+        });
+
+        it('should mark nothing for an unchanged committed file', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vcsservice-'));
+            const filePath = path.join(dir, 'file.txt');
+            fs.writeFileSync(filePath, 'a\nb\n');
+            execFile.mockImplementation((command, args, options, callback) => callback(null, 'a\nb\n'));
+            try {
+                const editFile = await new FileService().getTextFile(filePath);
+
+                await expect(vcsService.getChangeMarkers(filePath, editFile.getLines())).resolves.toEqual([]);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should give null for files git does not know', async () => {
+            execFile.mockImplementation((command, args, options, callback) =>
+                callback(new Error("fatal: path 'file.txt' exists on disk, but not in 'HEAD'"), ''));
+
+            await expect(vcsService.getChangeMarkers('/repo/file.txt', ['a'])).resolves.toBeNull();
+        });
+    });
+});
@@ -5,12 +5,33 @@ const WindowFactory = require('../factories/WindowFactory');
 const AIPrompt = require('../models/windows/AIPrompt');
 const SettingsWindow = require('../models/windows/SettingsWindow');
 const FileExplorer = require('../models/windows/FileExplorer');
+const SearchWindow = require('../models/windows/SearchWindow');
+const FileService = require('./FileService');
+const SwapService = require('./SwapService');
+const VcsService = require('./VcsService');
+const EditFile = require('../models/EditFile');
+const LayoutTree = require('../models/LayoutTree');
+const configService = require('./ConfigService');
+const themeService = require('./ThemeService');
+const NoticeBar = require('../modals/NoticeBar');
+const TabBar = require('../modals/TabBar');
+const StatusBar = require('../modals/StatusBar');
+const path = require('path');
 const logger = require('./LoggingService');
 /** @typedef {import('../interfaces/IWindow').IWindow} IWindow */
 
 class WindowService {
-    constructor(screen) {
+    /**
+     * @param {Object} screen - The blessed screen instance
+     * @param {FileService} [fileService] - Service used to load opened files
+     * @param {SwapService} [swapService] - Service keeping swap files of unsaved buffers
+     * @param {VcsService} [vcsService] - Service finding the lines changed since the last commit
+     */
+    constructor(screen, fileService = new FileService(), swapService = new SwapService(), vcsService = new VcsService()) {
         this.screen = screen;
+        this.fileService = fileService;
+        this.swapService = swapService;
+        this.vcsService = vcsService;
         this.windowFactory = new WindowFactory();
         
         /** @type {Array<{window: IWindow, element: any}>} */
@@ -20,8 +41,54 @@ class WindowService {
         this.currentWindow = null;
         this.insert = true;  // Initialize insert mode to true
         
+        /** @private Watchers of files opened with openFile, by window */
+        this.fileWatchers = new Map();
+        /** @private The notice about a modified file that changed on disk, if one is shown */
+        this.changeNotice = null;
+        
+        /**
+         * Called with (window, swap) when a file opened with openFile has a swap
+         * file left from an earlier session. Set by EventController, which owns
+         * the modals; without it the swap is kept for later.
+         * @type {Function|null}
+         */
+        this.recoveryHandler = null;
+        /** @private Name and version of each file whose swap file was written, by EditFile */
+        this.swappedFiles = new Map();
+        /** @private Version of each modified file whose changes were discarded, so no swap file is written for it */
+        this.discardedVersions = new WeakMap();
+        
+        /**
+         * Panes of the editor area. Every window other than the file explorer,
+         * the AI prompt and the search window is either shown in a pane or hidden.
+         * @private
+         */
+        this.layout = new LayoutTree();
+        /** @private The window of the pane that windows are opened in */
+        this.activePane = null;
+        /** @private Change listeners of files shown in more than one window, by EditFile */
+        this.sharedFiles = new Map();
+        /** @private Windows to redraw because their file was changed in another window */
+        this.staleViews = new Set();
+        /** @private Pending redraw of the stale views */
+        this.viewRedraw = null;
+        
+        // Back up unsaved buffers regularly; the timer must not keep the process alive
+        this.swapTimer = setInterval(() => this.updateSwapFiles(),
+            configService.get('editor.swapInterval', 2000));
+        this.swapTimer.unref();
+        
         // The top menu bar height
         this.menuBarHeight = 1;
+        // The tab bar under the menu bar, with a tab per open buffer
+        this.tabBarHeight = 1;
+        this.tabBar = new TabBar(this.screen, {
+            top: this.menuBarHeight,
+            onSelect: index => this.showBuffer(index)
+        });
+        // The status line at the bottom of the screen
+        this.statusBarHeight = 1;
+        this.statusBar = new StatusBar(this.screen);
 
         // make sure the terminal cursor is visible
         this.screen.program.showCursor();
@@ -31,6 +98,15 @@ class WindowService {
             await this.recalculateLayout();
         });
         
+        // Recolor the windows when the theme changes
+        themeService.onChange(() => this.applyTheme());
+        // Redraw the windows when editor settings such as line numbers change
+        configService.onChange(key => {
+            if (key === 'editor') {
+                this.recalculateLayout();
+            }
+        });
+        
         // Create an initial empty window with all four sides anchored
         // This ensures it will always fill the entire available space
         this.addWindow(this.windowFactory.createEmptyWindow(this, true, true, true, true));
@@ -76,6 +152,12 @@ class WindowService {
         // Add window to our collection
         this.windows.push({ window, element });
         
+        // Windows of the editor area open in the active pane, hiding the one shown there
+        if (this._isPaneWindow(window) && !this.layout.has(window)) {
+            this.layout.replace(this._getActivePane(), window);
+            this.activePane = window;
+        }
+        
         // If this is the first window, make it the current window
         if (!this.currentWindow) {
             this.currentWindow = window;
@@ -129,6 +211,31 @@ class WindowService {
         
         if (index >= 0) {
             const { element } = this.windows[index];
+            const file = window.currentFile;
+            const otherView = file && this.windows.find(w => w.window !== window && w.window.currentFile === file);
+            
+            // Let the window stop any background work; a file still shown elsewhere stays open
+            if (typeof window.dispose === 'function') {
+                window.dispose(!otherView);
+            }
+            const watched = this.fileWatchers.has(window);
+            this._unwatchFile(window);
+            if (watched && otherView) {
+                this._watchFile(otherView.window, file.fileName);
+            }
+            
+            // Close the pane, or show another hidden window in it if it is the only one
+            let paneWindow = null;
+            if (this.layout.has(window)) {
+                const hidden = this.windows.filter(w => w.window !== window &&
+                    this._isPaneWindow(w.window) && !this.layout.has(w.window));
+                if (this.layout.getWindows().length > 1 || hidden.length === 0) {
+                    paneWindow = this.layout.remove(window);
+                } else {
+                    paneWindow = hidden[hidden.length - 1].window;
+                    this.layout.replace(window, paneWindow);
+                }
+            }
             
             // Remove the element from the screen
             logger.debug('WindowService', 'Detaching element from screen');
@@ -137,12 +244,15 @@ class WindowService {
             // Remove from our collection
             logger.debug('WindowService', `Removing window from collection at index ${index}`);
             this.windows.splice(index, 1);
+            if (file) {
+                this._releaseSharedFile(file);
+            }
             
             // If this was the current window, focus another window
             if (this.currentWindow === window) {
                 logger.debug('WindowService', 'This was the current window, focusing another window');
                 if (this.windows.length > 0) {
-                    this.focusWindow(this.windows[0].window);
+                    this.focusWindow(paneWindow || this.windows[0].window);
                 } else {
                     this.currentWindow = null;
                 }
@@ -166,6 +276,15 @@ class WindowService {
      */
     focusWindow(window) {
         if (window && this.windows.some(w => w.window === window)) {
+            // A hidden window of the editor area is shown in the active pane
+            if (this._isPaneWindow(window) && !this.layout.has(window)) {
+                this.layout.replace(this._getActivePane(), window);
+                this.recalculateLayout();
+            }
+            if (this.layout.has(window)) {
+                this.activePane = window;
+            }
+            
             // Switch current window
             this.currentWindow = window;
             
@@ -193,6 +312,39 @@ class WindowService {
         }
     }
     
+    /**
+     * Applies the current theme to every window and redraws them
+     * @returns {Promise<void>}
+     */
+    async applyTheme() {
+        for (const { window, element } of this.windows) {
+            if (typeof window.applyTheme !== 'function') continue;
+            window.applyTheme(element);
+            
+            const style = element && element.style;
+            if (!style) continue;
+            style.bg = window.backgroundColor;
+            style.fg = window.foregroundColor;
+            if (style.border) {
+                style.border.fg = window === this.currentWindow ? window.focusBorderColor : window.borderColor;
+                if (style.border.bg !== undefined) style.border.bg = window.backgroundColor;
+            }
+            if (style.focus && style.focus.border) {
+                style.focus.border.fg = window.focusBorderColor;
+            }
+            if (style.track) {
+                style.track.bg = window.backgroundColor;
+            }
+        }
+        
+        for (const { window } of this.windows) {
+            if (typeof window.redraw === 'function') {
+                await window.redraw();
+            }
+        }
+        this.screen.render();
+    }
+    
     /**
      * Recalculates the layout of all windows
      * @returns {Promise<void>}
@@ -203,14 +355,18 @@ class WindowService {
         // Get screen dimensions
         const screenWidth = this.screen.width;
         const screenHeight = this.screen.height;
-        const menuBarHeight = this.menuBarHeight;
+        // Windows start under the menu bar and the tab bar, and end above the status line
+        const menuBarHeight = this.menuBarHeight + this.tabBarHeight;
+        const bottom = screenHeight - this.statusBarHeight;
         
         // Find specific window types
         const fileExplorerEntries = this.windows.filter(entry => entry.window instanceof FileExplorer);
         const aiPromptEntries = this.windows.filter(entry => entry.window instanceof AIPrompt);
+        const searchWindowEntries = this.windows.filter(entry => entry.window instanceof SearchWindow);
         const otherWindows = this.windows.filter(entry => 
             !(entry.window instanceof FileExplorer) && 
-            !(entry.window instanceof AIPrompt));
+            !(entry.window instanceof AIPrompt) &&
+            !(entry.window instanceof SearchWindow));
         
         // Log window counts
         logger.debug('WindowService', `Window counts - FileExplorers: ${fileExplorerEntries.length}, AIPrompts: ${aiPromptEntries.length}, Others: ${otherWindows.length}`);
@@ -223,7 +379,7 @@ class WindowService {
                 element.top = menuBarHeight;
                 element.left = 0;
                 element.width = window.width || 30; // Default width if not specified
-                element.height = screenHeight - menuBarHeight;
+                element.height = bottom - menuBarHeight;
                 
                 fileExplorerWidth = element.width;
             }
@@ -235,7 +391,7 @@ class WindowService {
             for (const { window, element } of aiPromptEntries) {
                 // Calculate dimensions
                 element.height = window.height || 3; // Default height if not specified
-                element.top = screenHeight - element.height;
+                element.top = bottom - element.height;
                 element.left = fileExplorerWidth; // Start after FileExplorer
                 element.width = screenWidth - fileExplorerWidth;
                 
@@ -243,27 +399,36 @@ class WindowService {
             }
         }
         
-        // Step 3: Place other windows in remaining space
-        const hasAIPrompt = aiPromptEntries.length > 0;
-        const hasFileExplorer = fileExplorerEntries.length > 0;
+        // Step 3: Place SearchWindow if present (at bottom, above AIPrompt)
+        let searchWindowHeight = 0;
+        for (const { window, element } of searchWindowEntries) {
+            element.height = window.height || 12;
+            element.top = bottom - aiPromptHeight - element.height;
+            element.left = fileExplorerWidth;
+            element.width = screenWidth - fileExplorerWidth;
+            
+            searchWindowHeight = element.height;
+        }
+        
+        // Step 4: Divide the remaining space between the panes; windows not in a pane are hidden
+        const paneAreas = this.layout.layout({
+            left: fileExplorerWidth,
+            top: menuBarHeight,
+            width: screenWidth - fileExplorerWidth,
+            height: bottom - menuBarHeight - aiPromptHeight - searchWindowHeight
+        });
         
         for (const { window, element } of otherWindows) {
-            // Default to full screen (minus menu bar)
-            element.top = menuBarHeight;
-            element.left = 0;
-            element.width = screenWidth;
-            element.height = screenHeight - menuBarHeight;
-            
-            // Adjust for FileExplorer if present
-            if (hasFileExplorer) {
-                element.left = fileExplorerWidth;
-                element.width = screenWidth - fileExplorerWidth;
-            }
-            
-            // Adjust for AIPrompt if present
-            if (hasAIPrompt) {
-                element.height = screenHeight - menuBarHeight - aiPromptHeight;
+            const area = paneAreas.get(window);
+            if (!area) {
+                element.hide();
+                continue;
             }
+            element.top = area.top;
+            element.left = area.left;
+            element.width = area.width;
+            element.height = area.height;
+            element.show();
         }
         
         // Log final window positions
@@ -275,29 +440,184 @@ class WindowService {
                 `${type}: pos(${element.left},${element.top}) size(${element.width}x${element.height})`);
         }
         
-        // Redraw all windows
-        for (const { window } of this.windows) {
-            await window.redraw();
+        // Redraw all visible windows
+        for (const { window, element } of this.windows) {
+            if (!element.hidden) {
+                await window.redraw();
+            }
         }
         
         // Update screen
         this.screen.render();
     }
     
+    /**
+     * Shows a message in the status line for a while, e.g. that a file was
+     * saved or an error occurred
+     * @param {string} text - The message
+     * @param {Object} [options] - Message options
+     * @param {boolean} [options.error=false] - Whether to show it as an error
+     * @param {number} [options.timeout] - Milliseconds to show it for; 0 keeps it until the next message
+     */
+    showMessage(text, options = {}) {
+        this.statusBar.showMessage(text, options);
+    }
+    
+    /**
+     * Gets the open buffers: one per file shown in the editor area, in the
+     * order they were opened. The window of a buffer is one that is visible
+     * if there is one.
+     * @returns {Array<{window: IWindow, label: string, modified: boolean, active: boolean}>} The buffers
+     */
+    getBuffers() {
+        const current = this._isPaneWindow(this.currentWindow) ? this.currentWindow : this._getActivePane();
+        const buffers = new Map();
+        for (const { window } of this.windows) {
+            const file = window.currentFile;
+            if (!file || !this._isPaneWindow(window)) continue;
+            
+            const buffer = buffers.get(file);
+            if (buffer) {
+                if (!this.layout.has(buffer.window) && this.layout.has(window)) {
+                    buffer.window = window;
+                }
+                continue;
+            }
+            buffers.set(file, {
+                window,
+                label: file.fileName ? path.basename(file.fileName) : 'untitled',
+                modified: !!file.modified,
+                active: !!current && current.currentFile === file
+            });
+        }
+        return [...buffers.values()];
+    }
+    
+    /**
+     * Focuses an open buffer, showing it in the active pane if it is hidden
+     * @param {number} index - Index of the buffer in getBuffers()
+     * @returns {boolean} Whether there is such a buffer
+     */
+    showBuffer(index) {
+        const buffer = this.getBuffers()[index];
+        if (!buffer) return false;
+        this.focusWindow(buffer.window);
+        return true;
+    }
+    
+    /**
+     * Focuses the buffer after or before the active one, wrapping around
+     * @param {number} step - 1 for the next buffer, -1 for the previous one
+     */
+    nextBuffer(step) {
+        const buffers = this.getBuffers();
+        if (buffers.length === 0) return;
+        const active = buffers.findIndex(buffer => buffer.active);
+        this.showBuffer((Math.max(0, active) + step + buffers.length) % buffers.length);
+    }
+    
+    /**
+     * Splits the pane of the current window in two, showing a second view of
+     * its file in the new half. Both views edit the same file but have their
+     * own cursor and scroll position.
+     * @param {string} direction - 'vertical' for side by side, 'horizontal' for one above the other
+     * @returns {Promise<IWindow|null>} The new window, or null if the current window cannot be split
+     */
+    async splitWindow(direction) {
+        const window = this.currentWindow;
+        if (!(window instanceof EditWindow) || window instanceof SettingsWindow || !this.layout.has(window)) {
+            return null;
+        }
+        
+        const view = this.windowFactory.createWindow({
+            fileName: window.currentFile.fileName,
+            editFile: window.currentFile,
+            windowService: this,
+            cursorX: window.cursorX,
+            cursorY: window.cursorY,
+            scrollOffsetY: window.scrollOffsetY,
+            syntax: window.getSyntax()
+        });
+        this.layout.split(window, view, direction);
+        this._shareFile(window.currentFile);
+        this.addWindow(view);
+        this.focusWindow(view);
+        await this.recalculateLayout();
+        await this.updateVcsMarkers(window.currentFile);
+        return view;
+    }
+    
+    /**
+     * Closes the pane of the current window, giving its space to the pane next
+     * to it. The window stays open, hidden, unless its file is shown elsewhere.
+     * @returns {Promise<void>}
+     */
+    async closePane() {
+        const window = this.currentWindow;
+        if (!this.layout.has(window) || this.layout.getWindows().length < 2) return;
+        
+        const file = window.currentFile;
+        if (file && this.windows.some(w => w.window !== window && w.window.currentFile === file)) {
+            this.removeWindow(window);
+            return;
+        }
+        
+        this.focusWindow(this.layout.remove(window));
+        await this.recalculateLayout();
+    }
+    
+    /**
+     * Grows or shrinks the pane of the current window
+     * @param {string} direction - 'vertical' to change the width, 'horizontal' to change the height
+     * @param {number} amount - Columns or rows to add; negative to shrink
+     * @returns {Promise<void>}
+     */
+    async resizePane(direction, amount) {
+        if (this.layout.resize(this.currentWindow, direction, amount)) {
+            await this.recalculateLayout();
+        }
+    }
+    
+    /**
+     * Focuses the visible window next to the current one
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
+     */
+    focusDirection(direction) {
+        const areas = new Map();
+        for (const { window, element } of this.windows) {
+            if (!element.hidden) {
+                areas.set(window, { left: element.left, top: element.top, width: element.width, height: element.height });
+            }
+        }
+        
+        const neighbor = LayoutTree.findNeighbor(areas, this.currentWindow, direction);
+        if (neighbor) {
+            this.focusWindow(neighbor);
+        }
+    }
+    
     /**
      * Opens a file in a window
      * @param {string} fileName - Name of the file to open
+     * @param {Object} [options={}] - Where to place the cursor
+     * @param {number} [options.line] - Zero-based line to move the cursor to
+     * @param {number} [options.column=0] - Zero-based character position on that line
+     * @param {EditFile} [options.editFile] - Content to show instead of reading fileName from disk
      * @returns {Promise<IWindow>} - The updated window state
      */
-    async openFile(fileName) {
+    async openFile(fileName, options = {}) {
         logger.info('WindowService', `Opening file: ${fileName}`);
         
+        const editFile = options.editFile || await this.fileService.getTextFile(fileName);
+        const previousPane = this._getActivePane();
+        
         // Check if we already have a file explorer window
         const hasFileExplorer = this.windows.some(w => w.window instanceof FileExplorer);
         
         // Create a new window for the file with appropriate anchoring
         const window = this.windowFactory.createWindow({
             fileName,
+            editFile,
             windowService: this,
             // If file explorer is present, anchor to all sides except left
             // Otherwise anchor to all sides
@@ -313,22 +633,401 @@ class WindowService {
         // Focus the new window
         this.focusWindow(window);
         
+        // An untouched untitled buffer, like the one the editor starts with, makes way for the file
+        if (previousPane && this._isUntouched(previousPane)) {
+            this.removeWindow(previousPane);
+        }
+        
         // Redraw to show file content
         await window.redraw();
         
         // Ensure proper layout with other windows
         await this.recalculateLayout();
         
+        // Jump to the requested position once the window has its final size
+        if (options.line !== undefined && typeof window.goTo === 'function') {
+            await window.goTo(options.line, options.column || 0);
+        }
+        
+        if (!options.editFile) {
+            this._watchFile(window, fileName);
+            await this._checkSwap(window);
+            await this.updateVcsMarkers(window.currentFile);
+        }
+        
         // Position cursor
         this.updateCursor();
         
         return window;
     }
 
+    /**
+     * Loads a window's file from disk again, replacing its content. EditWindows
+     * keep the cursor as close to where it was as the new content allows.
+     * @param {IWindow} window - The window to reload
+     * @returns {Promise<void>}
+     */
+    async reloadFile(window) {
+        const previousFile = window.currentFile;
+        const editFile = await this.fileService.getTextFile(previousFile.fileName);
+        logger.info('WindowService', `Reloaded ${editFile.fileName}`);
+        await this.discardSwap(previousFile);
+        
+        // Every window showing the file gets the new content
+        const views = this.windows.filter(w => w.window.currentFile === previousFile).map(w => w.window);
+        for (const view of views) {
+            if (typeof view.replaceFile === 'function') {
+                await view.replaceFile(editFile);
+            } else {
+                view.currentFile = editFile;
+                await view.redraw();
+            }
+        }
+        this._releaseSharedFile(previousFile);
+        if (views.length > 1) {
+            this._shareFile(editFile);
+        }
+        await this.updateVcsMarkers(editFile);
+        this.updateCursor();
+    }
+
+    /**
+     * Marks the lines of a file that differ from its last git commit in the
+     * gutter of every window showing it. Called when the file is loaded or
+     * saved; the markers are not moved by edits in between.
+     * @param {EditFile} file - The file
+     * @returns {Promise<void>}
+     */
+    async updateVcsMarkers(file) {
+        // Large files are not diffed, and git output is only compared as UTF-8
+        if (!file || !file.fileName || file.readOnly || file.format.encoding !== 'utf8') return;
+        
+        let markers;
+        try {
+            markers = await this.vcsService.getChangeMarkers(file.fileName, file.getLines());
+        } catch (error) {
+            logger.error('WindowService', `Error finding changes of ${file.fileName}: ${error.message}`);
+            return;
+        }
+        
+        for (const { window, element } of this.windows) {
+            if (window.currentFile !== file || typeof window.setMarkers !== 'function') continue;
+            window.setMarkers('vcs', markers || []);
+            if (!element.hidden) {
+                await window.redraw();
+            }
+        }
+    }
+
+    /**
+     * Writes swap files for modified buffers that changed since their last
+     * swap, and removes the swap files of buffers that are no longer modified
+     * @returns {Promise<void>}
+     */
+    async updateSwapFiles() {
+        for (const { window } of this.windows) {
+            const file = window.currentFile;
+            if (!file || !file.fileName) continue;
+            
+            const swapped = this.swappedFiles.get(file);
+            // Changes the user chose to discard are not backed up, unless edited further
+            if (file.modified && this.discardedVersions.get(file) === file.version) continue;
+            try {
+                if (!file.modified) {
+                    if (swapped) await this.discardSwap(file);
+                } else if (!swapped || swapped.version !== file.version || swapped.fileName !== file.fileName) {
+                    if (swapped && swapped.fileName !== file.fileName) {
+                        await this.swapService.remove(swapped.fileName);
+                    }
+                    await this.swapService.write(file);
+                    this.swappedFiles.set(file, { fileName: file.fileName, version: file.version });
+                }
+            } catch (error) {
+                logger.error('WindowService', `Error updating swap file of ${file.fileName}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Removes the swap file of a file, e.g. after it was saved or its changes were
+     * discarded. Discarded changes get no new swap file until the file is edited again.
+     * @param {EditFile} editFile - The file
+     * @returns {Promise<void>}
+     */
+    async discardSwap(editFile) {
+        if (!editFile || !editFile.fileName) return;
+        
+        if (editFile.modified) {
+            this.discardedVersions.set(editFile, editFile.version);
+        }
+        const swapped = this.swappedFiles.get(editFile);
+        this.swappedFiles.delete(editFile);
+        try {
+            if (swapped && swapped.fileName !== editFile.fileName) {
+                await this.swapService.remove(swapped.fileName);
+            }
+            await this.swapService.remove(editFile.fileName);
+        } catch (error) {
+            logger.error('WindowService', `Error removing swap file of ${editFile.fileName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replaces a window's file with the content of its swap file. The result
+     * counts as modified until it is saved.
+     * @param {IWindow} window - The window showing the file
+     * @param {Object} swap - The swap, as found by SwapService.findRecoverable
+     * @returns {Promise<void>}
+     */
+    async recoverSwap(window, swap) {
+        const current = window.currentFile;
+        const editFile = new EditFile(current.fileName, swap.lines, swap.format);
+        editFile.diskState = current.diskState;
+        editFile.modified = true;
+        logger.info('WindowService', `Recovered ${editFile.fileName} from its swap file`);
+        
+        if (typeof window.replaceFile === 'function') {
+            await window.replaceFile(editFile);
+        } else {
+            window.currentFile = editFile;
+            await window.redraw();
+        }
+        // The swap stays until the recovered content is saved or discarded
+        this.swappedFiles.set(editFile, { fileName: editFile.fileName, version: editFile.version });
+        this.updateCursor();
+    }
+
+    /**
+     * Offers to recover a swap file left behind for a newly opened file
+     * @param {IWindow} window - The window showing the file
+     * @private
+     */
+    async _checkSwap(window) {
+        // Read-only files are never changed, so they have no swap to offer
+        if (window.currentFile.readOnly) return;
+        let swap;
+        try {
+            swap = await this.swapService.findRecoverable(window.currentFile);
+        } catch (error) {
+            logger.error('WindowService', `Error checking swap file of ${window.currentFile.fileName}: ${error.message}`);
+            return;
+        }
+        if (!swap) return;
+        
+        logger.info('WindowService', `Found swap file for ${swap.filePath}`);
+        if (this.recoveryHandler) {
+            await this.recoveryHandler(window, swap);
+        }
+    }
+
+    /**
+     * @param {IWindow} window - A window
+     * @returns {boolean} Whether the window belongs in a pane of the editor area
+     * @private
+     */
+    _isPaneWindow(window) {
+        return !(window instanceof FileExplorer) && !(window instanceof AIPrompt) && !(window instanceof SearchWindow);
+    }
+    
+    /**
+     * Describes the file and cursor of the current window for the status
+     * line; windows without a file, like the file explorer, describe the
+     * window of the active pane
+     * @returns {Object} The status, see StatusBar.update
+     * @private
+     */
+    _getStatus() {
+        const window = this.currentWindow && this.currentWindow.currentFile ? this.currentWindow : this._getActivePane();
+        const file = window && window.currentFile;
+        if (!file) return {};
+        
+        // Files under the working directory are named relative to it
+        const fullName = file.fileName ? path.resolve(file.fileName) : null;
+        const relativeName = fullName && path.relative(process.cwd(), fullName);
+        return {
+            fileName: !fullName ? 'Untitled' : relativeName.startsWith('..') ? fullName : relativeName,
+            modified: !!file.modified,
+            line: window.cursorY + 1,
+            column: window.cursorX + 1,
+            insert: this.insert,
+            syntax: window.syntaxName || null,
+            format: file.format
+        };
+    }
+    
+    /**
+     * @param {IWindow} window - A window
+     * @returns {boolean} Whether it is an untitled EditWindow that was never typed in
+     * @private
+     */
+    _isUntouched(window) {
+        const file = window.currentFile;
+        return window instanceof EditWindow && !(window instanceof SettingsWindow) &&
+            !!file && !file.fileName && !file.modified && file.getText() === '' &&
+            !this.windows.some(w => w.window !== window && w.window.currentFile === file);
+    }
+    
+    /**
+     * @returns {IWindow|null} The window of the pane windows are opened in
+     * @private
+     */
+    _getActivePane() {
+        return this.layout.has(this.activePane) ? this.activePane : this.layout.getWindows()[0] || null;
+    }
+    
+    /**
+     * Keeps the windows showing a file in step when one of them changes it
+     * @param {EditFile} file - A file shown in more than one window
+     * @private
+     */
+    _shareFile(file) {
+        if (this.sharedFiles.has(file)) return;
+        this.sharedFiles.set(file, file.onChange((y, removedLines, addedLines) =>
+            this._handleSharedFileChange(file, y, removedLines, addedLines)));
+    }
+    
+    /**
+     * Stops keeping the windows of a file in step once at most one window shows it
+     * @param {EditFile} file - The file
+     * @private
+     */
+    _releaseSharedFile(file) {
+        const unsubscribe = this.sharedFiles.get(file);
+        if (!unsubscribe || this.windows.filter(w => w.window.currentFile === file).length > 1) return;
+        unsubscribe();
+        this.sharedFiles.delete(file);
+    }
+    
+    /**
+     * Moves the cursors of the other windows showing a changed file along
+     * with the text, and redraws them once the change is done
+     * @param {EditFile} file - The changed file
+     * @param {number} y - The first changed line
+     * @param {number} removedLines - Lines after it that were removed
+     * @param {number} addedLines - Lines after it that were added
+     * @private
+     */
+    _handleSharedFileChange(file, y, removedLines, addedLines) {
+        for (const { window } of this.windows) {
+            if (window === this.currentWindow || window.currentFile !== file) continue;
+            if (typeof window.followChange === 'function') {
+                window.followChange(y, removedLines, addedLines);
+            }
+            this.staleViews.add(window);
+        }
+        if (this.staleViews.size === 0 || this.viewRedraw) return;
+        
+        this.viewRedraw = setImmediate(async () => {
+            this.viewRedraw = null;
+            const views = [...this.staleViews];
+            this.staleViews.clear();
+            for (const view of views) {
+                const entry = this.windows.find(w => w.window === view);
+                if (entry && !entry.element.hidden) {
+                    await view.redraw();
+                }
+            }
+            this.updateCursor();
+        });
+    }
+    
+    /**
+     * Watches the file of a window under its current name, e.g. after it was
+     * saved under another one. The watcher of any other view of the file moves
+     * to this window, so the file is watched only once.
+     * @param {IWindow} window - The window showing the file
+     */
+    watchFile(window) {
+        const file = window.currentFile;
+        if (!file || !file.fileName) return;
+        for (const { window: view } of this.windows) {
+            if (view !== window && view.currentFile === file) {
+                this._unwatchFile(view);
+            }
+        }
+        this._watchFile(window, file.fileName);
+    }
+
+    /**
+     * Starts watching the file shown in a window for changes by other programs
+     * @param {IWindow} window - The window showing the file
+     * @param {string} fileName - The file to watch
+     * @private
+     */
+    _watchFile(window, fileName) {
+        this._unwatchFile(window);
+        const filePath = path.resolve(fileName);
+        this.fileWatchers.set(window, this.fileService.watchFile(filePath,
+            async () => await this._handleFileChanged(window, filePath)));
+    }
+
+    /**
+     * Stops watching the file of a window and drops its change notice
+     * @param {IWindow} window - The window
+     * @private
+     */
+    _unwatchFile(window) {
+        const watcher = this.fileWatchers.get(window);
+        if (watcher) {
+            watcher.close();
+            this.fileWatchers.delete(window);
+        }
+        if (this.changeNotice && this.changeNotice.window === window) {
+            this.changeNotice.notice.close();
+        }
+    }
+
+    /**
+     * Reacts to a watched file changing on disk. Unmodified buffers are reloaded
+     * right away; for modified ones a notice offers to reload or keep the edits.
+     * Read-only large files also get the notice, as reloading reads them again.
+     * @param {IWindow} window - The window showing the file
+     * @param {string} filePath - The watched file
+     * @private
+     */
+    async _handleFileChanged(window, filePath) {
+        const file = window.currentFile;
+        // The window may show another file by now, e.g. after Save As
+        if (!file || !file.fileName || path.resolve(file.fileName) !== filePath) return;
+        if (!(await this.fileService.isChangedOnDisk(file))) return;
+        
+        if (!file.modified && !file.readOnly) {
+            await this.reloadFile(window);
+            return;
+        }
+        
+        logger.info('WindowService', `${filePath} changed on disk while it has ${file.readOnly ? 'a read-only view' : 'unsaved changes'}`);
+        // Only one notice at a time; dismissing an older one keeps those edits,
+        // and saving them still asks before overwriting
+        if (this.changeNotice) {
+            this.changeNotice.notice.close();
+        }
+        const notice = new NoticeBar(this.screen, {
+            message: `${path.basename(filePath)} changed on disk.`,
+            actions: [
+                { key: 'M-l', label: 'Reload', callback: async () => await this.reloadFile(window) },
+                { key: 'M-k', label: file.readOnly ? 'Ignore' : 'Keep Mine', callback: () => {} }
+            ],
+            onClose: () => {
+                if (this.changeNotice && this.changeNotice.notice === notice) {
+                    this.changeNotice = null;
+                }
+            }
+        });
+        this.changeNotice = { window, notice };
+        notice.show();
+    }
+
     /**
      * Update terminal cursor position & visibility
      */
     updateCursor() {
+        // The bars are brought up to date first, as rendering moves the terminal cursor
+        const tabsChanged = this.tabBar.update(this.getBuffers());
+        if (this.statusBar.update(this._getStatus()) || tabsChanged) {
+            this.screen.render();
+        }
+        
         if (!this.currentWindow) return;
         
         const win = this.currentWindow;
@@ -336,9 +1035,18 @@ class WindowService {
         
         if (!element) return;
         
-        // Calculate cursor position relative to the window element
-        const termX = win.cursorX + 1; // +1 for left border
-        const termY = win.cursorY - win.scrollOffsetY + 1; // +1 for top border, adjust for scroll
+        // Calculate cursor position relative to the window element. Windows that
+        // lay out their text themselves (gutter, wrapped rows) say where the cursor
+        // is shown; others may show tabs as several columns.
+        let visual;
+        if (typeof win.getVisualCursor === 'function') {
+            visual = win.getVisualCursor();
+        } else {
+            const cursorColumn = typeof win.getDisplayCursorX === 'function' ? win.getDisplayCursorX() : win.cursorX;
+            visual = { x: cursorColumn, y: win.cursorY - win.scrollOffsetY };
+        }
+        const termX = visual.x + 1; // +1 for left border
+        const termY = visual.y + 1; // +1 for top border
         
         // Calculate absolute position on screen
         const absX = element.left + termX;
@@ -361,6 +1069,38 @@ class WindowService {
         }
         
         this.screen.render();
+        
+        // The terminal has a single cursor, so other cursors are drawn as highlighted cells
+        if (typeof win.getSecondaryCursors === 'function') {
+            this._drawSecondaryCursors(win.getSecondaryCursors(), element);
+        }
+    }
+
+    /**
+     * Highlights the cells of cursors on the rendered screen. The next render
+     * draws the window content over them again.
+     * @param {Array<{x: number, y: number}>} cursors - Cursor positions relative to the content area of the element
+     * @param {Object} element - The blessed element the cursors are in
+     * @private
+     */
+    _drawSecondaryCursors(cursors, element) {
+        const lines = this.screen.lines;
+        if (!lines || cursors.length === 0) return;
+        
+        const rows = new Set();
+        for (const cursor of cursors) {
+            // +1 for the borders, like the main cursor
+            if (cursor.x < 0 || cursor.y < 0 || cursor.x >= element.width - 2 || cursor.y >= element.height - 2) continue;
+            const row = element.top + cursor.y + 1;
+            const cell = lines[row] && lines[row][element.left + cursor.x + 1];
+            if (!cell) continue;
+            cell[0] |= WindowService.CURSOR_CELL_FLAGS;
+            lines[row].dirty = true;
+            rows.add(row);
+        }
+        for (const row of rows) {
+            this.screen.draw(row, row);
+        }
     }
 
     /**
@@ -466,35 +1206,62 @@ class WindowService {
     }
 
     /**
-     * Changes focus to the next window in the list
+     * Creates or focuses the project search window. It searches the file
+     * explorer's current directory, or the working directory without one.
+     * @returns {IWindow} - The created or focused search window
+     */
+    createSearchWindow() {
+        const existing = this.windows.find(w => w.window instanceof SearchWindow);
+        if (existing) {
+            this.focusWindow(existing.window);
+            return existing.window;
+        }
+        
+        const explorer = this.windows.find(w => w.window instanceof FileExplorer);
+        const rootDirectory = explorer ? explorer.window.currentDirectory : process.cwd();
+        
+        const searchWindow = new SearchWindow(this, rootDirectory);
+        this.addWindow(searchWindow);
+        this.focusWindow(searchWindow);
+        
+        return searchWindow;
+    }
+
+    /**
+     * Changes focus to the next visible window in the list
      * Cycles back to the first window if currently on the last window
      */
     next() {
         logger.debug('WindowService', 'Switching to next window');
         
-        if (this.windows.length <= 1) {
+        // Windows hidden behind the one in their pane are skipped
+        const windows = this.windows.filter(entry => !entry.element.hidden);
+        if (windows.length <= 1) {
             logger.debug('WindowService', 'Only one window available, not switching');
             return; // Nothing to do if we have 0 or 1 windows
         }
         
         // Find current window index
-        const currentIndex = this.windows.findIndex(w => w.window === this.currentWindow);
+        const currentIndex = windows.findIndex(w => w.window === this.currentWindow);
         logger.debug('WindowService', `Current window index: ${currentIndex}`);
         
         if (currentIndex === -1) {
             // Current window not found, focus first window
             logger.debug('WindowService', 'Current window not found in list, focusing first window');
-            this.focusWindow(this.windows[0].window);
+            this.focusWindow(windows[0].window);
             return;
         }
         
         // Calculate next index (wrap around to 0 if at the end)
-        const nextIndex = (currentIndex + 1) % this.windows.length;
+        const nextIndex = (currentIndex + 1) % windows.length;
         logger.debug('WindowService', `Switching to window index: ${nextIndex}`);
         
         // Focus the next window
-        this.focusWindow(this.windows[nextIndex].window);
+        this.focusWindow(windows[nextIndex].window);
     }
 }
 
+/** Attribute flags added to the cells of secondary cursors: inverse, in blessed's (flags << 18) | (fg << 9) | bg cell attributes */
+WindowService.CURSOR_CELL_FLAGS = 8 << 18;
+
 module.exports = WindowService;